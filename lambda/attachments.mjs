@@ -0,0 +1,432 @@
+/**
+ * File attachments on contact enquiries
+ *
+ * 1. POST /contact/attachments checks the filename, MIME type and size and
+ *    returns a short-lived presigned PUT URL; the browser uploads to S3.
+ * 2. POST /contact lists the returned keys in `attachments`. Each key must
+ *    exist, the set must fit the per-submission file count and total size,
+ *    and every file must pass the scan hook (when ATTACHMENT_SCAN_URL is set).
+ * 3. The owner email carries the files themselves when they total no more
+ *    than ATTACHMENT_INLINE_MAX_BYTES, otherwise download links.
+ *
+ * Download links do not point at S3: a presigned URL dies with the Lambda's
+ * session credentials, which last hours, not days. Each link carries a token
+ * signed with ATTACHMENT_LINK_SECRET that GET /contact/attachments/download
+ * checks before redirecting to a one-minute presigned GET, so a link works
+ * for ATTACHMENT_LINK_EXPIRY_SECONDS whatever credentials signed the email.
+ *
+ * The scan hook POSTs `{ key, filename, contentType, size, downloadUrl }` as
+ * JSON and expects `{ "verdict": "clean" }`; any other verdict rejects the
+ * file. ATTACHMENT_SCAN_FAIL_OPEN decides what happens when it cannot be
+ * reached.
+ *
+ * Messages for the sender take the request's translator (messages.mjs).
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { createTranslator } from "./messages.mjs";
+
+// MIME type -> accepted filename extensions
+export const ATTACHMENT_TYPES = {
+  "application/pdf": [".pdf"],
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "text/plain": [".txt"],
+  "text/csv": [".csv"],
+  "application/msword": [".doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+  "application/vnd.ms-excel": [".xls"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [".xlsx"],
+  "application/vnd.ms-powerpoint": [".ppt"],
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": [".pptx"],
+  "application/vnd.ms-visio.drawing": [".vsdx"],
+  "application/zip": [".zip"],
+};
+
+const MB = 1024 * 1024;
+// Base64 grows the files by a third and SES takes messages up to 10 MB.
+const MAX_INLINE_BYTES = 7 * MB;
+// Files are scanned in parallel, within the request's 10-second Lambda timeout.
+const MAX_SCAN_TIMEOUT_MS = 5000;
+const MAX_LINK_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+// Presigned GETs behind a download link only have to survive the redirect.
+const DOWNLOAD_REDIRECT_SECONDS = 60;
+const KEY_PREFIX = "contact/";
+const ATTACHMENT_KEY_RE = /^contact\/\d{4}-\d{2}-\d{2}\/[0-9a-f-]{36}\/[A-Za-z0-9._-]{1,100}$/;
+
+function positiveInteger(value, fallback) {
+  return value === undefined || value === "" ? fallback : Number(value);
+}
+
+export function parseAttachmentConfig(env = {}) {
+  const types = (env.ATTACHMENT_TYPES || "")
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+  const config = {
+    enabled: Boolean((env.ATTACHMENTS_BUCKET || "").trim()),
+    bucket: (env.ATTACHMENTS_BUCKET || "").trim(),
+    endpoint: (env.ATTACHMENTS_S3_ENDPOINT || "").trim() || undefined,
+    region: (env.AWS_REGION || "us-east-1").trim(),
+    maxBytes: positiveInteger(env.ATTACHMENT_MAX_BYTES, 10 * MB),
+    maxFiles: positiveInteger(env.ATTACHMENT_MAX_FILES, 5),
+    maxTotalBytes: positiveInteger(env.ATTACHMENT_MAX_TOTAL_BYTES, 20 * MB),
+    inlineMaxBytes: positiveInteger(env.ATTACHMENT_INLINE_MAX_BYTES, 5 * MB),
+    uploadExpirySeconds: positiveInteger(env.ATTACHMENT_UPLOAD_EXPIRY_SECONDS, 300),
+    linkExpirySeconds: positiveInteger(env.ATTACHMENT_LINK_EXPIRY_SECONDS, 24 * 60 * 60),
+    linkSecret: env.ATTACHMENT_LINK_SECRET || "",
+    types: types.length > 0 ? types : Object.keys(ATTACHMENT_TYPES),
+    scan: {
+      url: (env.ATTACHMENT_SCAN_URL || "").trim(),
+      timeoutMs: positiveInteger(env.ATTACHMENT_SCAN_TIMEOUT_MS, 3000),
+      failOpen: (env.ATTACHMENT_SCAN_FAIL_OPEN || "false").trim().toLowerCase() === "true",
+    },
+  };
+
+  const problems = [];
+  for (const [name, value] of [
+    ["ATTACHMENT_MAX_BYTES", config.maxBytes],
+    ["ATTACHMENT_MAX_FILES", config.maxFiles],
+    ["ATTACHMENT_MAX_TOTAL_BYTES", config.maxTotalBytes],
+  ]) {
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`${name} must be a whole number of at least 1`);
+    }
+  }
+  if (
+    !Number.isInteger(config.inlineMaxBytes) ||
+    config.inlineMaxBytes < 0 ||
+    config.inlineMaxBytes > MAX_INLINE_BYTES
+  ) {
+    problems.push(
+      `ATTACHMENT_INLINE_MAX_BYTES must be 0-${MAX_INLINE_BYTES} (0 sends links only)`
+    );
+  }
+  if (
+    !Number.isInteger(config.uploadExpirySeconds) ||
+    config.uploadExpirySeconds < 30 ||
+    config.uploadExpirySeconds > 3600
+  ) {
+    problems.push("ATTACHMENT_UPLOAD_EXPIRY_SECONDS must be 30-3600");
+  }
+  if (
+    !Number.isInteger(config.linkExpirySeconds) ||
+    config.linkExpirySeconds < 60 ||
+    config.linkExpirySeconds > MAX_LINK_EXPIRY_SECONDS
+  ) {
+    problems.push(`ATTACHMENT_LINK_EXPIRY_SECONDS must be 60-${MAX_LINK_EXPIRY_SECONDS}`);
+  }
+  if (config.enabled && !config.linkSecret) {
+    problems.push("ATTACHMENT_LINK_SECRET is required when ATTACHMENTS_BUCKET is set");
+  }
+  const unknownTypes = config.types.filter((type) => !Object.hasOwn(ATTACHMENT_TYPES, type));
+  if (unknownTypes.length > 0) {
+    problems.push(`ATTACHMENT_TYPES has unsupported types: ${unknownTypes.join(", ")}`);
+  }
+  if (config.scan.url && !/^https?:\/\//.test(config.scan.url)) {
+    problems.push("ATTACHMENT_SCAN_URL must be an http(s) URL");
+  }
+  if (
+    !Number.isInteger(config.scan.timeoutMs) ||
+    config.scan.timeoutMs < 100 ||
+    config.scan.timeoutMs > MAX_SCAN_TIMEOUT_MS
+  ) {
+    problems.push(`ATTACHMENT_SCAN_TIMEOUT_MS must be 100-${MAX_SCAN_TIMEOUT_MS}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid attachment settings: ${problems.join("; ")}.`);
+  }
+  return config;
+}
+
+/** "2.4 MB", "512 KB", "12 bytes" */
+export function formatBytes(size) {
+  if (size >= MB) return `${(size / MB).toFixed(1).replace(/\.0$/, "")} MB`;
+  if (size >= 1024) return `${Math.round(size / 1024)} KB`;
+  return `${size} bytes`;
+}
+
+// Keys keep a readable, header-safe version of the name after a random folder.
+function safeFilename(filename) {
+  const dot = filename.lastIndexOf(".");
+  const extension = filename.slice(dot).toLowerCase();
+  const stem = filename
+    .slice(0, dot)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/^[._]+|_+$/g, "")
+    .slice(0, 100 - extension.length);
+  return `${stem || "file"}${extension}`;
+}
+
+/**
+ * Checks an upload request against the limits. Returns `{ fieldErrors }` or
+ * `{ upload: { filename, contentType, size } }` with the type lower-cased.
+ */
+export function checkUploadRequest(config, body, t = createTranslator()) {
+  const fieldErrors = {};
+  const filename = typeof body.filename === "string" ? body.filename.trim() : "";
+  const contentType =
+    typeof body.contentType === "string" ? body.contentType.trim().toLowerCase() : "";
+  const { size } = body;
+
+  const extension = filename.includes(".")
+    ? filename.slice(filename.lastIndexOf(".")).toLowerCase()
+    : "";
+  if (!filename || filename.length > 200 || /[\\/\x00-\x1f\x7f]/.test(filename)) {
+    fieldErrors.filename = t("attachments.filename");
+  } else if (
+    config.types.includes(contentType) &&
+    !ATTACHMENT_TYPES[contentType].includes(extension)
+  ) {
+    fieldErrors.filename = t("attachments.extension", {
+      extensions: ATTACHMENT_TYPES[contentType].join(t("attachments.or")),
+    });
+  }
+  if (!config.types.includes(contentType)) {
+    const accepted = config.types.flatMap((type) => ATTACHMENT_TYPES[type]);
+    fieldErrors.contentType = t("attachments.type", { accepted: accepted.join(", ") });
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    fieldErrors.size = t("attachments.size");
+  } else if (size > config.maxBytes) {
+    fieldErrors.size = t("attachments.tooLarge", { maxBytes: formatBytes(config.maxBytes) });
+  }
+
+  if (Object.keys(fieldErrors).length > 0) return { fieldErrors };
+  return { upload: { filename, contentType, size } };
+}
+
+export function attachmentKey(filename, now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return `${KEY_PREFIX}${day}/${randomUUID()}/${safeFilename(filename)}`;
+}
+
+export function isAttachmentKey(value) {
+  return typeof value === "string" && ATTACHMENT_KEY_RE.test(value);
+}
+
+function linkSignature(secret, encodedPayload) {
+  return createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+/** base64url(JSON { k: key, e: expiry seconds }) + "." + base64url(HMAC-SHA256) */
+export function signDownloadToken({ secret, key, expiresAt }) {
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ k: key, e: Math.floor(expiresAt.getTime() / 1000) }),
+    "utf8"
+  ).toString("base64url");
+  return `${encodedPayload}.${linkSignature(secret, encodedPayload)}`;
+}
+
+/** Resolves a download token to `{ key }` or `{ error: "invalid" | "expired" }` */
+export function verifyDownloadToken({ secret, token, now }) {
+  if (typeof token !== "string") return { error: "invalid" };
+  const [encodedPayload, providedSignature, ...rest] = token.split(".");
+  if (!encodedPayload || !providedSignature || rest.length > 0) {
+    return { error: "invalid" };
+  }
+
+  const expected = Buffer.from(linkSignature(secret, encodedPayload), "utf8");
+  const provided = Buffer.from(providedSignature, "utf8");
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { error: "invalid" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid" };
+  }
+  if (!isAttachmentKey(payload?.k)) return { error: "invalid" };
+  if (!Number.isFinite(payload.e) || payload.e * 1000 <= now.getTime()) {
+    return { error: "expired" };
+  }
+  return { key: payload.k };
+}
+
+/**
+ * Returns `scan({ key, filename, contentType, size, downloadUrl })`, resolving
+ * to `{ ok: true }`, `{ ok: true, failedOpen: true }` or
+ * `{ ok: false, reason }` where reason is "rejected" or "unavailable".
+ */
+export function createHttpAttachmentScanner({
+  url,
+  timeoutMs = 3000,
+  failOpen = false,
+  fetchImpl = globalThis.fetch,
+}) {
+  return async function scan(attachment) {
+    let result;
+    try {
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(attachment),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`Attachment scan failed with HTTP ${response.status}`);
+      result = await response.json();
+    } catch (err) {
+      if (failOpen) return { ok: true, failedOpen: true, error: err };
+      return { ok: false, reason: "unavailable", error: err };
+    }
+    if (result?.verdict !== "clean") {
+      return { ok: false, reason: "rejected", verdict: String(result?.verdict ?? "") };
+    }
+    return { ok: true };
+  };
+}
+
+/**
+ * Ties the limits to an S3 client (see s3-client.mjs) and an optional scan
+ * function. `resolve(keys, t)` answers `{ attachments }`, `{ fieldError }` for
+ * anything the sender can fix, or `{ unavailable: true }` when the scan hook
+ * could not be reached.
+ */
+export function createAttachmentService({ config, s3, scan = null, now = () => new Date() }) {
+  function expiresAt(seconds) {
+    return new Date(now().getTime() + seconds * 1000).toISOString();
+  }
+
+  return {
+    config,
+
+    async presignUpload({ filename, contentType, size }) {
+      const key = attachmentKey(filename, now());
+      return {
+        key,
+        filename: key.slice(key.lastIndexOf("/") + 1),
+        contentType,
+        size,
+        uploadUrl: await s3.presignUpload({
+          key,
+          contentType,
+          size,
+          expiresSeconds: config.uploadExpirySeconds,
+          now: now(),
+        }),
+        method: "PUT",
+        headers: { "Content-Type": contentType },
+        expiresAt: expiresAt(config.uploadExpirySeconds),
+      };
+    },
+
+    async resolve(keys, t = createTranslator()) {
+      if (keys === undefined || keys === null) return { attachments: [] };
+      if (!Array.isArray(keys) || !keys.every(isAttachmentKey)) {
+        return { fieldError: t("attachments.invalidKeys") };
+      }
+      const unique = [...new Set(keys)];
+      if (unique.length > config.maxFiles) {
+        return { fieldError: t("attachments.tooMany", { maxFiles: config.maxFiles }) };
+      }
+
+      const objects = await Promise.all(unique.map((key) => s3.head(key)));
+      const attachments = [];
+      for (const [index, key] of unique.entries()) {
+        const object = objects[index];
+        if (!object) {
+          return { fieldError: t("attachments.missing") };
+        }
+        const contentType = object.contentType.toLowerCase();
+        if (!config.types.includes(contentType) || object.size > config.maxBytes) {
+          return { fieldError: t("attachments.mismatch") };
+        }
+        attachments.push({
+          key,
+          filename: key.slice(key.lastIndexOf("/") + 1),
+          contentType,
+          size: object.size,
+        });
+      }
+      const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+      if (totalBytes > config.maxTotalBytes) {
+        return {
+          fieldError: t("attachments.totalTooLarge", {
+            maxTotal: formatBytes(config.maxTotalBytes),
+          }),
+        };
+      }
+
+      if (scan) {
+        // All at once, so the whole set takes one scan timeout at most
+        const results = await Promise.all(
+          attachments.map(async (attachment) =>
+            scan({
+              ...attachment,
+              downloadUrl: await s3.presignDownload({ key: attachment.key, expiresSeconds: 300 }),
+            })
+          )
+        );
+        const rejected = results.findIndex((result) => result.reason === "rejected");
+        if (rejected !== -1) {
+          return {
+            fieldError: t("attachments.rejected", { filename: attachments[rejected].filename }),
+          };
+        }
+        const failed = results.find((result) => !result.ok);
+        if (failed) return { unavailable: true, error: failed.error };
+      }
+      return { attachments };
+    },
+
+    /**
+     * Email view of resolved attachments: the files themselves when they fit
+     * under inlineMaxBytes, otherwise links to the download route on
+     * `baseUrl` (the API's own origin).
+     */
+    async forEmail(attachments = [], { baseUrl = "" } = {}) {
+      const linkExpiresAt = new Date(now().getTime() + config.linkExpirySeconds * 1000);
+      const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+      const inline = attachments.length > 0 && totalBytes <= config.inlineMaxBytes;
+      const files = [];
+      const listed = [];
+      for (const attachment of attachments) {
+        const entry = {
+          filename: attachment.filename,
+          size: formatBytes(attachment.size),
+          url: "",
+        };
+        const content = inline ? await s3.get(attachment.key) : null;
+        if (content) {
+          files.push({
+            filename: attachment.filename,
+            contentType: attachment.contentType,
+            content,
+          });
+        } else {
+          const token = signDownloadToken({
+            secret: config.linkSecret,
+            key: attachment.key,
+            expiresAt: linkExpiresAt,
+          });
+          entry.url = `${baseUrl}/contact/attachments/download?${new URLSearchParams({ token })}`;
+        }
+        listed.push(entry);
+      }
+      return { files, listed, linksExpireAt: linkExpiresAt.toISOString() };
+    },
+
+    /**
+     * Checks a download link's token and resolves to `{ url }`, a presigned
+     * GET that is only valid long enough to follow, or `{ error }` as
+     * verifyDownloadToken.
+     */
+    async download(token) {
+      const verified = verifyDownloadToken({ secret: config.linkSecret, token, now: now() });
+      if (verified.error) return verified;
+      return {
+        url: await s3.presignDownload({
+          key: verified.key,
+          filename: verified.key.slice(verified.key.lastIndexOf("/") + 1),
+          expiresSeconds: DOWNLOAD_REDIRECT_SECONDS,
+          now: now(),
+        }),
+      };
+    },
+  };
+}
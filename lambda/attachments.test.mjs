@@ -0,0 +1,299 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import {
+  attachmentKey,
+  checkUploadRequest,
+  createAttachmentService,
+  createHttpAttachmentScanner,
+  formatBytes,
+  isAttachmentKey,
+  parseAttachmentConfig,
+  signDownloadToken,
+  verifyDownloadToken,
+} from "./attachments.mjs";
+import { startS3StandIn } from "./fixtures/s3-stand-in.mjs";
+import { createS3Client } from "./s3-client.mjs";
+
+const CREDENTIALS = { accessKeyId: "AKIDSTANDIN", secretAccessKey: "stand-in-secret" };
+const NOW = new Date("2030-06-03T01:00:00Z");
+
+function config(env = {}) {
+  return parseAttachmentConfig({
+    ATTACHMENTS_BUCKET: "attachments",
+    ATTACHMENT_LINK_SECRET: "link-secret",
+    ...env,
+  });
+}
+
+async function withService(env, scan, run) {
+  const s3 = await startS3StandIn();
+  const attachmentConfig = config(env);
+  const service = createAttachmentService({
+    config: attachmentConfig,
+    s3: createS3Client({
+      bucket: "attachments",
+      endpoint: s3.endpoint,
+      credentials: CREDENTIALS,
+    }),
+    scan,
+  });
+  try {
+    await run({ s3, service });
+  } finally {
+    await s3.close();
+  }
+}
+
+async function upload(service, filename, contentType, body) {
+  const attachment = await service.presignUpload({ filename, contentType, size: body.length });
+  const response = await fetch(attachment.uploadUrl, {
+    method: attachment.method,
+    headers: attachment.headers,
+    body,
+  });
+  assert.equal(response.status, 200);
+  return attachment.key;
+}
+
+test("parses the attachment settings", () => {
+  assert.equal(parseAttachmentConfig({}).enabled, false);
+
+  const parsed = config({
+    ATTACHMENT_MAX_FILES: "2",
+    ATTACHMENT_TYPES: "application/pdf, IMAGE/PNG",
+    ATTACHMENT_SCAN_URL: "https://scanner.internal/scan",
+    ATTACHMENT_SCAN_FAIL_OPEN: "true",
+  });
+  assert.equal(parsed.enabled, true);
+  assert.equal(parsed.maxFiles, 2);
+  assert.equal(parsed.maxBytes, 10 * 1024 * 1024);
+  assert.deepEqual(parsed.types, ["application/pdf", "image/png"]);
+  assert.deepEqual(parsed.scan, {
+    url: "https://scanner.internal/scan",
+    timeoutMs: 3000,
+    failOpen: true,
+  });
+
+  assert.throws(
+    () =>
+      config({
+        ATTACHMENT_MAX_FILES: "0",
+        ATTACHMENT_UPLOAD_EXPIRY_SECONDS: "7200",
+        ATTACHMENT_LINK_EXPIRY_SECONDS: "999999999",
+        ATTACHMENT_INLINE_MAX_BYTES: "10485760",
+        ATTACHMENT_SCAN_TIMEOUT_MS: "10000",
+        ATTACHMENT_TYPES: "application/pdf,text/html",
+        ATTACHMENT_SCAN_URL: "ftp://scanner",
+        ATTACHMENT_LINK_SECRET: "",
+      }),
+    (err) => {
+      assert.match(err.message, /^Invalid attachment settings: /);
+      assert.match(err.message, /ATTACHMENT_MAX_FILES must be a whole number of at least 1/);
+      assert.match(err.message, /ATTACHMENT_UPLOAD_EXPIRY_SECONDS must be 30-3600/);
+      assert.match(err.message, /ATTACHMENT_LINK_EXPIRY_SECONDS must be 60-604800/);
+      assert.match(err.message, /ATTACHMENT_INLINE_MAX_BYTES must be 0-7340032/);
+      assert.match(err.message, /ATTACHMENT_SCAN_TIMEOUT_MS must be 100-5000/);
+      assert.match(err.message, /unsupported types: text\/html/);
+      assert.match(err.message, /ATTACHMENT_SCAN_URL must be an http\(s\) URL/);
+      assert.match(err.message, /ATTACHMENT_LINK_SECRET is required/);
+      return true;
+    }
+  );
+});
+
+test("checks the filename, type and size of upload requests", () => {
+  const limits = config({ ATTACHMENT_MAX_BYTES: "1048576", ATTACHMENT_TYPES: "application/pdf" });
+  assert.deepEqual(
+    checkUploadRequest(limits, { filename: " RFP.PDF ", contentType: "Application/PDF", size: 10 }),
+    { upload: { filename: "RFP.PDF", contentType: "application/pdf", size: 10 } }
+  );
+
+  assert.deepEqual(
+    checkUploadRequest(limits, { filename: "../etc/passwd", contentType: "text/html", size: 0 })
+      .fieldErrors,
+    {
+      filename: "Filename is required (max 200 characters, no slashes).",
+      contentType: "File type is not accepted. Accepted: .pdf.",
+      size: "Size must be the file's size in bytes.",
+    }
+  );
+  assert.deepEqual(
+    checkUploadRequest(limits, {
+      filename: "invoice.pdf.exe",
+      contentType: "application/pdf",
+      size: 2 * 1024 * 1024,
+    }).fieldErrors,
+    {
+      filename: "Filename must end in .pdf.",
+      size: "Files must be 1 MB or smaller.",
+    }
+  );
+});
+
+test("builds keys that keep a safe version of the filename", () => {
+  const key = attachmentKey("Résumé (final) v2.PDF", NOW);
+  assert.match(key, /^contact\/2030-06-03\/[0-9a-f-]{36}\/Resume_final_v2\.pdf$/);
+  assert.equal(isAttachmentKey(key), true);
+  assert.equal(isAttachmentKey(attachmentKey("...pdf", NOW)), true);
+  assert.equal(isAttachmentKey("contact/../../secrets.txt"), false);
+  assert.equal(isAttachmentKey("uploads/2030-06-03/x/file.pdf"), false);
+  assert.equal(formatBytes(1536), "2 KB");
+  assert.equal(formatBytes(5 * 1024 * 1024), "5 MB");
+});
+
+test("resolves uploaded keys within the per-submission limits", async () => {
+  await withService(
+    { ATTACHMENT_MAX_FILES: "2", ATTACHMENT_MAX_TOTAL_BYTES: "20" },
+    null,
+    async ({ service }) => {
+      const pdf = await upload(service, "brief.pdf", "application/pdf", Buffer.from("%PDF-1.7 a"));
+      const png = await upload(service, "map.png", "image/png", Buffer.from("PNG-bytes"));
+
+      assert.deepEqual(await service.resolve([pdf, pdf, png]), {
+        attachments: [
+          { key: pdf, filename: "brief.pdf", contentType: "application/pdf", size: 10 },
+          { key: png, filename: "map.png", contentType: "image/png", size: 9 },
+        ],
+      });
+      assert.deepEqual(await service.resolve("not-a-list"), {
+        fieldError: "Attachments must be keys from POST /contact/attachments.",
+      });
+      const missing = attachmentKey("later.pdf", NOW);
+      assert.deepEqual(await service.resolve([missing]), {
+        fieldError: "An attachment has not finished uploading or has expired.",
+      });
+
+      const big = await upload(service, "big.txt", "text/plain", Buffer.from("x".repeat(15)));
+      assert.deepEqual(await service.resolve([pdf, big]), {
+        fieldError: "Attachments must total 20 bytes or less.",
+      });
+      assert.deepEqual(await service.resolve([pdf, png, big]), {
+        fieldError: "Attach at most 2 files.",
+      });
+    }
+  );
+});
+
+test("runs every file through the scan hook at once", async () => {
+  const scanned = [];
+  let inFlight = 0;
+  let mostInFlight = 0;
+  const verdicts = { "clean.txt": { ok: true }, "eicar.txt": { ok: false, reason: "rejected" } };
+  const down = { ok: false, reason: "unavailable", error: new Error("down") };
+  const scan = async (attachment) => {
+    scanned.push(attachment);
+    mostInFlight = Math.max(mostInFlight, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    inFlight -= 1;
+    return verdicts[attachment.filename] ?? down;
+  };
+  await withService({}, scan, async ({ service }) => {
+    const clean = await upload(service, "clean.txt", "text/plain", Buffer.from("hello"));
+    const infected = await upload(service, "eicar.txt", "text/plain", Buffer.from("X5O!P%@AP"));
+    const other = await upload(service, "other.txt", "text/plain", Buffer.from("other"));
+
+    assert.equal((await service.resolve([clean])).attachments.length, 1);
+    assert.match(scanned[0].downloadUrl, /X-Amz-Signature=/);
+    assert.deepEqual(await service.resolve([clean, infected]), {
+      fieldError: "eicar.txt was rejected by the file scan.",
+    });
+    assert.equal(mostInFlight, 2);
+    assert.deepEqual(await service.resolve([other, infected]), {
+      fieldError: "eicar.txt was rejected by the file scan.",
+    });
+    const unavailable = await service.resolve([other]);
+    assert.equal(unavailable.unavailable, true);
+    assert.equal(unavailable.error.message, "down");
+  });
+});
+
+test("inlines small attachments and links larger ones", async () => {
+  await withService({ ATTACHMENT_INLINE_MAX_BYTES: "16" }, null, async ({ service }) => {
+    const small = await upload(service, "notes.txt", "text/plain", Buffer.from("short note"));
+    const csv = Buffer.from("a,b\n1,2\n3,4\n5,6\n");
+    const large = await upload(service, "data.csv", "text/csv", csv);
+    const { attachments } = await service.resolve([small, large]);
+
+    const inline = await service.forEmail(attachments.slice(0, 1));
+    assert.deepEqual(inline.files, [
+      { filename: "notes.txt", contentType: "text/plain", content: Buffer.from("short note") },
+    ]);
+    assert.deepEqual(inline.listed, [{ filename: "notes.txt", size: "10 bytes", url: "" }]);
+
+    const linked = await service.forEmail(attachments, { baseUrl: "https://api.example.test" });
+    assert.deepEqual(linked.files, []);
+    assert.equal(linked.listed.length, 2);
+    const link = new URL(linked.listed[1].url);
+    assert.equal(link.origin, "https://api.example.test");
+    assert.equal(link.pathname, "/contact/attachments/download");
+
+    const { url } = await service.download(link.searchParams.get("token"));
+    assert.equal(new URL(url).searchParams.get("X-Amz-Expires"), "60");
+    const download = await fetch(url);
+    assert.equal(await download.text(), "a,b\n1,2\n3,4\n5,6\n");
+    assert.equal(download.headers.get("content-disposition"), 'attachment; filename="data.csv"');
+  });
+});
+
+test("download tokens are tied to the secret, the key and the expiry", () => {
+  const key = attachmentKey("brief.pdf", NOW);
+  const token = signDownloadToken({
+    secret: "link-secret",
+    key,
+    expiresAt: new Date(NOW.getTime() + 3600 * 1000),
+  });
+  assert.deepEqual(verifyDownloadToken({ secret: "link-secret", token, now: NOW }), { key });
+  assert.deepEqual(
+    verifyDownloadToken({ secret: "link-secret", token, now: new Date("2030-06-03T02:00:00Z") }),
+    { error: "expired" }
+  );
+  assert.deepEqual(verifyDownloadToken({ secret: "other-secret", token, now: NOW }), {
+    error: "invalid",
+  });
+  const forged = signDownloadToken({
+    secret: "link-secret",
+    key: "contact/../secrets",
+    expiresAt: new Date(NOW.getTime() + 3600 * 1000),
+  });
+  assert.deepEqual(verifyDownloadToken({ secret: "link-secret", token: forged, now: NOW }), {
+    error: "invalid",
+  });
+});
+
+test("the HTTP scanner maps verdicts and failures", async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      bodies.push(body);
+      if (body.filename === "broken.txt") {
+        res.writeHead(502);
+        return res.end();
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ verdict: body.filename === "eicar.txt" ? "infected" : "clean" }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/scan`;
+  try {
+    const scan = createHttpAttachmentScanner({ url });
+    assert.deepEqual(await scan({ filename: "ok.txt", size: 2 }), { ok: true });
+    assert.deepEqual(bodies[0], { filename: "ok.txt", size: 2 });
+    assert.deepEqual(await scan({ filename: "eicar.txt" }), {
+      ok: false,
+      reason: "rejected",
+      verdict: "infected",
+    });
+    assert.equal((await scan({ filename: "broken.txt" })).reason, "unavailable");
+
+    const failOpen = createHttpAttachmentScanner({ url, failOpen: true });
+    assert.equal((await failOpen({ filename: "broken.txt" })).failedOpen, true);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
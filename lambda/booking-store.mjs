@@ -0,0 +1,548 @@
+/**
+ * Booking persistence
+ *
+ * Four kinds of item share the table (generic `pk`/`sk` keys):
+ * - The booking record (`booking#<bookingId>` / `booking`). It is updated in
+ *   place and never overwritten: a cancel sets its status, a reschedule moves
+ *   its slot and appends the old one to `history`. Every manage link resolves
+ *   to the booking's current state.
+ * - A slot lock (`calendar#<calendarId>` / `slot#<slotStart>`), held only
+ *   while the booking is confirmed. It is created only if absent, which
+ *   stops two bookings taking the same start, and availability lists
+ *   bookings from the locks.
+ * - A day guard (`calendar#<calendarId>` / `day#<YYYY-MM-DD>`) per local day,
+ *   holding a `version`. Overlap and buffer checks read the guards before
+ *   the bookings; a write then bumps the version of every day its checks
+ *   looked at, on condition that it is still the version read. Two bookings
+ *   that could clash always share a guarded day, so the second writer fails
+ *   with "schedule_changed" and must re-read and re-check.
+ * - Booking counts per local day and week (`calendar#<calendarId>` /
+ *   `count#day#<YYYY-MM-DD>` or `count#week#<monday>`). A booking adds one
+ *   to its day and week only while they are under `maxPerDay`/`maxPerWeek`,
+ *   and a cancel or reschedule takes it off again.
+ *
+ * Every change writes the record, its locks, guards and counts in one
+ * transaction, so a failed condition on any item leaves all of them
+ * untouched.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  TransactWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const DEFAULT_CALENDAR_ID = "primary";
+const ACTIVE_STATUS = "confirmed";
+const RECORD_SK = "booking";
+const SLOT_SK_PREFIX = "slot#";
+const DAY_SK_PREFIX = "day#";
+const COUNT_LIMIT_REASONS = { day: "daily_limit_reached", week: "weekly_limit_reached" };
+
+// Cancellation codes that mean "this item's condition did not hold"
+const FAILED_CONDITION_CODES = new Set(["ConditionalCheckFailed", "TransactionConflict"]);
+
+function recordKey(bookingId) {
+  return { pk: `booking#${bookingId}`, sk: RECORD_SK };
+}
+
+function calendarPk(calendarId) {
+  return `calendar#${calendarId}`;
+}
+
+function slotKey(calendarId, slotStart) {
+  return { pk: calendarPk(calendarId), sk: `${SLOT_SK_PREFIX}${slotStart}` };
+}
+
+function dayKey(calendarId, day) {
+  return { pk: calendarPk(calendarId), sk: `${DAY_SK_PREFIX}${day}` };
+}
+
+function countKey(calendarId, period, key) {
+  return { pk: calendarPk(calendarId), sk: `count#${period}#${key}` };
+}
+
+function expiresAt(slotEnd, retentionDays) {
+  return Math.floor(new Date(slotEnd).getTime() / 1000) + retentionDays * 24 * 60 * 60;
+}
+
+function toRecord(booking, counters, calendarId, retentionDays) {
+  return {
+    ...recordKey(booking.bookingId),
+    booking_id: booking.bookingId,
+    calendar_id: calendarId,
+    booking_type: booking.bookingType,
+    slot_start: booking.slotStart,
+    slot_end: booking.slotEnd,
+    status: ACTIVE_STATUS,
+    name: booking.name,
+    email: booking.email,
+    company: booking.company,
+    notes: booking.notes,
+    timezone: booking.timezone,
+    created_at: booking.createdAt,
+    updated_at: booking.createdAt,
+    history: [],
+    counted_day: counters?.day,
+    counted_week: counters?.week,
+    expires_at: expiresAt(booking.slotEnd, retentionDays),
+  };
+}
+
+function toSlotLock({ bookingId, bookingType, slotStart, slotEnd }, calendarId, retentionDays) {
+  return {
+    ...slotKey(calendarId, slotStart),
+    booking_id: bookingId,
+    booking_type: bookingType,
+    slot_start: slotStart,
+    slot_end: slotEnd,
+    expires_at: expiresAt(slotEnd, retentionDays),
+  };
+}
+
+function fromRecord(item) {
+  return {
+    bookingId: item.booking_id,
+    bookingType: item.booking_type,
+    slotStart: item.slot_start,
+    slotEnd: item.slot_end,
+    status: item.status,
+    name: item.name,
+    email: item.email,
+    company: item.company,
+    notes: item.notes,
+    timezone: item.timezone,
+    createdAt: item.created_at,
+    updatedAt: item.updated_at,
+    history: (item.history || []).map((entry) => ({
+      slotStart: entry.slot_start,
+      slotEnd: entry.slot_end,
+      changedAt: entry.changed_at,
+    })),
+    counters: { day: item.counted_day, week: item.counted_week },
+  };
+}
+
+function fromSlotLock(item) {
+  return {
+    bookingId: item.booking_id,
+    bookingType: item.booking_type,
+    slotStart: item.slot_start,
+    slotEnd: item.slot_end,
+    status: ACTIVE_STATUS,
+  };
+}
+
+/*
+ * A change is a list of item operations, each with the `reason` reported when
+ * its condition fails:
+ * - `{ key, put }` creates an item that must not exist yet
+ * - `{ key, remove: { bookingId } }` deletes a slot lock still held by bookingId
+ * - `{ key, update: { expect, set, history } }` changes a record whose
+ *   attributes still equal `expect`, optionally appending a `history` entry
+ * - `{ key, guard: { version, expiresAt } }` bumps a day guard still at `version`
+ * - `{ key, count: { add, max, expiresAt } }` adds to a day or week count,
+ *   refusing an increase once it has reached `max` (0 means no cap)
+ */
+function guardOps(guards = {}, slotEnd, { calendarId, retentionDays }) {
+  return Object.entries(guards).map(([day, version]) => ({
+    key: dayKey(calendarId, day),
+    guard: { version, expiresAt: expiresAt(slotEnd, retentionDays) },
+    reason: "schedule_changed",
+  }));
+}
+
+// Moves a booking's counts from `from` to `to` ({ day, week } keys, either
+// may be absent). A period that does not change is left alone, as one
+// transaction cannot write the same item twice.
+function countOps({ from, to, slotEnd }, { calendarId, retentionDays, maxPerDay, maxPerWeek }) {
+  const limits = { day: maxPerDay, week: maxPerWeek };
+  const ops = [];
+  for (const period of ["day", "week"]) {
+    if (from?.[period] === to?.[period]) continue;
+    if (to?.[period]) {
+      ops.push({
+        key: countKey(calendarId, period, to[period]),
+        count: { add: 1, max: limits[period], expiresAt: expiresAt(slotEnd, retentionDays) },
+        reason: COUNT_LIMIT_REASONS[period],
+      });
+    }
+    if (from?.[period]) {
+      ops.push({
+        key: countKey(calendarId, period, from[period]),
+        count: { add: -1 },
+        reason: "changed",
+      });
+    }
+  }
+  return ops;
+}
+
+function reserveOps(booking, { guards, counters }, config) {
+  const { calendarId, retentionDays } = config;
+  return [
+    {
+      key: slotKey(calendarId, booking.slotStart),
+      put: toSlotLock(booking, calendarId, retentionDays),
+      reason: "slot_taken",
+    },
+    ...guardOps(guards, booking.slotEnd, config),
+    ...countOps({ to: counters, slotEnd: booking.slotEnd }, config),
+    {
+      key: recordKey(booking.bookingId),
+      put: toRecord(booking, counters, calendarId, retentionDays),
+      reason: "slot_taken",
+    },
+  ];
+}
+
+function rescheduleOps(booking, move, config) {
+  const { calendarId, retentionDays } = config;
+  const { slotStart, slotEnd, updatedAt, guards, counters } = move;
+  return [
+    {
+      key: slotKey(calendarId, slotStart),
+      put: toSlotLock({ ...booking, slotStart, slotEnd }, calendarId, retentionDays),
+      reason: "slot_taken",
+    },
+    ...guardOps(guards, slotEnd, config),
+    ...countOps({ from: booking.counters, to: counters, slotEnd }, config),
+    {
+      key: slotKey(calendarId, booking.slotStart),
+      remove: { bookingId: booking.bookingId },
+      reason: "changed",
+    },
+    {
+      key: recordKey(booking.bookingId),
+      update: {
+        expect: { status: ACTIVE_STATUS, slot_start: booking.slotStart },
+        set: {
+          slot_start: slotStart,
+          slot_end: slotEnd,
+          updated_at: updatedAt,
+          counted_day: counters?.day,
+          counted_week: counters?.week,
+          expires_at: expiresAt(slotEnd, retentionDays),
+        },
+        history: {
+          slot_start: booking.slotStart,
+          slot_end: booking.slotEnd,
+          changed_at: updatedAt,
+        },
+      },
+      reason: "changed",
+    },
+  ];
+}
+
+function releaseOps({ slotStart, bookingId, status, updatedAt, counters }, config) {
+  const { calendarId } = config;
+  return [
+    {
+      key: recordKey(bookingId),
+      update: {
+        expect: { status: ACTIVE_STATUS, slot_start: slotStart },
+        set: { status, updated_at: updatedAt },
+      },
+      reason: "changed",
+    },
+    {
+      key: slotKey(calendarId, slotStart),
+      remove: { bookingId },
+      reason: "changed",
+    },
+    ...countOps({ from: counters }, config),
+  ];
+}
+
+function createBookingMethods(config, { transact, getItem, listSlotLocks }) {
+  const { calendarId } = config;
+  return {
+    /** Day guard versions by local day ("YYYY-MM-DD"); 0 for a day never written */
+    async readGuards(days) {
+      const items = await Promise.all(days.map((day) => getItem(dayKey(calendarId, day))));
+      return Object.fromEntries(days.map((day, index) => [day, items[index]?.version ?? 0]));
+    },
+
+    /**
+     * Reserves a slot, bumping the day `guards` (from `readGuards`) the checks
+     * were made against and counting it against its local `counters`
+     * ({ day, week }). Resolves `{ reserved, reason }`, where reason is
+     * "slot_taken", "schedule_changed", "daily_limit_reached" or
+     * "weekly_limit_reached".
+     */
+    async reserveSlot(booking, { guards, counters } = {}) {
+      const result = await transact(reserveOps(booking, { guards, counters }, config));
+      return result.ok ? { reserved: true } : { reserved: false, reason: result.reason };
+    },
+
+    /**
+     * Moves a confirmed booking to a new slot, taking the new lock and freeing
+     * the old one together. Resolves `{ rescheduled, reason }` with the same
+     * reasons as reserveSlot, plus "changed" (the booking was cancelled or
+     * moved meanwhile).
+     */
+    async rescheduleBooking(booking, { slotStart, slotEnd, updatedAt, guards, counters }) {
+      const result = await transact(
+        rescheduleOps(booking, { slotStart, slotEnd, updatedAt, guards, counters }, config)
+      );
+      return result.ok ? { rescheduled: true } : { rescheduled: false, reason: result.reason };
+    },
+
+    /** Marks a confirmed booking with `status`, frees its slot and uncounts it */
+    async releaseSlot({ slotStart, bookingId, status, updatedAt, counters }) {
+      const result = await transact(
+        releaseOps({ slotStart, bookingId, status, updatedAt, counters }, config)
+      );
+      return result.ok;
+    },
+
+    async getBooking(bookingId) {
+      const item = await getItem(recordKey(bookingId));
+      return item ? fromRecord(item) : null;
+    },
+
+    /** Confirmed bookings starting between fromIso and toIso, by start time */
+    async listBookings({ fromIso, toIso }) {
+      const items = await listSlotLocks({
+        pk: calendarPk(calendarId),
+        fromSk: `${SLOT_SK_PREFIX}${fromIso}`,
+        toSk: `${SLOT_SK_PREFIX}${toIso}`,
+      });
+      return items.map(fromSlotLock);
+    },
+  };
+}
+
+function itemId({ pk, sk }) {
+  return `${pk}\n${sk}`;
+}
+
+function conditionHolds(item, op) {
+  if (op.put) return !item;
+  if (op.remove) return item?.booking_id === op.remove.bookingId;
+  if (op.guard) return (item?.version ?? 0) === op.guard.version;
+  if (op.count) {
+    return op.count.add < 0 || !op.count.max || (item?.count ?? 0) < op.count.max;
+  }
+  return (
+    Boolean(item) &&
+    Object.entries(op.update.expect).every(([name, value]) => item[name] === value)
+  );
+}
+
+export function createMemoryBookingStore({
+  calendarId = DEFAULT_CALENDAR_ID,
+  retentionDays = 365,
+  maxPerDay = 0,
+  maxPerWeek = 0,
+} = {}) {
+  const items = new Map();
+
+  // Checks every condition before applying anything, with no await in
+  // between, so a change is all-or-nothing like a DynamoDB transaction.
+  function transact(ops) {
+    const failed = ops.find((op) => !conditionHolds(items.get(itemId(op.key)), op));
+    if (failed) return { ok: false, reason: failed.reason };
+    for (const op of ops) {
+      const id = itemId(op.key);
+      if (op.put) {
+        items.set(id, structuredClone(op.put));
+      } else if (op.remove) {
+        items.delete(id);
+      } else if (op.guard) {
+        items.set(id, {
+          ...op.key,
+          version: op.guard.version + 1,
+          expires_at: op.guard.expiresAt,
+        });
+      } else if (op.count) {
+        const item = items.get(id);
+        items.set(id, {
+          ...op.key,
+          ...item,
+          count: (item?.count ?? 0) + op.count.add,
+          ...(op.count.expiresAt ? { expires_at: op.count.expiresAt } : {}),
+        });
+      } else {
+        const item = items.get(id);
+        Object.assign(item, structuredClone(op.update.set));
+        if (op.update.history) item.history = [...(item.history || []), op.update.history];
+      }
+    }
+    return { ok: true };
+  }
+
+  return createBookingMethods(
+    { calendarId, retentionDays, maxPerDay, maxPerWeek },
+    {
+      transact: async (ops) => transact(ops),
+      getItem: async (key) => structuredClone(items.get(itemId(key)) ?? null),
+      listSlotLocks: async ({ pk, fromSk, toSk }) =>
+        [...items.values()]
+          .filter((item) => item.pk === pk && item.sk >= fromSk && item.sk <= toSk)
+          .sort((a, b) => a.sk.localeCompare(b.sk))
+          .map((item) => structuredClone(item)),
+    }
+  );
+}
+
+function toTransactItem(op, tableName) {
+  if (op.put) {
+    return {
+      Put: {
+        TableName: tableName,
+        Item: op.put,
+        ConditionExpression: "attribute_not_exists(pk)",
+      },
+    };
+  }
+  if (op.guard) {
+    const { version } = op.guard;
+    return {
+      Update: {
+        TableName: tableName,
+        Key: op.key,
+        UpdateExpression: "SET #version = :next, expires_at = :expiresAt",
+        ConditionExpression:
+          version === 0 ? "attribute_not_exists(#version)" : "#version = :seen",
+        ExpressionAttributeNames: { "#version": "version" },
+        ExpressionAttributeValues: {
+          ":next": version + 1,
+          ":expiresAt": op.guard.expiresAt,
+          ...(version === 0 ? {} : { ":seen": version }),
+        },
+      },
+    };
+  }
+  if (op.count) {
+    const { add, max } = op.count;
+    const capped = add > 0 && max > 0;
+    return {
+      Update: {
+        TableName: tableName,
+        Key: op.key,
+        UpdateExpression:
+          add > 0 ? "ADD #count :add SET expires_at = :expiresAt" : "ADD #count :add",
+        ...(capped ? { ConditionExpression: "attribute_not_exists(#count) OR #count < :max" } : {}),
+        ExpressionAttributeNames: { "#count": "count" },
+        ExpressionAttributeValues: {
+          ":add": add,
+          ...(add > 0 ? { ":expiresAt": op.count.expiresAt } : {}),
+          ...(capped ? { ":max": max } : {}),
+        },
+      },
+    };
+  }
+  if (op.remove) {
+    return {
+      Delete: {
+        TableName: tableName,
+        Key: op.key,
+        ConditionExpression: "booking_id = :bookingId",
+        ExpressionAttributeValues: { ":bookingId": op.remove.bookingId },
+      },
+    };
+  }
+
+  const names = {};
+  const values = {};
+  const assignments = Object.entries(op.update.set).map(([name, value], index) => {
+    names[`#s${index}`] = name;
+    values[`:s${index}`] = value;
+    return `#s${index} = :s${index}`;
+  });
+  if (op.update.history) {
+    names["#history"] = "history";
+    values[":history"] = [op.update.history];
+    values[":noHistory"] = [];
+    assignments.push("#history = list_append(if_not_exists(#history, :noHistory), :history)");
+  }
+  const conditions = Object.entries(op.update.expect).map(([name, value], index) => {
+    names[`#e${index}`] = name;
+    values[`:e${index}`] = value;
+    return `#e${index} = :e${index}`;
+  });
+  return {
+    Update: {
+      TableName: tableName,
+      Key: op.key,
+      UpdateExpression: `SET ${assignments.join(", ")}`,
+      ConditionExpression: conditions.join(" AND "),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    },
+  };
+}
+
+export function createDynamoBookingStore({
+  tableName,
+  calendarId = DEFAULT_CALENDAR_ID,
+  retentionDays = 365,
+  maxPerDay = 0,
+  maxPerWeek = 0,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  async function transact(ops) {
+    try {
+      await client.send(
+        new TransactWriteCommand({
+          TransactItems: ops.map((op) => toTransactItem(op, tableName)),
+        })
+      );
+      return { ok: true };
+    } catch (err) {
+      if (err?.name !== "TransactionCanceledException") throw err;
+      const index = (err.CancellationReasons || []).findIndex((reason) =>
+        FAILED_CONDITION_CODES.has(reason?.Code)
+      );
+      if (index === -1) throw err;
+      return { ok: false, reason: ops[index].reason };
+    }
+  }
+
+  return createBookingMethods(
+    { calendarId, retentionDays, maxPerDay, maxPerWeek },
+    {
+      transact,
+      async getItem(key) {
+        const result = await client.send(
+          new GetCommand({ TableName: tableName, Key: key, ConsistentRead: true })
+        );
+        return result.Item ?? null;
+      },
+      async listSlotLocks({ pk, fromSk, toSk }) {
+        const items = [];
+        let exclusiveStartKey;
+        do {
+          const page = await client.send(
+            new QueryCommand({
+              TableName: tableName,
+              KeyConditionExpression: "pk = :pk AND sk BETWEEN :fromSk AND :toSk",
+              ExpressionAttributeValues: { ":pk": pk, ":fromSk": fromSk, ":toSk": toSk },
+              // Guards are read first, so bookings written before them must show here.
+              ConsistentRead: true,
+              ExclusiveStartKey: exclusiveStartKey,
+            })
+          );
+          items.push(...(page.Items || []));
+          exclusiveStartKey = page.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return items;
+      },
+    }
+  );
+}
+
+export function createBookingStore({ tableName, retentionDays, maxPerDay, maxPerWeek } = {}) {
+  if (tableName) {
+    return createDynamoBookingStore({ tableName, retentionDays, maxPerDay, maxPerWeek });
+  }
+  return createMemoryBookingStore({ retentionDays, maxPerDay, maxPerWeek });
+}
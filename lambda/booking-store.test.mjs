@@ -0,0 +1,397 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createDynamoBookingStore,
+  createMemoryBookingStore,
+} from "./booking-store.mjs";
+
+function makeBooking(overrides = {}) {
+  return {
+    bookingId: "booking-1",
+    bookingType: "DISCOVERY_30M",
+    slotStart: "2026-03-02T01:00:00Z",
+    slotEnd: "2026-03-02T01:30:00Z",
+    name: "Jane Tester",
+    email: "jane@example.com",
+    company: "Acme",
+    timezone: "Australia/Sydney",
+    createdAt: "2026-03-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+test("memory store refuses a second reservation for the same slot", async () => {
+  const store = createMemoryBookingStore();
+
+  assert.deepEqual(await store.reserveSlot(makeBooking()), { reserved: true });
+  assert.deepEqual(
+    await store.reserveSlot(makeBooking({ bookingId: "booking-2" })),
+    { reserved: false, reason: "slot_taken" }
+  );
+
+  const bookings = await store.listBookings({
+    fromIso: "2026-03-02T00:00:00Z",
+    toIso: "2026-03-02T23:59:59Z",
+  });
+  assert.equal(bookings.length, 1);
+  assert.equal(bookings[0].bookingId, "booking-1");
+});
+
+test("memory store frees a released slot for a new booking", async () => {
+  const store = createMemoryBookingStore();
+  await store.reserveSlot(makeBooking());
+
+  assert.equal(
+    await store.releaseSlot({
+      slotStart: "2026-03-02T01:00:00Z",
+      bookingId: "someone-else",
+      status: "cancelled",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+    }),
+    false
+  );
+  assert.equal(
+    await store.releaseSlot({
+      slotStart: "2026-03-02T01:00:00Z",
+      bookingId: "booking-1",
+      status: "cancelled",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+    }),
+    true
+  );
+  assert.equal((await store.getBooking("booking-1")).status, "cancelled");
+  assert.deepEqual(
+    await store.reserveSlot(makeBooking({ bookingId: "booking-2" })),
+    { reserved: true }
+  );
+});
+
+test("memory store moves a booking and keeps the old slot in its history", async () => {
+  const store = createMemoryBookingStore();
+  await store.reserveSlot(makeBooking());
+  await store.reserveSlot(
+    makeBooking({
+      bookingId: "booking-2",
+      slotStart: "2026-03-04T01:00:00Z",
+      slotEnd: "2026-03-04T01:30:00Z",
+    })
+  );
+  const original = await store.getBooking("booking-1");
+
+  assert.deepEqual(
+    await store.rescheduleBooking(original, {
+      slotStart: "2026-03-04T01:00:00Z",
+      slotEnd: "2026-03-04T01:30:00Z",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+    }),
+    { rescheduled: false, reason: "slot_taken" }
+  );
+  assert.deepEqual(
+    await store.rescheduleBooking(original, {
+      slotStart: "2026-03-03T01:00:00Z",
+      slotEnd: "2026-03-03T01:30:00Z",
+      updatedAt: "2026-03-01T02:00:00.000Z",
+    }),
+    { rescheduled: true }
+  );
+
+  const moved = await store.getBooking("booking-1");
+  assert.equal(moved.slotStart, "2026-03-03T01:00:00Z");
+  assert.equal(moved.status, "confirmed");
+  assert.equal(moved.createdAt, "2026-03-01T00:00:00.000Z");
+  assert.deepEqual(moved.history, [
+    {
+      slotStart: "2026-03-02T01:00:00Z",
+      slotEnd: "2026-03-02T01:30:00Z",
+      changedAt: "2026-03-01T02:00:00.000Z",
+    },
+  ]);
+
+  // The old slot is free again and the stale copy can no longer move it.
+  assert.deepEqual(
+    await store.rescheduleBooking(original, {
+      slotStart: "2026-03-05T01:00:00Z",
+      slotEnd: "2026-03-05T01:30:00Z",
+      updatedAt: "2026-03-01T03:00:00.000Z",
+    }),
+    { rescheduled: false, reason: "changed" }
+  );
+  const bookings = await store.listBookings({
+    fromIso: "2026-03-01T00:00:00Z",
+    toIso: "2026-03-06T00:00:00Z",
+  });
+  assert.deepEqual(
+    bookings.map((booking) => [booking.bookingId, booking.slotStart]),
+    [
+      ["booking-1", "2026-03-03T01:00:00Z"],
+      ["booking-2", "2026-03-04T01:00:00Z"],
+    ]
+  );
+});
+
+test("memory store refuses a write when a guarded day changed since it was read", async () => {
+  const store = createMemoryBookingStore();
+  const seen = await store.readGuards(["2026-03-02"]);
+  assert.deepEqual(seen, { "2026-03-02": 0 });
+
+  assert.deepEqual(await store.reserveSlot(makeBooking(), { guards: seen }), { reserved: true });
+  assert.deepEqual(
+    await store.reserveSlot(
+      makeBooking({
+        bookingId: "booking-2",
+        slotStart: "2026-03-02T01:30:00Z",
+        slotEnd: "2026-03-02T02:00:00Z",
+      }),
+      { guards: seen }
+    ),
+    { reserved: false, reason: "schedule_changed" }
+  );
+  assert.equal(await store.getBooking("booking-2"), null);
+  assert.deepEqual(await store.readGuards(["2026-03-02", "2026-03-03"]), {
+    "2026-03-02": 1,
+    "2026-03-03": 0,
+  });
+});
+
+test("memory store counts bookings against the daily and weekly caps", async () => {
+  const store = createMemoryBookingStore({ maxPerDay: 1, maxPerWeek: 2 });
+  const monday = { day: "2026-03-02", week: "2026-03-02" };
+  const tuesday = { day: "2026-03-03", week: "2026-03-02" };
+
+  assert.deepEqual(await store.reserveSlot(makeBooking(), { counters: monday }), {
+    reserved: true,
+  });
+  assert.deepEqual(
+    await store.reserveSlot(
+      makeBooking({
+        bookingId: "booking-2",
+        slotStart: "2026-03-02T05:00:00Z",
+        slotEnd: "2026-03-02T05:30:00Z",
+      }),
+      { counters: monday }
+    ),
+    { reserved: false, reason: "daily_limit_reached" }
+  );
+
+  const tuesdayBooking = makeBooking({
+    bookingId: "booking-3",
+    slotStart: "2026-03-03T01:00:00Z",
+    slotEnd: "2026-03-03T01:30:00Z",
+  });
+  assert.deepEqual(await store.reserveSlot(tuesdayBooking, { counters: tuesday }), {
+    reserved: true,
+  });
+  const wednesday = makeBooking({
+    bookingId: "booking-4",
+    slotStart: "2026-03-04T01:00:00Z",
+    slotEnd: "2026-03-04T01:30:00Z",
+  });
+  assert.deepEqual(
+    await store.reserveSlot(wednesday, { counters: { day: "2026-03-04", week: "2026-03-02" } }),
+    { reserved: false, reason: "weekly_limit_reached" }
+  );
+
+  // Moving within the day keeps its count; cancelling gives the week a place back.
+  const booking = await store.getBooking("booking-3");
+  assert.deepEqual(booking.counters, tuesday);
+  assert.deepEqual(
+    await store.rescheduleBooking(booking, {
+      slotStart: "2026-03-03T03:00:00Z",
+      slotEnd: "2026-03-03T03:30:00Z",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+      counters: tuesday,
+    }),
+    { rescheduled: true }
+  );
+  assert.equal(
+    await store.releaseSlot({
+      slotStart: "2026-03-03T03:00:00Z",
+      bookingId: "booking-3",
+      status: "cancelled",
+      updatedAt: "2026-03-01T02:00:00.000Z",
+      counters: tuesday,
+    }),
+    true
+  );
+  assert.deepEqual(
+    await store.reserveSlot(wednesday, { counters: { day: "2026-03-04", week: "2026-03-02" } }),
+    { reserved: true }
+  );
+});
+
+test("dynamo store writes the record and slot lock in one transaction", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      if (commands.length > 1) {
+        const err = new Error("Transaction cancelled");
+        err.name = "TransactionCanceledException";
+        err.CancellationReasons = [
+          { Code: "ConditionalCheckFailed" },
+          { Code: "None" },
+        ];
+        throw err;
+      }
+      return {};
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client });
+
+  assert.deepEqual(await store.reserveSlot(makeBooking()), { reserved: true });
+  assert.deepEqual(await store.reserveSlot(makeBooking()), {
+    reserved: false,
+    reason: "slot_taken",
+  });
+
+  const [lock, record] = commands[0].TransactItems.map((item) => item.Put);
+  assert.equal(lock.TableName, "bookings");
+  assert.equal(lock.ConditionExpression, "attribute_not_exists(pk)");
+  assert.deepEqual(
+    [lock.Item.pk, lock.Item.sk, lock.Item.booking_id],
+    ["calendar#primary", "slot#2026-03-02T01:00:00Z", "booking-1"]
+  );
+  assert.deepEqual([record.Item.pk, record.Item.sk], ["booking#booking-1", "booking"]);
+  assert.equal(record.Item.status, "confirmed");
+});
+
+test("dynamo store caps count increments and moves counts on reschedule", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client, maxPerDay: 2 });
+
+  await store.rescheduleBooking(
+    { ...makeBooking(), counters: { day: "2026-03-02", week: "2026-03-02" } },
+    {
+      slotStart: "2026-03-03T01:00:00Z",
+      slotEnd: "2026-03-03T01:30:00Z",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+      counters: { day: "2026-03-03", week: "2026-03-02" },
+    }
+  );
+
+  const counts = commands[0].TransactItems.map((item) => item.Update).filter(
+    (update) => update?.ExpressionAttributeNames["#count"]
+  );
+  assert.deepEqual(
+    counts.map((update) => [update.Key.sk, update.ExpressionAttributeValues[":add"]]),
+    [
+      ["count#day#2026-03-03", 1],
+      ["count#day#2026-03-02", -1],
+    ]
+  );
+  assert.equal(counts[0].ConditionExpression, "attribute_not_exists(#count) OR #count < :max");
+  assert.equal(counts[0].ExpressionAttributeValues[":max"], 2);
+  assert.equal(counts[1].ConditionExpression, undefined);
+});
+
+test("dynamo store bumps day guards on their read version", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client });
+
+  await store.reserveSlot(makeBooking(), { guards: { "2026-03-01": 0, "2026-03-02": 4 } });
+
+  const [, fresh, seen] = commands[0].TransactItems.map((item) => item.Update);
+  assert.deepEqual(fresh.Key, { pk: "calendar#primary", sk: "day#2026-03-01" });
+  assert.equal(fresh.ConditionExpression, "attribute_not_exists(#version)");
+  assert.equal(fresh.ExpressionAttributeValues[":next"], 1);
+  assert.equal(seen.ConditionExpression, "#version = :seen");
+  assert.equal(seen.ExpressionAttributeValues[":seen"], 4);
+  assert.equal(seen.ExpressionAttributeValues[":next"], 5);
+});
+
+test("dynamo store reschedules with a conditional record update", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client });
+
+  await store.rescheduleBooking(
+    { ...makeBooking(), status: "confirmed" },
+    {
+      slotStart: "2026-03-03T01:00:00Z",
+      slotEnd: "2026-03-03T01:30:00Z",
+      updatedAt: "2026-03-01T01:00:00.000Z",
+    }
+  );
+
+  const [put, remove, update] = commands[0].TransactItems;
+  assert.equal(put.Put.Item.sk, "slot#2026-03-03T01:00:00Z");
+  assert.deepEqual(remove.Delete.Key, { pk: "calendar#primary", sk: "slot#2026-03-02T01:00:00Z" });
+  assert.equal(remove.Delete.ConditionExpression, "booking_id = :bookingId");
+  assert.deepEqual(update.Update.Key, { pk: "booking#booking-1", sk: "booking" });
+  assert.equal(update.Update.ConditionExpression, "#e0 = :e0 AND #e1 = :e1");
+  assert.deepEqual(update.Update.ExpressionAttributeValues[":e1"], "2026-03-02T01:00:00Z");
+  assert.match(update.Update.UpdateExpression, /#history = list_append\(/);
+  assert.deepEqual(update.Update.ExpressionAttributeValues[":history"], [
+    {
+      slot_start: "2026-03-02T01:00:00Z",
+      slot_end: "2026-03-02T01:30:00Z",
+      changed_at: "2026-03-01T01:00:00.000Z",
+    },
+  ]);
+});
+
+test("dynamo store rethrows unexpected errors", async () => {
+  const client = {
+    async send() {
+      const err = new Error("Throughput exceeded");
+      err.name = "ProvisionedThroughputExceededException";
+      throw err;
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client });
+
+  await assert.rejects(() => store.reserveSlot(makeBooking()), {
+    name: "ProvisionedThroughputExceededException",
+  });
+});
+
+test("dynamo store pages through slot locks", async () => {
+  const pages = [
+    { Items: [{ slot_start: "2026-03-02T01:00:00Z", booking_id: "a" }], LastEvaluatedKey: { k: 1 } },
+    { Items: [{ slot_start: "2026-03-02T02:00:00Z", booking_id: "b" }] },
+  ];
+  const inputs = [];
+  const client = {
+    async send(command) {
+      inputs.push(command.input);
+      return pages.shift();
+    },
+  };
+  const store = createDynamoBookingStore({ tableName: "bookings", client });
+
+  const bookings = await store.listBookings({
+    fromIso: "2026-03-02T00:00:00Z",
+    toIso: "2026-03-02T23:59:59Z",
+  });
+  assert.deepEqual(
+    bookings.map((booking) => [booking.bookingId, booking.status]),
+    [
+      ["a", "confirmed"],
+      ["b", "confirmed"],
+    ]
+  );
+  assert.deepEqual(inputs[0].ExpressionAttributeValues, {
+    ":pk": "calendar#primary",
+    ":fromSk": "slot#2026-03-02T00:00:00Z",
+    ":toSk": "slot#2026-03-02T23:59:59Z",
+  });
+  assert.deepEqual(inputs[1].ExclusiveStartKey, { k: 1 });
+});
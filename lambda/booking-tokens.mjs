@@ -0,0 +1,55 @@
+/**
+ * Signed booking-management tokens
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+ * The payload pins the booking, the action and the slot it was issued for,
+ * so a link stops working once the booking is rescheduled or cancelled.
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+function signature(secret, encodedPayload) {
+  return createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+export function signBookingToken({ secret, bookingId, action, slotStart, expiresAt }) {
+  const encodedPayload = Buffer.from(
+    JSON.stringify({
+      b: bookingId,
+      a: action,
+      s: slotStart,
+      e: Math.floor(expiresAt.getTime() / 1000),
+    }),
+    "utf8"
+  ).toString("base64url");
+  return `${encodedPayload}.${signature(secret, encodedPayload)}`;
+}
+
+export function verifyBookingToken({ secret, token, bookingId, action, now }) {
+  if (typeof token !== "string") return { error: "invalid" };
+  const [encodedPayload, providedSignature, ...rest] = token.split(".");
+  if (!encodedPayload || !providedSignature || rest.length > 0) {
+    return { error: "invalid" };
+  }
+
+  const expected = Buffer.from(signature(secret, encodedPayload), "utf8");
+  const provided = Buffer.from(providedSignature, "utf8");
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { error: "invalid" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid" };
+  }
+  if (payload?.b !== bookingId || payload?.a !== action) {
+    return { error: "invalid" };
+  }
+  if (!Number.isFinite(payload.e) || payload.e * 1000 <= now.getTime()) {
+    return { error: "expired" };
+  }
+
+  return { slotStart: payload.s };
+}
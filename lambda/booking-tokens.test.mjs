@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { signBookingToken, verifyBookingToken } from "./booking-tokens.mjs";
+
+const secret = "test-secret";
+const now = new Date("2026-03-01T00:00:00Z");
+
+function sign(overrides = {}) {
+  return signBookingToken({
+    secret,
+    bookingId: "booking-1",
+    action: "cancel",
+    slotStart: "2026-03-02T01:00:00Z",
+    expiresAt: new Date("2026-03-02T01:00:00Z"),
+    ...overrides,
+  });
+}
+
+test("verifies a token for the booking and action it was issued for", () => {
+  const result = verifyBookingToken({
+    secret,
+    token: sign(),
+    bookingId: "booking-1",
+    action: "cancel",
+    now,
+  });
+  assert.deepEqual(result, { slotStart: "2026-03-02T01:00:00Z" });
+});
+
+test("rejects tokens for another booking, action or secret", () => {
+  const token = sign();
+  const verify = (overrides) =>
+    verifyBookingToken({
+      secret,
+      token,
+      bookingId: "booking-1",
+      action: "cancel",
+      now,
+      ...overrides,
+    });
+
+  assert.deepEqual(verify({ bookingId: "booking-2" }), { error: "invalid" });
+  assert.deepEqual(verify({ action: "reschedule" }), { error: "invalid" });
+  assert.deepEqual(verify({ secret: "other-secret" }), { error: "invalid" });
+  assert.deepEqual(verify({ token: "not-a-token" }), { error: "invalid" });
+});
+
+test("reports expired tokens separately", () => {
+  const result = verifyBookingToken({
+    secret,
+    token: sign({ expiresAt: new Date("2026-02-28T00:00:00Z") }),
+    bookingId: "booking-1",
+    action: "cancel",
+    now,
+  });
+  assert.deepEqual(result, { error: "expired" });
+});
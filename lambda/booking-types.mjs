@@ -0,0 +1,139 @@
+/**
+ * Meeting-type catalogue
+ *
+ * Each type carries its own slot length, weekly hours (in the booking time
+ * zone), lead time, lookahead and buffers:
+ *
+ *   [
+ *     { "id": "DISCOVERY_30M", "title": "Discovery call", "durationMinutes": 30 },
+ *     {
+ *       "id": "ARCH_REVIEW_60M",
+ *       "title": "Architecture review",
+ *       "durationMinutes": 60,
+ *       "workdays": [2, 4],
+ *       "start": "10:00",
+ *       "end": "16:00",
+ *       "minLeadMinutes": 1440,
+ *       "lookaheadDays": 28,
+ *       "bufferBeforeMinutes": 15,
+ *       "bufferAfterMinutes": 15
+ *     }
+ *   ]
+ *
+ * Omitted (or null) fields fall back to the global booking settings.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { formatTimeOfDay, parseTimeOfDay } from "./schedule.mjs";
+
+const TYPE_ID_RE = /^[A-Za-z0-9_-]{2,40}$/;
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+export function parseBookingTypes(raw, defaults) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error("Invalid booking types: expected a non-empty JSON array.");
+  }
+
+  const problems = [];
+  const seen = new Set();
+  const types = config.map((entry, index) => {
+    const label = `types[${index}]`;
+    const type = {
+      id: entry?.id,
+      title: entry?.title,
+      description: entry?.description ?? "",
+      durationMinutes: entry?.durationMinutes ?? defaults.durationMinutes,
+      workdays: entry?.workdays ?? defaults.workdays,
+      start: entry?.start ?? defaults.start,
+      end: entry?.end ?? defaults.end,
+      minLeadMinutes: entry?.minLeadMinutes ?? defaults.minLeadMinutes,
+      lookaheadDays: entry?.lookaheadDays ?? defaults.lookaheadDays,
+      bufferBeforeMinutes: entry?.bufferBeforeMinutes ?? defaults.bufferBeforeMinutes ?? 0,
+      bufferAfterMinutes: entry?.bufferAfterMinutes ?? defaults.bufferAfterMinutes ?? 0,
+    };
+    type.startMinutes = parseTimeOfDay(type.start);
+    type.endMinutes = parseTimeOfDay(type.end);
+
+    if (typeof type.id !== "string" || !TYPE_ID_RE.test(type.id)) {
+      problems.push(`${label} needs an "id" of 2-40 letters, digits, "_" or "-"`);
+    } else if (seen.has(type.id)) {
+      problems.push(`${label} repeats id "${type.id}"`);
+    }
+    seen.add(type.id);
+
+    if (typeof type.title !== "string" || !type.title.trim() || type.title.length > 80) {
+      problems.push(`${label} needs a "title" of 1-80 characters`);
+    }
+    if (typeof type.description !== "string") {
+      problems.push(`${label} "description" must be text`);
+    }
+    if (!isIntegerBetween(type.durationMinutes, 5, 480)) {
+      problems.push(`${label} "durationMinutes" must be 5-480`);
+    }
+    if (
+      !Array.isArray(type.workdays) ||
+      type.workdays.length === 0 ||
+      !type.workdays.every((day) => isIntegerBetween(day, 0, 6))
+    ) {
+      problems.push(`${label} "workdays" must list weekdays 0-6`);
+    }
+    if (
+      type.startMinutes === null ||
+      type.endMinutes === null ||
+      type.startMinutes >= type.endMinutes
+    ) {
+      problems.push(`${label} needs "start" before "end" as HH:MM`);
+    }
+    if (!isIntegerBetween(type.minLeadMinutes, 0, 60 * 24 * 60)) {
+      problems.push(`${label} "minLeadMinutes" must be 0-86400`);
+    }
+    if (!isIntegerBetween(type.lookaheadDays, 1, 3650)) {
+      problems.push(`${label} "lookaheadDays" must be 1-3650`);
+    }
+    if (
+      !isIntegerBetween(type.bufferBeforeMinutes, 0, 240) ||
+      !isIntegerBetween(type.bufferAfterMinutes, 0, 240)
+    ) {
+      problems.push(`${label} "bufferBeforeMinutes" and "bufferAfterMinutes" must be 0-240`);
+    }
+    return type;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid booking types: ${problems.join("; ")}.`);
+  }
+  return types;
+}
+
+/**
+ * Loads the catalogue from an inline JSON value (env) or a JSON file. With
+ * neither, the global settings describe a single type.
+ */
+export function loadBookingTypes({ json, filePath, defaults }) {
+  if (json) return parseBookingTypes(json, defaults);
+  if (filePath && existsSync(filePath)) {
+    return parseBookingTypes(readFileSync(filePath, "utf8"), defaults);
+  }
+  return parseBookingTypes([{ id: defaults.id, title: defaults.title }], defaults);
+}
+
+/** Public view of a type for GET /booking-types */
+export function describeBookingType(type) {
+  return {
+    id: type.id,
+    title: type.title,
+    description: type.description,
+    durationMinutes: type.durationMinutes,
+    workdays: type.workdays,
+    dayStart: formatTimeOfDay(type.startMinutes),
+    dayEnd: formatTimeOfDay(type.endMinutes),
+    minLeadMinutes: type.minLeadMinutes,
+    lookaheadDays: type.lookaheadDays,
+    bufferBeforeMinutes: type.bufferBeforeMinutes,
+    bufferAfterMinutes: type.bufferAfterMinutes,
+  };
+}
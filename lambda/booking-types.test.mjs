@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  describeBookingType,
+  loadBookingTypes,
+  parseBookingTypes,
+} from "./booking-types.mjs";
+
+const defaults = {
+  id: "DISCOVERY_30M",
+  title: "Discovery call",
+  durationMinutes: 30,
+  workdays: [1, 2, 3, 4, 5],
+  start: "09:00",
+  end: "17:00",
+  minLeadMinutes: 120,
+  lookaheadDays: 14,
+};
+
+test("falls back to a single type built from the global settings", () => {
+  const [type] = loadBookingTypes({ defaults });
+  assert.deepEqual(describeBookingType(type), {
+    id: "DISCOVERY_30M",
+    title: "Discovery call",
+    description: "",
+    durationMinutes: 30,
+    workdays: [1, 2, 3, 4, 5],
+    dayStart: "09:00",
+    dayEnd: "17:00",
+    minLeadMinutes: 120,
+    lookaheadDays: 14,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 0,
+  });
+});
+
+test("fills omitted or null fields from the defaults", () => {
+  const types = parseBookingTypes(
+    JSON.stringify([
+      { id: "DISCOVERY_30M", title: "Discovery call" },
+      {
+        id: "ARCH_REVIEW_60M",
+        title: "Architecture review",
+        durationMinutes: 60,
+        workdays: [2, 4],
+        start: "10:00",
+        end: null,
+        minLeadMinutes: 1440,
+      },
+    ]),
+    defaults
+  );
+
+  assert.equal(types.length, 2);
+  assert.equal(types[1].durationMinutes, 60);
+  assert.deepEqual(types[1].workdays, [2, 4]);
+  assert.equal(types[1].startMinutes, 600);
+  assert.equal(types[1].endMinutes, 1020);
+  assert.equal(types[1].lookaheadDays, 14);
+});
+
+test("rejects malformed catalogues with every problem listed", () => {
+  assert.throws(
+    () =>
+      parseBookingTypes(
+        [
+          { id: "DISCOVERY_30M", title: "Discovery call" },
+          { id: "DISCOVERY_30M", title: "", durationMinutes: 0 },
+          { id: "bad id", title: "Follow-up", workdays: [7], start: "12:00", end: "09:00" },
+        ],
+        defaults
+      ),
+    (err) =>
+      err.message.startsWith("Invalid booking types:") &&
+      err.message.includes('types[1] repeats id "DISCOVERY_30M"') &&
+      err.message.includes('types[1] needs a "title"') &&
+      err.message.includes('types[1] "durationMinutes"') &&
+      err.message.includes('types[2] needs an "id"') &&
+      err.message.includes('types[2] "workdays"') &&
+      err.message.includes('types[2] needs "start" before "end"')
+  );
+  assert.throws(() => parseBookingTypes("[]", defaults), /non-empty JSON array/);
+});
@@ -0,0 +1,424 @@
+/**
+ * Busy time from external calendars
+ *
+ * Sources are iCalendar documents fetched over HTTP(S) or read from disk:
+ * - VEVENT feeds (RRULE/EXDATE/RECURRENCE-ID expanded in the event's zone)
+ * - VFREEBUSY responses, e.g. a CalDAV free-busy-query REPLY
+ *
+ * Parsed calendars are cached per source for `ttlSeconds`. When a refresh
+ * fails the previous copy is served and `onStale` is told; a source that has
+ * never loaded makes `getBusy` throw.
+ *
+ * RRULE support covers FREQ (DAILY/WEEKLY/MONTHLY/YEARLY) with INTERVAL,
+ * COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH. Transparent and cancelled
+ * events are not busy. TZIDs that are not IANA names fall back to
+ * `defaultTimeZone`, as do floating times and all-day dates.
+ */
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { isValidTimeZone, zonedTimeToUtc } from "./timezones.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DATE_TIME_RE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_RE =
+  /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const MAX_RECURRENCE_STEPS = 20000;
+
+function parseContentLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf("=");
+    if (eq > 0) {
+      params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, "");
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+}
+
+function parseDuration(value) {
+  const match = DURATION_RE.exec(String(value || "").trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const totalDays = Number(weeks || 0) * 7 + Number(days || 0);
+  const timeMs =
+    (Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  const factor = sign === "-" ? -1 : 1;
+  return { days: totalDays * factor, ms: timeMs * factor };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDates(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function localToUtcMs(local, timeZone) {
+  // Wall-clock times skipped by DST move forward an hour, as calendar apps do.
+  const exact = zonedTimeToUtc(local, timeZone);
+  if (exact) return exact.getTime();
+  return zonedTimeToUtc({ ...local, minutes: local.minutes + 60 }, timeZone)?.getTime() ?? null;
+}
+
+function parseDateValue(value, params, defaultTimeZone) {
+  const match = DATE_TIME_RE.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, , utc] = match;
+  const allDay = params.VALUE === "DATE" || hour === undefined;
+  let timeZone = defaultTimeZone;
+  if (utc) timeZone = "UTC";
+  else if (params.TZID && isValidTimeZone(params.TZID)) timeZone = params.TZID;
+
+  return {
+    allDay,
+    timeZone,
+    local: {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      minutes: allDay ? 0 : Number(hour) * 60 + Number(minute),
+    },
+  };
+}
+
+function dateValueToMs(property, defaultTimeZone) {
+  const parsed = property && parseDateValue(property.value, property.params, defaultTimeZone);
+  return parsed ? localToUtcMs(parsed.local, parsed.timeZone) : null;
+}
+
+function parseRule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, ...rest] = part.split("=");
+      return [key.toUpperCase(), rest.join("=")];
+    })
+  );
+  const list = (key) => (parts[key] ? parts[key].split(",").filter(Boolean) : []);
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL || 1)),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL || null,
+    byDay: list("BYDAY")
+      .map((code) => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(code))
+      .filter(Boolean)
+      .map(([, ordinal, weekday]) => ({
+        ordinal: ordinal ? Number(ordinal) : 0,
+        weekday: WEEKDAY_CODES.indexOf(weekday.toUpperCase()),
+      })),
+    byMonthDay: list("BYMONTHDAY").map(Number).filter(Number.isInteger),
+    byMonth: list("BYMONTH").map(Number).filter(Number.isInteger),
+  };
+}
+
+function monthDays(year, month, rule, start) {
+  const total = daysInMonth(year, month);
+  const fromMonthDay = rule.byMonthDay
+    .map((day) => (day < 0 ? total + 1 + day : day))
+    .filter((day) => day >= 1 && day <= total);
+
+  const fromByDay = [];
+  for (const { ordinal, weekday } of rule.byDay) {
+    const matches = [];
+    for (let day = 1; day <= total; day += 1) {
+      if (weekdayOf({ year, month, day }) === weekday) matches.push(day);
+    }
+    if (ordinal === 0) fromByDay.push(...matches);
+    else {
+      const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (pick) fromByDay.push(pick);
+    }
+  }
+
+  let days;
+  if (rule.byMonthDay.length && rule.byDay.length) {
+    days = fromMonthDay.filter((day) => fromByDay.includes(day));
+  } else if (rule.byMonthDay.length) days = fromMonthDay;
+  else if (rule.byDay.length) days = fromByDay;
+  else days = start.day <= total ? [start.day] : [];
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Candidate local dates in order, starting from DTSTART's date.
+function* recurrenceDates(start, rule) {
+  if (rule.freq === "DAILY") {
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step += 1) yield addDays(start, step * rule.interval);
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const weekdays = (rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [weekdayOf(start)])
+      .map((weekday) => (weekday + 6) % 7)
+      .sort((a, b) => a - b);
+    const weekStart = addDays(start, -((weekdayOf(start) + 6) % 7));
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step += 1) {
+      const monday = addDays(weekStart, step * 7 * rule.interval);
+      for (const offset of weekdays) yield addDays(monday, offset);
+    }
+  }
+
+  if (rule.freq === "MONTHLY") {
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step += 1) {
+      const monthIndex = start.month - 1 + step * rule.interval;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      for (const day of monthDays(year, month, rule, start)) yield { year, month, day };
+    }
+  }
+
+  if (rule.freq === "YEARLY") {
+    const months = rule.byMonth.length ? [...rule.byMonth].sort((a, b) => a - b) : [start.month];
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step += 1) {
+      const year = start.year + step * rule.interval;
+      for (const month of months) {
+        const days =
+          rule.byMonthDay.length || rule.byDay.length
+            ? monthDays(year, month, rule, start)
+            : start.day <= daysInMonth(year, month)
+              ? [start.day]
+              : [];
+        for (const day of days) yield { year, month, day };
+      }
+    }
+  }
+}
+
+function readEvent(properties, defaultTimeZone) {
+  const first = (name) => properties.find((p) => p.name === name);
+  const dtstart = first("DTSTART");
+  const start = dtstart && parseDateValue(dtstart.value, dtstart.params, defaultTimeZone);
+  if (!start) return null;
+
+  const dtend = first("DTEND");
+  const end = dtend && parseDateValue(dtend.value, dtend.params, defaultTimeZone);
+  const duration = parseDuration(first("DURATION")?.value);
+  let length;
+  if (end && start.allDay) {
+    length = { days: Math.round(compareDates(end.local, start.local) / DAY_MS), ms: 0 };
+  } else if (end) {
+    length = {
+      days: 0,
+      ms: localToUtcMs(end.local, end.timeZone) - localToUtcMs(start.local, start.timeZone),
+    };
+  } else if (duration) {
+    length = duration;
+  } else {
+    length = start.allDay ? { days: 1, ms: 0 } : { days: 0, ms: 0 };
+  }
+
+  const exdates = new Set();
+  for (const property of properties.filter((p) => p.name === "EXDATE")) {
+    for (const value of property.value.split(",")) {
+      const ms = dateValueToMs({ value: value.trim(), params: property.params }, defaultTimeZone);
+      if (ms !== null) exdates.add(ms);
+    }
+  }
+
+  const rrule = first("RRULE");
+  return {
+    uid: first("UID")?.value || "",
+    recurrenceIdMs: dateValueToMs(first("RECURRENCE-ID"), defaultTimeZone),
+    start,
+    length,
+    rule: rrule ? parseRule(rrule.value) : null,
+    exdates,
+    busy:
+      (first("TRANSP")?.value || "").toUpperCase() !== "TRANSPARENT" &&
+      (first("STATUS")?.value || "").toUpperCase() !== "CANCELLED",
+  };
+}
+
+function readFreeBusy(properties, defaultTimeZone) {
+  const periods = [];
+  for (const property of properties.filter((p) => p.name === "FREEBUSY")) {
+    if ((property.params.FBTYPE || "BUSY").toUpperCase() === "FREE") continue;
+    for (const period of property.value.split(",")) {
+      const [startValue, endValue] = period.trim().split("/");
+      const startMs = dateValueToMs({ value: startValue, params: {} }, defaultTimeZone);
+      const duration = parseDuration(endValue);
+      const endMs = duration
+        ? startMs + duration.days * DAY_MS + duration.ms
+        : dateValueToMs({ value: endValue, params: {} }, defaultTimeZone);
+      if (startMs !== null && endMs !== null && endMs > startMs) {
+        periods.push({ startMs, endMs });
+      }
+    }
+  }
+  return periods;
+}
+
+/** Parses an iCalendar document into events and free-busy periods. */
+export function parseCalendar(text, { defaultTimeZone = "UTC" } = {}) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  const freeBusy = [];
+  let component = null;
+  let properties = [];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    if (property.name === "BEGIN" && ["VEVENT", "VFREEBUSY"].includes(property.value)) {
+      component = property.value;
+      properties = [];
+    } else if (property.name === "END" && property.value === component) {
+      if (component === "VEVENT") {
+        const event = readEvent(properties, defaultTimeZone);
+        if (event) events.push(event);
+      } else {
+        freeBusy.push(...readFreeBusy(properties, defaultTimeZone));
+      }
+      component = null;
+    } else if (component) {
+      properties.push(property);
+    }
+  }
+  return { events, freeBusy };
+}
+
+function instanceEnd(event, local, startMs) {
+  if (!event.length.days) return startMs + event.length.ms;
+  const endDay = addDays(local, event.length.days);
+  return localToUtcMs({ ...endDay, minutes: local.minutes }, event.start.timeZone) + event.length.ms;
+}
+
+function expandEvent(event, { fromMs, toMs, skip }) {
+  const instances = [];
+  const { local, timeZone } = event.start;
+  const pushInstance = (date, startMs) => {
+    if (startMs === null || event.exdates.has(startMs) || skip.has(startMs)) return;
+    const endMs = instanceEnd(event, { ...date, minutes: local.minutes }, startMs);
+    if (startMs < toMs && endMs > fromMs) instances.push({ startMs, endMs });
+  };
+
+  if (!event.rule || !event.rule.freq) {
+    pushInstance(local, localToUtcMs(local, timeZone));
+    return instances;
+  }
+
+  const untilMs = event.rule.until
+    ? dateValueToMs({ value: event.rule.until, params: {} }, timeZone)
+    : null;
+  const spanMs = event.length.days * DAY_MS + event.length.ms;
+  let count = 0;
+  let steps = 0;
+  for (const date of recurrenceDates(local, event.rule)) {
+    steps += 1;
+    if (steps > MAX_RECURRENCE_STEPS) break;
+    if (compareDates(date, local) < 0) continue;
+    if (event.rule.count !== null && count >= event.rule.count) break;
+    count += 1;
+
+    // Wall-clock time read as UTC is within a day of the real instant; only
+    // convert dates near the window.
+    const approxMs = Date.UTC(date.year, date.month - 1, date.day) + local.minutes * 60000;
+    if (untilMs !== null && approxMs - DAY_MS > untilMs) break;
+    if (approxMs - DAY_MS > toMs) break;
+    if (approxMs + DAY_MS + spanMs < fromMs) continue;
+
+    const startMs = localToUtcMs({ ...date, minutes: local.minutes }, timeZone);
+    if (untilMs !== null && startMs > untilMs) break;
+    pushInstance(date, startMs);
+  }
+  return instances;
+}
+
+/** Busy intervals (ms since epoch) overlapping [fromMs, toMs), sorted by start. */
+export function expandBusy(calendar, { fromMs, toMs }) {
+  const moved = new Map();
+  for (const event of calendar.events) {
+    if (event.recurrenceIdMs === null) continue;
+    if (!moved.has(event.uid)) moved.set(event.uid, new Set());
+    moved.get(event.uid).add(event.recurrenceIdMs);
+  }
+
+  const busy = calendar.freeBusy.filter(
+    (period) => period.startMs < toMs && period.endMs > fromMs
+  );
+  for (const event of calendar.events) {
+    if (!event.busy) continue;
+    const skip = event.recurrenceIdMs === null ? moved.get(event.uid) || new Set() : new Set();
+    busy.push(...expandEvent(event, { fromMs, toMs, skip }));
+  }
+  return busy.sort((a, b) => a.startMs - b.startMs);
+}
+
+async function loadSource(source, { timeoutMs, authorization, fetchImpl }) {
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetchImpl(source, {
+      headers: {
+        Accept: "text/calendar",
+        ...(authorization ? { Authorization: authorization } : {}),
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Busy calendar request failed with HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  return readFile(source.startsWith("file:") ? fileURLToPath(source) : source, "utf8");
+}
+
+export function createBusyProvider({
+  sources = [],
+  ttlSeconds = 300,
+  timeoutMs = 3000,
+  authorization = "",
+  defaultTimeZone = "UTC",
+  fetchImpl = globalThis.fetch,
+  now = () => Date.now(),
+  onStale = () => {},
+} = {}) {
+  const cache = new Map();
+
+  async function calendarFor(source, index) {
+    const cached = cache.get(source);
+    if (cached && now() - cached.loadedAt < ttlSeconds * 1000) return cached.calendar;
+    try {
+      const text = await loadSource(source, { timeoutMs, authorization, fetchImpl });
+      const calendar = parseCalendar(text, { defaultTimeZone });
+      cache.set(source, { calendar, loadedAt: now() });
+      return calendar;
+    } catch (err) {
+      if (!cached) throw err;
+      onStale(err, index);
+      return cached.calendar;
+    }
+  }
+
+  return {
+    enabled: sources.length > 0,
+
+    async getBusy({ fromMs, toMs }) {
+      const calendars = await Promise.all(sources.map(calendarFor));
+      return calendars
+        .flatMap((calendar) => expandBusy(calendar, { fromMs, toMs }))
+        .sort((a, b) => a.startMs - b.startMs);
+    },
+  };
+}
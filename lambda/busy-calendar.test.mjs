@@ -0,0 +1,155 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+
+import { createBusyProvider, expandBusy, parseCalendar } from "./busy-calendar.mjs";
+
+const TEAM_CALENDAR = new URL("./fixtures/team-calendar.ics", import.meta.url);
+const FREE_BUSY = new URL("./fixtures/free-busy.ics", import.meta.url);
+
+function iso(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function asIso(busy) {
+  return busy.map(({ startMs, endMs }) => [iso(startMs), iso(endMs)]);
+}
+
+const april2030 = {
+  fromMs: Date.parse("2030-03-25T00:00:00Z"),
+  toMs: Date.parse("2030-05-01T00:00:00Z"),
+};
+
+test("expands recurring events with exceptions across DST", () => {
+  const calendar = parseCalendar(readFileSync(TEAM_CALENDAR, "utf8"));
+
+  assert.deepEqual(asIso(expandBusy(calendar, april2030)), [
+    // Sydney 09:30 AEDT, then AEST after 2030-04-07
+    ["2030-03-31T22:30:00Z", "2030-03-31T23:00:00Z"],
+    ["2030-03-31T23:00:00Z", "2030-04-01T00:00:00Z"],
+    ["2030-04-05T00:00:00Z", "2030-04-06T00:00:00Z"],
+    ["2030-04-08T04:00:00Z", "2030-04-08T04:30:00Z"],
+    ["2030-04-09T23:30:00Z", "2030-04-10T00:00:00Z"],
+    ["2030-04-14T23:30:00Z", "2030-04-15T00:00:00Z"],
+    ["2030-04-16T23:30:00Z", "2030-04-17T00:00:00Z"],
+    ["2030-04-30T23:00:00Z", "2030-05-01T00:00:00Z"],
+  ]);
+});
+
+test("reads all-day dates in the default zone", () => {
+  const calendar = parseCalendar(readFileSync(TEAM_CALENDAR, "utf8"), {
+    defaultTimeZone: "Australia/Sydney",
+  });
+  const offsite = expandBusy(calendar, {
+    fromMs: Date.parse("2030-04-04T00:00:00Z"),
+    toMs: Date.parse("2030-04-05T12:00:00Z"),
+  });
+
+  assert.deepEqual(asIso(offsite), [["2030-04-04T13:00:00Z", "2030-04-05T13:00:00Z"]]);
+});
+
+test("reads busy periods from a free-busy reply", () => {
+  const calendar = parseCalendar(readFileSync(FREE_BUSY, "utf8"));
+
+  assert.deepEqual(asIso(expandBusy(calendar, april2030)), [
+    ["2030-04-01T01:00:00Z", "2030-04-01T02:00:00Z"],
+    ["2030-04-02T03:00:00Z", "2030-04-02T03:30:00Z"],
+    ["2030-04-04T05:00:00Z", "2030-04-04T06:00:00Z"],
+  ]);
+});
+
+test("handles daily intervals, ordinal weekdays and yearly rules", () => {
+  const calendar = parseCalendar(
+    [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "UID:a",
+      "DTSTART:20300401T080000Z",
+      "DURATION:PT15M",
+      "RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:b",
+      "DTSTART:20300405T060000Z",
+      "DTEND:20300405T070000Z",
+      "RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=2",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:c",
+      "DTSTART;VALUE=DATE:20290425",
+      "RRULE:FREQ=YEARLY",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:d",
+      "DTSTART:20300401T000000Z",
+      "DURATION:PT1H",
+      "RRULE:FREQ=MONTHLY;BYMONTHDAY=32",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\r\n")
+  );
+
+  assert.deepEqual(asIso(expandBusy(calendar, april2030)), [
+    ["2030-04-01T08:00:00Z", "2030-04-01T08:15:00Z"],
+    ["2030-04-03T08:00:00Z", "2030-04-03T08:15:00Z"],
+    ["2030-04-05T08:00:00Z", "2030-04-05T08:15:00Z"],
+    ["2030-04-25T00:00:00Z", "2030-04-26T00:00:00Z"],
+    ["2030-04-26T06:00:00Z", "2030-04-26T07:00:00Z"],
+  ]);
+});
+
+test("caches fetched feeds for the TTL and serves the last copy on failure", async (t) => {
+  let requests = 0;
+  let failing = false;
+  const body = readFileSync(FREE_BUSY, "utf8");
+  const server = createServer((req, res) => {
+    requests += 1;
+    assert.equal(req.headers.authorization, "Bearer feed-token");
+    if (failing) {
+      res.writeHead(503).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/calendar" }).end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  let clock = 0;
+  const staleErrors = [];
+  const provider = createBusyProvider({
+    sources: [`http://127.0.0.1:${server.address().port}/busy.ics`],
+    ttlSeconds: 60,
+    authorization: "Bearer feed-token",
+    now: () => clock,
+    onStale: (err) => staleErrors.push(err.message),
+  });
+
+  assert.equal((await provider.getBusy(april2030)).length, 3);
+  clock = 59_000;
+  await provider.getBusy(april2030);
+  assert.equal(requests, 1);
+
+  clock = 61_000;
+  failing = true;
+  assert.equal((await provider.getBusy(april2030)).length, 3);
+  assert.equal(requests, 2);
+  assert.deepEqual(staleErrors, ["Busy calendar request failed with HTTP 503"]);
+
+  const cold = createBusyProvider({
+    sources: [`http://127.0.0.1:${server.address().port}/busy.ics`],
+    authorization: "Bearer feed-token",
+  });
+  await assert.rejects(cold.getBusy(april2030), /HTTP 503/);
+});
+
+test("merges several sources, including local files", async () => {
+  const provider = createBusyProvider({ sources: [TEAM_CALENDAR.href, FREE_BUSY.pathname] });
+  const busy = await provider.getBusy({
+    fromMs: Date.parse("2030-04-01T00:00:00Z"),
+    toMs: Date.parse("2030-04-02T00:00:00Z"),
+  });
+
+  assert.deepEqual(asIso(busy), [["2030-04-01T01:00:00Z", "2030-04-01T02:00:00Z"]]);
+  assert.equal(createBusyProvider().enabled, false);
+});
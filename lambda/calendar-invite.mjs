@@ -0,0 +1,79 @@
+/**
+ * RFC 5545 calendar invites for bookings
+ *
+ * Produces a single-event VCALENDAR with CRLF line endings and 75-octet line
+ * folding. The UID is derived from the booking id so updates to the same
+ * booking replace the event in the recipient's calendar.
+ */
+
+function formatUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function quoteParam(value) {
+  return `"${String(value ?? "").replace(/["\r\n]/g, "")}"`;
+}
+
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward 75 octets.
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+export function buildCalendarInvite({
+  uid,
+  method = "REQUEST",
+  sequence = 0,
+  status = "CONFIRMED",
+  slotStart,
+  slotEnd,
+  summary,
+  description,
+  organizer,
+  attendee,
+  now = new Date(),
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//WaterApps//Booking API//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(now.toISOString())}`,
+    `DTSTART:${formatUtc(slotStart)}`,
+    `DTEND:${formatUtc(slotEnd)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`,
+    `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
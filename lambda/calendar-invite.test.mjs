@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildCalendarInvite } from "./calendar-invite.mjs";
+
+function buildInvite(overrides = {}) {
+  return buildCalendarInvite({
+    uid: "booking-1@waterapps.com.au",
+    slotStart: "2026-03-02T01:00:00Z",
+    slotEnd: "2026-03-02T01:30:00Z",
+    summary: "WaterApps discovery call with Jane Tester",
+    description: "Agenda: CI/CD; controls, audit\nSecond line",
+    organizer: { name: "WaterApps", email: "varun@waterapps.com.au" },
+    attendee: { name: "Jane Tester", email: "jane@example.com" },
+    now: new Date("2026-03-01T00:00:00Z"),
+    ...overrides,
+  });
+}
+
+test("builds a METHOD:REQUEST invite with UTC times and a stable UID", () => {
+  const ics = buildInvite();
+
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.match(ics, /\r\nMETHOD:REQUEST\r\n/);
+  assert.match(ics, /\r\nUID:booking-1@waterapps.com.au\r\n/);
+  assert.match(ics, /\r\nDTSTAMP:20260301T000000Z\r\n/);
+  assert.match(ics, /\r\nDTSTART:20260302T010000Z\r\n/);
+  assert.match(ics, /\r\nDTEND:20260302T013000Z\r\n/);
+  assert.match(ics, /\r\nORGANIZER;CN="WaterApps":mailto:varun@waterapps.com.au\r\n/);
+});
+
+test("escapes text values", () => {
+  const ics = buildInvite();
+  assert.ok(ics.includes("DESCRIPTION:Agenda: CI/CD\\; controls\\, audit\\nSecond line\r\n"));
+});
+
+test("folds lines longer than 75 octets", () => {
+  const ics = buildInvite({ description: "é".repeat(100) });
+
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+  }
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, new RegExp(`DESCRIPTION:${"é".repeat(100)}\r\n`));
+});
@@ -0,0 +1,126 @@
+/**
+ * CAPTCHA verification (Cloudflare Turnstile, hCaptcha, Google reCAPTCHA)
+ *
+ * Routes opt in one by one:
+ *
+ *   {
+ *     "contact": { "provider": "turnstile" },
+ *     "booking": { "provider": "recaptcha", "minScore": 0.5, "failOpen": true },
+ *     "form:quote": { "provider": "turnstile" }
+ *   }
+ *
+ * `form:<formId>` routes cover a /forms/{formId} form.
+ *
+ * All three providers take the same form-encoded siteverify request
+ * (`secret`, `response`, `remoteip`) and answer `{ success, "error-codes" }`.
+ * When the provider cannot be reached in `timeoutMs`, `failOpen` decides
+ * whether the submission goes through.
+ */
+
+export const CAPTCHA_PROVIDERS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+};
+
+export const CAPTCHA_ROUTE_NAMES = ["contact", "booking"];
+const FORM_ROUTE_RE = /^form:[a-z0-9][a-z0-9-]{1,39}$/;
+
+export function parseCaptchaRoutes(raw) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid captcha routes: expected a JSON object.");
+  }
+
+  const problems = [];
+  const routes = {};
+  for (const [route, entry] of Object.entries(config)) {
+    if (!CAPTCHA_ROUTE_NAMES.includes(route) && !FORM_ROUTE_RE.test(route)) {
+      problems.push(`"${route}" is not one of ${CAPTCHA_ROUTE_NAMES.join(", ")} or form:<formId>`);
+      continue;
+    }
+    const settings = {
+      provider: entry?.provider,
+      failOpen: entry?.failOpen ?? false,
+      timeoutMs: entry?.timeoutMs ?? 3000,
+      minScore: entry?.minScore ?? null,
+    };
+    if (!Object.hasOwn(CAPTCHA_PROVIDERS, settings.provider)) {
+      problems.push(
+        `${route} needs a "provider" of ${Object.keys(CAPTCHA_PROVIDERS).join(", ")}`
+      );
+    }
+    if (typeof settings.failOpen !== "boolean") {
+      problems.push(`${route} "failOpen" must be true or false`);
+    }
+    if (
+      !Number.isInteger(settings.timeoutMs) ||
+      settings.timeoutMs < 100 ||
+      settings.timeoutMs > 10000
+    ) {
+      problems.push(`${route} "timeoutMs" must be 100-10000`);
+    }
+    if (
+      settings.minScore !== null &&
+      (typeof settings.minScore !== "number" || settings.minScore < 0 || settings.minScore > 1)
+    ) {
+      problems.push(`${route} "minScore" must be 0-1`);
+    }
+    routes[route] = settings;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid captcha routes: ${problems.join("; ")}.`);
+  }
+  return routes;
+}
+
+/**
+ * Returns `verify({ token, remoteIp })`, resolving to `{ ok: true }`,
+ * `{ ok: true, failedOpen: true }` or `{ ok: false, reason, errorCodes }`
+ * where reason is "missing", "rejected" or "unavailable".
+ */
+export function createCaptchaVerifier({
+  provider,
+  secret,
+  verifyUrl = CAPTCHA_PROVIDERS[provider],
+  timeoutMs = 3000,
+  failOpen = false,
+  minScore = null,
+  fetchImpl = globalThis.fetch,
+}) {
+  return async function verify({ token, remoteIp }) {
+    if (typeof token !== "string" || !token.trim()) {
+      return { ok: false, reason: "missing", errorCodes: [] };
+    }
+
+    const form = new URLSearchParams({ secret, response: token.trim() });
+    if (remoteIp && remoteIp !== "unknown") form.set("remoteip", remoteIp);
+
+    let result;
+    try {
+      const response = await fetchImpl(verifyUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: form.toString(),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Captcha verification failed with HTTP ${response.status}`);
+      }
+      result = await response.json();
+    } catch (err) {
+      if (failOpen) return { ok: true, failedOpen: true, error: err };
+      return { ok: false, reason: "unavailable", errorCodes: [], error: err };
+    }
+
+    const errorCodes = Array.isArray(result?.["error-codes"]) ? result["error-codes"] : [];
+    if (result?.success !== true) {
+      return { ok: false, reason: "rejected", errorCodes };
+    }
+    if (minScore !== null && typeof result.score === "number" && result.score < minScore) {
+      return { ok: false, reason: "rejected", errorCodes: ["score-too-low"] };
+    }
+    return { ok: true };
+  };
+}
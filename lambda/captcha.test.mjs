@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+import { createCaptchaVerifier, parseCaptchaRoutes } from "./captcha.mjs";
+
+async function startSiteverify(t, respond) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const form = Object.fromEntries(new URLSearchParams(body));
+      requests.push(form);
+      respond(form, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}/siteverify`, requests };
+}
+
+function reply(res, payload) {
+  res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(payload));
+}
+
+test("parses per-route settings with defaults", () => {
+  assert.deepEqual(
+    parseCaptchaRoutes('{"contact":{"provider":"turnstile"},"booking":{"provider":"recaptcha","minScore":0.5,"failOpen":true,"timeoutMs":1500},"form:careers":{"provider":"hcaptcha"}}'),
+    {
+      contact: { provider: "turnstile", failOpen: false, timeoutMs: 3000, minScore: null },
+      booking: { provider: "recaptcha", failOpen: true, timeoutMs: 1500, minScore: 0.5 },
+      "form:careers": { provider: "hcaptcha", failOpen: false, timeoutMs: 3000, minScore: null },
+    }
+  );
+  assert.deepEqual(parseCaptchaRoutes("{}"), {});
+});
+
+test("lists every problem in the route settings", () => {
+  assert.throws(
+    () =>
+      parseCaptchaRoutes({
+        reviews: { provider: "turnstile" },
+        "form:": { provider: "turnstile" },
+        contact: { provider: "mystery", failOpen: "yes", timeoutMs: 50, minScore: 2 },
+      }),
+    (err) =>
+      /"reviews" is not one of contact, booking or form:<formId>/.test(err.message) &&
+      /"form:" is not one of/.test(err.message) &&
+      /contact needs a "provider"/.test(err.message) &&
+      /"failOpen" must be true or false/.test(err.message) &&
+      /"timeoutMs" must be 100-10000/.test(err.message) &&
+      /"minScore" must be 0-1/.test(err.message)
+  );
+});
+
+test("posts the secret, token and client IP to siteverify", async (t) => {
+  const siteverify = await startSiteverify(t, (form, res) =>
+    reply(res, { success: form.response === "good-token" })
+  );
+  const verify = createCaptchaVerifier({
+    provider: "turnstile",
+    secret: "captcha-secret",
+    verifyUrl: siteverify.url,
+  });
+
+  assert.deepEqual(await verify({ token: "good-token", remoteIp: "203.0.113.9" }), {
+    ok: true,
+  });
+  assert.deepEqual(siteverify.requests[0], {
+    secret: "captcha-secret",
+    response: "good-token",
+    remoteip: "203.0.113.9",
+  });
+});
+
+test("rejects missing, failed and low-score tokens", async (t) => {
+  const siteverify = await startSiteverify(t, (form, res) =>
+    form.response === "low-score"
+      ? reply(res, { success: true, score: 0.2 })
+      : reply(res, { success: false, "error-codes": ["invalid-input-response"] })
+  );
+  const verify = createCaptchaVerifier({
+    provider: "recaptcha",
+    secret: "captcha-secret",
+    verifyUrl: siteverify.url,
+    minScore: 0.5,
+  });
+
+  assert.deepEqual(await verify({ token: "", remoteIp: "unknown" }), {
+    ok: false,
+    reason: "missing",
+    errorCodes: [],
+  });
+  assert.deepEqual(await verify({ token: "bad-token", remoteIp: "unknown" }), {
+    ok: false,
+    reason: "rejected",
+    errorCodes: ["invalid-input-response"],
+  });
+  assert.deepEqual(await verify({ token: "low-score", remoteIp: "unknown" }), {
+    ok: false,
+    reason: "rejected",
+    errorCodes: ["score-too-low"],
+  });
+  assert.equal(siteverify.requests.length, 2);
+  assert.equal(siteverify.requests[0].remoteip, undefined);
+});
+
+test("fails open or closed when the provider times out", async (t) => {
+  const siteverify = await startSiteverify(t, () => {
+    // never answers
+  });
+  const settings = {
+    provider: "hcaptcha",
+    secret: "captcha-secret",
+    verifyUrl: siteverify.url,
+    timeoutMs: 100,
+  };
+
+  const closed = await createCaptchaVerifier(settings)({ token: "t", remoteIp: "" });
+  assert.equal(closed.ok, false);
+  assert.equal(closed.reason, "unavailable");
+
+  const open = await createCaptchaVerifier({ ...settings, failOpen: true })({
+    token: "t",
+    remoteIp: "",
+  });
+  assert.equal(open.ok, true);
+  assert.equal(open.failedOpen, true);
+});
@@ -0,0 +1,244 @@
+/**
+ * Contact submission persistence (admin inbox)
+ *
+ * Each validated `/contact` submission is saved before the notification email
+ * is sent, then updated with the delivery outcome. Submissions live in the
+ * `contact_submissions` table (hash key `submission_id`) and are listed by
+ * inbox status through the `status-created-at-index` GSI.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const STATUS_INDEX_NAME = "status-created-at-index";
+
+function toItem(submission, retentionDays) {
+  const createdMs = new Date(submission.createdAt).getTime();
+  return {
+    submission_id: submission.submissionId,
+    status: "new",
+    created_at: submission.createdAt,
+    name: submission.name,
+    email: submission.email,
+    company: submission.company,
+    phone: submission.phone,
+    message: submission.message,
+    attachments: submission.attachments ?? [],
+    origin: submission.origin,
+    source_ip: submission.sourceIp,
+    user_agent: submission.userAgent,
+    request_id: submission.requestId,
+    delivery_status: "pending",
+    expires_at: Math.floor(createdMs / 1000) + retentionDays * 24 * 60 * 60,
+  };
+}
+
+function fromItem(item) {
+  return {
+    submissionId: item.submission_id,
+    status: item.status,
+    createdAt: item.created_at,
+    name: item.name,
+    email: item.email,
+    company: item.company,
+    phone: item.phone,
+    message: item.message,
+    attachments: item.attachments ?? [],
+    origin: item.origin,
+    sourceIp: item.source_ip,
+    userAgent: item.user_agent,
+    requestId: item.request_id,
+    deliveryStatus: item.delivery_status,
+    deliveredAt: item.delivered_at,
+    deliveryError: item.delivery_error,
+    messageId: item.message_id,
+    updatedAt: item.updated_at,
+    updatedBy: item.updated_by,
+    note: item.note,
+  };
+}
+
+function pageKey(item) {
+  return {
+    submission_id: item.submission_id,
+    status: item.status,
+    created_at: item.created_at,
+  };
+}
+
+export function createMemoryContactStore({ retentionDays = 365 } = {}) {
+  const items = new Map();
+
+  return {
+    async createSubmission(submission) {
+      items.set(submission.submissionId, toItem(submission, retentionDays));
+    },
+
+    async recordDelivery({ submissionId, deliveryStatus, deliveredAt, deliveryError, messageId }) {
+      const item = items.get(submissionId);
+      if (!item) return;
+      Object.assign(item, {
+        delivery_status: deliveryStatus,
+        delivered_at: deliveredAt,
+        delivery_error: deliveryError,
+        message_id: messageId,
+      });
+    },
+
+    async getSubmission(submissionId) {
+      const item = items.get(submissionId);
+      return item ? fromItem(item) : null;
+    },
+
+    async listSubmissions({ status, fromIso, toIso, deliveryStatus, limit, startKey }) {
+      const matching = [...items.values()]
+        .filter(
+          (item) =>
+            item.status === status &&
+            item.created_at >= fromIso &&
+            item.created_at <= toIso &&
+            (!deliveryStatus || item.delivery_status === deliveryStatus)
+        )
+        .sort(
+          (a, b) =>
+            b.created_at.localeCompare(a.created_at) ||
+            b.submission_id.localeCompare(a.submission_id)
+        );
+      const startIndex = startKey
+        ? matching.findIndex((item) => item.submission_id === startKey.submission_id) + 1
+        : 0;
+      const page = matching.slice(startIndex, startIndex + limit);
+      const hasMore = startIndex + limit < matching.length;
+      return {
+        submissions: page.map(fromItem),
+        nextKey: hasMore ? pageKey(page[page.length - 1]) : null,
+      };
+    },
+
+    async updateStatus({ submissionId, status, note, updatedBy, updatedAt }) {
+      const item = items.get(submissionId);
+      if (!item) return null;
+      Object.assign(item, {
+        status,
+        note,
+        updated_by: updatedBy,
+        updated_at: updatedAt,
+      });
+      return fromItem(item);
+    },
+  };
+}
+
+export function createDynamoContactStore({
+  tableName,
+  retentionDays = 365,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  return {
+    async createSubmission(submission) {
+      await client.send(
+        new PutCommand({
+          TableName: tableName,
+          Item: toItem(submission, retentionDays),
+          ConditionExpression: "attribute_not_exists(submission_id)",
+        })
+      );
+    },
+
+    async recordDelivery({ submissionId, deliveryStatus, deliveredAt, deliveryError, messageId }) {
+      await client.send(
+        new UpdateCommand({
+          TableName: tableName,
+          Key: { submission_id: submissionId },
+          UpdateExpression:
+            "SET delivery_status = :deliveryStatus, delivered_at = :deliveredAt, delivery_error = :deliveryError, message_id = :messageId",
+          ConditionExpression: "attribute_exists(submission_id)",
+          ExpressionAttributeValues: {
+            ":deliveryStatus": deliveryStatus,
+            ":deliveredAt": deliveredAt ?? null,
+            ":deliveryError": deliveryError ?? null,
+            ":messageId": messageId ?? null,
+          },
+        })
+      );
+    },
+
+    async getSubmission(submissionId) {
+      const result = await client.send(
+        new GetCommand({
+          TableName: tableName,
+          Key: { submission_id: submissionId },
+        })
+      );
+      return result.Item ? fromItem(result.Item) : null;
+    },
+
+    async listSubmissions({ status, fromIso, toIso, deliveryStatus, limit, startKey }) {
+      const page = await client.send(
+        new QueryCommand({
+          TableName: tableName,
+          IndexName: STATUS_INDEX_NAME,
+          KeyConditionExpression: "#status = :status AND created_at BETWEEN :fromIso AND :toIso",
+          ...(deliveryStatus ? { FilterExpression: "delivery_status = :deliveryStatus" } : {}),
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":status": status,
+            ":fromIso": fromIso,
+            ":toIso": toIso,
+            ...(deliveryStatus ? { ":deliveryStatus": deliveryStatus } : {}),
+          },
+          ScanIndexForward: false,
+          Limit: limit,
+          ExclusiveStartKey: startKey || undefined,
+        })
+      );
+      return {
+        submissions: (page.Items || []).map(fromItem),
+        nextKey: page.LastEvaluatedKey || null,
+      };
+    },
+
+    async updateStatus({ submissionId, status, note, updatedBy, updatedAt }) {
+      try {
+        const result = await client.send(
+          new UpdateCommand({
+            TableName: tableName,
+            Key: { submission_id: submissionId },
+            UpdateExpression:
+              "SET #status = :status, note = :note, updated_by = :updatedBy, updated_at = :updatedAt",
+            ConditionExpression: "attribute_exists(submission_id)",
+            ExpressionAttributeNames: { "#status": "status" },
+            ExpressionAttributeValues: {
+              ":status": status,
+              ":note": note,
+              ":updatedBy": updatedBy,
+              ":updatedAt": updatedAt,
+            },
+            ReturnValues: "ALL_NEW",
+          })
+        );
+        return fromItem(result.Attributes);
+      } catch (err) {
+        if (err?.name === "ConditionalCheckFailedException") return null;
+        throw err;
+      }
+    },
+  };
+}
+
+export function createContactStore({ tableName, retentionDays } = {}) {
+  if (tableName) {
+    return createDynamoContactStore({ tableName, retentionDays });
+  }
+  return createMemoryContactStore({ retentionDays });
+}
@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createDynamoContactStore,
+  createMemoryContactStore,
+} from "./contact-store.mjs";
+
+function makeSubmission(overrides = {}) {
+  return {
+    submissionId: "submission-1",
+    createdAt: "2026-03-01T00:00:00.000Z",
+    name: "Jane Tester",
+    email: "jane@example.com",
+    company: "Acme",
+    phone: "",
+    message: "Hello, this is a valid test message.",
+    origin: "https://www.waterapps.com.au",
+    sourceIp: "203.0.113.7",
+    userAgent: "Test/1.0",
+    requestId: "req-1",
+    ...overrides,
+  };
+}
+
+test("memory store keeps new submissions pending delivery until recorded", async () => {
+  const store = createMemoryContactStore();
+  await store.createSubmission(makeSubmission());
+
+  assert.equal((await store.getSubmission("submission-1")).deliveryStatus, "pending");
+  await store.recordDelivery({
+    submissionId: "submission-1",
+    deliveryStatus: "sent",
+    deliveredAt: "2026-03-01T00:00:01.000Z",
+    messageId: "message-1",
+  });
+
+  const submission = await store.getSubmission("submission-1");
+  assert.equal(submission.status, "new");
+  assert.equal(submission.deliveryStatus, "sent");
+  assert.equal(submission.messageId, "message-1");
+  assert.equal(submission.sourceIp, "203.0.113.7");
+});
+
+test("memory store filters by status, date range and delivery status", async () => {
+  const store = createMemoryContactStore();
+  await store.createSubmission(makeSubmission());
+  await store.createSubmission(
+    makeSubmission({ submissionId: "submission-2", createdAt: "2026-03-05T00:00:00.000Z" })
+  );
+  await store.recordDelivery({ submissionId: "submission-2", deliveryStatus: "failed" });
+
+  const list = (filters) =>
+    store.listSubmissions({
+      status: "new",
+      fromIso: "2026-03-01T00:00:00.000Z",
+      toIso: "2026-03-31T23:59:59.999Z",
+      limit: 25,
+      ...filters,
+    });
+
+  assert.deepEqual(
+    (await list({})).submissions.map((s) => s.submissionId),
+    ["submission-2", "submission-1"]
+  );
+  assert.deepEqual(
+    (await list({ toIso: "2026-03-02T00:00:00.000Z" })).submissions.map((s) => s.submissionId),
+    ["submission-1"]
+  );
+  assert.deepEqual(
+    (await list({ deliveryStatus: "failed" })).submissions.map((s) => s.submissionId),
+    ["submission-2"]
+  );
+
+  await store.updateStatus({
+    submissionId: "submission-2",
+    status: "spam",
+    note: "",
+    updatedBy: "admin",
+    updatedAt: "2026-03-06T00:00:00.000Z",
+  });
+  assert.deepEqual(
+    (await list({ status: "spam" })).submissions.map((s) => s.submissionId),
+    ["submission-2"]
+  );
+  assert.equal(
+    await store.updateStatus({ submissionId: "missing", status: "handled" }),
+    null
+  );
+});
+
+test("dynamo store queries the status index within the date range", async () => {
+  const inputs = [];
+  const client = {
+    async send(command) {
+      inputs.push(command.input);
+      return { Items: [], LastEvaluatedKey: { submission_id: "x" } };
+    },
+  };
+  const store = createDynamoContactStore({ tableName: "contact", client });
+
+  const page = await store.listSubmissions({
+    status: "new",
+    fromIso: "2026-03-01T00:00:00.000Z",
+    toIso: "2026-03-31T23:59:59.999Z",
+    deliveryStatus: "failed",
+    limit: 10,
+  });
+  assert.deepEqual(page.nextKey, { submission_id: "x" });
+  assert.equal(inputs[0].IndexName, "status-created-at-index");
+  assert.equal(
+    inputs[0].KeyConditionExpression,
+    "#status = :status AND created_at BETWEEN :fromIso AND :toIso"
+  );
+  assert.equal(inputs[0].FilterExpression, "delivery_status = :deliveryStatus");
+  assert.equal(inputs[0].ScanIndexForward, false);
+});
+
+test("dynamo store maps a missing submission on update to null", async () => {
+  const client = {
+    async send() {
+      const err = new Error("The conditional request failed");
+      err.name = "ConditionalCheckFailedException";
+      throw err;
+    },
+  };
+  const store = createDynamoContactStore({ tableName: "contact", client });
+
+  assert.equal(
+    await store.updateStatus({
+      submissionId: "missing",
+      status: "handled",
+      note: "",
+      updatedBy: "admin",
+      updatedAt: "2026-03-06T00:00:00.000Z",
+    }),
+    null
+  );
+});
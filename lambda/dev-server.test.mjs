@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createDevServer, fromHttpApiResult, toHttpApiEvent } from "../scripts/dev-server.mjs";
+
+test("builds an HTTP API v2 event from a request", () => {
+  const event = toHttpApiEvent({
+    method: "GET",
+    url: "/availability?days=3&tz=Australia%2FSydney&type=a&type=b",
+    // Node's flat [name, value, ...] list
+    rawHeaders: [
+      ["Host", "localhost:8787"],
+      ["Origin", "http://localhost:5173"],
+      ["Accept", "text/html"],
+      ["Accept", "application/json"],
+      ["Cookie", "a=1; b=2"],
+    ].flat(),
+    sourceIp: "192.0.2.10",
+    now: new Date("2030-03-01T00:00:00Z"),
+    requestId: "req-1",
+  });
+
+  assert.equal(event.version, "2.0");
+  assert.equal(event.rawPath, "/availability");
+  assert.equal(event.rawQueryString, "days=3&tz=Australia%2FSydney&type=a&type=b");
+  assert.deepEqual(event.queryStringParameters, { days: "3", tz: "Australia/Sydney", type: "a,b" });
+  assert.deepEqual(event.headers, {
+    host: "localhost:8787",
+    origin: "http://localhost:5173",
+    accept: "text/html,application/json",
+  });
+  assert.deepEqual(event.cookies, ["a=1", "b=2"]);
+  assert.deepEqual(event.requestContext.http, {
+    method: "GET",
+    path: "/availability",
+    protocol: "HTTP/1.1",
+    sourceIp: "192.0.2.10",
+    userAgent: "",
+  });
+  assert.equal(event.requestContext.requestId, "req-1");
+  assert.equal(event.requestContext.timeEpoch, Date.parse("2030-03-01T00:00:00Z"));
+  assert.equal(event.body, undefined);
+});
+
+test("passes text bodies through and base64-encodes binary ones", () => {
+  const json = toHttpApiEvent({
+    method: "POST",
+    url: "/contact",
+    rawHeaders: ["Content-Type", "application/json; charset=utf-8"],
+    body: Buffer.from('{"name":"Jane"}'),
+  });
+  assert.equal(json.body, '{"name":"Jane"}');
+  assert.equal(json.isBase64Encoded, false);
+
+  const multipart = toHttpApiEvent({
+    method: "POST",
+    url: "/contact",
+    rawHeaders: ["Content-Type", "multipart/form-data; boundary=x"],
+    body: Buffer.from("--x\r\n"),
+  });
+  assert.equal(multipart.body, Buffer.from("--x\r\n").toString("base64"));
+  assert.equal(multipart.isBase64Encoded, true);
+});
+
+test("maps handler results back to HTTP responses", () => {
+  const response = fromHttpApiResult({
+    statusCode: 202,
+    headers: { "Content-Type": "application/json", "Retry-After": 1 },
+    cookies: ["session=abc"],
+    body: '{"status":"accepted"}',
+  });
+  assert.equal(response.statusCode, 202);
+  assert.deepEqual(response.headers, {
+    "content-type": "application/json",
+    "retry-after": "1",
+    "set-cookie": ["session=abc"],
+  });
+  assert.equal(response.body.toString(), '{"status":"accepted"}');
+
+  assert.equal(fromHttpApiResult({ statusCode: 200, body: "aGk=", isBase64Encoded: true }).body.toString(), "hi");
+
+  const bare = fromHttpApiResult({ status: "ok" });
+  assert.equal(bare.statusCode, 200);
+  assert.equal(bare.body.toString(), '{"status":"ok"}');
+});
+
+test("serves the handler over HTTP and hides handler errors like API Gateway", async () => {
+  const events = [];
+  const server = createDevServer({
+    async handler(event) {
+      events.push(event);
+      if (event.rawPath === "/boom") throw new Error("handler crashed");
+      return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: event.body };
+    },
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const originalError = console.error;
+  const originalLog = console.log;
+  console.error = () => {};
+  console.log = () => {};
+  try {
+    const ok = await fetch(`${base}/contact`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Origin: "http://localhost:5173" },
+      body: '{"name":"Jane"}',
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(await ok.text(), '{"name":"Jane"}');
+    assert.equal(events[0].requestContext.http.method, "POST");
+    assert.equal(events[0].requestContext.http.sourceIp, "127.0.0.1");
+    assert.equal(events[0].headers.origin, "http://localhost:5173");
+
+    const failed = await fetch(`${base}/boom`);
+    assert.equal(failed.status, 500);
+    assert.deepEqual(await failed.json(), { message: "Internal Server Error" });
+  } finally {
+    console.error = originalError;
+    console.log = originalLog;
+    server.close();
+  }
+});
@@ -0,0 +1,281 @@
+/**
+ * Notification email templates
+ *
+ * Each named template lives in the templates directory as
+ *
+ *   <name>.subject.txt   one-line subject
+ *   <name>.txt           plain-text body
+ *   <name>.html          HTML body
+ *
+ * and is wrapped in `layouts/default.txt` / `layouts/default.html`, which
+ * receive the rendered body as `content`. Files in `partials/` are included
+ * with `{{> name}}` (the `.txt` or `.html` copy, matching the variant).
+ *
+ * The syntax is a small Mustache subset:
+ *
+ *   {{path.to.value}}             escaped in HTML, as-is in text
+ *   {{{path}}}                    never escaped
+ *   {{#path}}...{{/path}}         shown when truthy, repeated for arrays
+ *   {{^path}}...{{/path}}         shown when falsy or an empty array
+ *   {{> partial}}  {{! comment }}
+ *
+ * Every template is rendered with `brand` (see `parseEmailBrand`) alongside
+ * its own data.
+ */
+
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+export const EMAIL_TEMPLATE_NAMES = [
+  "contact-owner",
+  "contact-ack",
+  "booking-owner",
+  "booking-guest",
+  "booking-change-owner",
+  "form-owner",
+];
+
+export const DEFAULT_EMAIL_BRAND = {
+  name: "WaterApps",
+  siteName: "waterapps.com.au",
+  siteUrl: "https://www.waterapps.com.au",
+  logoUrl: "",
+  primaryColor: "#0b5394",
+  textColor: "#222222",
+  backgroundColor: "#f4f6f8",
+  signature: "",
+};
+
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const BRAND_TEXT_FIELDS = ["name", "siteName", "signature"];
+const BRAND_URL_FIELDS = ["siteUrl", "logoUrl"];
+const BRAND_COLOR_FIELDS = ["primaryColor", "textColor", "backgroundColor"];
+
+export function parseEmailBrand(raw) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid email brand: expected a JSON object.");
+  }
+
+  const problems = [];
+  const brand = { ...DEFAULT_EMAIL_BRAND };
+  for (const [key, value] of Object.entries(config)) {
+    if (!Object.hasOwn(DEFAULT_EMAIL_BRAND, key)) {
+      problems.push(`"${key}" is not a brand setting`);
+      continue;
+    }
+    if (typeof value !== "string") {
+      problems.push(`${key} must be a string`);
+      continue;
+    }
+    const trimmed = value.trim();
+    if (BRAND_COLOR_FIELDS.includes(key) && !COLOR_RE.test(trimmed)) {
+      problems.push(`${key} must be a hex colour like #0b5394`);
+    }
+    if (BRAND_URL_FIELDS.includes(key) && trimmed && !/^https:\/\/\S+$/i.test(trimmed)) {
+      problems.push(`${key} must be an https:// URL`);
+    }
+    if (BRAND_TEXT_FIELDS.includes(key) && key !== "signature" && !trimmed) {
+      problems.push(`${key} must not be empty`);
+    }
+    brand[key] = key === "signature" ? value.replace(/\r\n/g, "\n").trim() : trimmed;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid email brand: ${problems.join("; ")}.`);
+  }
+  return brand;
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const TAG_RE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG_RE)) {
+    if (match.index > last) {
+      tokens.push({ type: "text", value: source.slice(last, match.index) });
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: "var", path: match[1], raw: true });
+    } else {
+      const kind = { "#": "open", "^": "inverted", "/": "close", ">": "partial", "!": "comment" }[
+        match[2]
+      ];
+      tokens.push({ type: kind || "var", path: match[3], raw: false });
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) tokens.push({ type: "text", value: source.slice(last) });
+  return stripStandaloneTags(tokens);
+}
+
+// A section, comment or partial tag alone on its line leaves no blank line
+// behind, so templates can put block tags on their own lines.
+function stripStandaloneTags(tokens) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token.type === "text" || token.type === "var") continue;
+
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const lineStart =
+      !before ||
+      (before.type === "text" &&
+        (/\n[ \t]*$/.test(before.value) ||
+          (/^[ \t]*$/.test(before.value) && (i === 1 || tokens[i - 2].standalone))));
+    const lineEnd = !after || (after.type === "text" && /^[ \t]*(\n|$)/.test(after.value));
+    if (!lineStart || !lineEnd) continue;
+
+    token.standalone = true;
+    if (before) before.value = before.value.replace(/[ \t]*$/, "");
+    if (after && token.type !== "partial") {
+      after.value = after.value.replace(/^[ \t]*\n?/, "");
+    }
+  }
+  return tokens;
+}
+
+export function compileTemplate(source, name = "template") {
+  const root = { children: [] };
+  const stack = [root];
+  for (const token of tokenize(source)) {
+    const parent = stack[stack.length - 1];
+    if (token.type === "comment") continue;
+    if (token.type === "open" || token.type === "inverted") {
+      const section = {
+        type: "section",
+        path: token.path,
+        inverted: token.type === "inverted",
+        children: [],
+      };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (token.type === "close") {
+      if (stack.length === 1 || parent.path !== token.path) {
+        throw new Error(`Email template ${name}: unexpected {{/${token.path}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`Email template ${name}: unclosed {{#${stack[stack.length - 1].path}}}`);
+  }
+  return root.children;
+}
+
+function lookup(contextStack, keyPath) {
+  if (keyPath === ".") return contextStack[contextStack.length - 1];
+  const [head, ...rest] = keyPath.split(".");
+  for (let i = contextStack.length - 1; i >= 0; i -= 1) {
+    const frame = contextStack[i];
+    if (frame && typeof frame === "object" && Object.hasOwn(frame, head)) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), frame[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contextStack, options, depth = 0) {
+  if (depth > 20) throw new Error("Email template partials nest too deeply");
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "var") {
+      const value = lookup(contextStack, node.path);
+      if (value === undefined || value === null) continue;
+      out += node.raw || !options.html ? String(value) : escapeHtml(value);
+    } else if (node.type === "partial") {
+      const partial = options.partials[node.path];
+      if (!partial) throw new Error(`Email template partial not found: ${node.path}`);
+      out += renderNodes(partial, contextStack, options, depth + 1);
+    } else {
+      const value = lookup(contextStack, node.path);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        if (empty) out += renderNodes(node.children, contextStack, options, depth);
+      } else if (!empty) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          out += renderNodes(node.children, [...contextStack, item], options, depth);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+function readVariants(dir, prefix = "") {
+  const variants = { text: {}, html: {} };
+  if (!existsSync(dir)) return variants;
+  for (const file of readdirSync(dir)) {
+    const match = /^(.+)\.(txt|html)$/.exec(file);
+    if (!match) continue;
+    const key = `${prefix}${match[1]}`;
+    const source = readFileSync(path.join(dir, file), "utf8").replace(/\r\n/g, "\n");
+    variants[match[2] === "txt" ? "text" : "html"][key] = compileTemplate(
+      source.replace(/\n$/, ""),
+      `${key}.${match[2]}`
+    );
+  }
+  return variants;
+}
+
+/**
+ * Reads and compiles every template, partial and layout under `dir`.
+ * Throws when one of the named templates is missing a variant.
+ */
+export function loadEmailTemplates(dir) {
+  const templates = readVariants(dir);
+  const partials = readVariants(path.join(dir, "partials"));
+  const layouts = readVariants(path.join(dir, "layouts"));
+
+  for (const name of EMAIL_TEMPLATE_NAMES) {
+    for (const key of [`${name}.subject`, name]) {
+      if (!templates.text[key]) throw new Error(`Email template missing: ${key}.txt`);
+    }
+    if (!templates.html[name]) throw new Error(`Email template missing: ${name}.html`);
+  }
+  for (const variant of ["text", "html"]) {
+    if (!layouts[variant].default) {
+      throw new Error(`Email layout missing: layouts/default.${variant === "text" ? "txt" : "html"}`);
+    }
+  }
+  return { templates, partials, layouts };
+}
+
+/**
+ * Returns `render(name, data)`, resolving to `{ subject, text, html }`.
+ */
+export function createEmailRenderer({ templates, partials, layouts }, { brand = DEFAULT_EMAIL_BRAND } = {}) {
+  return function render(name, data = {}) {
+    if (!templates.html[name]) throw new Error(`Unknown email template: ${name}`);
+    const context = [{ brand }, data];
+    const text = { html: false, partials: partials.text };
+    const html = { html: true, partials: partials.html };
+
+    const textContent = renderNodes(templates.text[name], context, text).trim();
+    const htmlContent = renderNodes(templates.html[name], context, html).trim();
+    return {
+      // Subjects are single header lines, whatever the data holds.
+      subject: renderNodes(templates.text[`${name}.subject`], context, text)
+        .replace(/\s+/g, " ")
+        .trim(),
+      text: renderNodes(layouts.text.default, [...context, { content: textContent }], text)
+        .replace(/\n{3,}/g, "\n\n")
+        .trim(),
+      html: renderNodes(layouts.html.default, [...context, { content: htmlContent }], html).trim(),
+    };
+  };
+}
@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+import {
+  compileTemplate,
+  createEmailRenderer,
+  DEFAULT_EMAIL_BRAND,
+  EMAIL_TEMPLATE_NAMES,
+  loadEmailTemplates,
+  parseEmailBrand,
+} from "./email-templates.mjs";
+
+const templatesDir = fileURLToPath(new URL("./email-templates/", import.meta.url));
+
+function inlineTemplates({ text, html, subject = "Subject", partials = {} }) {
+  return {
+    templates: {
+      text: { sample: compileTemplate(text), "sample.subject": compileTemplate(subject) },
+      html: { sample: compileTemplate(html) },
+    },
+    partials: {
+      text: Object.fromEntries(Object.entries(partials).map(([k, v]) => [k, compileTemplate(v)])),
+      html: Object.fromEntries(Object.entries(partials).map(([k, v]) => [k, compileTemplate(v)])),
+    },
+    layouts: {
+      text: { default: compileTemplate("{{{content}}}") },
+      html: { default: compileTemplate("<main>{{{content}}}</main>") },
+    },
+  };
+}
+
+test("escapes variables in HTML only and leaves triple braces alone", () => {
+  const render = createEmailRenderer(
+    inlineTemplates({ text: "Hi {{name}}", html: "<p>{{name}} {{{trusted}}}</p>" })
+  );
+  const email = render("sample", { name: `Jane "<b>" & co`, trusted: "<hr>" });
+
+  assert.equal(email.text, `Hi Jane "<b>" & co`);
+  assert.equal(email.html, "<main><p>Jane &quot;&lt;b&gt;&quot; &amp; co <hr></p></main>");
+});
+
+test("sections repeat for arrays, skip falsy values and support inverses", () => {
+  const render = createEmailRenderer(
+    inlineTemplates({
+      text: [
+        "{{#items}}",
+        "- {{label}} ({{brand.name}})",
+        "{{/items}}",
+        "{{^notes}}",
+        "No notes",
+        "{{/notes}}",
+        "{{! comments never render }}",
+        "End",
+      ].join("\n"),
+      html: "{{#notes}}<p>{{.}}</p>{{/notes}}",
+    })
+  );
+  const email = render("sample", { items: [{ label: "one" }, { label: "two" }], notes: "" });
+
+  assert.equal(email.text, "- one (WaterApps)\n- two (WaterApps)\nNo notes\nEnd");
+  assert.equal(email.html, "<main></main>");
+});
+
+test("includes partials for the matching variant", () => {
+  const render = createEmailRenderer(
+    inlineTemplates({
+      text: "Body\n{{> footer}}",
+      html: "<p>Body</p>{{> footer}}",
+      partials: { footer: "Sent by {{brand.siteName}}" },
+    }),
+    { brand: { ...DEFAULT_EMAIL_BRAND, siteName: "example.com" } }
+  );
+
+  const email = render("sample");
+  assert.equal(email.text, "Body\nSent by example.com");
+  assert.equal(email.html, "<main><p>Body</p>Sent by example.com</main>");
+});
+
+test("subjects collapse to a single line", () => {
+  const render = createEmailRenderer(
+    inlineTemplates({ text: "", html: "", subject: "Enquiry: {{name}}" })
+  );
+
+  assert.equal(render("sample", { name: "Jane\r\nBcc: x@example.com" }).subject, "Enquiry: Jane Bcc: x@example.com");
+});
+
+test("rejects unbalanced sections", () => {
+  assert.throws(() => compileTemplate("{{#a}}open", "broken"), /broken: unclosed \{\{#a\}\}/);
+  assert.throws(() => compileTemplate("{{#a}}{{/b}}", "broken"), /unexpected \{\{\/b\}\}/);
+});
+
+test("parses brand settings and rejects unsafe values", () => {
+  const brand = parseEmailBrand(
+    JSON.stringify({ name: "Acme", primaryColor: "#ff6600", logoUrl: "https://cdn.example.com/logo.png" })
+  );
+  assert.equal(brand.name, "Acme");
+  assert.equal(brand.primaryColor, "#ff6600");
+  assert.equal(brand.siteName, DEFAULT_EMAIL_BRAND.siteName);
+
+  assert.throws(
+    () => parseEmailBrand({ primaryColor: "red;background:url(x)", logoUrl: "javascript:alert(1)", tagline: "x" }),
+    /primaryColor must be a hex colour.*logoUrl must be an https:\/\/ URL.*"tagline" is not a brand setting/
+  );
+});
+
+test("bundled templates render every notification with brand settings", () => {
+  const brand = parseEmailBrand({
+    name: "Acme",
+    siteName: "acme.example",
+    logoUrl: "https://cdn.example.com/logo.png",
+    signature: "Jane\nAcme Consulting",
+  });
+  const render = createEmailRenderer(loadEmailTemplates(templatesDir), { brand });
+  const bookingType = { id: "CALL_30M", title: "Call", durationMinutes: 30, label: "Call (30 min, CALL_30M)" };
+  const manageLinks = {
+    cancelUrl: "https://api.example.com/booking/b-1/cancel?token=a&x=1",
+    rescheduleUrl: "https://api.example.com/booking/b-1/reschedule?token=a",
+  };
+
+  for (const name of EMAIL_TEMPLATE_NAMES) {
+    const email = render(name, {
+      name: "Jane <Tester>",
+      email: "jane@example.com",
+      message: "Hello & welcome",
+      requestId: "req-1",
+      bookingId: "b-1",
+      bookingType,
+      organizerName: "Acme",
+      slotStart: "2030-03-04T01:00:00.000Z",
+      slotEnd: "2030-03-04T01:30:00.000Z",
+      manageLinks,
+    });
+    assert.ok(email.subject.length > 0, name);
+    assert.doesNotMatch(email.html, /<Tester>/, name);
+    assert.match(email.html, /src="https:\/\/cdn.example.com\/logo.png"/, name);
+    assert.doesNotMatch(email.html, /\{\{|\}\}/, name);
+    assert.doesNotMatch(email.text, /\{\{|\}\}|&lt;/, name);
+  }
+
+  const guest = render("booking-guest", {
+    name: "Jane",
+    bookingId: "b-1",
+    bookingType,
+    organizerName: "Acme",
+    slotStart: "2030-03-04T01:00:00.000Z",
+    slotEnd: "2030-03-04T01:30:00.000Z",
+    manageLinks,
+  });
+  assert.match(guest.text, /Cancel: {5}https:\/\/api.example.com\/booking\/b-1\/cancel\?token=a&x=1/);
+  assert.match(guest.html, /href="https:\/\/api.example.com\/booking\/b-1\/cancel\?token=a&amp;x=1"/);
+  assert.match(guest.text, /--\nJane\nAcme Consulting$/);
+
+  const contact = render("contact-owner", { name: "Jane", company: "", message: "Hi" });
+  assert.equal(contact.subject, "Acme Enquiry: Jane");
+  assert.match(contact.text, /^New enquiry from acme.example/);
+  assert.match(contact.text, /Company: {2}Not provided/);
+});
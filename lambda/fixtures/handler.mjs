@@ -0,0 +1,119 @@
+/**
+ * Shared setup for the handler tests (index.*.test.mjs). node --test runs each
+ * file in its own process, so a file picks its env once, through `loadHandler`,
+ * before index.mjs is first imported; tests needing other import-time env go
+ * in another file.
+ */
+
+import test from "node:test";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { SESClient } from "@aws-sdk/client-ses";
+
+export const ORIGIN = "https://www.waterapps.com.au";
+export const OWNER_EMAIL = "varun@waterapps.com.au";
+
+const BASE_ENV = {
+  ALLOWED_ORIGINS: ORIGIN,
+  LOG_LEVEL: "error",
+  SOURCE_EMAIL: OWNER_EMAIL,
+  TARGET_EMAIL: OWNER_EMAIL,
+};
+
+// Bookable 09:00-17:00 UTC every day, from now until well past the 2030 test dates
+export const BOOKING_ENV = {
+  BOOKING_TIMEZONE: "UTC",
+  BOOKING_DAY_START: "09:00",
+  BOOKING_DAY_END: "17:00",
+  BOOKING_WORKDAYS: "0,1,2,3,4,5,6",
+  BOOKING_MIN_LEAD_MINUTES: "0",
+  BOOKING_LOOKAHEAD_DAYS: "2000",
+};
+
+/**
+ * API Gateway HTTP API (payload 2.0) event from the allowed origin. A `body`
+ * that is not a string is sent as JSON; `origin: null` leaves the header out.
+ */
+export function makeEvent({
+  method = "GET",
+  path: route,
+  body,
+  query,
+  headers = {},
+  origin = ORIGIN,
+  sourceIp = "203.0.113.7",
+  claims,
+  isBase64Encoded,
+  domainName,
+  requestId = `req-test-${Math.random().toString(36).slice(2)}`,
+} = {}) {
+  return {
+    headers: { ...(origin ? { origin } : {}), ...headers },
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    ...(isBase64Encoded ? { isBase64Encoded } : {}),
+    queryStringParameters: query || null,
+    requestContext: {
+      requestId,
+      ...(domainName ? { domainName } : {}),
+      http: { method, path: route, sourceIp },
+      ...(claims ? { authorizer: { jwt: { claims } } } : {}),
+    },
+  };
+}
+
+export function parseResponse(response) {
+  return { ...response, json: response.body ? JSON.parse(response.body) : null };
+}
+
+/**
+ * Sets the shared env plus `env`, imports the handler and returns it with
+ * `call(eventOptions)` and `post(path, body, eventOptions)`, which send a
+ * `makeEvent` event and resolve to the parsed response.
+ */
+export async function loadHandler(env = {}) {
+  Object.assign(process.env, BASE_ENV, env);
+  const { handler } = await import("../index.mjs");
+  const call = async (options) => parseResponse(await handler(makeEvent(options)));
+  const post = (route, body, options) => call({ ...options, method: "POST", path: route, body });
+  return { handler, call, post };
+}
+
+/**
+ * Replaces SES for the rest of the file and returns the commands it sent.
+ * `send(command)` runs first; if it throws, the send fails with that error.
+ */
+export function stubSes(send = () => {}) {
+  const sent = [];
+  const originalSend = SESClient.prototype.send;
+  SESClient.prototype.send = async function sendStub(command) {
+    await send(command);
+    sent.push(command);
+    return { MessageId: `message-${sent.length}` };
+  };
+  test.after(() => {
+    SESClient.prototype.send = originalSend;
+  });
+  return sent;
+}
+
+/**
+ * Temporary directory for the file mail transport, removed after the file's
+ * tests. Pass `env` to `loadHandler`; `read()` resolves to the .eml files in
+ * the order they were written.
+ */
+export async function fileMailbox(name) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), `waterapps-${name}-`));
+  test.after(() => rm(dir, { recursive: true, force: true }));
+  return {
+    env: { MAIL_TRANSPORT: "file", MAIL_FILE_DIR: dir },
+    async read() {
+      const names = (await readdir(dir)).sort();
+      return Promise.all(names.map((file) => readFile(path.join(dir, file), "utf8")));
+    },
+  };
+}
+
+export function mailHeader(eml, name) {
+  return eml.match(new RegExp(`\\r\\n${name}: ([^\\r]*)\\r\\n`))?.[1];
+}
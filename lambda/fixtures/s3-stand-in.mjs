@@ -0,0 +1,90 @@
+/**
+ * S3-compatible stand-in for tests: a path-style bucket on 127.0.0.1 that
+ * accepts PUT, HEAD and GET requests signed for its access key, either with
+ * an Authorization header or as presigned URLs within their expiry. Signing
+ * itself is the AWS SDK's job, so signatures are not recomputed here.
+ */
+
+import http from "node:http";
+
+function s3Error(res, statusCode, code) {
+  res.writeHead(statusCode, { "Content-Type": "application/xml" });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+function expired(params, now) {
+  const stamp = params.get("X-Amz-Date") || "";
+  const signedAt = Date.parse(
+    stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, "$1-$2-$3T$4:$5:$6Z")
+  );
+  return Number.isNaN(signedAt) || now() > signedAt + Number(params.get("X-Amz-Expires")) * 1000;
+}
+
+// Access key the request was signed with, from the URL or the Authorization header
+function signingKeyId(req, params) {
+  if (params.get("X-Amz-Signature")) {
+    return (params.get("X-Amz-Credential") || "").split("/")[0];
+  }
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\//.exec(req.headers.authorization || "");
+  return match?.[1] ?? "";
+}
+
+export async function startS3StandIn({
+  bucket = "attachments",
+  accessKeyId = "AKIDSTANDIN",
+  now = () => Date.now(),
+} = {}) {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      requests.push({ method: req.method, path: url.pathname });
+      const prefix = `/${bucket}/`;
+      if (!url.pathname.startsWith(prefix)) return s3Error(res, 404, "NoSuchBucket");
+      const key = decodeURIComponent(url.pathname.slice(prefix.length));
+
+      if (signingKeyId(req, url.searchParams) !== accessKeyId) {
+        return s3Error(res, 403, "InvalidAccessKeyId");
+      }
+      if (url.searchParams.get("X-Amz-Signature") && expired(url.searchParams, now)) {
+        return s3Error(res, 403, "AccessDenied");
+      }
+
+      if (req.method === "PUT") {
+        const body = Buffer.concat(chunks);
+        objects.set(key, {
+          body,
+          contentType: req.headers["content-type"] || "binary/octet-stream",
+        });
+        res.writeHead(200, { ETag: '"stand-in"' });
+        return res.end();
+      }
+
+      const object = objects.get(key);
+      if (!object) return s3Error(res, 404, "NoSuchKey");
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        return s3Error(res, 405, "MethodNotAllowed");
+      }
+      const disposition = url.searchParams.get("response-content-disposition");
+      res.writeHead(200, {
+        "Content-Type": object.contentType,
+        "Content-Length": object.body.length,
+        ...(disposition ? { "Content-Disposition": disposition } : {}),
+      });
+      return res.end(req.method === "GET" ? object.body : undefined);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    objects,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,688 @@
+/**
+ * Declarative form definitions for POST /forms/{formId}
+ *
+ * Each form lists its fields and, optionally, who receives submissions and
+ * the email subject:
+ *
+ *   [
+ *     {
+ *       "id": "partner-enquiry",
+ *       "title": "Partner enquiry",
+ *       "subject": "Partner enquiry: {{company}} ({{name}})",
+ *       "recipients": { "to": ["partners@example.com"], "cc": [], "bcc": [] },
+ *       "fields": [
+ *         { "name": "name", "label": "Name", "type": "text", "required": true, "minLength": 2, "maxLength": 120 },
+ *         { "name": "email", "label": "Email", "type": "email", "required": true },
+ *         { "name": "tier", "label": "Partnership type", "type": "select",
+ *           "options": ["reseller", { "value": "tech", "label": "Technology" }] },
+ *         { "name": "message", "label": "Message", "type": "textarea", "maxLength": 4000, "spamCheck": true }
+ *       ]
+ *     }
+ *   ]
+ *
+ * Field types: text, textarea, email, tel, url, number, date (YYYY-MM-DD),
+ * select (`multiple` for a list of values) and checkbox. Rules: `required`,
+ * `minLength` / `maxLength`, `min` / `max` (numbers), `pattern` (a regular
+ * expression the whole value must match, with an optional `patternMessage`)
+ * and `spamCheck` (rejects link-stuffed or repeated-character text);
+ * `requiredMessage` replaces the default message for a missing value.
+ * `placeholder` and `help` are passed through for client-side rendering.
+ *
+ * `successMessage`, `requiredMessage` and `patternMessage` take either text
+ * or one text per locale, `{ "en": "...", "ja": "..." }` ("en" required);
+ * `formMessageProblems` lists the locales a form's messages are missing.
+ * Without a `successMessage` a form answers with the catalogue's
+ * "form.success".
+ *
+ * Each recipients list left out (null) falls back to the matching
+ * TARGET_EMAIL / TARGET_EMAIL_CC / TARGET_EMAIL_BCC setting, the subject to
+ * "<title> submission", and Reply-To to the first email field. The built-in
+ * `contact` form describes POST /contact and cannot be redefined.
+ *
+ * `formJsonSchema` turns a form into the JSON Schema of its request body, so
+ * the published API description (openapi.mjs) comes from the same rules.
+ *
+ * Validation messages come from the message catalogues (messages.mjs). The
+ * built-in contact and booking forms take their labels from there as well;
+ * configured forms keep their own labels, and their own messages in the
+ * request's locale.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import {
+  createTranslator,
+  DEFAULT_LOCALE,
+  localisedText,
+  SUPPORTED_LOCALES,
+} from "./messages.mjs";
+
+export const FORM_FIELD_TYPES = [
+  "text",
+  "textarea",
+  "email",
+  "tel",
+  "url",
+  "number",
+  "date",
+  "select",
+  "checkbox",
+];
+
+const FORM_ID_RE = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const FIELD_NAME_RE = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+// Used by the bot defences on every form
+const RESERVED_FIELD_NAMES = new Set(["formToken", "captchaToken"]);
+const TEXT_TYPES = new Set(["text", "textarea", "email", "tel", "url", "date"]);
+const MAX_FIELDS = 40;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^[\d\s()+\-./]{6,30}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SUBJECT_TAG_RE = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const LOCALE_RE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const LOCALISED_FIELD_MESSAGES = ["requiredMessage", "patternMessage"];
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Text, or { [locale]: text } with English present
+function isLocalisedText(value) {
+  if (typeof value === "string") return true;
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  return (
+    typeof value[DEFAULT_LOCALE] === "string" &&
+    Object.entries(value).every(
+      ([locale, text]) => LOCALE_RE.test(locale) && typeof text === "string" && text.trim()
+    )
+  );
+}
+
+function isAddressList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((address) => typeof address === "string" && EMAIL_RE.test(address))
+  );
+}
+
+function parseField(entry, label, problems) {
+  const field = {
+    name: entry?.name,
+    label: entry?.label ?? entry?.name,
+    type: entry?.type ?? "text",
+    required: entry?.required ?? false,
+    minLength: entry?.minLength ?? null,
+    maxLength: entry?.maxLength ?? (TEXT_TYPES.has(entry?.type ?? "text") ? 1000 : null),
+    min: entry?.min ?? null,
+    max: entry?.max ?? null,
+    pattern: entry?.pattern ?? null,
+    patternMessage: entry?.patternMessage ?? null,
+    requiredMessage: entry?.requiredMessage ?? null,
+    options: entry?.options ?? null,
+    multiple: entry?.multiple ?? false,
+    spamCheck: entry?.spamCheck ?? false,
+    placeholder: entry?.placeholder ?? "",
+    help: entry?.help ?? "",
+  };
+
+  if (typeof field.name !== "string" || !FIELD_NAME_RE.test(field.name)) {
+    problems.push(`${label} needs a "name" of 1-40 letters, digits or "_", starting with a letter`);
+  } else if (RESERVED_FIELD_NAMES.has(field.name)) {
+    problems.push(`${label} cannot use the reserved name "${field.name}"`);
+  }
+  if (typeof field.label !== "string" || !field.label.trim() || field.label.length > 80) {
+    problems.push(`${label} needs a "label" of 1-80 characters`);
+  }
+  if (!FORM_FIELD_TYPES.includes(field.type)) {
+    problems.push(`${label} "type" must be one of ${FORM_FIELD_TYPES.join(", ")}`);
+  }
+  for (const flag of ["required", "multiple", "spamCheck"]) {
+    if (typeof field[flag] !== "boolean") problems.push(`${label} "${flag}" must be true or false`);
+  }
+  for (const key of ["placeholder", "help"]) {
+    if (typeof field[key] !== "string") problems.push(`${label} "${key}" must be text`);
+  }
+
+  if (TEXT_TYPES.has(field.type)) {
+    if (field.minLength !== null && !isIntegerBetween(field.minLength, 1, 10000)) {
+      problems.push(`${label} "minLength" must be 1-10000`);
+    }
+    if (!isIntegerBetween(field.maxLength, 1, 10000)) {
+      problems.push(`${label} "maxLength" must be 1-10000`);
+    } else if (field.minLength !== null && field.minLength > field.maxLength) {
+      problems.push(`${label} "minLength" cannot exceed "maxLength"`);
+    }
+  }
+  if (field.type === "number") {
+    for (const key of ["min", "max"]) {
+      if (field[key] !== null && !Number.isFinite(field[key])) {
+        problems.push(`${label} "${key}" must be a number`);
+      }
+    }
+    if (field.min !== null && field.max !== null && field.min > field.max) {
+      problems.push(`${label} "min" cannot exceed "max"`);
+    }
+  }
+
+  if (field.pattern !== null) {
+    try {
+      field.patternRe = new RegExp(`^(?:${field.pattern})$`, "u");
+    } catch {
+      problems.push(`${label} "pattern" is not a valid regular expression`);
+    }
+  }
+  for (const key of LOCALISED_FIELD_MESSAGES) {
+    if (field[key] !== null && !isLocalisedText(field[key])) {
+      problems.push(`${label} "${key}" must be text or { "<locale>": text } with "en"`);
+    }
+  }
+
+  if (field.type === "select") {
+    if (!Array.isArray(field.options) || field.options.length === 0) {
+      problems.push(`${label} "options" must list at least one value`);
+    } else {
+      field.options = field.options.map((option) =>
+        typeof option === "string"
+          ? { value: option, label: option }
+          : { value: option?.value, label: option?.label ?? option?.value }
+      );
+      const valid = field.options.every(
+        (option) =>
+          typeof option.value === "string" && option.value && typeof option.label === "string"
+      );
+      if (!valid) {
+        problems.push(`${label} "options" must be strings or { "value", "label" } pairs`);
+      }
+    }
+  } else if (field.options !== null) {
+    problems.push(`${label} "options" only applies to select fields`);
+  }
+  return field;
+}
+
+function parseForm(entry, label, problems) {
+  const recipients = entry?.recipients ?? {};
+  const form = {
+    id: entry?.id,
+    title: entry?.title,
+    description: entry?.description ?? "",
+    subject: entry?.subject ?? (typeof entry?.title === "string" ? `${entry.title} submission` : ""),
+    successMessage: entry?.successMessage ?? null,
+    recipients: {
+      to: recipients.to ?? null,
+      cc: recipients.cc ?? null,
+      bcc: recipients.bcc ?? null,
+    },
+    replyToField: entry?.replyToField ?? null,
+    fields: [],
+  };
+
+  if (typeof form.id !== "string" || !FORM_ID_RE.test(form.id)) {
+    problems.push(`${label} needs an "id" of 2-40 lowercase letters, digits or "-"`);
+  }
+  if (typeof form.title !== "string" || !form.title.trim() || form.title.length > 80) {
+    problems.push(`${label} needs a "title" of 1-80 characters`);
+  }
+  for (const key of ["description", "subject"]) {
+    if (typeof form[key] !== "string") problems.push(`${label} "${key}" must be text`);
+  }
+  if (form.successMessage !== null && !isLocalisedText(form.successMessage)) {
+    problems.push(`${label} "successMessage" must be text or { "<locale>": text } with "en"`);
+  }
+  for (const key of ["to", "cc", "bcc"]) {
+    const list = form.recipients[key];
+    if (list !== null && !isAddressList(list)) {
+      problems.push(`${label} "recipients.${key}" must list email addresses`);
+    }
+  }
+  if (Array.isArray(form.recipients.to) && form.recipients.to.length === 0) {
+    problems.push(`${label} "recipients.to" needs at least one address when set`);
+  }
+
+  const fieldCount = Array.isArray(entry?.fields) ? entry.fields.length : 0;
+  if (fieldCount === 0 || fieldCount > MAX_FIELDS) {
+    problems.push(`${label} "fields" must list 1-${MAX_FIELDS} fields`);
+    return form;
+  }
+  const names = new Set();
+  form.fields = entry.fields.map((fieldEntry, index) => {
+    const field = parseField(fieldEntry, `${label}.fields[${index}]`, problems);
+    if (names.has(field.name)) problems.push(`${label} repeats field "${field.name}"`);
+    names.add(field.name);
+    return field;
+  });
+
+  if (form.replyToField === null) {
+    form.replyToField = form.fields.find((field) => field.type === "email")?.name ?? null;
+  } else if (
+    !form.fields.some((field) => field.name === form.replyToField && field.type === "email")
+  ) {
+    problems.push(`${label} "replyToField" must name an email field`);
+  }
+  const subjectTags = typeof form.subject === "string" ? form.subject.matchAll(SUBJECT_TAG_RE) : [];
+  for (const [, name] of subjectTags) {
+    if (!names.has(name)) problems.push(`${label} "subject" uses unknown field "${name}"`);
+  }
+  return form;
+}
+
+export function parseFormDefinitions(raw, { allowContact = false } = {}) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(config)) {
+    throw new Error("Invalid form definitions: expected a JSON array.");
+  }
+
+  const problems = [];
+  const seen = new Set();
+  const forms = config.map((entry, index) => {
+    const form = parseForm(entry, `forms[${index}]`, problems);
+    if (form.id === "contact" && !allowContact) {
+      problems.push(`forms[${index}] cannot redefine the built-in "contact" form`);
+    } else if (seen.has(form.id)) {
+      problems.push(`forms[${index}] repeats id "${form.id}"`);
+    }
+    seen.add(form.id);
+    return form;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid form definitions: ${problems.join("; ")}.`);
+  }
+  return forms;
+}
+
+/** The fields POST /contact has always accepted */
+export const CONTACT_FORM = parseFormDefinitions(
+  [
+    {
+      id: "contact",
+      title: "Contact",
+      fields: [
+        { name: "name", label: "Name", type: "text", required: true, minLength: 2, maxLength: 120 },
+        { name: "email", label: "Email", type: "email", required: true, maxLength: 254 },
+        { name: "company", label: "Company", type: "text", maxLength: 120 },
+        { name: "phone", label: "Phone", type: "tel", maxLength: 30 },
+        {
+          name: "message",
+          label: "Message",
+          type: "textarea",
+          required: true,
+          minLength: 10,
+          maxLength: 4000,
+          spamCheck: true,
+        },
+      ],
+    },
+  ],
+  { allowContact: true }
+)[0];
+
+/**
+ * The fields POST /booking accepts. The handler adds the rules that depend on
+ * configuration: `bookingType` must be a listed meeting type, `timezone` an
+ * IANA zone and `slotStart` an open slot.
+ */
+export const BOOKING_FORM = parseFormDefinitions([
+  {
+    id: "booking",
+    title: "Booking",
+    fields: [
+      { name: "name", label: "Name", type: "text", required: true, minLength: 2, maxLength: 120 },
+      { name: "email", label: "Email", type: "email", required: true, maxLength: 254 },
+      { name: "company", label: "Company", type: "text", maxLength: 120 },
+      { name: "notes", label: "Notes", type: "textarea", maxLength: 1500 },
+      { name: "timezone", label: "Timezone", type: "text", maxLength: 64 },
+      {
+        name: "slotStart",
+        label: "Slot",
+        type: "text",
+        required: true,
+        minLength: 16,
+        maxLength: 40,
+        pattern: "\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?Z",
+        patternMessage: "Slot must be a valid UTC ISO timestamp.",
+        requiredMessage: "A slot is required.",
+      },
+      { name: "bookingType", label: "Booking type", type: "text", maxLength: 64 },
+    ],
+  },
+])[0];
+
+/**
+ * Loads definitions from an inline JSON value (env) or a JSON file, and puts
+ * the built-in contact form first.
+ */
+export function loadFormDefinitions({ json, filePath }) {
+  let forms = [];
+  if (json) {
+    forms = parseFormDefinitions(json);
+  } else if (filePath && existsSync(filePath)) {
+    forms = parseFormDefinitions(readFileSync(filePath, "utf8"));
+  }
+  return [CONTACT_FORM, ...forms];
+}
+
+/**
+ * Lists the form messages that have no text for one of `locales`, e.g.
+ * `careers.successMessage is missing ja`. Plain text counts as English only.
+ */
+export function formMessageProblems(forms, locales = SUPPORTED_LOCALES) {
+  const problems = [];
+  const check = (name, text) => {
+    if (text === null) return;
+    const missing = locales.filter((locale) =>
+      typeof text === "string" ? locale !== DEFAULT_LOCALE : typeof text[locale] !== "string"
+    );
+    if (missing.length > 0) problems.push(`${name} is missing ${missing.join(", ")}`);
+  };
+  for (const form of forms) {
+    check(`${form.id}.successMessage`, form.successMessage);
+    for (const field of form.fields) {
+      for (const key of LOCALISED_FIELD_MESSAGES) {
+        check(`${form.id}.${field.name}.${key}`, field[key]);
+      }
+    }
+  }
+  return problems;
+}
+
+/** The form's success message in the request's locale */
+export function formSuccessMessage(form, t = createTranslator()) {
+  return form.successMessage === null
+    ? t("form.success")
+    : localisedText(form.successMessage, t.locale);
+}
+
+/** Public view of a form for GET /forms/{formId}; recipients stay private */
+export function describeForm(form) {
+  return {
+    id: form.id,
+    title: form.title,
+    description: form.description,
+    fields: form.fields.map((field) => {
+      const described = {
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        required: field.required,
+      };
+      for (const key of ["minLength", "maxLength", "min", "max", "pattern"]) {
+        if (field[key] !== null) described[key] = field[key];
+      }
+      if (field.type === "select") {
+        described.options = field.options;
+        described.multiple = field.multiple;
+      }
+      if (field.placeholder) described.placeholder = field.placeholder;
+      if (field.help) described.help = field.help;
+      return described;
+    }),
+  };
+}
+
+const STRING_FORMATS = { email: "email", url: "uri", date: "date" };
+// Built-in checks that JSON Schema can express as a pattern
+const TYPE_PATTERNS = { email: EMAIL_RE.source, tel: PHONE_RE.source, date: DATE_RE.source };
+
+function optionalPattern(source, required) {
+  const body = source.replace(/^\^/, "").replace(/\$$/, "");
+  return required ? `^(?:${body})$` : `^(?:${body})?$`;
+}
+
+function fieldJsonSchema(field) {
+  const schema = { title: field.label };
+  if (field.type === "number") {
+    schema.type = field.required ? "number" : ["number", "null"];
+    if (field.min !== null) schema.minimum = field.min;
+    if (field.max !== null) schema.maximum = field.max;
+  } else if (field.type === "checkbox") {
+    schema.type = "boolean";
+    if (field.required) schema.const = true;
+  } else if (field.type === "select") {
+    const values = field.options.map((option) => option.value);
+    if (field.multiple) {
+      Object.assign(schema, { type: "array", items: { type: "string", enum: values } });
+      if (field.required) schema.minItems = 1;
+    } else {
+      // Optional selects accept "" for "no choice".
+      Object.assign(schema, { type: "string", enum: field.required ? values : ["", ...values] });
+    }
+  } else {
+    schema.type = "string";
+    if (STRING_FORMATS[field.type]) schema.format = STRING_FORMATS[field.type];
+    if (field.minLength && field.required) schema.minLength = field.minLength;
+    schema.maxLength = field.maxLength;
+    const patterns = [TYPE_PATTERNS[field.type], field.pattern]
+      .filter(Boolean)
+      .map((source) => optionalPattern(source, field.required));
+    if (patterns.length > 0) schema.pattern = patterns[0];
+    if (patterns.length > 1) schema.allOf = [{ pattern: patterns[1] }];
+    const notes = [];
+    if (field.minLength && !field.required) {
+      notes.push(`Empty, or at least ${field.minLength} characters.`);
+    }
+    if (field.spamCheck) notes.push("Rejected with more than 3 links or 15 repeated characters.");
+    if (notes.length > 0) schema.description = notes.join(" ");
+  }
+  if (field.help) schema.description = [field.help, schema.description].filter(Boolean).join(" ");
+  return schema;
+}
+
+/**
+ * JSON Schema (2020-12) for a form's request body. Values are checked after
+ * trimming; keys outside the form are ignored, so the object stays open.
+ */
+export function formJsonSchema(form) {
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      form.fields.map((field) => [field.name, fieldJsonSchema(field)])
+    ),
+    required: form.fields.filter((field) => field.required).map((field) => field.name),
+  };
+}
+
+function normaliseValue(field, value) {
+  if (value === undefined || value === null) {
+    if (field.type === "checkbox") return false;
+    if (field.type === "number") return null;
+    if (field.type === "select" && field.multiple) return [];
+    return "";
+  }
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  // HTML form posts send strings: "on" for a ticked box, one value per select.
+  if (field.type === "checkbox") return !["", "false", "off", "0"].includes(trimmed);
+  if (field.type === "select" && field.multiple) return trimmed === "" ? [] : [trimmed];
+  if (field.type === "email") return trimmed.toLowerCase();
+  if (field.type === "number" && trimmed !== "" && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (field.type === "number" && trimmed === "") return null;
+  return trimmed;
+}
+
+/** Picks the form's fields out of a request body; other keys are ignored */
+export function normaliseFormInput(form, body) {
+  const input = {};
+  for (const field of form.fields) {
+    input[field.name] = normaliseValue(field, body[field.name]);
+  }
+  return input;
+}
+
+function isEmpty(value) {
+  return (
+    value === "" || value === null || value === false || (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function spamError(field, value, t) {
+  const urlCount = value.match(/https?:\/\//g)?.length || 0;
+  if (urlCount > 3) return t("validation.tooManyLinks", { label: field.label });
+  if (/(.)\1{14,}/.test(value)) return t("validation.spam", { label: field.label });
+  return null;
+}
+
+function requiredError(field, t) {
+  if (field.requiredMessage) return localisedText(field.requiredMessage, t.locale);
+  const { label, minLength } = field;
+  if (field.type === "email") {
+    return t("validation.emailRequired", { lowerLabel: label.toLowerCase() });
+  }
+  return minLength
+    ? t("validation.requiredMinLength", { label, minLength })
+    : t("validation.required", { label });
+}
+
+function textError(field, value, t) {
+  const { label } = field;
+  if (typeof value !== "string") {
+    return field.required ? requiredError(field, t) : t("validation.text", { label });
+  }
+  if (value === "") return field.required ? requiredError(field, t) : null;
+  if (field.minLength && value.length < field.minLength) {
+    return field.required
+      ? requiredError(field, t)
+      : t("validation.minLength", { label, minLength: field.minLength });
+  }
+  if (field.type === "email" && !EMAIL_RE.test(value)) {
+    return field.required
+      ? t("validation.emailRequired", { lowerLabel: label.toLowerCase() })
+      : t("validation.email", { label });
+  }
+  if (field.type === "tel" && !PHONE_RE.test(value)) {
+    return t("validation.format", { label });
+  }
+  if (field.type === "url" && !/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(value)) {
+    return t("validation.url", { label });
+  }
+  if (
+    field.type === "date" &&
+    (!DATE_RE.test(value) || new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value)
+  ) {
+    return t("validation.date", { label });
+  }
+  if (field.patternRe && !field.patternRe.test(value)) {
+    return field.patternMessage
+      ? localisedText(field.patternMessage, t.locale)
+      : t("validation.format", { label });
+  }
+  if (value.length > field.maxLength) {
+    return t("validation.maxLength", { label, maxLength: field.maxLength });
+  }
+  return field.spamCheck ? spamError(field, value, t) : null;
+}
+
+function numberError(field, value, t) {
+  const { label, min, max } = field;
+  if (value === null) return field.required ? requiredError(field, t) : null;
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return t("validation.number", { label });
+  }
+  if (min !== null && max !== null && (value < min || value > max)) {
+    return t("validation.numberBetween", { label, min, max });
+  }
+  if (min !== null && value < min) return t("validation.numberMin", { label, min });
+  if (max !== null && value > max) return t("validation.numberMax", { label, max });
+  return null;
+}
+
+function selectError(field, value, t) {
+  const allowed = new Set(field.options.map((option) => option.value));
+  const choiceError = () =>
+    t("validation.choice", {
+      label: field.label,
+      choices: field.options.map((option) => option.value).join(", "),
+    });
+  if (field.multiple) {
+    if (!Array.isArray(value) || !value.every((item) => typeof item === "string")) {
+      return t("validation.choiceList", { label: field.label });
+    }
+    if (value.length === 0) return field.required ? requiredError(field, t) : null;
+    return value.every((item) => allowed.has(item)) ? null : choiceError();
+  }
+  if (typeof value !== "string") return choiceError();
+  if (value === "") return field.required ? requiredError(field, t) : null;
+  return allowed.has(value) ? null : choiceError();
+}
+
+function checkboxError(field, value, t) {
+  if (typeof value !== "boolean") return t("validation.boolean", { label: field.label });
+  if (!field.required || value) return null;
+  return field.requiredMessage
+    ? localisedText(field.requiredMessage, t.locale)
+    : t("validation.accepted", { label: field.label });
+}
+
+/**
+ * A built-in field with its label and custom messages from the catalogue,
+ * e.g. "label.slotStart" and "booking.slotStart.required".
+ */
+function localisedField(form, field, t) {
+  const key = `${form.id}.${field.name}`;
+  return {
+    ...field,
+    label: t(`label.${field.name}`),
+    requiredMessage: field.requiredMessage && t(`${key}.required`),
+    patternMessage: field.patternMessage && t(`${key}.pattern`),
+  };
+}
+
+/**
+ * Returns `{ [fieldName]: message }` for every field that fails its rules,
+ * with messages from `t` (English by default)
+ */
+export function validateFormInput(form, input, t = createTranslator()) {
+  const builtIn = form === CONTACT_FORM || form === BOOKING_FORM;
+  const fieldErrors = {};
+  for (const formField of form.fields) {
+    const field = builtIn ? localisedField(form, formField, t) : formField;
+    const value = input[field.name];
+    let error;
+    if (field.type === "number") error = numberError(field, value, t);
+    else if (field.type === "select") error = selectError(field, value, t);
+    else if (field.type === "checkbox") error = checkboxError(field, value, t);
+    else error = textError(field, value, t);
+    if (error) fieldErrors[field.name] = error;
+  }
+  return fieldErrors;
+}
+
+/**
+ * Label/value rows for the notification email, in field order; empty
+ * optional fields read "Not provided".
+ */
+export function formEmailRows(form, input) {
+  return form.fields.map((field) => {
+    const value = input[field.name];
+    let display;
+    if (isEmpty(value) && field.type !== "checkbox") {
+      display = "Not provided";
+    } else if (field.type === "checkbox") {
+      display = value ? "Yes" : "No";
+    } else if (field.type === "select") {
+      const labels = new Map(field.options.map((option) => [option.value, option.label]));
+      display = (Array.isArray(value) ? value : [value])
+        .map((item) => labels.get(item) ?? item)
+        .join(", ");
+    } else {
+      display = String(value);
+    }
+    return {
+      name: field.name,
+      label: field.label,
+      value: display,
+      multiline: field.type === "textarea",
+    };
+  });
+}
+
+/** Fills `{{field}}` tags in the form's subject with submitted values */
+export function renderFormSubject(form, input) {
+  const rows = new Map(formEmailRows(form, input).map((row) => [row.name, row.value]));
+  return form.subject
+    .replace(SUBJECT_TAG_RE, (_, name) => (isEmpty(input[name]) ? "" : rows.get(name) ?? ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,317 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+import {
+  CONTACT_FORM,
+  describeForm,
+  formEmailRows,
+  formJsonSchema,
+  formMessageProblems,
+  formSuccessMessage,
+  loadFormDefinitions,
+  normaliseFormInput,
+  parseFormDefinitions,
+  renderFormSubject,
+  validateFormInput,
+} from "./form-definitions.mjs";
+import { createTranslator } from "./messages.mjs";
+
+const [workshop] = parseFormDefinitions([
+  {
+    id: "workshop",
+    title: "Workshop registration",
+    subject: "Workshop: {{ workshop }} for {{company}}",
+    recipients: { to: ["events@example.com"] },
+    fields: [
+      { name: "name", label: "Name", type: "text", required: true, minLength: 2 },
+      { name: "email", label: "Email", type: "email", required: true },
+      { name: "company", label: "Company", type: "text" },
+      {
+        name: "workshop",
+        label: "Workshop",
+        type: "select",
+        required: true,
+        options: ["terraform", { value: "aws", label: "AWS landing zones" }],
+      },
+      { name: "attendees", label: "Attendees", type: "number", min: 1, max: 20 },
+      { name: "date", label: "Preferred date", type: "date" },
+      {
+        name: "code",
+        label: "Invite code",
+        type: "text",
+        pattern: "[A-Z]{3}-\\d{3}",
+        patternMessage: "Invite code looks like ABC-123.",
+      },
+      { name: "notes", label: "Notes", type: "textarea", maxLength: 200 },
+      { name: "consent", label: "Consent", type: "checkbox", required: true },
+    ],
+  },
+]);
+
+const FORMS_FILE = fileURLToPath(new URL("./forms.json", import.meta.url));
+
+test("loads the bundled forms after the built-in contact form", () => {
+  const forms = loadFormDefinitions({ filePath: FORMS_FILE });
+  assert.equal(forms[0], CONTACT_FORM);
+  assert.deepEqual(
+    forms.map((form) => form.id),
+    ["contact", "partner-enquiry", "careers", "workshop-registration"]
+  );
+  assert.deepEqual(loadFormDefinitions({ filePath: "/missing/forms.json" }), [CONTACT_FORM]);
+  // Inline JSON replaces the file rather than adding to it.
+  assert.deepEqual(loadFormDefinitions({ json: "[]", filePath: FORMS_FILE }), [CONTACT_FORM]);
+});
+
+test("fills defaults and leaves unset recipients to the target settings", () => {
+  assert.equal(workshop.successMessage, null);
+  assert.equal(formSuccessMessage(workshop), "Thank you. We'll be in touch soon.");
+  assert.equal(
+    formSuccessMessage(workshop, createTranslator("ja")),
+    "ありがとうございます。追ってご連絡いたします。"
+  );
+  assert.equal(workshop.replyToField, "email");
+  assert.deepEqual(workshop.recipients, { to: ["events@example.com"], cc: null, bcc: null });
+  assert.equal(CONTACT_FORM.subject, "Contact submission");
+});
+
+test("collects every problem in one error", () => {
+  assert.throws(
+    () =>
+      parseFormDefinitions([
+        {
+          id: "Bad Id",
+          title: "",
+          subject: "Hello {{missing}}",
+          recipients: { to: [], cc: ["not-an-email"] },
+          replyToField: "name",
+          successMessage: { ja: "ありがとうございます。" },
+          fields: [
+            { name: "name", label: "Name", type: "text", requiredMessage: { en: "" } },
+            { name: "name", label: "Again", type: "colour" },
+            { name: "formToken", label: "Token", type: "text" },
+            { name: "pick", label: "Pick", type: "select", options: [] },
+          ],
+        },
+        { id: "contact", title: "Contact", fields: [{ name: "a", label: "A", type: "text" }] },
+      ]),
+    (err) => {
+      assert.match(err.message, /^Invalid form definitions: /);
+      for (const problem of [
+        /forms\[0\] needs an "id"/,
+        /forms\[0\] needs a "title"/,
+        /"recipients.to" needs at least one address/,
+        /"recipients.cc" must list email addresses/,
+        /forms\[0\] repeats field "name"/,
+        /"replyToField" must name an email field/,
+        /"subject" uses unknown field "missing"/,
+        /cannot redefine the built-in "contact" form/,
+        /forms\[0\] "successMessage" must be text or \{ "<locale>": text \} with "en"/,
+        /forms\[0\]\.fields\[0\] "requiredMessage" must be text or/,
+      ]) {
+        assert.match(err.message, problem);
+      }
+      return true;
+    }
+  );
+  assert.throws(() => parseFormDefinitions("{}"), /expected a JSON array/);
+});
+
+test("describes fields for client-side rendering without recipients", () => {
+  const described = describeForm(workshop);
+  assert.equal(described.id, "workshop");
+  assert.equal(described.recipients, undefined);
+  assert.equal(described.subject, undefined);
+  assert.deepEqual(described.fields[3], {
+    name: "workshop",
+    label: "Workshop",
+    type: "select",
+    required: true,
+    options: [
+      { value: "terraform", label: "terraform" },
+      { value: "aws", label: "AWS landing zones" },
+    ],
+    multiple: false,
+  });
+  assert.deepEqual(described.fields[4], {
+    name: "attendees",
+    label: "Attendees",
+    type: "number",
+    required: false,
+    min: 1,
+    max: 20,
+  });
+});
+
+test("normalises and validates submissions against the field rules", () => {
+  const input = normaliseFormInput(workshop, {
+    name: " J ",
+    email: " JANE@Example.com ",
+    workshop: "gardening",
+    attendees: "25",
+    date: "2030-02-30",
+    code: "abc",
+    notes: "x".repeat(201),
+    extra: "ignored",
+  });
+  assert.equal(input.email, "jane@example.com");
+  assert.equal(input.attendees, 25);
+  assert.equal(input.consent, false);
+  assert.equal("extra" in input, false);
+
+  assert.deepEqual(validateFormInput(workshop, input), {
+    name: "Name is required (min 2 characters).",
+    workshop: "Workshop must be one of: terraform, aws.",
+    attendees: "Attendees must be between 1 and 20.",
+    date: "Preferred date must be a date (YYYY-MM-DD).",
+    code: "Invite code looks like ABC-123.",
+    notes: "Notes must be 200 characters or less.",
+    consent: "Consent must be accepted.",
+  });
+
+  const valid = normaliseFormInput(workshop, {
+    name: "Jane",
+    email: "jane@example.com",
+    workshop: "aws",
+    attendees: 3,
+    code: "ABC-123",
+    consent: true,
+  });
+  assert.deepEqual(validateFormInput(workshop, valid), {});
+
+  // HTML form posts send every value as a string.
+  const posted = normaliseFormInput(workshop, { consent: "on", attendees: "" });
+  assert.equal(posted.consent, true);
+  assert.equal(posted.attendees, null);
+  assert.equal(normaliseFormInput(workshop, { consent: "" }).consent, false);
+});
+
+test("keeps the contact form's original validation messages", () => {
+  const input = normaliseFormInput(CONTACT_FORM, {
+    name: "J",
+    email: 42,
+    phone: "abc",
+    message: "a".repeat(20),
+  });
+  const fieldErrors = validateFormInput(CONTACT_FORM, input);
+  assert.deepEqual(fieldErrors, {
+    name: "Name is required (min 2 characters).",
+    email: "Valid email is required.",
+    phone: "Phone format looks invalid.",
+    message: "Message looks like spam.",
+  });
+});
+
+test("translates messages, and the built-in forms' labels, with the given translator", () => {
+  const ja = createTranslator("ja");
+  const contact = normaliseFormInput(CONTACT_FORM, { name: "J", email: "jane", message: "" });
+  assert.deepEqual(validateFormInput(CONTACT_FORM, contact, ja), {
+    name: "お名前は必須です（2文字以上）。",
+    email: "有効なメールアドレスを入力してください。",
+    message: "メッセージは必須です（10文字以上）。",
+  });
+
+  // Configured forms keep their own labels and custom messages.
+  const input = normaliseFormInput(workshop, {
+    name: "Jane",
+    email: "jane@example.com",
+    workshop: "gardening",
+    code: "abc",
+    consent: true,
+  });
+  assert.deepEqual(validateFormInput(workshop, input, ja), {
+    workshop: "Workshopは次のいずれかを選択してください: terraform, aws",
+    code: "Invite code looks like ABC-123.",
+  });
+});
+
+test("picks per-locale form messages for the request's locale", () => {
+  const [form] = parseFormDefinitions([
+    {
+      id: "survey",
+      title: "Survey",
+      successMessage: { en: "Thanks.", ja: "ありがとうございます。" },
+      fields: [
+        {
+          name: "room",
+          label: "Room",
+          type: "text",
+          required: true,
+          requiredMessage: { en: "Pick a room.", ja: "部屋を選んでください。" },
+        },
+      ],
+    },
+  ]);
+  const input = normaliseFormInput(form, {});
+  assert.deepEqual(validateFormInput(form, input), { room: "Pick a room." });
+  assert.deepEqual(validateFormInput(form, input, createTranslator("ja")), {
+    room: "部屋を選んでください。",
+  });
+  assert.equal(formSuccessMessage(form, createTranslator("ja")), "ありがとうございます。");
+  // Locales without their own text get English.
+  assert.equal(formSuccessMessage(form, createTranslator("fr")), "Thanks.");
+});
+
+test("lists form messages that lack a locale", () => {
+  const [form] = parseFormDefinitions([
+    {
+      id: "survey",
+      title: "Survey",
+      successMessage: { en: "Thanks.", ja: "ありがとうございます。" },
+      fields: [
+        { name: "name", label: "Name", type: "text", required: true, requiredMessage: "Name?" },
+        {
+          name: "code",
+          label: "Code",
+          type: "text",
+          pattern: "\\d+",
+          patternMessage: { en: "Digits only." },
+        },
+      ],
+    },
+  ]);
+  assert.deepEqual(formMessageProblems([form], ["en", "ja"]), [
+    "survey.name.requiredMessage is missing ja",
+    "survey.code.patternMessage is missing ja",
+  ]);
+  assert.deepEqual(formMessageProblems([form], ["en"]), []);
+});
+
+test("renders email rows and the subject from submitted values", () => {
+  const values = normaliseFormInput(workshop, {
+    name: "Jane",
+    email: "jane@example.com",
+    workshop: "aws",
+    attendees: 3,
+    notes: "Line one\nLine two",
+    consent: true,
+  });
+  const rows = formEmailRows(workshop, values);
+  assert.deepEqual(rows[3], {
+    name: "workshop",
+    label: "Workshop",
+    value: "AWS landing zones",
+    multiline: false,
+  });
+  assert.equal(rows[2].value, "Not provided");
+  assert.equal(rows[4].value, "3");
+  assert.equal(rows[7].multiline, true);
+  assert.equal(rows[8].value, "Yes");
+  // Empty fields drop out of the subject rather than reading "Not provided".
+  assert.equal(renderFormSubject(workshop, values), "Workshop: AWS landing zones for");
+});
+
+test("builds a JSON Schema that matches the field rules", () => {
+  const schema = formJsonSchema(workshop);
+  assert.deepEqual(schema.required, ["name", "email", "workshop", "consent"]);
+  assert.deepEqual(schema.properties.workshop.enum, ["terraform", "aws"]);
+  assert.deepEqual(schema.properties.attendees, {
+    title: "Attendees",
+    type: ["number", "null"],
+    minimum: 1,
+    maximum: 20,
+  });
+  assert.equal(schema.properties.code.pattern, "^(?:[A-Z]{3}-\\d{3})?$");
+  assert.equal(schema.properties.notes.maxLength, 200);
+  assert.deepEqual(schema.properties.consent, { title: "Consent", type: "boolean", const: true });
+});
@@ -0,0 +1,159 @@
+/**
+ * HTML form posts (no JavaScript) for POST /contact, /forms/{formId} and /booking
+ *
+ * Browsers send `application/x-www-form-urlencoded` or `multipart/form-data`
+ * and navigate to whatever comes back, so instead of JSON they get a 303 to a
+ * success or error page, configured per form id (`contact`, `booking`, ...):
+ *
+ *   {
+ *     "contact": {
+ *       "successUrl": "https://www.waterapps.com.au/contact/thanks",
+ *       "errorUrl": "https://www.waterapps.com.au/contact"
+ *     }
+ *   }
+ *
+ * A form can name its own pages in hidden `successUrl` / `errorUrl` fields;
+ * otherwise the configured page, then the Referer, then the site root is used.
+ * Every target must be on the allowed-origin list. Errors arrive as `code`,
+ * `message` and one `fieldErrors.<name>` parameter per failed field.
+ */
+
+const FORM_CONTENT_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+
+// Response fields passed to the redirect target's query string
+const REDIRECT_PARAMS = [
+  "status",
+  "code",
+  "message",
+  "bookingId",
+  "bookingType",
+  "slotStart",
+  "slotEnd",
+  "requestId",
+];
+
+function mediaType(contentType) {
+  return String(contentType || "").split(";")[0].trim().toLowerCase();
+}
+
+export function isFormContentType(contentType) {
+  return FORM_CONTENT_TYPES.includes(mediaType(contentType));
+}
+
+function addValue(fields, name, value) {
+  if (!Object.hasOwn(fields, name)) fields[name] = value;
+  else if (Array.isArray(fields[name])) fields[name].push(value);
+  else fields[name] = [fields[name], value];
+}
+
+function parseMultipart(text, contentType) {
+  const boundary = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if (!boundary) throw new Error("Multipart body has no boundary.");
+
+  const fields = Object.create(null);
+  const parts = text.split(`--${boundary[1] || boundary[2]}`);
+  let closed = false;
+  for (const part of parts.slice(1)) {
+    if (part.startsWith("--")) {
+      closed = true;
+      break;
+    }
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (!part.startsWith("\r\n") || headerEnd === -1) {
+      throw new Error("Multipart part is malformed.");
+    }
+    const disposition = part
+      .slice(2, headerEnd)
+      .split("\r\n")
+      .find((line) => /^content-disposition:/i.test(line));
+    const name = disposition?.match(/;\s*name="([^"]*)"/i)?.[1];
+    if (!name) throw new Error("Multipart part has no field name.");
+    // Files are not accepted on these routes; the upload is dropped.
+    if (/;\s*filename\*?=/i.test(disposition)) continue;
+    addValue(fields, name, part.slice(headerEnd + 4).replace(/\r\n$/, ""));
+  }
+  if (!closed) throw new Error("Multipart body is not terminated.");
+  return fields;
+}
+
+/**
+ * Parses a urlencoded or multipart body into `{ name: value }`. Values are
+ * strings; a repeated name becomes an array. Throws on a malformed body.
+ */
+export function parseFormBody(text, contentType) {
+  if (mediaType(contentType) === "multipart/form-data") {
+    return parseMultipart(text, contentType);
+  }
+  const fields = Object.create(null);
+  for (const [name, value] of new URLSearchParams(text)) addValue(fields, name, value);
+  return fields;
+}
+
+/** True when the client posted a form and did not ask for JSON back */
+export function wantsFormRedirect(contentType, accept) {
+  return isFormContentType(contentType) && !String(accept || "").includes("application/json");
+}
+
+function urlOrigin(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:" ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/** `pages` are the form ids that can be configured */
+export function parseFormRedirects(raw, { allowedOrigins, pages }) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid form redirects: expected a JSON object.");
+  }
+
+  const problems = [];
+  const redirects = {};
+  for (const [page, entry] of Object.entries(config)) {
+    if (!pages.includes(page)) {
+      problems.push(`"${page}" is not one of ${pages.join(", ")}`);
+      continue;
+    }
+    redirects[page] = { successUrl: null, errorUrl: null };
+    for (const key of ["successUrl", "errorUrl"]) {
+      const value = entry?.[key];
+      if (value === undefined || value === null || value === "") continue;
+      if (!allowedOrigins.includes(urlOrigin(value))) {
+        problems.push(`${page} "${key}" must be a URL on an allowed origin`);
+        continue;
+      }
+      redirects[page][key] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid form redirects: ${problems.join("; ")}.`);
+  }
+  return redirects;
+}
+
+/** The first candidate URL on an allowed origin, or null */
+export function pickRedirectTarget(candidates, allowedOrigins) {
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string" || candidate === "") continue;
+    if (allowedOrigins.includes(urlOrigin(candidate))) return candidate;
+  }
+  return null;
+}
+
+/** Adds a JSON response's status, code, message, ids and field errors to `target` */
+export function formRedirectLocation(target, payload) {
+  const url = new URL(target);
+  for (const key of REDIRECT_PARAMS) {
+    if (payload[key] !== undefined && payload[key] !== null) {
+      url.searchParams.set(key, String(payload[key]));
+    }
+  }
+  for (const [name, message] of Object.entries(payload.fieldErrors || {})) {
+    url.searchParams.set(`fieldErrors.${name}`, message);
+  }
+  return url.toString();
+}
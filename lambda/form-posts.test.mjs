@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  formRedirectLocation,
+  isFormContentType,
+  parseFormBody,
+  parseFormRedirects,
+  pickRedirectTarget,
+  wantsFormRedirect,
+} from "./form-posts.mjs";
+
+const ALLOWED = ["https://www.waterapps.com.au", "http://localhost:3000"];
+
+function multipart(boundary, parts) {
+  const body = parts
+    .map(
+      ([disposition, value]) =>
+        `--${boundary}\r\nContent-Disposition: form-data; ${disposition}\r\n\r\n${value}\r\n`
+    )
+    .join("");
+  return `${body}--${boundary}--\r\n`;
+}
+
+test("recognises form content types", () => {
+  assert.equal(isFormContentType("application/x-www-form-urlencoded; charset=UTF-8"), true);
+  assert.equal(isFormContentType("Multipart/Form-Data; boundary=x"), true);
+  assert.equal(isFormContentType("application/json"), false);
+  assert.equal(isFormContentType(undefined), false);
+
+  assert.equal(wantsFormRedirect("application/x-www-form-urlencoded", "text/html,*/*"), true);
+  assert.equal(wantsFormRedirect("application/x-www-form-urlencoded", "application/json"), false);
+  assert.equal(wantsFormRedirect("application/json", "text/html"), false);
+});
+
+test("parses urlencoded bodies, keeping repeated names as lists", () => {
+  const fields = parseFormBody(
+    "name=Jane+Tester&email=jane%40example.com&topic=a&topic=b&empty=",
+    "application/x-www-form-urlencoded"
+  );
+  assert.deepEqual({ ...fields }, {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    topic: ["a", "b"],
+    empty: "",
+  });
+});
+
+test("parses multipart bodies and drops file parts", () => {
+  const body = multipart("----form42", [
+    ['name="name"', "Jane Tester"],
+    ['name="message"', "Line one\r\nLine two — ünïcode"],
+    ['name="cv"; filename="cv.pdf"', "%PDF-1.7"],
+  ]);
+  const fields = parseFormBody(body, 'multipart/form-data; boundary="----form42"');
+  assert.deepEqual({ ...fields }, {
+    name: "Jane Tester",
+    message: "Line one\r\nLine two — ünïcode",
+  });
+
+  assert.throws(() => parseFormBody(body, "multipart/form-data"), /no boundary/);
+  const unterminated = body.replace("----form42--", "----form4");
+  assert.throws(
+    () => parseFormBody(unterminated, "multipart/form-data; boundary=----form42"),
+    /not terminated/
+  );
+  const nameless = "--b\r\nX-Other: 1\r\n\r\nvalue\r\n--b--";
+  assert.throws(
+    () => parseFormBody(nameless, "multipart/form-data; boundary=b"),
+    /no field name/
+  );
+});
+
+test("validates configured pages against the allowed origins", () => {
+  const redirects = parseFormRedirects(
+    { contact: { successUrl: "https://www.waterapps.com.au/thanks" } },
+    { allowedOrigins: ALLOWED, pages: ["contact", "booking"] }
+  );
+  assert.deepEqual(redirects, {
+    contact: { successUrl: "https://www.waterapps.com.au/thanks", errorUrl: null },
+  });
+
+  assert.throws(
+    () =>
+      parseFormRedirects(
+        {
+          careers: { successUrl: "https://www.waterapps.com.au/thanks" },
+          booking: { errorUrl: "https://evil.example/phish", successUrl: "/relative" },
+        },
+        { allowedOrigins: ALLOWED, pages: ["contact", "booking"] }
+      ),
+    (err) => {
+      assert.match(err.message, /^Invalid form redirects: /);
+      assert.match(err.message, /"careers" is not one of contact, booking/);
+      assert.match(err.message, /booking "successUrl" must be a URL on an allowed origin/);
+      assert.match(err.message, /booking "errorUrl" must be a URL on an allowed origin/);
+      return true;
+    }
+  );
+  assert.throws(
+    () => parseFormRedirects("[]", { allowedOrigins: ALLOWED, pages: [] }),
+    /JSON object/
+  );
+});
+
+test("only redirects to allowed origins", () => {
+  assert.equal(
+    pickRedirectTarget(
+      [
+        undefined,
+        ["https://www.waterapps.com.au/a", "https://www.waterapps.com.au/b"],
+        "https://evil.example/",
+        "https://www.waterapps.com.au.evil.example/",
+        "javascript:alert(1)",
+        "http://localhost:3000/contact",
+      ],
+      ALLOWED
+    ),
+    "http://localhost:3000/contact"
+  );
+  assert.equal(pickRedirectTarget(["https://evil.example/", ""], ALLOWED), null);
+});
+
+test("passes the result and field errors in the query string", () => {
+  const location = formRedirectLocation("https://www.waterapps.com.au/contact?ref=nav#form", {
+    status: "error",
+    code: "validation_failed",
+    message: "Please correct the highlighted fields and try again.",
+    fieldErrors: { email: "Valid email is required." },
+    requestId: "req-1",
+    retryAfterSeconds: 30,
+  });
+  const url = new URL(location);
+  assert.equal(url.pathname, "/contact");
+  assert.equal(url.hash, "#form");
+  assert.equal(url.searchParams.get("ref"), "nav");
+  assert.equal(url.searchParams.get("code"), "validation_failed");
+  assert.equal(url.searchParams.get("fieldErrors.email"), "Valid email is required.");
+  assert.equal(url.searchParams.get("requestId"), "req-1");
+  assert.equal(url.searchParams.has("retryAfterSeconds"), false);
+});
@@ -0,0 +1,74 @@
+/**
+ * Single-use tracking for form tokens
+ *
+ * A token id is claimed once with a conditional put; the record only needs
+ * to outlive the token itself, so it expires with it. A submission that
+ * fails after claiming releases the id, so the sender can retry.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DeleteCommand, DynamoDBDocumentClient, PutCommand } from "@aws-sdk/lib-dynamodb";
+
+export function createMemoryFormTokenStore() {
+  const claimed = new Map();
+
+  return {
+    async claimToken({ tokenId, expiresAt, now = new Date() }) {
+      for (const [id, expiry] of claimed) {
+        if (expiry <= now.getTime()) claimed.delete(id);
+      }
+      if (claimed.has(tokenId)) return false;
+      claimed.set(tokenId, expiresAt.getTime());
+      return true;
+    },
+
+    async releaseToken({ tokenId }) {
+      claimed.delete(tokenId);
+    },
+  };
+}
+
+export function createDynamoFormTokenStore({
+  tableName,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  return {
+    async claimToken({ tokenId, expiresAt, now = new Date() }) {
+      try {
+        await client.send(
+          new PutCommand({
+            TableName: tableName,
+            Item: {
+              token_id: tokenId,
+              claimed_at: now.toISOString(),
+              expires_at: Math.floor(expiresAt.getTime() / 1000),
+            },
+            ConditionExpression: "attribute_not_exists(token_id)",
+          })
+        );
+        return true;
+      } catch (err) {
+        if (err?.name === "ConditionalCheckFailedException") return false;
+        throw err;
+      }
+    },
+
+    async releaseToken({ tokenId }) {
+      await client.send(
+        new DeleteCommand({
+          TableName: tableName,
+          Key: { token_id: tokenId },
+        })
+      );
+    },
+  };
+}
+
+export function createFormTokenStore({ tableName } = {}) {
+  if (tableName) return createDynamoFormTokenStore({ tableName });
+  return createMemoryFormTokenStore();
+}
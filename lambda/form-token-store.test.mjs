@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createDynamoFormTokenStore,
+  createMemoryFormTokenStore,
+} from "./form-token-store.mjs";
+
+const expiresAt = new Date("2026-03-01T01:00:00Z");
+
+test("memory store accepts each token id once", async () => {
+  const store = createMemoryFormTokenStore();
+  const now = new Date("2026-03-01T00:00:00Z");
+
+  assert.equal(await store.claimToken({ tokenId: "token-1", expiresAt, now }), true);
+  assert.equal(await store.claimToken({ tokenId: "token-1", expiresAt, now }), false);
+  assert.equal(await store.claimToken({ tokenId: "token-2", expiresAt, now }), true);
+
+  await store.releaseToken({ tokenId: "token-1" });
+  assert.equal(await store.claimToken({ tokenId: "token-1", expiresAt, now }), true);
+});
+
+test("memory store forgets token ids once they expire", async () => {
+  const store = createMemoryFormTokenStore();
+  await store.claimToken({
+    tokenId: "token-1",
+    expiresAt,
+    now: new Date("2026-03-01T00:00:00Z"),
+  });
+
+  assert.equal(
+    await store.claimToken({
+      tokenId: "token-1",
+      expiresAt: new Date("2026-03-01T03:00:00Z"),
+      now: new Date("2026-03-01T02:00:00Z"),
+    }),
+    true
+  );
+});
+
+test("dynamo store uses a conditional put and maps condition failures", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      if (commands.length > 1) {
+        const err = new Error("The conditional request failed");
+        err.name = "ConditionalCheckFailedException";
+        throw err;
+      }
+      return {};
+    },
+  };
+  const store = createDynamoFormTokenStore({ tableName: "form-tokens", client });
+
+  assert.equal(await store.claimToken({ tokenId: "token-1", expiresAt }), true);
+  assert.equal(await store.claimToken({ tokenId: "token-1", expiresAt }), false);
+  assert.equal(commands[0].TableName, "form-tokens");
+  assert.equal(commands[0].ConditionExpression, "attribute_not_exists(token_id)");
+  assert.equal(commands[0].Item.token_id, "token-1");
+  assert.equal(commands[0].Item.expires_at, Math.floor(expiresAt.getTime() / 1000));
+});
+
+test("dynamo store releases a token by deleting its record", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoFormTokenStore({ tableName: "form-tokens", client });
+
+  await store.releaseToken({ tokenId: "token-1" });
+  assert.deepEqual(commands, [{ TableName: "form-tokens", Key: { token_id: "token-1" } }]);
+});
+
+test("dynamo store rethrows unexpected errors", async () => {
+  const client = {
+    async send() {
+      const err = new Error("Throughput exceeded");
+      err.name = "ProvisionedThroughputExceededException";
+      throw err;
+    },
+  };
+  const store = createDynamoFormTokenStore({ tableName: "form-tokens", client });
+
+  await assert.rejects(() => store.claimToken({ tokenId: "token-1", expiresAt }), {
+    name: "ProvisionedThroughputExceededException",
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Signed form tokens (bot timing checks)
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+ * The payload carries a random id, the issuing origin and the issue time, so
+ * a submission can be rejected when it arrives too quickly after the form
+ * loaded, too long after, from another site, or with a token already used.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+
+function signature(secret, encodedPayload) {
+  return createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+export function signFormToken({ secret, origin, issuedAt, tokenId = randomUUID() }) {
+  const encodedPayload = Buffer.from(
+    JSON.stringify({
+      n: tokenId,
+      o: origin,
+      t: Math.floor(issuedAt.getTime() / 1000),
+    }),
+    "utf8"
+  ).toString("base64url");
+  return `${encodedPayload}.${signature(secret, encodedPayload)}`;
+}
+
+/**
+ * Returns `{ tokenId, issuedAt, expiresAt }` or `{ error }` where error is
+ * "invalid", "too_fast" or "expired".
+ */
+export function verifyFormToken({
+  secret,
+  token,
+  origin,
+  now,
+  minAgeSeconds,
+  maxAgeSeconds,
+}) {
+  if (typeof token !== "string") return { error: "invalid" };
+  const [encodedPayload, providedSignature, ...rest] = token.split(".");
+  if (!encodedPayload || !providedSignature || rest.length > 0) {
+    return { error: "invalid" };
+  }
+
+  const expected = Buffer.from(signature(secret, encodedPayload), "utf8");
+  const provided = Buffer.from(providedSignature, "utf8");
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { error: "invalid" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid" };
+  }
+  if (typeof payload?.n !== "string" || payload.o !== origin || !Number.isFinite(payload.t)) {
+    return { error: "invalid" };
+  }
+
+  const ageSeconds = now.getTime() / 1000 - payload.t;
+  if (ageSeconds < minAgeSeconds) return { error: "too_fast" };
+  if (ageSeconds > maxAgeSeconds) return { error: "expired" };
+
+  return {
+    tokenId: payload.n,
+    issuedAt: new Date(payload.t * 1000),
+    expiresAt: new Date((payload.t + maxAgeSeconds) * 1000),
+  };
+}
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { signFormToken, verifyFormToken } from "./form-tokens.mjs";
+
+const secret = "test-secret";
+const origin = "https://www.waterapps.com.au";
+const issuedAt = new Date("2026-03-01T00:00:00Z");
+
+function verify(overrides = {}) {
+  return verifyFormToken({
+    secret,
+    token: signFormToken({ secret, origin, issuedAt, tokenId: "token-1" }),
+    origin,
+    now: new Date("2026-03-01T00:00:10Z"),
+    minAgeSeconds: 3,
+    maxAgeSeconds: 3600,
+    ...overrides,
+  });
+}
+
+test("verifies a token for the origin it was issued to", () => {
+  assert.deepEqual(verify(), {
+    tokenId: "token-1",
+    issuedAt,
+    expiresAt: new Date("2026-03-01T01:00:00Z"),
+  });
+});
+
+test("rejects tokens from another origin, secret or with a tampered payload", () => {
+  assert.deepEqual(verify({ origin: "https://evil.example" }), { error: "invalid" });
+  assert.deepEqual(verify({ secret: "other-secret" }), { error: "invalid" });
+
+  const [, sig] = signFormToken({ secret, origin, issuedAt }).split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ n: "token-2", o: origin, t: 0 }),
+    "utf8"
+  ).toString("base64url");
+  assert.deepEqual(verify({ token: `${forged}.${sig}` }), { error: "invalid" });
+  assert.deepEqual(verify({ token: "not-a-token" }), { error: "invalid" });
+  assert.deepEqual(verify({ token: undefined }), { error: "invalid" });
+});
+
+test("rejects submissions that arrive too fast or too late", () => {
+  assert.deepEqual(verify({ now: new Date("2026-03-01T00:00:02Z") }), {
+    error: "too_fast",
+  });
+  assert.deepEqual(verify({ now: new Date("2026-03-01T01:00:01Z") }), {
+    error: "expired",
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Stored responses for Idempotency-Key requests
+ *
+ * The first request with a key claims it with a conditional put, holding a
+ * short lock while it runs. Finishing stores the response for replays and
+ * extends the record to the full retention; releasing deletes the record so
+ * a retry starts afresh. Records expire via TTL.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+function toSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+export function createMemoryIdempotencyStore() {
+  const records = new Map();
+
+  return {
+    /**
+     * Resolves to `{ claimed: true }`, or `{ claimed: false, record }` where
+     * record is `{ fingerprint, state, response }` of the live holder.
+     */
+    async claimKey({ key, fingerprint, lockedUntil, now = new Date() }) {
+      for (const [id, record] of records) {
+        if (record.expiresAt <= toSeconds(now)) records.delete(id);
+      }
+      const existing = records.get(key);
+      if (existing) {
+        return {
+          claimed: false,
+          record: {
+            fingerprint: existing.fingerprint,
+            state: existing.state,
+            response: existing.response,
+          },
+        };
+      }
+      records.set(key, {
+        fingerprint,
+        state: "in_progress",
+        response: null,
+        expiresAt: toSeconds(lockedUntil),
+      });
+      return { claimed: true };
+    },
+
+    async completeKey({ key, response, expiresAt }) {
+      const record = records.get(key);
+      if (!record) return;
+      records.set(key, {
+        ...record,
+        state: "completed",
+        response: { statusCode: response.statusCode, body: response.body },
+        expiresAt: toSeconds(expiresAt),
+      });
+    },
+
+    async releaseKey({ key }) {
+      records.delete(key);
+    },
+  };
+}
+
+export function createDynamoIdempotencyStore({
+  tableName,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  return {
+    async claimKey({ key, fingerprint, lockedUntil, now = new Date() }) {
+      try {
+        await client.send(
+          new PutCommand({
+            TableName: tableName,
+            Item: {
+              idempotency_key: key,
+              fingerprint,
+              state: "in_progress",
+              created_at: now.toISOString(),
+              expires_at: toSeconds(lockedUntil),
+            },
+            // TTL deletion lags, so an expired record counts as absent.
+            ConditionExpression: "attribute_not_exists(idempotency_key) OR expires_at <= :now",
+            ExpressionAttributeValues: { ":now": toSeconds(now) },
+          })
+        );
+        return { claimed: true };
+      } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+      }
+
+      const { Item } = await client.send(
+        new GetCommand({
+          TableName: tableName,
+          Key: { idempotency_key: key },
+          ConsistentRead: true,
+        })
+      );
+      if (!Item) {
+        // Released between the put and the read; the caller retries.
+        return { claimed: false, record: { fingerprint, state: "in_progress", response: null } };
+      }
+      return {
+        claimed: false,
+        record: {
+          fingerprint: Item.fingerprint,
+          state: Item.state,
+          response:
+            Item.state === "completed"
+              ? { statusCode: Item.status_code, body: Item.response_body }
+              : null,
+        },
+      };
+    },
+
+    async completeKey({ key, response, expiresAt, now = new Date() }) {
+      await client.send(
+        new UpdateCommand({
+          TableName: tableName,
+          Key: { idempotency_key: key },
+          UpdateExpression:
+            "SET #state = :completed, status_code = :statusCode, response_body = :body, completed_at = :now, expires_at = :expiresAt",
+          ConditionExpression: "attribute_exists(idempotency_key)",
+          ExpressionAttributeNames: { "#state": "state" },
+          ExpressionAttributeValues: {
+            ":completed": "completed",
+            ":statusCode": response.statusCode,
+            ":body": response.body,
+            ":now": now.toISOString(),
+            ":expiresAt": toSeconds(expiresAt),
+          },
+        })
+      );
+    },
+
+    async releaseKey({ key }) {
+      await client.send(
+        new DeleteCommand({
+          TableName: tableName,
+          Key: { idempotency_key: key },
+        })
+      );
+    },
+  };
+}
+
+export function createIdempotencyStore({ tableName } = {}) {
+  if (tableName) return createDynamoIdempotencyStore({ tableName });
+  return createMemoryIdempotencyStore();
+}
@@ -0,0 +1,130 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createDynamoIdempotencyStore,
+  createMemoryIdempotencyStore,
+} from "./idempotency-store.mjs";
+
+const now = new Date("2030-03-01T00:00:00Z");
+const lockedUntil = new Date("2030-03-01T00:01:00Z");
+const expiresAt = new Date("2030-03-02T00:00:00Z");
+const response = { statusCode: 200, body: '{"status":"success"}' };
+
+test("memory store claims a key once and replays the completed response", async () => {
+  const store = createMemoryIdempotencyStore();
+
+  assert.deepEqual(await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now }), {
+    claimed: true,
+  });
+  assert.deepEqual(await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now }), {
+    claimed: false,
+    record: { fingerprint: "f1", state: "in_progress", response: null },
+  });
+
+  await store.completeKey({ key: "k1", response: { ...response, headers: {} }, expiresAt });
+  assert.deepEqual(await store.claimKey({ key: "k1", fingerprint: "f2", lockedUntil, now }), {
+    claimed: false,
+    record: { fingerprint: "f1", state: "completed", response },
+  });
+});
+
+test("memory store frees released keys and stale locks", async () => {
+  const store = createMemoryIdempotencyStore();
+  await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now });
+  await store.releaseKey({ key: "k1" });
+  assert.equal((await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now })).claimed, true);
+
+  const later = new Date("2030-03-01T00:02:00Z");
+  const result = await store.claimKey({
+    key: "k1",
+    fingerprint: "f1",
+    lockedUntil: new Date("2030-03-01T00:03:00Z"),
+    now: later,
+  });
+  assert.equal(result.claimed, true);
+});
+
+test("dynamo store claims with a conditional put and reads the holder on conflict", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command);
+      const name = command.constructor.name;
+      if (name === "PutCommand" && commands.length > 1) {
+        const err = new Error("The conditional request failed");
+        err.name = "ConditionalCheckFailedException";
+        throw err;
+      }
+      if (name === "GetCommand") {
+        return {
+          Item: {
+            idempotency_key: "k1",
+            fingerprint: "f1",
+            state: "completed",
+            status_code: 200,
+            response_body: response.body,
+          },
+        };
+      }
+      return {};
+    },
+  };
+  const store = createDynamoIdempotencyStore({ tableName: "idempotency", client });
+
+  assert.deepEqual(await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now }), {
+    claimed: true,
+  });
+  assert.deepEqual(await store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now }), {
+    claimed: false,
+    record: { fingerprint: "f1", state: "completed", response },
+  });
+
+  const put = commands[0].input;
+  assert.equal(put.TableName, "idempotency");
+  assert.equal(put.Item.idempotency_key, "k1");
+  assert.equal(put.Item.state, "in_progress");
+  assert.equal(put.Item.expires_at, Math.floor(lockedUntil.getTime() / 1000));
+  assert.equal(
+    put.ConditionExpression,
+    "attribute_not_exists(idempotency_key) OR expires_at <= :now"
+  );
+  assert.equal(commands[2].input.ConsistentRead, true);
+});
+
+test("dynamo store completes and releases keys", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoIdempotencyStore({ tableName: "idempotency", client });
+
+  await store.completeKey({ key: "k1", response, expiresAt, now });
+  await store.releaseKey({ key: "k1" });
+
+  const [update, remove] = commands;
+  assert.deepEqual(update.Key, { idempotency_key: "k1" });
+  assert.equal(update.ExpressionAttributeValues[":statusCode"], 200);
+  assert.equal(update.ExpressionAttributeValues[":body"], response.body);
+  assert.equal(update.ExpressionAttributeValues[":expiresAt"], Math.floor(expiresAt.getTime() / 1000));
+  assert.deepEqual(remove, { TableName: "idempotency", Key: { idempotency_key: "k1" } });
+});
+
+test("dynamo store rethrows unexpected errors", async () => {
+  const client = {
+    async send() {
+      const err = new Error("Throughput exceeded");
+      err.name = "ProvisionedThroughputExceededException";
+      throw err;
+    },
+  };
+  const store = createDynamoIdempotencyStore({ tableName: "idempotency", client });
+
+  await assert.rejects(
+    () => store.claimKey({ key: "k1", fingerprint: "f1", lockedUntil, now }),
+    { name: "ProvisionedThroughputExceededException" }
+  );
+});
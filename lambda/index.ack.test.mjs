@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+const REJECTED = Object.assign(new Error("Email address is not verified"), {
+  name: "MessageRejected",
+});
+const THROTTLED = Object.assign(new Error("Rate exceeded"), { name: "Throttling" });
+
+let failFor = null;
+let failWith = REJECTED;
+const sentCommands = stubSes((command) => {
+  const [recipient] = command.input.Destination.ToAddresses;
+  if (failFor === recipient) throw failWith;
+});
+
+const { handler, post } = await loadHandler({
+  CONTACT_ACK_ENABLED: "true",
+  CONTACT_ACK_MAX_PER_RECIPIENT: "2",
+  CONTACT_ACK_WINDOW_SECONDS: "3600",
+  OUTBOX_RETRY_BASE_SECONDS: "0",
+});
+
+function contact(fields) {
+  return post("/contact", {
+    name: "Jane Tester",
+    message: "Hello, this is a valid <test> message.",
+    ...fields,
+  });
+}
+
+function sentTo(address) {
+  return sentCommands.filter((command) =>
+    command.input.Destination.ToAddresses.includes(address)
+  );
+}
+
+test("acknowledges the enquirer with their message and reference", async () => {
+  const res = await contact({ email: "ack@example.com" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.acknowledgementSent, true);
+
+  const [ack] = sentTo("ack@example.com");
+  const { Subject, Body } = ack.input.Message;
+  assert.match(Subject.Data, new RegExp(`ref ${res.json.requestId}`));
+  assert.match(Body.Text.Data, new RegExp(`Reference: ${res.json.requestId}`));
+  assert.match(Body.Text.Data, /Hello, this is a valid <test> message\./);
+  assert.match(Body.Html.Data, /Hello, this is a valid &lt;test&gt; message\./);
+  assert.deepEqual(ack.input.ReplyToAddresses, ["varun@waterapps.com.au"]);
+});
+
+test("caps acknowledgements per recipient but still accepts the enquiry", async () => {
+  const results = [];
+  for (const email of ["capped@example.com", "CAPPED@example.com", "capped@example.com"]) {
+    results.push(await contact({ email }));
+  }
+
+  assert.deepEqual(
+    results.map((res) => [res.statusCode, res.json.acknowledgementSent]),
+    [
+      [200, true],
+      [200, true],
+      [200, false],
+    ]
+  );
+  assert.equal(sentTo("capped@example.com").length, 2);
+  const ownerEmails = sentTo("varun@waterapps.com.au").filter((command) =>
+    command.input.ReplyToAddresses.includes("capped@example.com")
+  );
+  assert.equal(ownerEmails.length, 3);
+});
+
+test("skips the acknowledgement when the owner notification fails", async () => {
+  failFor = "varun@waterapps.com.au";
+  try {
+    const res = await contact({ email: "unnotified@example.com" });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.json.status, "accepted");
+    assert.equal(res.json.acknowledgementSent, false);
+  } finally {
+    failFor = null;
+  }
+  assert.equal(sentTo("unnotified@example.com").length, 0);
+});
+
+test("acknowledges once the owner notification succeeds on a scheduled retry", async () => {
+  failFor = "varun@waterapps.com.au";
+  failWith = THROTTLED;
+  try {
+    const res = await contact({ email: "retried@example.com" });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.json.acknowledgementSent, false);
+  } finally {
+    failFor = null;
+    failWith = REJECTED;
+  }
+  assert.equal(sentTo("retried@example.com").length, 0);
+
+  const run = await handler({ outbox: "process" });
+  assert.equal(run.sent, 1);
+  const [ack] = sentTo("retried@example.com");
+  assert.match(ack.input.Message.Body.Text.Data, /Hello, this is a valid <test> message\./);
+});
+
+test("the recipient cap also applies to acknowledgements queued by a retry", async () => {
+  for (let i = 0; i < 2; i += 1) await contact({ email: "busy@example.com" });
+  assert.equal(sentTo("busy@example.com").length, 2);
+
+  failFor = "varun@waterapps.com.au";
+  failWith = THROTTLED;
+  try {
+    await contact({ email: "busy@example.com" });
+  } finally {
+    failFor = null;
+    failWith = REJECTED;
+  }
+  await handler({ outbox: "process" });
+  assert.equal(sentTo("busy@example.com").length, 2);
+});
+
+test("an acknowledgement failure does not fail the enquiry", async () => {
+  failFor = "bounce@example.com";
+  try {
+    const res = await contact({ email: "bounce@example.com" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.status, "success");
+    assert.equal(res.json.acknowledgementSent, false);
+  } finally {
+    failFor = null;
+  }
+});
@@ -0,0 +1,203 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { fileMailbox, loadHandler } from "./fixtures/handler.mjs";
+import { startS3StandIn } from "./fixtures/s3-stand-in.mjs";
+
+const mailbox = await fileMailbox("attachments");
+const s3 = await startS3StandIn();
+
+// Scan hook stand-in: "eicar" in the name is infected, "offline" fails.
+const scanned = [];
+const scanner = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const { filename } = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    scanned.push(filename);
+    if (filename.includes("offline")) {
+      res.writeHead(503);
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ verdict: filename.includes("eicar") ? "infected" : "clean" }));
+  });
+});
+await new Promise((resolve) => scanner.listen(0, "127.0.0.1", resolve));
+
+const { call, post } = await loadHandler({
+  ...mailbox.env,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  AWS_ACCESS_KEY_ID: "AKIDSTANDIN",
+  AWS_SECRET_ACCESS_KEY: "stand-in-secret",
+  ATTACHMENTS_BUCKET: "attachments",
+  ATTACHMENTS_S3_ENDPOINT: s3.endpoint,
+  ATTACHMENT_LINK_SECRET: "link-secret",
+  ATTACHMENT_MAX_BYTES: "4096",
+  ATTACHMENT_MAX_FILES: "2",
+  ATTACHMENT_INLINE_MAX_BYTES: "64",
+  ATTACHMENT_TYPES: "application/pdf,text/plain",
+  ATTACHMENT_SCAN_URL: `http://127.0.0.1:${scanner.address().port}/scan`,
+});
+
+test.after(async () => {
+  await s3.close();
+  await new Promise((resolve) => scanner.close(resolve));
+});
+
+async function upload(filename, contentType, content) {
+  const body = Buffer.from(content);
+  const res = await post("/contact/attachments", { filename, contentType, size: body.length });
+  assert.equal(res.statusCode, 200);
+  const { attachment } = res.json;
+  const put = await fetch(attachment.uploadUrl, {
+    method: attachment.method,
+    headers: attachment.headers,
+    body,
+  });
+  assert.equal(put.status, 200);
+  return attachment.key;
+}
+
+function contact(attachments, options) {
+  return post(
+    "/contact",
+    {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      message: "Please see the attached brief.",
+      attachments,
+    },
+    options
+  );
+}
+
+async function latestMail() {
+  return (await mailbox.read()).at(-1);
+}
+
+const BASE64_PART_RE =
+  /Content-Transfer-Encoding: base64\r\n(?:[^\r\n]+\r\n)*\r\n([A-Za-z0-9+/=\r\n]+)/g;
+
+function decodedParts(eml) {
+  return [...eml.matchAll(BASE64_PART_RE)].map(([, body]) =>
+    Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8")
+  );
+}
+
+test("presigns uploads after checking the filename, type and size", async () => {
+  const res = await post("/contact/attachments", {
+    filename: "Project brief.pdf",
+    contentType: "application/pdf",
+    size: 1200,
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.status, "success");
+  assert.equal(res.json.maxFiles, 2);
+  const { attachment } = res.json;
+  assert.match(attachment.key, /^contact\/\d{4}-\d{2}-\d{2}\/[0-9a-f-]{36}\/Project_brief\.pdf$/);
+  assert.equal(attachment.method, "PUT");
+  assert.deepEqual(attachment.headers, { "Content-Type": "application/pdf" });
+  const uploadUrl = new URL(attachment.uploadUrl);
+  assert.equal(uploadUrl.origin, new URL(s3.endpoint).origin);
+  assert.equal(uploadUrl.searchParams.get("X-Amz-Expires"), "300");
+  assert.equal(
+    uploadUrl.searchParams.get("X-Amz-SignedHeaders"),
+    "content-length;content-type;host"
+  );
+
+  const rejected = await post("/contact/attachments", {
+    filename: "setup.exe",
+    contentType: "application/x-msdownload",
+    size: 999999,
+  });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(rejected.json.code, "validation_failed");
+  assert.deepEqual(Object.keys(rejected.json.fieldErrors), ["contentType", "size"]);
+});
+
+test("emails small attachments as files", async () => {
+  const key = await upload("notes.txt", "text/plain", "Site list: Sydney, Perth");
+  const res = await contact([key]);
+  assert.equal(res.statusCode, 200);
+  assert.ok(scanned.includes("notes.txt"));
+
+  const eml = await latestMail();
+  assert.match(eml, /Content-Disposition: attachment; filename="notes\.txt"/);
+  const parts = decodedParts(eml);
+  assert.ok(parts.includes("Site list: Sydney, Perth"));
+  assert.ok(parts.some((part) => /Attachments:\n- notes\.txt \(24 bytes\)\n/.test(part)));
+});
+
+test("links attachments over the inline limit", async () => {
+  const brief = await upload("brief.pdf", "application/pdf", `%PDF-1.7 ${"x".repeat(60)}`);
+  const notes = await upload("notes.txt", "text/plain", "short");
+  const res = await contact([brief, notes], { domainName: "api.example.test" });
+  assert.equal(res.statusCode, 200);
+
+  const eml = await latestMail();
+  assert.doesNotMatch(eml, /Content-Disposition: attachment/);
+  const text = decodedParts(eml).find((part) => part.includes("Attachments:"));
+  const links = text.match(/https:\/\/api\.example\.test\/contact\/attachments\/download\?\S+/g);
+  assert.equal(links.length, 2);
+  assert.match(text, /Download links expire at \d{4}-/);
+
+  const token = new URL(links[0]).searchParams.get("token");
+  const redirect = await call({
+    path: "/contact/attachments/download",
+    query: { token },
+    origin: null,
+  });
+  assert.equal(redirect.statusCode, 302);
+  assert.equal(redirect.headers["Cache-Control"], "no-store");
+  const download = await fetch(redirect.headers.Location);
+  assert.equal(download.status, 200);
+  assert.match(await download.text(), /^%PDF-1\.7/);
+
+  const forged = await call({
+    path: "/contact/attachments/download",
+    query: { token: `${token.split(".")[0]}.forged` },
+    origin: null,
+  });
+  assert.equal(forged.statusCode, 403);
+  assert.equal(forged.json.code, "invalid_token");
+});
+
+test("rejects attachments that are missing, too many, infected or unscannable", async () => {
+  const missing = await contact(["contact/2030-06-03/00000000-0000-4000-8000-000000000000/a.pdf"]);
+  assert.equal(missing.statusCode, 400);
+  assert.equal(
+    missing.json.fieldErrors.attachments,
+    "An attachment has not finished uploading or has expired."
+  );
+
+  const keys = await Promise.all(
+    ["a.txt", "b.txt", "c.txt"].map((name) => upload(name, "text/plain", name))
+  );
+  const tooMany = await contact(keys);
+  assert.equal(tooMany.statusCode, 400);
+  assert.equal(tooMany.json.fieldErrors.attachments, "Attach at most 2 files.");
+
+  const infected = await contact([await upload("eicar.txt", "text/plain", "X5O!P%@AP")]);
+  assert.equal(infected.statusCode, 400);
+  assert.equal(infected.json.fieldErrors.attachments, "eicar.txt was rejected by the file scan.");
+
+  const offline = await contact([await upload("offline.txt", "text/plain", "hello")]);
+  assert.equal(offline.statusCode, 503);
+  assert.equal(offline.json.code, "attachment_scan_unavailable");
+
+  const notKeys = await contact([{ key: "x" }]);
+  assert.equal(notKeys.statusCode, 400);
+  assert.match(notKeys.json.fieldErrors.attachments, /keys from POST \/contact\/attachments/);
+});
+
+test("documents the upload route", async () => {
+  const { json: document } = await call({ path: "/openapi.json", origin: null });
+  assert.ok(document.paths["/contact/attachments"].post);
+  assert.deepEqual(
+    document.paths["/contact/attachments"].post.requestBody.content["application/json"].schema
+      .properties.contentType.enum,
+    ["application/pdf", "text/plain"]
+  );
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_DAY_START: "00:00",
+  BOOKING_DAY_END: "08:00",
+  BOOKING_WORKDAYS: "1,2,3,4,5",
+  BOOKING_SLOT_DURATION_MINUTES: "30",
+  BOOKING_BUSY_CALENDAR_URLS: "fixtures/free-busy.ics, fixtures/team-calendar.ics",
+});
+
+async function availableTimes(date) {
+  const res = await call({ path: "/availability", query: { date, days: "1" } });
+  assert.equal(res.statusCode, 200);
+  return res.json.slots.map((slot) => slot.slotStart.slice(11, 16));
+}
+
+test("omits slots that overlap busy time from the calendar feeds", async () => {
+  // Free-busy: 01:00-02:00 on 2030-04-01 and 03:00-03:30 on 2030-04-02
+  assert.deepEqual(await availableTimes("2030-04-01"), [
+    "00:00",
+    "00:30",
+    "02:00",
+    "02:30",
+    "03:00",
+    "03:30",
+    "04:00",
+    "04:30",
+    "05:00",
+    "05:30",
+    "06:00",
+    "06:30",
+    "07:00",
+    "07:30",
+  ]);
+  assert.ok(!(await availableTimes("2030-04-02")).includes("03:00"));
+  // Team calendar: a moved standup at 04:00-04:30 and an all-day offsite on 2030-04-05
+  assert.ok(!(await availableTimes("2030-04-08")).includes("04:00"));
+  assert.deepEqual(await availableTimes("2030-04-05"), []);
+});
+
+test("re-checks busy time before accepting a booking", async () => {
+  const res = await post("/booking", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart: "2030-04-01T01:30:00Z",
+  });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.json.code, "calendar_busy");
+  assert.equal(res.json.fieldErrors.slotStart, "Selected slot is no longer available.");
+});
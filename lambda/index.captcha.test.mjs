@@ -0,0 +1,153 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+// Local stand-in for the providers' siteverify endpoints
+const siteverifyRequests = [];
+const siteverify = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    const form = Object.fromEntries(new URLSearchParams(body));
+    siteverifyRequests.push({ path: req.url, ...form });
+    if (form.response === "slow-token") return;
+    res
+      .writeHead(200, { "Content-Type": "application/json" })
+      .end(JSON.stringify({ success: form.response === "good-token" }));
+  });
+});
+await new Promise((resolve) => siteverify.listen(0, "127.0.0.1", resolve));
+const siteverifyBase = `http://127.0.0.1:${siteverify.address().port}`;
+
+const sentEmails = stubSes();
+
+const { post } = await loadHandler({
+  ...BOOKING_ENV,
+  CAPTCHA_ROUTES: JSON.stringify({
+    contact: { provider: "turnstile", timeoutMs: 200 },
+    booking: { provider: "hcaptcha", timeoutMs: 200, failOpen: true },
+    "form:careers": { provider: "hcaptcha", timeoutMs: 200 },
+  }),
+  CAPTCHA_TURNSTILE_SECRET: "turnstile-secret",
+  CAPTCHA_TURNSTILE_VERIFY_URL: `${siteverifyBase}/turnstile`,
+  CAPTCHA_HCAPTCHA_SECRET: "hcaptcha-secret",
+  CAPTCHA_HCAPTCHA_VERIFY_URL: `${siteverifyBase}/hcaptcha`,
+});
+
+test.after(() => {
+  siteverify.closeAllConnections();
+  siteverify.close();
+});
+
+function contact(fields) {
+  return post("/contact", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    message: "Hello, this is a valid test message.",
+    ...fields,
+  });
+}
+
+function book(fields) {
+  return post("/booking", { name: "Jane Tester", email: "jane@example.com", ...fields });
+}
+
+test("contact verifies the token with the route's provider", async () => {
+  siteverifyRequests.length = 0;
+  const res = await contact({ captchaToken: "good-token" });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(siteverifyRequests, [
+    {
+      path: "/turnstile",
+      secret: "turnstile-secret",
+      response: "good-token",
+      remoteip: "203.0.113.7",
+    },
+  ]);
+});
+
+test("contact returns captcha_failed for a missing or rejected token", async () => {
+  sentEmails.length = 0;
+
+  const missing = await contact({});
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.json.code, "captcha_failed");
+  assert.ok(missing.json.fieldErrors.captchaToken);
+
+  const rejected = await contact({ captchaToken: "bad-token" });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(rejected.json.code, "captcha_failed");
+  assert.equal(sentEmails.length, 0);
+});
+
+test("validation errors are reported before the provider is called", async () => {
+  siteverifyRequests.length = 0;
+  const res = await contact({ email: "not-an-email", captchaToken: "good-token" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "validation_failed");
+  assert.equal(siteverifyRequests.length, 0);
+});
+
+test("contact fails closed when the provider times out", async () => {
+  const res = await contact({ captchaToken: "slow-token" });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.json.code, "captcha_failed");
+});
+
+test("booking uses its own provider and fails open on timeout", async () => {
+  siteverifyRequests.length = 0;
+
+  const rejected = await book({ slotStart: "2030-03-04T09:00:00Z", captchaToken: "bad-token" });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(rejected.json.code, "captcha_failed");
+  assert.equal(siteverifyRequests[0].path, "/hcaptcha");
+  assert.equal(siteverifyRequests[0].secret, "hcaptcha-secret");
+
+  const slow = await book({ slotStart: "2030-03-04T09:00:00Z", captchaToken: "slow-token" });
+  assert.equal(slow.statusCode, 200);
+  assert.equal(slow.json.status, "success");
+});
+
+test("forms use their own captcha, or the contact one when they have none", async () => {
+  const submit = (formId, fields) => post(`/forms/${formId}`, fields);
+
+  const partner = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    company: "Example Pty Ltd",
+    partnershipType: "technology",
+    message: "We'd like to co-host a workshop.",
+  };
+  const unverified = await submit("partner-enquiry", partner);
+  assert.equal(unverified.statusCode, 400);
+  assert.equal(unverified.json.code, "captcha_failed");
+
+  siteverifyRequests.length = 0;
+  const partnerVerified = await submit("partner-enquiry", {
+    ...partner,
+    captchaToken: "good-token",
+  });
+  assert.equal(partnerVerified.statusCode, 200);
+  assert.equal(siteverifyRequests.at(-1).path, "/turnstile");
+
+  const careers = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    role: "general",
+    coverLetter: "I have ten years of platform engineering experience on AWS and GCP.",
+  };
+  const missing = await submit("careers", careers);
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.json.code, "captcha_failed");
+
+  const verified = await submit("careers", { ...careers, captchaToken: "good-token" });
+  assert.equal(verified.statusCode, 200);
+  assert.equal(siteverifyRequests.at(-1).path, "/hcaptcha");
+});
@@ -0,0 +1,191 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BOOKING_ENV,
+  fileMailbox,
+  loadHandler,
+  makeEvent,
+  ORIGIN,
+} from "./fixtures/handler.mjs";
+
+const mailbox = await fileMailbox("formpost");
+
+const { handler } = await loadHandler({
+  ...mailbox.env,
+  ...BOOKING_ENV,
+  ALLOWED_ORIGINS: `${ORIGIN},http://localhost:3000`,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  FORMS: JSON.stringify([
+    {
+      id: "workshop",
+      title: "Workshop registration",
+      fields: [
+        { name: "name", label: "Name", type: "text", required: true },
+        { name: "email", label: "Email", type: "email", required: true },
+        { name: "consent", label: "Consent", type: "checkbox", required: true },
+      ],
+    },
+  ]),
+  FORM_REDIRECTS: JSON.stringify({
+    contact: {
+      successUrl: `${ORIGIN}/contact/thanks`,
+      errorUrl: `${ORIGIN}/contact`,
+    },
+    booking: { successUrl: `${ORIGIN}/book/confirmed` },
+  }),
+});
+
+const HTML_ACCEPT = "text/html,application/xhtml+xml,*/*;q=0.8";
+
+// Posts like a browser form; redirects come back with `location` as a URL.
+async function post(route, body, { contentType, headers = {}, base64 = false } = {}) {
+  const response = await handler(
+    makeEvent({
+      method: "POST",
+      path: route,
+      headers: {
+        accept: HTML_ACCEPT,
+        "content-type": contentType ?? "application/x-www-form-urlencoded",
+        ...headers,
+      },
+      body: base64 ? Buffer.from(body).toString("base64") : body,
+      isBase64Encoded: base64,
+    })
+  );
+  const location = response.headers?.Location;
+  return { ...response, location: location ? new URL(location) : null };
+}
+
+function urlencoded(fields) {
+  return new URLSearchParams(fields).toString();
+}
+
+function multipart(boundary, fields) {
+  const parts = Object.entries(fields).map(
+    ([name, value]) =>
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+  );
+  return `${parts.join("")}--${boundary}--\r\n`;
+}
+
+async function mailCount() {
+  return (await mailbox.read()).length;
+}
+
+const contact = {
+  name: "Jane Tester",
+  email: "jane@example.com",
+  message: "Hello, this is a valid test message.",
+};
+
+test("redirects a urlencoded contact post to the success page", async () => {
+  const before = await mailCount();
+  const res = await post("/contact", urlencoded(contact));
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.headers["Cache-Control"], "no-store");
+  assert.equal(res.location.origin + res.location.pathname, `${ORIGIN}/contact/thanks`);
+  assert.equal(res.location.searchParams.get("status"), "success");
+  assert.ok(res.location.searchParams.get("requestId").startsWith("req-test-"));
+  assert.equal((await mailCount()) - before, 1);
+});
+
+test("sends field errors back to the error page", async () => {
+  const res = await post("/contact", urlencoded({ ...contact, email: "nope", message: "short" }));
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.location.pathname, "/contact");
+  assert.equal(res.location.searchParams.get("status"), "error");
+  assert.equal(res.location.searchParams.get("code"), "validation_failed");
+  assert.equal(res.location.searchParams.get("fieldErrors.email"), "Valid email is required.");
+  assert.equal(
+    res.location.searchParams.get("fieldErrors.message"),
+    "Message is required (min 10 characters)."
+  );
+});
+
+test("accepts base64-encoded multipart bookings", async () => {
+  const boundary = "----WebKitFormBoundary7MA4YWxkTrZu0gW";
+  const res = await post(
+    "/booking",
+    multipart(boundary, {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      notes: "Zoë would like to join — ünïcode survives.",
+      slotStart: "2030-06-04T10:00:00.000Z",
+    }),
+    { contentType: `multipart/form-data; boundary=${boundary}`, base64: true }
+  );
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.location.pathname, "/book/confirmed");
+  assert.equal(res.location.searchParams.get("status"), "success");
+  assert.equal(res.location.searchParams.get("slotStart"), "2030-06-04T10:00:00Z");
+  assert.ok(res.location.searchParams.get("bookingId"));
+
+  // No error page is configured for bookings, so the visitor goes back where they came from.
+  const taken = await post(
+    "/booking",
+    urlencoded({ name: "Sam", email: "sam@example.com", slotStart: "2030-06-04T10:00:00.000Z" }),
+    { headers: { referer: `${ORIGIN}/book?date=2030-06-04` } }
+  );
+  assert.equal(taken.statusCode, 303);
+  assert.equal(taken.location.pathname, "/book");
+  assert.equal(taken.location.searchParams.get("date"), "2030-06-04");
+  assert.equal(taken.location.searchParams.get("code"), "slot_taken");
+});
+
+test("uses the form's own pages only when they are on an allowed origin", async () => {
+  const own = await post(
+    "/contact",
+    urlencoded({ ...contact, successUrl: "http://localhost:3000/thanks" })
+  );
+  assert.equal(own.location.href.split("?")[0], "http://localhost:3000/thanks");
+
+  const offsite = await post(
+    "/contact",
+    urlencoded({ ...contact, successUrl: "https://evil.example/thanks" })
+  );
+  assert.equal(offsite.location.pathname, "/contact/thanks");
+  assert.equal(offsite.location.origin, ORIGIN);
+});
+
+test("redirects other forms to the referring page and reads ticked boxes", async () => {
+  const referer = `${ORIGIN}/workshops/register`;
+  const res = await post(
+    "/forms/workshop",
+    urlencoded({ name: "Jane", email: "jane@example.com", consent: "on" }),
+    { headers: { referer } }
+  );
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.location.searchParams.get("status"), "success");
+
+  const unticked = await post(
+    "/forms/workshop",
+    urlencoded({ name: "Jane", email: "jane@example.com" }),
+    { headers: { referer } }
+  );
+  assert.equal(
+    unticked.location.searchParams.get("fieldErrors.consent"),
+    "Consent must be accepted."
+  );
+});
+
+test("answers with JSON when the client asks for it or no target is allowed", async () => {
+  const json = await post("/contact", urlencoded(contact), {
+    headers: { accept: "application/json" },
+  });
+  assert.equal(json.statusCode, 200);
+  assert.equal(JSON.parse(json.body).status, "success");
+
+  // A forged origin has no page of its own to return to.
+  const forged = await post("/booking", urlencoded(contact), {
+    headers: { origin: "https://evil.example", referer: "https://evil.example/form" },
+  });
+  assert.equal(forged.statusCode, 403);
+  assert.equal(JSON.parse(forged.body).code, "origin_not_allowed");
+
+  const malformed = await post("/contact", "--x\r\nbroken", {
+    contentType: "multipart/form-data; boundary=x",
+  });
+  assert.equal(malformed.statusCode, 303);
+  assert.equal(malformed.location.searchParams.get("code"), "invalid_payload");
+});
@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { fileMailbox, loadHandler, mailHeader } from "./fixtures/handler.mjs";
+
+const mailbox = await fileMailbox("forms");
+
+const { call, post } = await loadHandler({
+  ...mailbox.env,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  TARGET_EMAIL_BCC: "archive@waterapps.com.au",
+  FORMS: JSON.stringify([
+    {
+      id: "partner-enquiry",
+      title: "Partner enquiry",
+      subject: "Partner enquiry: {{company}} ({{name}})",
+      successMessage: { en: "Thanks, partner.", ja: "パートナーのご連絡ありがとうございます。" },
+      recipients: { to: ["partners@waterapps.com.au"] },
+      fields: [
+        { name: "name", label: "Name", type: "text", required: true, minLength: 2 },
+        { name: "email", label: "Email", type: "email", required: true },
+        { name: "company", label: "Company", type: "text", required: true },
+        {
+          name: "tier",
+          label: "Partnership type",
+          type: "select",
+          required: true,
+          options: [
+            { value: "reseller", label: "Reseller" },
+            { value: "technology", label: "Technology partner" },
+          ],
+        },
+        { name: "message", label: "Message", type: "textarea", spamCheck: true },
+      ],
+    },
+  ]),
+});
+
+function textBody(eml) {
+  const [, encoded] = eml.match(/text\/plain; charset="UTF-8"\r\n[^\r]*\r\n\r\n([^-]*)/);
+  return Buffer.from(encoded.replace(/\r\n/g, ""), "base64").toString("utf8");
+}
+
+const partnerBody = {
+  name: "Jane Tester",
+  email: "jane@example.com",
+  company: "Example Pty Ltd",
+  tier: "technology",
+  message: "We'd like to co-host a workshop.",
+};
+
+test("returns a form's schema without its recipients", async () => {
+  const res = await call({ path: "/forms/partner-enquiry" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.form.id, "partner-enquiry");
+  assert.equal(res.json.form.title, "Partner enquiry");
+  assert.deepEqual(
+    res.json.form.fields.map((field) => field.name),
+    ["name", "email", "company", "tier", "message"]
+  );
+  assert.equal(res.json.form.fields[3].options[1].label, "Technology partner");
+  assert.equal(JSON.stringify(res.json).includes("partners@"), false);
+
+  const contact = await call({ path: "/forms/contact" });
+  assert.equal(contact.statusCode, 200);
+  assert.deepEqual(
+    contact.json.form.fields.map((field) => field.name),
+    ["name", "email", "company", "phone", "message"]
+  );
+});
+
+test("answers 404 for unknown forms and 405 for other methods", async () => {
+  const missing = await call({ path: "/forms/careers-2029" });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.json.code, "form_not_found");
+
+  const deleted = await call({ method: "DELETE", path: "/forms/partner-enquiry" });
+  assert.equal(deleted.statusCode, 405);
+});
+
+test("rejects invalid submissions with field errors", async () => {
+  const res = await post("/forms/partner-enquiry", {
+    ...partnerBody,
+    company: "",
+    tier: "franchise",
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "validation_failed");
+  assert.deepEqual(res.json.fieldErrors, {
+    company: "Company is required.",
+    tier: "Partnership type must be one of: reseller, technology.",
+  });
+});
+
+test("answers with the success message in the request's locale", async () => {
+  const res = await post("/forms/partner-enquiry", { ...partnerBody, locale: "ja" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.message, "パートナーのご連絡ありがとうございます。");
+});
+
+test("emails a valid submission to the form's recipients", async () => {
+  const before = (await mailbox.read()).length;
+  const res = await post("/forms/partner-enquiry", partnerBody);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.status, "success");
+  assert.equal(res.json.message, "Thanks, partner.");
+
+  const written = (await mailbox.read()).slice(before);
+  assert.equal(written.length, 1);
+  const [eml] = written;
+  assert.equal(mailHeader(eml, "To"), "partners@waterapps.com.au");
+  // Unset Cc / Bcc lists fall back to the owner's.
+  assert.equal(mailHeader(eml, "Cc"), undefined);
+  assert.equal(mailHeader(eml, "Bcc"), "archive@waterapps.com.au");
+  assert.equal(mailHeader(eml, "Reply-To"), "jane@example.com");
+  assert.equal(mailHeader(eml, "Subject"), "Partner enquiry: Example Pty Ltd (Jane Tester)");
+  assert.match(textBody(eml), /^Partnership type: Technology partner$/m);
+});
+
+test("keeps /contact working as the built-in contact form", async () => {
+  const body = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    message: "Hello, this is a valid test message.",
+  };
+  const before = (await mailbox.read()).length;
+  for (const route of ["/contact", "/forms/contact"]) {
+    const res = await post(route, body);
+    assert.equal(res.statusCode, 200);
+    assert.match(res.json.message, /Thank you for contacting WaterApps/);
+  }
+
+  const written = (await mailbox.read()).slice(before);
+  assert.equal(written.length, 2);
+  for (const eml of written) assert.equal(mailHeader(eml, "To"), "varun@waterapps.com.au");
+
+  const invalid = await post("/forms/contact", { ...body, message: "short" });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.json.fieldErrors.message, "Message is required (min 10 characters).");
+});
+
+test("replays form submissions by Idempotency-Key", async () => {
+  const before = (await mailbox.read()).length;
+  const headers = { "idempotency-key": "partner-1" };
+  const first = await post("/forms/partner-enquiry", partnerBody, { headers });
+  const second = await post("/forms/partner-enquiry", partnerBody, { headers });
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.json.requestId, first.json.requestId);
+  assert.equal((await mailbox.read()).length - before, 1);
+});
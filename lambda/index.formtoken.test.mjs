@@ -0,0 +1,185 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, ORIGIN, stubSes } from "./fixtures/handler.mjs";
+import { signFormToken } from "./form-tokens.mjs";
+
+const SECRET = "form-token-test-secret";
+
+const sentEmails = stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  FORM_TOKEN_SECRET: SECRET,
+  FORM_TOKEN_MIN_SECONDS: "5",
+  FORM_TOKEN_MAX_SECONDS: "3600",
+  FORM_HONEYPOT_FIELD: "website",
+});
+
+function tokenIssuedSecondsAgo(seconds, origin = ORIGIN) {
+  return signFormToken({
+    secret: SECRET,
+    origin,
+    issuedAt: new Date(Date.now() - seconds * 1000),
+  });
+}
+
+function contact(fields) {
+  return post("/contact", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    message: "Hello, this is a valid test message.",
+    ...fields,
+  });
+}
+
+function book(fields) {
+  return post("/booking", { name: "Jane Tester", email: "jane@example.com", ...fields });
+}
+
+test("GET /form-token issues a token for the calling origin", async () => {
+  const res = await call({ path: "/form-token" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(typeof res.json.formToken, "string");
+  assert.equal(res.json.honeypotField, "website");
+  assert.equal(
+    Date.parse(res.json.notBefore) - Date.parse(res.json.issuedAt),
+    5000
+  );
+  assert.equal(
+    Date.parse(res.json.expiresAt) - Date.parse(res.json.issuedAt),
+    3600 * 1000
+  );
+
+  const blocked = await call({ path: "/form-token", origin: "https://evil.example" });
+  assert.equal(blocked.statusCode, 403);
+  assert.equal(blocked.json.code, "origin_not_allowed");
+});
+
+test("contact requires a form token", async () => {
+  const res = await contact({});
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "form_token_required");
+});
+
+test("contact rejects a freshly issued token as too fast", async () => {
+  const issued = await call({ path: "/form-token" });
+  const res = await contact({ formToken: issued.json.formToken });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.json.code, "submitted_too_fast");
+});
+
+test("contact rejects expired, forged and cross-origin tokens", async () => {
+  const expired = await contact({ formToken: tokenIssuedSecondsAgo(3601) });
+  assert.equal(expired.statusCode, 410);
+  assert.equal(expired.json.code, "form_token_expired");
+
+  const forged = await contact({
+    formToken: signFormToken({
+      secret: "wrong-secret",
+      origin: ORIGIN,
+      issuedAt: new Date(Date.now() - 60 * 1000),
+    }),
+  });
+  assert.equal(forged.statusCode, 403);
+  assert.equal(forged.json.code, "invalid_form_token");
+
+  const crossOrigin = await contact({
+    formToken: tokenIssuedSecondsAgo(60, "https://evil.example"),
+  });
+  assert.equal(crossOrigin.statusCode, 403);
+  assert.equal(crossOrigin.json.code, "invalid_form_token");
+});
+
+test("contact accepts a token once", async () => {
+  const formToken = tokenIssuedSecondsAgo(30);
+  sentEmails.length = 0;
+
+  const first = await contact({ formToken });
+  assert.equal(first.statusCode, 200);
+  assert.equal(sentEmails.length, 1);
+
+  const replay = await contact({ formToken });
+  assert.equal(replay.statusCode, 409);
+  assert.equal(replay.json.code, "form_token_reused");
+  assert.equal(sentEmails.length, 1);
+});
+
+test("a validation error does not use up the token", async () => {
+  const formToken = tokenIssuedSecondsAgo(30);
+
+  const invalid = await contact({ formToken, email: "not-an-email" });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.json.code, "validation_failed");
+
+  const retry = await contact({ formToken });
+  assert.equal(retry.statusCode, 200);
+});
+
+test("contact with the honeypot filled gets a fake success and sends nothing", async () => {
+  sentEmails.length = 0;
+  const res = await contact({ website: "https://spam.example" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.status, "success");
+  assert.equal(
+    res.json.message,
+    "Thank you for contacting WaterApps. We'll be in touch within 24 hours."
+  );
+  assert.equal(sentEmails.length, 0);
+});
+
+test("booking requires a token and accepts it once", async () => {
+  const missing = await book({ slotStart: "2030-03-04T09:00:00Z" });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.json.code, "form_token_required");
+
+  const formToken = tokenIssuedSecondsAgo(30);
+  const first = await book({ slotStart: "2030-03-04T09:00:00Z", formToken });
+  assert.equal(first.statusCode, 200);
+
+  const replay = await book({ slotStart: "2030-03-04T10:00:00Z", formToken });
+  assert.equal(replay.statusCode, 409);
+  assert.equal(replay.json.code, "form_token_reused");
+});
+
+test("a booking that loses the slot to another keeps its token", async () => {
+  const tokens = [tokenIssuedSecondsAgo(30), tokenIssuedSecondsAgo(30)];
+  const results = await Promise.all(
+    tokens.map((formToken) => book({ slotStart: "2030-03-06T09:00:00Z", formToken }))
+  );
+  assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 409]);
+  const loser = results.findIndex((res) => res.statusCode === 409);
+  assert.equal(results[loser].json.code, "slot_taken");
+
+  const retry = await book({ slotStart: "2030-03-06T10:00:00Z", formToken: tokens[loser] });
+  assert.equal(retry.statusCode, 200);
+});
+
+test("booking with the honeypot filled looks booked but reserves nothing", async () => {
+  sentEmails.length = 0;
+  const decoy = await book({ slotStart: "2030-03-05T09:00:00Z", website: "x" });
+
+  assert.equal(decoy.statusCode, 200);
+  assert.equal(decoy.json.status, "success");
+  assert.equal(decoy.json.slotStart, "2030-03-05T09:00:00Z");
+  assert.equal(decoy.json.slotEnd, "2030-03-05T09:30:00Z");
+  assert.equal(sentEmails.length, 0);
+
+  // Out-of-range dates fall back to now instead of failing to serialise
+  for (const slotStart of ["+275760-09-13T00:00:00.000Z", "2001-01-01T09:00:00Z"]) {
+    const before = Date.now();
+    const clamped = await book({ slotStart, website: "x" });
+    assert.equal(clamped.statusCode, 200, slotStart);
+    assert.equal(clamped.headers["Access-Control-Allow-Origin"], ORIGIN);
+    assert.ok(Date.parse(clamped.json.slotStart) >= before - 1000, slotStart);
+  }
+
+  const real = await book({
+    slotStart: "2030-03-05T09:00:00Z",
+    formToken: tokenIssuedSecondsAgo(30),
+  });
+  assert.equal(real.statusCode, 200);
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, ORIGIN, stubSes } from "./fixtures/handler.mjs";
+
+const sentEmails = stubSes();
+
+const { handler, post: postJson } = await loadHandler({
+  ...BOOKING_ENV,
+  ALLOWED_ORIGINS: `${ORIGIN},https://waterapps.com.au`,
+  RATE_LIMITS: JSON.stringify({
+    contact: { email: { limit: 2, windowSeconds: 3600 } },
+  }),
+});
+
+function post(path, body, { key, origin } = {}) {
+  const headers = key === undefined ? {} : { "idempotency-key": key };
+  return postJson(path, body, { headers, origin });
+}
+
+function enquiry(email) {
+  return { name: "Jane Tester", email, message: "Hello, this is a valid test message." };
+}
+
+test("CORS preflight allows the Idempotency-Key header", async () => {
+  const res = await handler({
+    headers: { origin: ORIGIN },
+    requestContext: { http: { method: "OPTIONS", path: "/contact" } },
+  });
+  assert.match(res.headers["Access-Control-Allow-Headers"], /\bIdempotency-Key\b/);
+});
+
+test("a contact replay returns the original response without sending again", async () => {
+  const before = sentEmails.length;
+  const first = await post("/contact", enquiry("replay@example.com"), { key: "contact-replay-1" });
+  const replay = await post("/contact", enquiry("replay@example.com"), { key: "contact-replay-1" });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers["Idempotent-Replayed"], undefined);
+  assert.equal(replay.statusCode, 200);
+  assert.equal(replay.body, first.body);
+  assert.equal(replay.headers["Idempotent-Replayed"], "true");
+  assert.equal(replay.headers["Access-Control-Allow-Origin"], ORIGIN);
+  assert.equal(sentEmails.length, before + 1);
+});
+
+test("the same key with a different body is a conflict", async () => {
+  await post("/contact", enquiry("conflict@example.com"), { key: "contact-conflict-1" });
+  const before = sentEmails.length;
+  const res = await post(
+    "/contact",
+    { ...enquiry("conflict@example.com"), message: "A different message with enough characters." },
+    { key: "contact-conflict-1" }
+  );
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.json.code, "idempotency_conflict");
+  assert.equal(sentEmails.length, before);
+});
+
+test("keys are scoped to the route and origin", async () => {
+  const before = sentEmails.length;
+  await post("/contact", enquiry("scoped@example.com"), { key: "shared-key" });
+  const otherOrigin = await post("/contact", enquiry("scoped@example.com"), {
+    key: "shared-key",
+    origin: "https://waterapps.com.au",
+  });
+  const booking = await post(
+    "/booking",
+    { name: "Jane Tester", email: "jane@example.com", slotStart: "2030-05-06T09:00:00.000Z" },
+    { key: "shared-key" }
+  );
+
+  assert.equal(otherOrigin.statusCode, 200);
+  assert.equal(otherOrigin.headers["Idempotent-Replayed"], undefined);
+  assert.equal(booking.statusCode, 200);
+  assert.ok(booking.json.bookingId);
+  // Two contact notifications, plus the booking's owner and guest emails
+  assert.equal(sentEmails.length, before + 4);
+});
+
+test("a booking replay returns the same booking instead of a slot conflict", async () => {
+  const body = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart: "2030-05-07T10:00:00.000Z",
+  };
+  const first = await post("/booking", body, { key: "booking-replay-1" });
+  const replay = await post("/booking", body, { key: "booking-replay-1" });
+  const withoutKey = await post("/booking", body);
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(replay.statusCode, 200);
+  assert.equal(replay.json.bookingId, first.json.bookingId);
+  assert.equal(replay.headers["Idempotent-Replayed"], "true");
+  assert.equal(withoutKey.statusCode, 409);
+});
+
+test("validation errors are replayed too", async () => {
+  const first = await post("/contact", { name: "J" }, { key: "invalid-body-1" });
+  const replay = await post("/contact", { name: "J" }, { key: "invalid-body-1" });
+
+  assert.equal(first.statusCode, 400);
+  assert.equal(replay.statusCode, 400);
+  assert.equal(replay.json.requestId, first.json.requestId);
+});
+
+test("rate-limited responses are not stored, so the same key can be retried", async () => {
+  await post("/contact", enquiry("limited@example.com"));
+  await post("/contact", enquiry("limited@example.com"));
+  const first = await post("/contact", enquiry("limited@example.com"), { key: "limited-1" });
+  const retry = await post("/contact", enquiry("limited@example.com"), { key: "limited-1" });
+
+  assert.equal(first.statusCode, 429);
+  assert.equal(retry.statusCode, 429);
+  assert.equal(retry.headers["Idempotent-Replayed"], undefined);
+  assert.notEqual(retry.json.requestId, first.json.requestId);
+});
+
+test("rejects malformed keys and keys from disallowed origins", async () => {
+  const body = enquiry("malformed@example.com");
+  const blank = await post("/contact", body, { key: "" });
+  const spaced = await post("/contact", body, { key: "has spaces" });
+  const long = await post("/contact", body, { key: "k".repeat(256) });
+  const foreign = await post("/contact", body, {
+    key: "foreign-1",
+    origin: "https://evil.example.com",
+  });
+
+  assert.deepEqual(
+    [blank, spaced, long].map((res) => [res.statusCode, res.json.code]),
+    [
+      [400, "invalid_idempotency_key"],
+      [400, "invalid_idempotency_key"],
+      [400, "invalid_idempotency_key"],
+    ]
+  );
+  assert.equal(foreign.statusCode, 403);
+  assert.equal(foreign.json.code, "origin_not_allowed");
+});
@@ -0,0 +1,168 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+let sesFailure = null;
+const sentCommands = stubSes(() => {
+  if (sesFailure) throw sesFailure;
+});
+
+const { call, post } = await loadHandler({ CONTACT_ADMIN_GROUP: "inbox-admins" });
+
+const adminClaims = {
+  sub: "admin-123",
+  email: "admin@waterapps.com.au",
+  "cognito:groups": "[inbox-admins]",
+};
+
+function contact(fields) {
+  return post(
+    "/contact",
+    {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      message: "Hello, this is a valid test message.",
+      ...fields,
+    },
+    { headers: { "user-agent": "InboxTest/1.0" } }
+  );
+}
+
+function listSubmissions(query, claims = adminClaims) {
+  return call({ path: "/contact/submissions", query, claims });
+}
+
+async function findSubmission(name) {
+  const list = await listSubmissions({ limit: "100" });
+  return list.json.submissions.find((submission) => submission.name === name);
+}
+
+test("stores each submission with request metadata and delivery status", async () => {
+  const res = await contact({ name: "Stored Sender" });
+  assert.equal(res.statusCode, 200);
+
+  const submission = await findSubmission("Stored Sender");
+  assert.equal(submission.status, "new");
+  assert.equal(submission.email, "jane@example.com");
+  assert.equal(submission.origin, "https://www.waterapps.com.au");
+  assert.equal(submission.sourceIp, "203.0.113.7");
+  assert.equal(submission.userAgent, "InboxTest/1.0");
+  assert.ok(submission.requestId.startsWith("req-test-"));
+  assert.equal(submission.deliveryStatus, "sent");
+  assert.ok(submission.messageId);
+
+  const email = sentCommands.at(-1).input.Message.Body.Text.Data;
+  assert.match(email, new RegExp(`Inbox ID: ${submission.submissionId}`));
+});
+
+test("keeps the submission and accepts the enquiry when the email fails", async () => {
+  sesFailure = Object.assign(new Error("Email address is not verified"), {
+    name: "MessageRejected",
+  });
+  try {
+    const res = await contact({ name: "Bounced Sender" });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.json.status, "accepted");
+  } finally {
+    sesFailure = null;
+  }
+
+  const failed = await listSubmissions({ deliveryStatus: "failed" });
+  const submission = failed.json.submissions.find((s) => s.name === "Bounced Sender");
+  assert.equal(submission.deliveryStatus, "failed");
+  assert.equal(submission.deliveryError, "MessageRejected");
+});
+
+test("admin routes need a JWT with the inbox group", async () => {
+  const anonymous = await listSubmissions({}, null);
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(anonymous.json.code, "unauthorized");
+
+  const outsider = await listSubmissions({}, { sub: "user-1", "cognito:groups": "[readers]" });
+  assert.equal(outsider.statusCode, 403);
+  assert.equal(outsider.json.code, "forbidden");
+});
+
+test("review admin routes stay closed while no review group is configured", async () => {
+  const res = await call({ path: "/reviews", claims: adminClaims });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.json.code, "forbidden");
+});
+
+test("fetches one submission and marks it handled or spam", async () => {
+  await contact({ name: "Triage Sender" });
+  const { submissionId } = await findSubmission("Triage Sender");
+
+  const fetched = await call({ path: `/contact/submissions/${submissionId}`, claims: adminClaims });
+  assert.equal(fetched.statusCode, 200);
+  assert.equal(fetched.json.submission.name, "Triage Sender");
+
+  const handled = await call({
+    method: "POST",
+    path: `/contact/submissions/${submissionId}/status`,
+    body: { status: "handled", note: "Replied by phone" },
+    claims: adminClaims,
+  });
+  assert.equal(handled.statusCode, 200);
+  assert.equal(handled.json.submission.status, "handled");
+  assert.equal(handled.json.submission.updatedBy, "admin@waterapps.com.au");
+  assert.equal(handled.json.submission.note, "Replied by phone");
+
+  const stillNew = await listSubmissions({ limit: "100" });
+  assert.ok(!stillNew.json.submissions.some((s) => s.submissionId === submissionId));
+  const handledList = await listSubmissions({ status: "handled" });
+  assert.ok(handledList.json.submissions.some((s) => s.submissionId === submissionId));
+
+  const spam = await call({
+    method: "POST",
+    path: `/contact/submissions/${submissionId}/status`,
+    body: { status: "spam" },
+    claims: adminClaims,
+  });
+  assert.equal(spam.json.submission.status, "spam");
+});
+
+test("rejects unknown statuses, bad filters and missing submissions", async () => {
+  const invalid = await call({
+    method: "POST",
+    path: "/contact/submissions/some-id/status",
+    body: { status: "archived" },
+    claims: adminClaims,
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.ok(invalid.json.fieldErrors.status);
+
+  const missing = await call({ path: "/contact/submissions/does-not-exist", claims: adminClaims });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.json.code, "submission_not_found");
+
+  const badQuery = await listSubmissions({ status: "open", from: "2030-02-30" });
+  assert.equal(badQuery.statusCode, 400);
+  assert.equal(badQuery.json.code, "validation_failed");
+  assert.ok(badQuery.json.fieldErrors.status);
+  assert.ok(badQuery.json.fieldErrors.from);
+});
+
+test("filters by date and pages with a cursor", async () => {
+  await contact({ name: "Page One" });
+  await contact({ name: "Page Two" });
+  const today = new Date().toISOString().slice(0, 10);
+
+  const first = await listSubmissions({ from: today, to: today, limit: "1" });
+  assert.equal(first.json.submissions.length, 1);
+  assert.ok(first.json.nextCursor);
+  const second = await listSubmissions({
+    from: today,
+    to: today,
+    limit: "1",
+    cursor: first.json.nextCursor,
+  });
+  assert.notEqual(
+    second.json.submissions[0].submissionId,
+    first.json.submissions[0].submissionId
+  );
+
+  const past = await listSubmissions({ from: "2020-01-01", to: "2020-12-31" });
+  assert.deepEqual(past.json.submissions, []);
+});
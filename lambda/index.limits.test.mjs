@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_WORKDAYS: "1,2,3,4,5",
+  BOOKING_BUFFER_AFTER_MINUTES: "30",
+  BOOKING_MAX_PER_DAY: "2",
+  BOOKING_MAX_PER_WEEK: "3",
+  BOOKING_TYPES: JSON.stringify([
+    { id: "DISCOVERY_30M", title: "Discovery call", durationMinutes: 30 },
+    {
+      id: "ARCH_REVIEW_60M",
+      title: "Architecture review",
+      durationMinutes: 60,
+      bufferBeforeMinutes: 60,
+    },
+  ]),
+});
+
+function book(slotStart, bookingType) {
+  return post("/booking", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart,
+    ...(bookingType ? { bookingType } : {}),
+  });
+}
+
+async function availableTimes(date, type) {
+  const res = await call({
+    path: "/availability",
+    query: { date, days: "1", ...(type ? { type } : {}) },
+  });
+  return res.json.slots.map((slot) => slot.slotStart.slice(11, 16));
+}
+
+// 2030-04-01 is a Monday
+test("keeps buffers clear around existing bookings", async () => {
+  assert.equal((await book("2030-04-01T10:00:00Z")).statusCode, 200);
+
+  const discovery = await availableTimes("2030-04-01");
+  assert.deepEqual(discovery.slice(0, 3), ["09:00", "11:00", "11:30"]);
+
+  // A 60-minute review needs its own hour of lead-in after the 10:30 finish
+  const review = await availableTimes("2030-04-01", "ARCH_REVIEW_60M");
+  assert.deepEqual(review, ["12:00", "13:00", "14:00", "15:00", "16:00"]);
+
+  const tooClose = await book("2030-04-01T10:30:00Z");
+  assert.equal(tooClose.statusCode, 409);
+  assert.equal(tooClose.json.code, "buffer_conflict");
+  assert.equal(
+    tooClose.json.fieldErrors.slotStart,
+    "Selected slot is too close to another booking."
+  );
+
+  const reviewTooClose = await book("2030-04-01T11:00:00Z", "ARCH_REVIEW_60M");
+  assert.equal(reviewTooClose.json.code, "buffer_conflict");
+});
+
+test("stops offering a day or week once its cap is reached", async () => {
+  assert.equal((await book("2030-04-01T14:00:00Z")).statusCode, 200);
+  assert.deepEqual(await availableTimes("2030-04-01"), []);
+
+  const dayFull = await book("2030-04-01T16:00:00Z");
+  assert.equal(dayFull.statusCode, 409);
+  assert.equal(dayFull.json.code, "daily_limit_reached");
+
+  assert.equal((await book("2030-04-02T10:00:00Z")).statusCode, 200);
+  assert.deepEqual(await availableTimes("2030-04-03"), []);
+
+  const weekFull = await book("2030-04-03T10:00:00Z");
+  assert.equal(weekFull.statusCode, 409);
+  assert.equal(weekFull.json.code, "weekly_limit_reached");
+
+  // Caps reset with the next local week
+  assert.equal((await availableTimes("2030-04-08")).length, 16);
+});
+
+test("checks concurrent bookings against each other", async () => {
+  // 2030-04-15 is a Monday in a fresh week
+  const results = await Promise.all([
+    book("2030-04-15T10:00:00Z"),
+    book("2030-04-15T10:30:00Z"),
+  ]);
+  assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 409]);
+  assert.equal(results.find((res) => res.statusCode === 409).json.code, "buffer_conflict");
+});
+
+test("enforces the weekly cap across concurrent bookings on different days", async () => {
+  // 2030-04-22 is a Monday; each day has its own guard, so only the counts clash
+  const results = await Promise.all(
+    ["2030-04-22", "2030-04-23", "2030-04-24", "2030-04-25"].map((date) =>
+      book(`${date}T10:00:00Z`)
+    )
+  );
+  assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 200, 200, 409]);
+  assert.equal(results.find((res) => res.statusCode === 409).json.code, "weekly_limit_reached");
+});
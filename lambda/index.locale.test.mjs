@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { fileMailbox, loadHandler } from "./fixtures/handler.mjs";
+
+const mailbox = await fileMailbox("locale");
+
+const { call } = await loadHandler({
+  ...mailbox.env,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+});
+
+function request({
+  method = "POST",
+  route = "/contact",
+  body,
+  acceptLanguage,
+  contentType,
+} = {}) {
+  const headers = {};
+  if (acceptLanguage) headers["accept-language"] = acceptLanguage;
+  if (contentType) headers["content-type"] = contentType;
+  return call({ method, path: route, body, headers });
+}
+
+const INVALID_CONTACT = { name: "J", email: "not-an-email", message: "short" };
+
+test("translates validation messages from Accept-Language", async () => {
+  const english = await request({ body: INVALID_CONTACT });
+  const japanese = await request({ body: INVALID_CONTACT, acceptLanguage: "ja-JP,ja;q=0.9" });
+
+  assert.equal(japanese.statusCode, 400);
+  assert.equal(japanese.json.code, english.json.code);
+  assert.deepEqual(Object.keys(japanese.json.fieldErrors), Object.keys(english.json.fieldErrors));
+  assert.equal(english.json.message, "Please correct the highlighted fields and try again.");
+  assert.equal(
+    japanese.json.message,
+    "入力内容に誤りがあります。表示された項目を修正して、もう一度お試しください。"
+  );
+  assert.deepEqual(japanese.json.fieldErrors, {
+    name: "お名前は必須です（2文字以上）。",
+    email: "有効なメールアドレスを入力してください。",
+    message: "メッセージは必須です（10文字以上）。",
+  });
+  assert.equal(japanese.headers.Vary, "Origin, Accept-Language");
+});
+
+test("the body's locale field wins over Accept-Language", async () => {
+  const json = await request({
+    body: { ...INVALID_CONTACT, locale: "ja" },
+    acceptLanguage: "en-AU",
+  });
+  assert.equal(json.json.fieldErrors.name, "お名前は必須です（2文字以上）。");
+
+  const form = await request({
+    body: "name=J&email=jane%40example.com&message=short&locale=ja",
+    contentType: "application/x-www-form-urlencoded",
+  });
+  assert.equal(form.statusCode, 303);
+  assert.equal(
+    new URL(form.headers.Location).searchParams.get("fieldErrors.message"),
+    "メッセージは必須です（10文字以上）。"
+  );
+});
+
+test("unsupported locales fall back to English", async () => {
+  const res = await request({
+    body: { ...INVALID_CONTACT, locale: "fr" },
+    acceptLanguage: "de-DE, fr;q=0.8",
+  });
+  assert.equal(res.json.fieldErrors.name, "Name is required (min 2 characters).");
+});
+
+test("translates success, booking and request errors", async () => {
+  const sent = await request({
+    body: {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      message: "Please call me about a review.",
+      locale: "ja",
+    },
+  });
+  assert.equal(sent.statusCode, 200);
+  assert.equal(
+    sent.json.message,
+    "WaterApps へお問い合わせいただきありがとうございます。24時間以内にご連絡いたします。"
+  );
+
+  const booking = await request({
+    route: "/booking",
+    body: { name: "Jane Tester", email: "jane@example.com", locale: "ja" },
+  });
+  assert.equal(booking.json.code, "validation_failed");
+  assert.equal(booking.json.fieldErrors.slotStart, "日時を選択してください。");
+
+  const invalidJson = await request({ body: "{", acceptLanguage: "ja" });
+  assert.equal(invalidJson.json.code, "invalid_json");
+  assert.equal(invalidJson.json.message, "リクエストの本文は有効な JSON である必要があります。");
+
+  const missing = await request({ method: "GET", route: "/nowhere", acceptLanguage: "ja" });
+  assert.equal(missing.json.code, "not_found");
+  assert.equal(missing.json.message, "エンドポイントが見つかりません。");
+});
+
+test("body problems are reported in the body's or the header's locale", async () => {
+  const tooLarge = await request({ body: "x".repeat(20000), acceptLanguage: "ja" });
+  assert.equal(tooLarge.statusCode, 413);
+  assert.equal(tooLarge.json.message, "リクエストの本文が大きすぎます。");
+
+  const formToJsonRoute = await request({
+    route: "/reviews",
+    body: "name=J&locale=ja",
+    contentType: "application/x-www-form-urlencoded",
+  });
+  assert.equal(formToJsonRoute.json.code, "invalid_json");
+  assert.equal(
+    formToJsonRoute.json.message,
+    "リクエストの本文は有効な JSON である必要があります。"
+  );
+});
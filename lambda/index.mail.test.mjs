@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, fileMailbox, loadHandler, mailHeader } from "./fixtures/handler.mjs";
+
+const mailbox = await fileMailbox("mail");
+
+const { post } = await loadHandler({
+  ...mailbox.env,
+  ...BOOKING_ENV,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  TARGET_EMAIL: "varun@waterapps.com.au, ops@waterapps.com.au",
+  TARGET_EMAIL_CC: "sales@waterapps.com.au",
+  TARGET_EMAIL_BCC: "archive@waterapps.com.au",
+});
+
+test("writes the contact notification to every target with Cc and Bcc", async () => {
+  const res = await post("/contact", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    message: "Hello, this is a valid test message.",
+  });
+  assert.equal(res.statusCode, 200);
+
+  const [eml] = await mailbox.read();
+  assert.equal(mailHeader(eml, "To"), "varun@waterapps.com.au, ops@waterapps.com.au");
+  assert.equal(mailHeader(eml, "Cc"), "sales@waterapps.com.au");
+  assert.equal(mailHeader(eml, "Bcc"), "archive@waterapps.com.au");
+  assert.equal(mailHeader(eml, "Reply-To"), "jane@example.com");
+});
+
+test("copies owners on bookings but not the guest confirmation", async () => {
+  const before = (await mailbox.read()).length;
+  const res = await post("/booking", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart: "2030-06-03T10:00:00.000Z",
+  });
+  assert.equal(res.statusCode, 200);
+
+  const written = (await mailbox.read()).slice(before);
+  assert.equal(written.length, 2);
+  const owner = written.find((eml) => mailHeader(eml, "To")?.includes("varun@"));
+  const guest = written.find((eml) => mailHeader(eml, "To") === "jane@example.com");
+  assert.equal(mailHeader(owner, "Cc"), "sales@waterapps.com.au");
+  assert.match(owner, /Content-Disposition: attachment; filename="invite.ics"/);
+  assert.equal(mailHeader(guest, "Cc"), undefined);
+  assert.equal(mailHeader(guest, "Bcc"), undefined);
+  assert.equal(mailHeader(guest, "Reply-To"), "varun@waterapps.com.au, ops@waterapps.com.au");
+});
@@ -3,15 +3,131 @@
  *
  * Endpoints:
  * - GET  /health
- * - POST /contact
+ * - GET  /openapi.json
+ * - GET  /form-token
+ * - POST /contact                       (form token when enabled)
+ * - POST /contact/attachments           (when ATTACHMENTS_BUCKET is set)
+ * - GET  /contact/attachments/download  (signed token, from owner emails)
+ * - GET  /forms/{formId}
+ * - POST /forms/{formId}                (form token when enabled)
+ * - GET  /contact/submissions                      (JWT)
+ * - GET  /contact/submissions/{submissionId}       (JWT)
+ * - POST /contact/submissions/{submissionId}/status (JWT)
+ * - GET  /booking-types
  * - GET  /availability
- * - POST /booking
+ * - POST /booking                       (form token when enabled)
+ * - GET  /booking/{bookingId}/cancel       (signed token)
+ * - POST /booking/{bookingId}/cancel       (signed token)
+ * - GET  /booking/{bookingId}/reschedule   (signed token)
+ * - POST /booking/{bookingId}/reschedule   (signed token)
+ * - POST /reviews
+ * - GET  /reviews                       (JWT)
+ * - POST /reviews/{reviewId}/moderate   (JWT)
+ *
+ * /contact is the built-in "contact" form; other forms are declared in FORMS
+ * or forms.json (see form-definitions.mjs).
+ *
+ * POST /contact, /forms/{formId} and /booking honour an Idempotency-Key header: a replay
+ * with the same body returns the stored response without sending again.
+ *
+ * POST /contact, /forms/{formId} and /booking also take HTML form posts (urlencoded
+ * or multipart) and answer them with a 303 to a success or error page (see
+ * form-posts.mjs).
+ *
+ * Notification emails go through an outbox (see outbox.mjs): failed sends are
+ * retried by scheduled invocations and dead-lettered after the last attempt.
+ * Direct invocations with `{ "outbox": "process" | "list-dead" | "replay" }`
+ * run the outbox commands.
+ *
+ * Contact and booking events are also posted to the signed webhooks in
+ * WEBHOOKS, one outbox message per delivery (see webhooks.mjs).
+ *
+ * Contact enquiries can carry files uploaded to S3 through presigned URLs
+ * (see attachments.mjs).
+ *
+ * Emails are sent through MAIL_TRANSPORT: SES, SMTP, or .eml files / stdout
+ * for local runs (see mail-transport.mjs).
+ *
+ * Public responses are translated by Accept-Language or a `locale` body field
+ * (see messages.mjs); admin routes answer in English.
  */
 
-import { randomUUID } from "node:crypto";
-import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
-
-const ses = new SESClient({});
+import { createHash, randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+import {
+  checkUploadRequest,
+  createAttachmentService,
+  createHttpAttachmentScanner,
+  formatBytes,
+  parseAttachmentConfig,
+} from "./attachments.mjs";
+import { createBookingStore } from "./booking-store.mjs";
+import { describeBookingType, loadBookingTypes } from "./booking-types.mjs";
+import { signBookingToken, verifyBookingToken } from "./booking-tokens.mjs";
+import { createBusyProvider } from "./busy-calendar.mjs";
+import { buildCalendarInvite } from "./calendar-invite.mjs";
+import { createCaptchaVerifier, parseCaptchaRoutes } from "./captcha.mjs";
+import { createContactStore } from "./contact-store.mjs";
+import {
+  createEmailRenderer,
+  loadEmailTemplates,
+  parseEmailBrand,
+} from "./email-templates.mjs";
+import {
+  BOOKING_FORM,
+  CONTACT_FORM,
+  describeForm,
+  formEmailRows,
+  formSuccessMessage,
+  loadFormDefinitions,
+  normaliseFormInput,
+  renderFormSubject,
+  validateFormInput,
+} from "./form-definitions.mjs";
+import {
+  formRedirectLocation,
+  isFormContentType,
+  parseFormBody,
+  parseFormRedirects,
+  pickRedirectTarget,
+  wantsFormRedirect,
+} from "./form-posts.mjs";
+import { createFormTokenStore } from "./form-token-store.mjs";
+import { signFormToken, verifyFormToken } from "./form-tokens.mjs";
+import { createIdempotencyStore } from "./idempotency-store.mjs";
+import {
+  createMailTransport,
+  parseAddressList,
+  parseMailTransportConfig,
+} from "./mail-transport.mjs";
+import { createTranslator, negotiateLocale, SUPPORTED_LOCALES } from "./messages.mjs";
+import { buildOpenApiDocument } from "./openapi.mjs";
+import { createOutbox } from "./outbox.mjs";
+import { createOutboxStore } from "./outbox-store.mjs";
+import {
+  createRateLimiter,
+  createRateLimitStore,
+  parseRateLimits,
+} from "./rate-limiter.mjs";
+import { createReviewStore } from "./review-store.mjs";
+import { createS3Client } from "./s3-client.mjs";
+import {
+  createDaySchedule,
+  formatTimeOfDay,
+  loadScheduleExceptions,
+  parseTimeOfDay,
+} from "./schedule.mjs";
+import {
+  isValidTimeZone,
+  localDateKey,
+  localWeekKey,
+  toLocalIso,
+  zonedParts,
+  zonedTimeToUtc,
+} from "./timezones.mjs";
+import { createWebhookSender, parseWebhookSubscriptions } from "./webhooks.mjs";
+
+const mailTransport = createMailTransport(parseMailTransportConfig(process.env));
 
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "")
   .split(",")
@@ -24,20 +140,336 @@ const BOOKING_SLOT_DURATION_MINUTES = Number(
   process.env.BOOKING_SLOT_DURATION_MINUTES || "30"
 );
 const BOOKING_LOOKAHEAD_DAYS = Number(process.env.BOOKING_LOOKAHEAD_DAYS || "14");
+const AVAILABILITY_DEFAULT_DAYS = 7;
+const AVAILABILITY_MAX_DAYS = 21;
 const BOOKING_MIN_LEAD_MINUTES = Number(
   process.env.BOOKING_MIN_LEAD_MINUTES || "120"
 );
-const BOOKING_START_HOUR_UTC = Number(process.env.BOOKING_START_HOUR_UTC || "0");
-const BOOKING_END_HOUR_UTC = Number(process.env.BOOKING_END_HOUR_UTC || "8");
-const BOOKING_WORKDAYS_UTC = (process.env.BOOKING_WORKDAYS_UTC || "1,2,3,4,5")
+// Guardrails across all meeting types (0 disables a cap or gap)
+const BOOKING_BUFFER_BEFORE_MINUTES = Number(
+  process.env.BOOKING_BUFFER_BEFORE_MINUTES || "0"
+);
+const BOOKING_BUFFER_AFTER_MINUTES = Number(
+  process.env.BOOKING_BUFFER_AFTER_MINUTES || "0"
+);
+const BOOKING_MIN_GAP_MINUTES = Number(process.env.BOOKING_MIN_GAP_MINUTES || "0");
+const BOOKING_MAX_PER_DAY = Number(process.env.BOOKING_MAX_PER_DAY || "0");
+const BOOKING_MAX_PER_WEEK = Number(process.env.BOOKING_MAX_PER_WEEK || "0");
+// External calendars (ICS feeds or CalDAV free-busy URLs, or bundled file paths)
+const BOOKING_BUSY_CALENDAR_URLS = (process.env.BOOKING_BUSY_CALENDAR_URLS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const BOOKING_BUSY_CACHE_SECONDS = Number(process.env.BOOKING_BUSY_CACHE_SECONDS || "300");
+const BOOKING_BUSY_TIMEOUT_MS = Number(process.env.BOOKING_BUSY_TIMEOUT_MS || "3000");
+// Business hours are wall-clock times in BOOKING_TIMEZONE. The legacy
+// BOOKING_*_UTC settings remain the fallback for deployments that predate it.
+const BOOKING_TIMEZONE = process.env.BOOKING_TIMEZONE || "UTC";
+const BOOKING_DAY_START_MINUTES = parseTimeOfDay(
+  process.env.BOOKING_DAY_START || `${process.env.BOOKING_START_HOUR_UTC || "0"}:00`
+);
+const BOOKING_DAY_END_MINUTES = parseTimeOfDay(
+  process.env.BOOKING_DAY_END || `${process.env.BOOKING_END_HOUR_UTC || "8"}:00`
+);
+const BOOKING_WORKDAYS = (
+  process.env.BOOKING_WORKDAYS ||
+  process.env.BOOKING_WORKDAYS_UTC ||
+  "1,2,3,4,5"
+)
   .split(",")
   .map((day) => Number(day.trim()))
   .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
-const BOOKING_MAX_NOTES_CHARS = 1500;
+const BOOKING_RETENTION_DAYS = Number(process.env.BOOKING_RETENTION_DAYS || "365");
+const BOOKING_LINK_SECRET = process.env.BOOKING_LINK_SECRET || "";
+const BOOKING_MANAGE_URL = process.env.BOOKING_MANAGE_URL || "";
+const BOOKING_MANAGE_ACTIONS = ["cancel", "reschedule"];
+const BOOKING_ORGANIZER_NAME = process.env.BOOKING_ORGANIZER_NAME || "WaterApps";
+const BOOKING_GUEST_CONFIRMATION_ENABLED =
+  process.env.BOOKING_GUEST_CONFIRMATION_ENABLED !== "false";
+
+// Bot defences for POST /contact and POST /booking; tokens are off without a secret.
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || "";
+const FORM_TOKEN_MIN_SECONDS = Number(process.env.FORM_TOKEN_MIN_SECONDS || "3");
+const FORM_TOKEN_MAX_SECONDS = Number(process.env.FORM_TOKEN_MAX_SECONDS || "7200");
+const FORM_HONEYPOT_FIELD = (process.env.FORM_HONEYPOT_FIELD || "").trim();
+// CAPTCHA is opt-in per route; secrets and siteverify URLs are per provider.
+const CAPTCHA_ROUTES = parseCaptchaRoutes(process.env.CAPTCHA_ROUTES || "{}");
+// Contact attachments go to S3 through presigned URLs; off without a bucket.
+const ATTACHMENTS = parseAttachmentConfig(process.env);
+// Sliding-window limits per route and per IP / email / origin (none by default)
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS || "{}");
+// HMAC key for the IPs and emails in the counter table (see rate-limiter.mjs)
+const RATE_LIMIT_KEY_SECRET = process.env.RATE_LIMIT_KEY_SECRET || "";
+// Idempotency-Key responses are replayed for this long; the lock covers one run.
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS || "86400");
+const IDEMPOTENCY_LOCK_SECONDS = 60;
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+// Failed notification emails are retried with backoff, then dead-lettered.
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || "5");
+const OUTBOX_RETRY_BASE_SECONDS = Number(process.env.OUTBOX_RETRY_BASE_SECONDS || "60");
+const OUTBOX_RETENTION_DAYS = Number(process.env.OUTBOX_RETENTION_DAYS || "30");
+const OUTBOX_BATCH_SIZE = 25;
+// Send errors that a retry cannot fix; the message is dead-lettered for replay.
+const PERMANENT_MAIL_ERRORS = new Set([
+  "MessageRejected",
+  "InvalidParameterValue",
+  "SmtpRejected",
+  "FormNotFound",
+]);
+// Owner notifications go to every TARGET_EMAIL address, plus Cc / Bcc lists.
+const TARGET_EMAILS = parseAddressList(process.env.TARGET_EMAIL);
+const TARGET_EMAIL_CC = parseAddressList(process.env.TARGET_EMAIL_CC);
+const TARGET_EMAIL_BCC = parseAddressList(process.env.TARGET_EMAIL_BCC);
+
+const EMAIL_BRAND = parseEmailBrand(process.env.EMAIL_BRAND || "{}");
+const WEBHOOKS = parseWebhookSubscriptions(process.env.WEBHOOKS || "[]");
+
+const CONTACT_RETENTION_DAYS = Number(process.env.CONTACT_RETENTION_DAYS || "365");
+const CONTACT_ADMIN_GROUP = process.env.CONTACT_ADMIN_GROUP || "";
+// Copy of the enquiry to the sender, capped per recipient address
+const CONTACT_ACK_ENABLED = process.env.CONTACT_ACK_ENABLED === "true";
+const CONTACT_ACK_MAX_PER_RECIPIENT = Number(
+  process.env.CONTACT_ACK_MAX_PER_RECIPIENT || "3"
+);
+const CONTACT_ACK_WINDOW_SECONDS = Number(process.env.CONTACT_ACK_WINDOW_SECONDS || "86400");
+const CONTACT_STATUSES = ["new", "handled", "spam"];
+const CONTACT_DELIVERY_STATUSES = ["pending", "sent", "failed"];
+
+const REVIEW_RETENTION_DAYS = Number(process.env.REVIEW_RETENTION_DAYS || "365");
+const REVIEW_ADMIN_GROUP = process.env.REVIEW_ADMIN_GROUP || "";
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const REVIEW_DECISIONS = ["approved", "rejected"];
+
+const bookingStore = createBookingStore({
+  tableName: process.env.BOOKINGS_TABLE_NAME,
+  retentionDays: BOOKING_RETENTION_DAYS,
+  maxPerDay: BOOKING_MAX_PER_DAY,
+  maxPerWeek: BOOKING_MAX_PER_WEEK,
+});
+const contactStore = createContactStore({
+  tableName: process.env.CONTACT_SUBMISSIONS_TABLE_NAME,
+  retentionDays: CONTACT_RETENTION_DAYS,
+});
+const attachmentService = ATTACHMENTS.enabled
+  ? createAttachmentService({
+      config: ATTACHMENTS,
+      s3: createS3Client({
+        bucket: ATTACHMENTS.bucket,
+        region: ATTACHMENTS.region,
+        endpoint: ATTACHMENTS.endpoint,
+      }),
+      scan: ATTACHMENTS.scan.url ? createHttpAttachmentScanner(ATTACHMENTS.scan) : null,
+    })
+  : null;
+const formTokenStore = createFormTokenStore({
+  tableName: process.env.FORM_TOKENS_TABLE_NAME,
+});
+const idempotencyStore = createIdempotencyStore({
+  tableName: process.env.IDEMPOTENCY_TABLE_NAME,
+});
+const outbox = createOutbox({
+  store: createOutboxStore({
+    tableName: process.env.OUTBOX_TABLE_NAME,
+    retentionDays: OUTBOX_RETENTION_DAYS,
+  }),
+  deliver: deliverNotification,
+  maxAttempts: OUTBOX_MAX_ATTEMPTS,
+  baseDelaySeconds: OUTBOX_RETRY_BASE_SECONDS,
+  isRetryable: (err) => err?.retryable !== false && !PERMANENT_MAIL_ERRORS.has(err?.name),
+});
+const rateLimitStore = createRateLimitStore({
+  tableName: process.env.RATE_LIMITS_TABLE_NAME,
+});
+const contactAckLimiter = createRateLimiter({
+  rules: {
+    "contact-ack": [
+      {
+        key: "email",
+        limit: CONTACT_ACK_MAX_PER_RECIPIENT,
+        windowSeconds: CONTACT_ACK_WINDOW_SECONDS,
+      },
+    ],
+  },
+  store: rateLimitStore,
+  keySecret: RATE_LIMIT_KEY_SECRET,
+});
+const webhookSender = createWebhookSender({ subscriptions: WEBHOOKS });
+const reviewStore = createReviewStore({
+  tableName: process.env.REVIEWS_TABLE_NAME,
+  retentionDays: REVIEW_RETENTION_DAYS,
+});
+
+if (!isValidTimeZone(BOOKING_TIMEZONE)) {
+  throw new Error(`BOOKING_TIMEZONE is not a valid IANA time zone: ${BOOKING_TIMEZONE}`);
+}
+if (BOOKING_DAY_START_MINUTES === null || BOOKING_DAY_END_MINUTES === null) {
+  throw new Error("BOOKING_DAY_START and BOOKING_DAY_END must be HH:MM (00:00-24:00).");
+}
+
+// Blackouts and per-date hours, in local dates of BOOKING_TIMEZONE
+const scheduleExceptions = loadScheduleExceptions({
+  json: process.env.BOOKING_SCHEDULE_EXCEPTIONS,
+  filePath: fileURLToPath(
+    new URL(
+      process.env.BOOKING_SCHEDULE_EXCEPTIONS_FILE || "./schedule-exceptions.json",
+      import.meta.url
+    )
+  ),
+});
+
+// Notification email copy and layout; variables are escaped by the renderer
+const renderEmail = createEmailRenderer(
+  loadEmailTemplates(
+    fileURLToPath(new URL(process.env.EMAIL_TEMPLATES_DIR || "./email-templates/", import.meta.url))
+  ),
+  { brand: EMAIL_BRAND }
+);
+
+// Meeting types; the single BOOKING_TYPE settings are the defaults for each
+const BOOKING_TYPES = loadBookingTypes({
+  json: process.env.BOOKING_TYPES,
+  filePath: process.env.BOOKING_TYPES_FILE
+    ? fileURLToPath(new URL(process.env.BOOKING_TYPES_FILE, import.meta.url))
+    : "",
+  defaults: {
+    id: BOOKING_TYPE,
+    title: "Discovery call",
+    durationMinutes: BOOKING_SLOT_DURATION_MINUTES,
+    workdays: BOOKING_WORKDAYS,
+    start: formatTimeOfDay(BOOKING_DAY_START_MINUTES),
+    end: formatTimeOfDay(BOOKING_DAY_END_MINUTES),
+    minLeadMinutes: BOOKING_MIN_LEAD_MINUTES,
+    lookaheadDays: BOOKING_LOOKAHEAD_DAYS,
+    bufferBeforeMinutes: BOOKING_BUFFER_BEFORE_MINUTES,
+    bufferAfterMinutes: BOOKING_BUFFER_AFTER_MINUTES,
+  },
+}).map((type) => ({
+  ...type,
+  hoursFor: createDaySchedule({
+    workdays: type.workdays,
+    startMinutes: type.startMinutes,
+    endMinutes: type.endMinutes,
+    exceptions: scheduleExceptions,
+  }),
+}));
+// Forms served by /forms/{formId}; the built-in contact form comes first
+const FORMS = new Map(
+  loadFormDefinitions({
+    json: process.env.FORMS,
+    filePath: fileURLToPath(new URL(process.env.FORMS_FILE || "./forms.json", import.meta.url)),
+  }).map((form) => [form.id, form])
+);
+// Success / error pages for HTML form posts, by form id or "booking"
+const FORM_REDIRECTS = parseFormRedirects(process.env.FORM_REDIRECTS || "{}", {
+  allowedOrigins: ALLOWED_ORIGINS,
+  pages: [...FORMS.keys(), BOOKING_FORM.id],
+});
+
+const DEFAULT_BOOKING_TYPE =
+  BOOKING_TYPES.find((type) => type.id === BOOKING_TYPE) || BOOKING_TYPES[0];
+// Buffers and weekly caps look past the slot itself; a week either side covers both.
+const BOOKING_LIMITS_MARGIN_MS = 8 * 24 * 60 * 60 * 1000;
+// Two bookings closer than this can clash, so a write guards every local day
+// within it of the slot (see booking-store.mjs).
+const BOOKING_GUARD_PADDING_MS =
+  Math.max(
+    BOOKING_MIN_GAP_MINUTES,
+    ...BOOKING_TYPES.map((type) => Math.max(type.bufferBeforeMinutes, type.bufferAfterMinutes))
+  ) *
+  60 *
+  1000;
+// Re-checks when another booking lands on a guarded day between read and write
+const BOOKING_WRITE_ATTEMPTS = 3;
+
+// Feed URLs can embed private tokens, so failures are logged by position only.
+const busyCalendar = createBusyProvider({
+  sources: BOOKING_BUSY_CALENDAR_URLS.map((source) =>
+    /^https?:\/\//i.test(source) ? source : fileURLToPath(new URL(source, import.meta.url))
+  ),
+  ttlSeconds: BOOKING_BUSY_CACHE_SECONDS,
+  timeoutMs: BOOKING_BUSY_TIMEOUT_MS,
+  authorization: process.env.BOOKING_BUSY_CALENDAR_AUTHORIZATION || "",
+  defaultTimeZone: BOOKING_TIMEZONE,
+  onStale: (err, sourceIndex) =>
+    log("warn", "Busy calendar refresh failed; using cached copy", {
+      sourceIndex,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    }),
+});
+
+// form:<formId> rate limits and captchas must name a /forms form; POST
+// /forms/contact is checked as the contact route.
+const unknownFormRoutes = [...Object.keys(RATE_LIMITS), ...Object.keys(CAPTCHA_ROUTES)].filter(
+  (route) => {
+    const formId = route.startsWith("form:") ? route.slice("form:".length) : null;
+    return formId !== null && (!FORMS.has(formId) || formId === CONTACT_FORM.id);
+  }
+);
+if (unknownFormRoutes.length > 0) {
+  throw new Error(`Rate limits or captchas name unknown forms: ${unknownFormRoutes.join(", ")}`);
+}
+
+// Forms without their own limits get the contact route's, counted per form.
+const RATE_LIMIT_RULES = {
+  ...Object.fromEntries(
+    [...FORMS.keys()]
+      .filter((formId) => formId !== CONTACT_FORM.id && RATE_LIMITS.contact)
+      .map((formId) => [`form:${formId}`, RATE_LIMITS.contact])
+  ),
+  ...RATE_LIMITS,
+};
+const rateLimiter = createRateLimiter({
+  rules: RATE_LIMIT_RULES,
+  store: rateLimitStore,
+  keySecret: RATE_LIMIT_KEY_SECRET,
+});
+
+// Likewise for captchas: a form without its own entry is checked with contact's settings.
+const CAPTCHA_RULES = {
+  ...Object.fromEntries(
+    [...FORMS.keys()]
+      .filter((formId) => formId !== CONTACT_FORM.id && CAPTCHA_ROUTES.contact)
+      .map((formId) => [`form:${formId}`, CAPTCHA_ROUTES.contact])
+  ),
+  ...CAPTCHA_ROUTES,
+};
+
+const captchaVerifiers = Object.fromEntries(
+  Object.entries(CAPTCHA_RULES).map(([route, settings]) => {
+    const envPrefix = `CAPTCHA_${settings.provider.toUpperCase()}`;
+    const secret = process.env[`${envPrefix}_SECRET`] || "";
+    if (!secret) {
+      throw new Error(`${envPrefix}_SECRET is required for the ${route} captcha.`);
+    }
+    return [
+      route,
+      createCaptchaVerifier({
+        ...settings,
+        secret,
+        verifyUrl: process.env[`${envPrefix}_VERIFY_URL`] || undefined,
+      }),
+    ];
+  })
+);
+
+// Message catalogue keys for each conflict code (see locales/en.json).
+const BOOKING_CONFLICTS = {
+  slot_taken: { message: "booking.conflict.slotTaken", fieldError: "booking.slotGone" },
+  calendar_busy: { message: "booking.conflict.calendarBusy", fieldError: "booking.slotGone" },
+  buffer_conflict: { message: "booking.conflict.bufferConflict", fieldError: "booking.tooClose" },
+  daily_limit_reached: { message: "booking.conflict.dailyLimit", fieldError: "booking.dayFull" },
+  weekly_limit_reached: { message: "booking.conflict.weeklyLimit", fieldError: "booking.weekFull" },
+};
+
+const ENGLISH = createTranslator();
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-const PHONE_RE = /^[\d\s()+\-./]{6,30}$/;
 const DATE_ONLY_UTC_RE = /^\d{4}-\d{2}-\d{2}$/;
+const BOOKING_MANAGE_PATH_RE = /^\/booking\/([^/]+)\/(cancel|reschedule)$/;
+const REVIEW_MODERATE_PATH_RE = /^\/reviews\/([^/]+)\/moderate$/;
+const CONTACT_SUBMISSION_PATH_RE = /^\/contact\/submissions\/([^/]+)(\/status)?$/;
+const FORM_PATH_RE = /^\/forms\/([^/]+)$/;
 
 function isAllowedOrigin(origin) {
   if (!origin) return false;
@@ -51,22 +483,13 @@ function corsHeaders(origin) {
   return {
     "Access-Control-Allow-Origin": allowOrigin,
     "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-Requested-With",
+    "Access-Control-Allow-Headers": "Content-Type, X-Requested-With, Idempotency-Key",
     "Access-Control-Max-Age": "86400",
-    Vary: "Origin",
+    Vary: "Origin, Accept-Language",
     "Content-Type": "application/json",
   };
 }
 
-function sanitise(str) {
-  if (!str) return "";
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
-}
-
 function jsonResponse(statusCode, origin, payload) {
   return {
     statusCode,
@@ -83,104 +506,164 @@ function log(level, message, data = {}) {
   );
 }
 
-function parseJsonBody(event, origin, requestId) {
-  const bodyText = event.isBase64Encoded
+function eventBodyText(event) {
+  return event.isBase64Encoded
     ? Buffer.from(event.body || "", "base64").toString("utf8")
     : event.body || "";
+}
+
+function payloadTooLargeResponse(origin, requestId, t = ENGLISH) {
+  return jsonResponse(413, origin, {
+    status: "error",
+    code: "payload_too_large",
+    message: t("request.tooLarge"),
+    requestId,
+  });
+}
 
+/**
+ * Reads a POST body once, before routing: JSON, or urlencoded / multipart for
+ * form posts. Resolves to `{ isForm, parsed }` or `{ isForm, problem }`, where
+ * problem is "too_large", "invalid_json", "not_object" or "invalid_form";
+ * `parseJsonBody` / `parseSubmissionBody` turn it into the handler's input or
+ * an error response in the request's locale.
+ */
+function readRequestBody(event) {
+  const contentType = requestHeader(event, "content-type");
+  const isForm = isFormContentType(contentType);
+  const bodyText = eventBodyText(event);
   if (Buffer.byteLength(bodyText, "utf8") > MAX_BODY_BYTES) {
-    return {
-      response: jsonResponse(413, origin, {
-        status: "error",
-        code: "payload_too_large",
-        message: "Request body is too large.",
-        requestId,
-      }),
-    };
+    return { isForm, problem: "too_large" };
+  }
+  if (isForm) {
+    try {
+      return { isForm, parsed: parseFormBody(bodyText, contentType) };
+    } catch {
+      return { isForm, problem: "invalid_form" };
+    }
   }
 
   let parsed;
   try {
     parsed = JSON.parse(bodyText || "{}");
   } catch {
+    return { isForm, problem: "invalid_json" };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { isForm, problem: "not_object" };
+  }
+  return { isForm, parsed };
+}
+
+/** The body of a JSON-only route; form posts are not JSON */
+function parseJsonBody(requestBody, origin, requestId, t = ENGLISH) {
+  if (requestBody.problem === "too_large") {
+    return { response: payloadTooLargeResponse(origin, requestId, t) };
+  }
+  if (requestBody.isForm || requestBody.problem === "invalid_json") {
     return {
       response: jsonResponse(400, origin, {
         status: "error",
         code: "invalid_json",
-        message: "Request body must be valid JSON.",
+        message: t("request.invalidJson"),
         requestId,
       }),
     };
   }
-
-  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+  if (requestBody.problem === "not_object") {
     return {
       response: jsonResponse(400, origin, {
         status: "error",
         code: "invalid_payload",
-        message: "Request body must be a JSON object.",
+        message: t("request.notObject"),
         requestId,
       }),
     };
   }
-
-  return { parsed };
+  return { parsed: requestBody.parsed };
 }
 
-function normaliseContactInput(body) {
-  return {
-    name: typeof body.name === "string" ? body.name.trim() : body.name,
-    email:
-      typeof body.email === "string"
-        ? body.email.trim().toLowerCase()
-        : body.email,
-    company:
-      typeof body.company === "string" ? body.company.trim() : body.company ?? "",
-    phone: typeof body.phone === "string" ? body.phone.trim() : body.phone ?? "",
-    message: typeof body.message === "string" ? body.message.trim() : body.message,
-  };
+function requestHeader(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  return match === undefined ? "" : headers[match];
 }
 
-function validateContact(input) {
-  const fieldErrors = {};
-
-  if (typeof input.name !== "string" || input.name.length < 2) {
-    fieldErrors.name = "Name is required (min 2 characters).";
-  } else if (input.name.length > 120) {
-    fieldErrors.name = "Name must be 120 characters or less.";
-  }
-  if (typeof input.email !== "string" || !EMAIL_RE.test(input.email)) {
-    fieldErrors.email = "Valid email is required.";
-  } else if (input.email.length > 254) {
-    fieldErrors.email = "Email must be 254 characters or less.";
+/** The body of a route that also takes urlencoded or multipart form posts */
+function parseSubmissionBody(requestBody, origin, requestId, t = ENGLISH) {
+  if (!requestBody.isForm) return parseJsonBody(requestBody, origin, requestId, t);
+  if (requestBody.problem === "too_large") {
+    return { response: payloadTooLargeResponse(origin, requestId, t) };
   }
-  if (typeof input.company !== "string") {
-    fieldErrors.company = "Company must be text.";
-  } else if (input.company && input.company.length > 120) {
-    fieldErrors.company = "Company must be 120 characters or less.";
-  }
-  if (typeof input.phone !== "string") {
-    fieldErrors.phone = "Phone must be text.";
-  } else if (input.phone && !PHONE_RE.test(input.phone)) {
-    fieldErrors.phone = "Phone format looks invalid.";
-  }
-  if (typeof input.message !== "string" || input.message.length < 10) {
-    fieldErrors.message = "Message is required (min 10 characters).";
-  } else if (input.message.length > 4000) {
-    fieldErrors.message = "Message must be 4000 characters or less.";
+  if (requestBody.problem === "invalid_form") {
+    return {
+      response: jsonResponse(400, origin, {
+        status: "error",
+        code: "invalid_payload",
+        message: t("request.invalidForm"),
+        requestId,
+      }),
+    };
   }
+  return { parsed: requestBody.parsed };
+}
 
-  if (typeof input.message === "string") {
-    const urlCount = input.message.match(/https?:\/\//g)?.length || 0;
-    if (!fieldErrors.message && urlCount > 3) {
-      fieldErrors.message = "Message contains too many links.";
-    }
-    if (!fieldErrors.message && /(.)\1{14,}/.test(input.message)) {
-      fieldErrors.message = "Message looks like spam.";
-    }
+/**
+ * Translator for the request: the body's `locale` field when it names a
+ * supported locale, then Accept-Language, then English. `requestBody` is the
+ * already-read POST body, if any.
+ */
+function requestTranslator(event, requestBody) {
+  return createTranslator(
+    negotiateLocale({
+      requested: requestBody?.parsed?.locale,
+      acceptLanguage: requestHeader(event, "accept-language"),
+    })
+  );
+}
+
+/**
+ * Turns the JSON response to an HTML form post into a 303 to the success or
+ * error page. The form's own successUrl / errorUrl fields win, then
+ * FORM_REDIRECTS, the Referer and the site root; targets off ALLOWED_ORIGINS
+ * are skipped, and with none left the JSON response is returned as is.
+ */
+function formPostResponse({ event, requestBody, page, origin, requestId }, response) {
+  const contentType = requestHeader(event, "content-type");
+  if (!wantsFormRedirect(contentType, requestHeader(event, "accept"))) return response;
+
+  // Malformed bodies still go to the configured or referring page.
+  const fields = requestBody.parsed || {};
+  const succeeded = response.statusCode < 300;
+  const key = succeeded ? "successUrl" : "errorUrl";
+  const target = pickRedirectTarget(
+    [
+      fields[key],
+      FORM_REDIRECTS[page]?.[key],
+      requestHeader(event, "referer"),
+      origin && `${origin}/`,
+    ],
+    ALLOWED_ORIGINS
+  );
+  if (!target) {
+    log("warn", "Form post has no allowed redirect target", { requestId, page, origin });
+    return response;
   }
 
-  return fieldErrors;
+  let payload = {};
+  try {
+    payload = JSON.parse(response.body);
+  } catch {
+    payload = { status: succeeded ? "success" : "error" };
+  }
+  return {
+    statusCode: 303,
+    headers: {
+      Location: formRedirectLocation(target, payload),
+      "Cache-Control": "no-store",
+    },
+    body: "",
+  };
 }
 
 function parseDateOnlyUtc(dateStr) {
@@ -201,480 +684,2809 @@ function toIsoUtc(date) {
   return date.toISOString().replace(/\.\d{3}Z$/, "Z");
 }
 
-function generateCandidateSlots({ startDateUtc, days, now }) {
-  const slots = [];
-  const nowMs = now.getTime();
-  const minLeadMs = BOOKING_MIN_LEAD_MINUTES * 60 * 1000;
-  const slotMs = BOOKING_SLOT_DURATION_MINUTES * 60 * 1000;
+// Midnight can be skipped by DST in a few zones; fall back to the first valid hour.
+function startOfLocalDay({ year, month, day }, timeZone) {
+  for (let minutes = 0; minutes <= 120; minutes += 30) {
+    const start = zonedTimeToUtc({ year, month, day, minutes }, timeZone);
+    if (start) return start;
+  }
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+}
 
-  for (let offset = 0; offset < days; offset += 1) {
-    const day = new Date(startDateUtc.getTime() + offset * 24 * 60 * 60 * 1000);
-    if (!BOOKING_WORKDAYS_UTC.includes(day.getUTCDay())) continue;
+function findBookingType(id) {
+  if (!id) return DEFAULT_BOOKING_TYPE;
+  return BOOKING_TYPES.find((type) => type.id === id) || null;
+}
 
-    const year = day.getUTCFullYear();
-    const month = day.getUTCMonth();
-    const dayOfMonth = day.getUTCDate();
-    const startMinutes = BOOKING_START_HOUR_UTC * 60;
-    const endMinutes = BOOKING_END_HOUR_UTC * 60;
+function generateCandidateSlots({
+  bookingType,
+  windowStart,
+  windowEnd,
+  now,
+  bookings = [],
+  busy = [],
+}) {
+  const slots = [];
+  const nowMs = now.getTime();
+  const minLeadMs = bookingType.minLeadMinutes * 60 * 1000;
+  const maxLookaheadMs = bookingType.lookaheadDays * 24 * 60 * 60 * 1000;
+  const slotMs = bookingType.durationMinutes * 60 * 1000;
+  const lastDay = zonedParts(windowEnd, BOOKING_TIMEZONE);
+  const lastKey = Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+
+  for (
+    let day = zonedParts(windowStart, BOOKING_TIMEZONE);
+    Date.UTC(day.year, day.month - 1, day.day) <= lastKey;
+    day = addDays(day, 1)
+  ) {
+    const hours = bookingType.hoursFor(day);
+    if (!hours.open) continue;
 
     for (
-      let minutes = startMinutes;
-      minutes + BOOKING_SLOT_DURATION_MINUTES <= endMinutes;
-      minutes += BOOKING_SLOT_DURATION_MINUTES
+      let minutes = hours.startMinutes;
+      minutes + bookingType.durationMinutes <= hours.endMinutes;
+      minutes += bookingType.durationMinutes
     ) {
-      const hour = Math.floor(minutes / 60);
-      const minute = minutes % 60;
-      const startTime = new Date(
-        Date.UTC(year, month, dayOfMonth, hour, minute, 0, 0)
-      );
+      const startTime = zonedTimeToUtc({ ...day, minutes }, BOOKING_TIMEZONE);
+      if (!startTime) continue;
       const startMs = startTime.getTime();
+      if (startMs < windowStart.getTime() || startMs >= windowEnd.getTime()) continue;
       if (startMs < nowMs + minLeadMs) continue;
+      if (startMs > nowMs + maxLookaheadMs) continue;
 
-      const endTime = new Date(startMs + slotMs);
-      slots.push({
+      const slot = {
         slotStart: toIsoUtc(startTime),
-        slotEnd: toIsoUtc(endTime),
-      });
+        slotEnd: toIsoUtc(new Date(startMs + slotMs)),
+      };
+      if (bookingConflict({ ...slot, bookingType, bookings, busy })) continue;
+      slots.push(slot);
     }
   }
   return slots;
 }
 
-function normaliseBookingInput(body) {
+/** Existing bookings and external busy time that can affect slots in a range */
+async function scheduleAround({ fromMs, toMs, ignoreBookingId }) {
+  const [bookings, busy] = await Promise.all([
+    bookingStore.listBookings({
+      fromIso: toIsoUtc(new Date(fromMs - BOOKING_LIMITS_MARGIN_MS)),
+      toIso: toIsoUtc(new Date(toMs + BOOKING_LIMITS_MARGIN_MS)),
+    }),
+    busyCalendar.enabled
+      ? busyCalendar.getBusy({
+          fromMs: fromMs - BOOKING_LIMITS_MARGIN_MS,
+          toMs: toMs + BOOKING_LIMITS_MARGIN_MS,
+        })
+      : [],
+  ]);
   return {
-    name: typeof body.name === "string" ? body.name.trim() : body.name,
-    email:
-      typeof body.email === "string"
-        ? body.email.trim().toLowerCase()
-        : body.email,
-    company:
-      typeof body.company === "string" ? body.company.trim() : body.company ?? "",
-    notes: typeof body.notes === "string" ? body.notes.trim() : body.notes ?? "",
-    timezone:
-      typeof body.timezone === "string" ? body.timezone.trim() : body.timezone ?? "",
-    slotStart:
-      typeof body.slotStart === "string" ? body.slotStart.trim() : body.slotStart,
+    bookings: bookings.filter((booking) => booking.bookingId !== ignoreBookingId),
+    busy,
   };
 }
 
-function validateBookingInput(input, now) {
-  const fieldErrors = {};
+/** The local day and week a booking counts against for the daily/weekly caps */
+function bookingCounters(slotStart) {
+  const date = new Date(slotStart);
+  return {
+    day: localDateKey(date, BOOKING_TIMEZONE),
+    week: localWeekKey(date, BOOKING_TIMEZONE),
+  };
+}
 
-  if (typeof input.name !== "string" || input.name.length < 2) {
-    fieldErrors.name = "Name is required (min 2 characters).";
-  } else if (input.name.length > 120) {
-    fieldErrors.name = "Name must be 120 characters or less.";
+/** Local days in BOOKING_TIMEZONE touched by [fromMs, toMs] */
+function localDaysBetween(fromMs, toMs) {
+  const days = new Set();
+  // Local days last at least 23 hours, so hourly steps cannot skip one.
+  for (let ms = fromMs; ms < toMs; ms += 60 * 60 * 1000) {
+    days.add(localDateKey(new Date(ms), BOOKING_TIMEZONE));
   }
+  days.add(localDateKey(new Date(toMs), BOOKING_TIMEZONE));
+  return [...days];
+}
 
-  if (typeof input.email !== "string" || !EMAIL_RE.test(input.email)) {
-    fieldErrors.email = "Valid email is required.";
-  } else if (input.email.length > 254) {
-    fieldErrors.email = "Email must be 254 characters or less.";
+/**
+ * Checks a slot against the schedule, then writes it with `write(guards)`,
+ * which resolves a conflict code or null. The day guards are read before the
+ * schedule, so a booking written after that read fails the store's guard
+ * check ("schedule_changed") and the slot is checked again against it.
+ * Resolves the conflict code, or null once written.
+ */
+async function writeCheckedBooking({ slotStart, slotEnd, bookingType, ignoreBookingId, write }) {
+  const startMs = new Date(slotStart).getTime();
+  const endMs = new Date(slotEnd).getTime();
+  const guardDays = localDaysBetween(
+    startMs - BOOKING_GUARD_PADDING_MS,
+    endMs + BOOKING_GUARD_PADDING_MS
+  );
+  for (let attempt = 1; attempt <= BOOKING_WRITE_ATTEMPTS; attempt += 1) {
+    const guards = await bookingStore.readGuards(guardDays);
+    const { bookings, busy } = await scheduleAround({
+      fromMs: startMs,
+      toMs: endMs,
+      ignoreBookingId,
+    });
+    const conflict =
+      bookingConflict({ slotStart, slotEnd, bookingType, bookings, busy }) ||
+      (await write(guards));
+    if (conflict !== "schedule_changed") return conflict;
   }
+  // The day kept changing under us; the visitor can pick again.
+  return "slot_taken";
+}
 
-  if (typeof input.company !== "string") {
-    fieldErrors.company = "Company must be text.";
-  } else if (input.company.length > 120) {
-    fieldErrors.company = "Company must be 120 characters or less.";
+/**
+ * Returns the BOOKING_CONFLICTS code that rules a slot out against existing
+ * bookings, or null. The gap between two meetings must cover the earlier
+ * one's buffer after, the later one's buffer before and the minimum gap.
+ */
+function bookingConflict({ slotStart, slotEnd, bookingType, bookings, busy = [] }) {
+  const startMs = new Date(slotStart).getTime();
+  const endMs = new Date(slotEnd).getTime();
+  let conflict = null;
+
+  // External meetings keep the slot's own buffers clear as well.
+  const paddedStartMs = startMs - bookingType.bufferBeforeMinutes * 60 * 1000;
+  const paddedEndMs = endMs + bookingType.bufferAfterMinutes * 60 * 1000;
+  if (busy.some((period) => period.startMs < paddedEndMs && paddedStartMs < period.endMs)) {
+    conflict = "calendar_busy";
   }
 
-  if (typeof input.notes !== "string") {
-    fieldErrors.notes = "Notes must be text.";
-  } else if (input.notes.length > BOOKING_MAX_NOTES_CHARS) {
-    fieldErrors.notes = `Notes must be ${BOOKING_MAX_NOTES_CHARS} characters or less.`;
+  for (const booking of bookings) {
+    const otherType = findBookingType(booking.bookingType) || DEFAULT_BOOKING_TYPE;
+    const otherStartMs = new Date(booking.slotStart).getTime();
+    const otherEndMs = new Date(booking.slotEnd).getTime();
+
+    if (otherStartMs < endMs && startMs < otherEndMs) return "slot_taken";
+    if (conflict) continue;
+
+    const isBefore = otherEndMs <= startMs;
+    const gapMs = isBefore ? startMs - otherEndMs : otherStartMs - endMs;
+    const requiredMinutes = Math.max(
+      BOOKING_MIN_GAP_MINUTES,
+      isBefore ? otherType.bufferAfterMinutes : bookingType.bufferAfterMinutes,
+      isBefore ? bookingType.bufferBeforeMinutes : otherType.bufferBeforeMinutes
+    );
+    if (gapMs < requiredMinutes * 60 * 1000) conflict = "buffer_conflict";
   }
+  if (conflict) return conflict;
+
+  const slotDate = new Date(slotStart);
+  const dayKey = localDateKey(slotDate, BOOKING_TIMEZONE);
+  const weekKey = localWeekKey(slotDate, BOOKING_TIMEZONE);
+  let dayCount = 0;
+  let weekCount = 0;
+  for (const booking of bookings) {
+    const bookingDate = new Date(booking.slotStart);
+    if (localWeekKey(bookingDate, BOOKING_TIMEZONE) !== weekKey) continue;
+    weekCount += 1;
+    if (localDateKey(bookingDate, BOOKING_TIMEZONE) === dayKey) dayCount += 1;
+  }
+  if (BOOKING_MAX_PER_DAY > 0 && dayCount >= BOOKING_MAX_PER_DAY) {
+    return "daily_limit_reached";
+  }
+  if (BOOKING_MAX_PER_WEEK > 0 && weekCount >= BOOKING_MAX_PER_WEEK) {
+    return "weekly_limit_reached";
+  }
+  return null;
+}
 
-  if (typeof input.slotStart !== "string" || input.slotStart.length < 16) {
-    fieldErrors.slotStart = "A slot is required.";
-    return fieldErrors;
+function conflictResponse(conflict, origin, requestId, t = ENGLISH) {
+  return jsonResponse(409, origin, {
+    status: "error",
+    code: conflict,
+    message: t(BOOKING_CONFLICTS[conflict].message),
+    fieldErrors: { slotStart: t(BOOKING_CONFLICTS[conflict].fieldError) },
+    requestId,
+  });
+}
+
+function validateBookingInput(input, now, bookingType, t = ENGLISH) {
+  const fieldErrors = validateFormInput(BOOKING_FORM, input, t);
+
+  if (!bookingType) {
+    fieldErrors.bookingType = t("booking.unknownType");
   }
+  if (!fieldErrors.timezone && input.timezone && !isValidTimeZone(input.timezone)) {
+    fieldErrors.timezone = t("booking.invalidTimezone");
+  }
+  if (fieldErrors.slotStart || !bookingType) return fieldErrors;
 
   const slotDate = new Date(input.slotStart);
-  if (Number.isNaN(slotDate.getTime()) || !input.slotStart.endsWith("Z")) {
-    fieldErrors.slotStart = "Slot must be a valid UTC ISO timestamp.";
+  if (Number.isNaN(slotDate.getTime())) {
+    fieldErrors.slotStart = t("booking.slotStart.pattern");
     return fieldErrors;
   }
 
   const slotStartMs = slotDate.getTime();
-  const slotEndMs = slotStartMs + BOOKING_SLOT_DURATION_MINUTES * 60 * 1000;
-  const minLeadMs = BOOKING_MIN_LEAD_MINUTES * 60 * 1000;
-  const maxLookaheadMs = BOOKING_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+  const minLeadMs = bookingType.minLeadMinutes * 60 * 1000;
+  const maxLookaheadMs = bookingType.lookaheadDays * 24 * 60 * 60 * 1000;
 
   if (slotStartMs < now.getTime() + minLeadMs) {
-    fieldErrors.slotStart = "Selected slot is no longer available.";
+    fieldErrors.slotStart = t("booking.slotGone");
   } else if (slotStartMs > now.getTime() + maxLookaheadMs) {
-    fieldErrors.slotStart = "Selected slot is outside the booking window.";
+    fieldErrors.slotStart = t("booking.outsideWindow");
   }
 
-  if (!BOOKING_WORKDAYS_UTC.includes(slotDate.getUTCDay())) {
-    fieldErrors.slotStart = "Selected slot is outside available booking days.";
+  const local = zonedParts(slotDate, BOOKING_TIMEZONE);
+  const hours = bookingType.hoursFor(local);
+  if (!hours.open) {
+    fieldErrors.slotStart = hours.blackout
+      ? t("booking.unavailableDate")
+      : t("booking.outsideDays");
+    return fieldErrors;
   }
 
-  const startMinutes =
-    slotDate.getUTCHours() * 60 + slotDate.getUTCMinutes();
-  const endMinutes = startMinutes + BOOKING_SLOT_DURATION_MINUTES;
-  const windowStartMinutes = BOOKING_START_HOUR_UTC * 60;
-  const windowEndMinutes = BOOKING_END_HOUR_UTC * 60;
+  const startMinutes = local.hour * 60 + local.minute;
+  const endMinutes = startMinutes + bookingType.durationMinutes;
 
   if (
-    startMinutes < windowStartMinutes ||
-    endMinutes > windowEndMinutes ||
-    startMinutes % BOOKING_SLOT_DURATION_MINUTES !== 0
+    startMinutes < hours.startMinutes ||
+    endMinutes > hours.endMinutes ||
+    (startMinutes - hours.startMinutes) % bookingType.durationMinutes !== 0 ||
+    local.second !== 0 ||
+    slotDate.getUTCMilliseconds() !== 0
   ) {
-    fieldErrors.slotStart = "Selected slot is outside configured booking hours.";
+    fieldErrors.slotStart = t("booking.outsideHours");
   }
 
   return fieldErrors;
 }
 
-async function sendContactEmail({
-  name,
-  email,
-  company,
-  phone,
-  message,
-  origin,
-  sourceIp,
-  userAgent,
-  requestId,
-}) {
-  const safeName = sanitise(name);
-  const safeCompany = sanitise(company || "Not provided");
-  const safePhone = sanitise(phone || "Not provided");
-  const safeMessage = sanitise(message);
-  const safeEmail = sanitise(email);
-  const timestamp = new Date().toISOString();
-  const subject = `WaterApps Enquiry: ${safeName}${
-    safeCompany !== "Not provided" ? ` - ${safeCompany}` : ""
-  }`;
-
-  const textBody = `
-New enquiry from waterapps.com.au
-
-Name:     ${safeName}
-Email:    ${safeEmail}
-Company:  ${safeCompany}
-Phone:    ${safePhone}
-Time:     ${timestamp}
-
-Message:
-${safeMessage}
-
-Request Metadata:
-Origin:   ${origin || "Not provided"}
-IP:       ${sourceIp}
-UA:       ${userAgent || "Not provided"}
-Request:  ${requestId}
-
----
-Reply directly to this email to respond to ${safeName}.
-  `.trim();
-
-  const htmlBody = `
-<h2>New enquiry from waterapps.com.au</h2>
-<table cellpadding="4" cellspacing="0" border="0">
-  <tr><td><strong>Name</strong></td><td>${safeName}</td></tr>
-  <tr><td><strong>Email</strong></td><td>${safeEmail}</td></tr>
-  <tr><td><strong>Company</strong></td><td>${safeCompany}</td></tr>
-  <tr><td><strong>Phone</strong></td><td>${safePhone}</td></tr>
-  <tr><td><strong>Time</strong></td><td>${timestamp}</td></tr>
-  <tr><td><strong>Origin</strong></td><td>${sanitise(origin || "Not provided")}</td></tr>
-  <tr><td><strong>IP</strong></td><td>${sanitise(sourceIp)}</td></tr>
-  <tr><td><strong>Request ID</strong></td><td>${sanitise(requestId)}</td></tr>
-</table>
-<h3>Message</h3>
-<pre style="white-space: pre-wrap; font-family: sans-serif;">${safeMessage}</pre>
-<p>Reply directly to this email to respond to ${safeName}.</p>
-  `.trim();
-
-  await ses.send(
-    new SendEmailCommand({
-      Source: process.env.SOURCE_EMAIL,
-      Destination: {
-        ToAddresses: [process.env.TARGET_EMAIL],
-      },
-      ReplyToAddresses: [email],
-      Message: {
-        Subject: { Data: subject },
-        Body: {
-          Text: { Data: textBody },
-          Html: { Data: htmlBody },
-        },
-      },
-    })
-  );
+function normaliseReviewInput(body) {
+  return {
+    name: typeof body.name === "string" ? body.name.trim() : body.name,
+    email:
+      typeof body.email === "string"
+        ? body.email.trim().toLowerCase()
+        : body.email,
+    company:
+      typeof body.company === "string" ? body.company.trim() : body.company ?? "",
+    role: typeof body.role === "string" ? body.role.trim() : body.role ?? "",
+    rating: body.rating,
+    review: typeof body.review === "string" ? body.review.trim() : body.review,
+  };
 }
 
-async function sendBookingEmail({
-  name,
-  email,
-  company,
-  notes,
-  timezone,
-  slotStart,
-  slotEnd,
-  bookingId,
-}) {
-  const safeName = sanitise(name);
-  const safeCompany = sanitise(company || "Not provided");
-  const safeNotes = sanitise(notes || "Not provided");
-  const safeEmail = sanitise(email);
-  const safeTimezone = sanitise(timezone || "Not provided");
-  const subject = `WaterApps Booking: ${safeName} at ${slotStart}`;
-
-  const textBody = `
-New discovery-call booking from waterapps.com.au
-
-Booking ID: ${bookingId}
-Name:       ${safeName}
-Email:      ${safeEmail}
-Company:    ${safeCompany}
-Timezone:   ${safeTimezone}
-Slot UTC:   ${slotStart} to ${slotEnd}
-Notes:      ${safeNotes}
-  `.trim();
-
-  const htmlBody = `
-<h2>New discovery-call booking</h2>
-<table cellpadding="4" cellspacing="0" border="0">
-  <tr><td><strong>Booking ID</strong></td><td>${sanitise(bookingId)}</td></tr>
-  <tr><td><strong>Name</strong></td><td>${safeName}</td></tr>
-  <tr><td><strong>Email</strong></td><td>${safeEmail}</td></tr>
-  <tr><td><strong>Company</strong></td><td>${safeCompany}</td></tr>
-  <tr><td><strong>Timezone</strong></td><td>${safeTimezone}</td></tr>
-  <tr><td><strong>Slot (UTC)</strong></td><td>${sanitise(slotStart)} to ${sanitise(slotEnd)}</td></tr>
-</table>
-<h3>Notes</h3>
-<pre style="white-space: pre-wrap; font-family: sans-serif;">${safeNotes}</pre>
-  `.trim();
-
-  await ses.send(
-    new SendEmailCommand({
-      Source: process.env.SOURCE_EMAIL,
-      Destination: {
-        ToAddresses: [process.env.TARGET_EMAIL],
-      },
-      ReplyToAddresses: [email],
-      Message: {
-        Subject: { Data: subject },
-        Body: {
-          Text: { Data: textBody },
-          Html: { Data: htmlBody },
-        },
-      },
-    })
-  );
-}
+function validateReview(input, t = ENGLISH) {
+  const fieldErrors = {};
+  const label = (name) => t(`label.${name}`);
 
-function withOriginGuard(origin, requestId, sourceIp) {
-  if (!origin) {
-    return jsonResponse(403, origin, {
-      status: "error",
-      code: "origin_required",
-      message: "Origin header is required.",
-      requestId,
+  if (typeof input.name !== "string" || input.name.length < 2) {
+    fieldErrors.name = t("validation.requiredMinLength", { label: label("name"), minLength: 2 });
+  } else if (input.name.length > 120) {
+    fieldErrors.name = t("validation.maxLength", { label: label("name"), maxLength: 120 });
+  }
+  if (typeof input.email !== "string" || !EMAIL_RE.test(input.email)) {
+    fieldErrors.email = t("validation.emailRequired", { lowerLabel: label("email").toLowerCase() });
+  } else if (input.email.length > 254) {
+    fieldErrors.email = t("validation.maxLength", { label: label("email"), maxLength: 254 });
+  }
+  for (const name of ["company", "role"]) {
+    if (typeof input[name] !== "string") {
+      fieldErrors[name] = t("validation.text", { label: label(name) });
+    } else if (input[name].length > 120) {
+      fieldErrors[name] = t("validation.maxLength", { label: label(name), maxLength: 120 });
+    }
+  }
+  if (!Number.isInteger(input.rating) || input.rating < 1 || input.rating > 5) {
+    fieldErrors.rating = t("review.rating");
+  }
+  if (typeof input.review !== "string" || input.review.length < 20) {
+    fieldErrors.review = t("validation.requiredMinLength", {
+      label: label("review"),
+      minLength: 20,
     });
+  } else if (input.review.length > 2000) {
+    fieldErrors.review = t("validation.maxLength", { label: label("review"), maxLength: 2000 });
   }
 
-  if (!isAllowedOrigin(origin)) {
-    log("warn", "Rejected disallowed origin", { requestId, origin, sourceIp });
-    return jsonResponse(403, origin, {
-      status: "error",
-      code: "origin_not_allowed",
-      message: "Origin not allowed.",
-      requestId,
-    });
+  if (typeof input.review === "string" && !fieldErrors.review) {
+    const urlCount = input.review.match(/https?:\/\//g)?.length || 0;
+    if (urlCount > 0) {
+      fieldErrors.review = t("validation.noLinks", { label: label("review") });
+    } else if (/(.)\1{14,}/.test(input.review)) {
+      fieldErrors.review = t("validation.spam", { label: label("review") });
+    }
   }
-  return null;
+
+  return fieldErrors;
 }
 
-async function handleContact({
+function encodeCursor(key) {
+  return key ? Buffer.from(JSON.stringify(key), "utf8").toString("base64url") : null;
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return key && typeof key === "object" && !Array.isArray(key) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function jwtClaims(event) {
+  return event.requestContext?.authorizer?.jwt?.claims || null;
+}
+
+function claimGroups(claims) {
+  const groups = claims["cognito:groups"];
+  if (Array.isArray(groups)) return groups;
+  if (typeof groups !== "string") return [];
+  // HTTP API flattens array claims to "[admin reviewers]"
+  return groups
+    .replace(/^\[|\]$/g, "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+// Admin routes stay closed until their group setting names the Cognito group
+// allowed in; any token the authorizer accepts is not enough on its own.
+function withAdminGuard(
   event,
   origin,
   requestId,
-  sourceIp,
-  userAgent,
-  startedAt,
-}) {
-  const guardResponse = withOriginGuard(origin, requestId, sourceIp);
-  if (guardResponse) return guardResponse;
+  requiredGroup = REVIEW_ADMIN_GROUP,
+  groupSetting = "REVIEW_ADMIN_GROUP"
+) {
+  const claims = jwtClaims(event);
+  if (!claims || !claims.sub) {
+    return {
+      response: jsonResponse(401, origin, {
+        status: "error",
+        code: "unauthorized",
+        message: "A valid admin token is required.",
+        requestId,
+      }),
+    };
+  }
 
-  const { parsed, response } = parseJsonBody(event, origin, requestId);
-  if (response) return response;
+  if (!requiredGroup || !claimGroups(claims).includes(requiredGroup)) {
+    const reason = requiredGroup ? "without required group" : `while ${groupSetting} is not set`;
+    log("warn", `Rejected admin request ${reason}`, { requestId, sub: claims.sub });
+    return {
+      response: jsonResponse(403, origin, {
+        status: "error",
+        code: "forbidden",
+        message: "You do not have access to this resource.",
+        requestId,
+      }),
+    };
+  }
+
+  return { claims };
+}
+
+function withContactAdminGuard(event, origin, requestId) {
+  return withAdminGuard(event, origin, requestId, CONTACT_ADMIN_GROUP, "CONTACT_ADMIN_GROUP");
+}
+
+function apiBaseUrl(event) {
+  const domainName = event.requestContext?.domainName;
+  return domainName ? `https://${domainName}` : "";
+}
+
+function bookingManageLinks({ bookingId, slotStart, baseUrl }) {
+  if (!BOOKING_LINK_SECRET) return null;
+
+  // Links stop working once the meeting starts.
+  const expiresAt = new Date(slotStart);
+  const links = {};
+  for (const action of BOOKING_MANAGE_ACTIONS) {
+    const token = signBookingToken({
+      secret: BOOKING_LINK_SECRET,
+      bookingId,
+      action,
+      slotStart,
+      expiresAt,
+    });
+    const params = new URLSearchParams({ token });
+    links[`${action}Url`] = BOOKING_MANAGE_URL
+      ? `${BOOKING_MANAGE_URL}?${new URLSearchParams({ action, bookingId, token })}`
+      : `${baseUrl}/booking/${encodeURIComponent(bookingId)}/${action}?${params}`;
+  }
+  return links;
+}
+
+async function sendContactEmail({
+  name,
+  email,
+  company,
+  phone,
+  message,
+  origin,
+  sourceIp,
+  userAgent,
+  requestId,
+  submissionId,
+  timestamp,
+  attachments = [],
+  baseUrl = "",
+}) {
+  // Files are fetched (or linked) at send time, so retries get fresh links.
+  const { files, listed, linksExpireAt } = attachmentService
+    ? await attachmentService.forEmail(attachments, { baseUrl })
+    : {
+        files: [],
+        listed: attachments.map(({ filename, size }) => ({
+          filename,
+          size: formatBytes(size),
+          url: "",
+        })),
+      };
+  const { subject, text, html } = renderEmail("contact-owner", {
+    name,
+    email,
+    company,
+    phone,
+    message,
+    timestamp,
+    origin,
+    sourceIp,
+    userAgent,
+    requestId,
+    submissionId,
+    hasAttachments: listed.length > 0,
+    attachments: listed,
+    attachmentLinksExpireAt: listed.some((entry) => entry.url) ? linksExpireAt : "",
+  });
+
+  const result = await sendOwnerEmail({
+    replyTo: [email],
+    subject,
+    text,
+    html,
+    attachments: files,
+  });
+  return result?.messageId;
+}
+
+async function sendContactAckEmail({ name, email, message, requestId }) {
+  const { subject, text, html } = renderEmail("contact-ack", {
+    name,
+    message,
+    requestId,
+  });
+
+  await mailTransport.send({
+    from: process.env.SOURCE_EMAIL,
+    to: [email],
+    replyTo: TARGET_EMAILS,
+    subject,
+    text,
+    html,
+  });
+}
+
+/**
+ * Sends the enquirer a copy of their message. Each address gets at most
+ * CONTACT_ACK_MAX_PER_RECIPIENT per window, so the form cannot be used to
+ * mail third parties; when the cap cannot be checked nothing is sent.
+ * Returns whether the acknowledgement went out.
+ */
+async function acknowledgeContact({ name, email, message, requestId }) {
+  try {
+    const cap = await contactAckLimiter("contact-ack", { email });
+    if (cap.limited) {
+      log("warn", "Contact acknowledgement skipped: recipient cap reached", { requestId });
+      return false;
+    }
+    const result = await outbox.enqueue({
+      kind: "contact-ack",
+      payload: { name, email, message, requestId },
+      requestId,
+    });
+    logNotification(result, { requestId, kind: "contact-ack" });
+    return result.status === "sent";
+  } catch (err) {
+    log("error", "Contact acknowledgement failed", {
+      requestId,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    });
+    return false;
+  }
+}
+
+// Mail to the site owner: every TARGET_EMAIL, copied to TARGET_EMAIL_CC / _BCC
+function sendOwnerEmail({ replyTo, subject, text, html, calendar, attachments }) {
+  return mailTransport.send({
+    from: process.env.SOURCE_EMAIL,
+    to: TARGET_EMAILS,
+    cc: TARGET_EMAIL_CC,
+    bcc: TARGET_EMAIL_BCC,
+    replyTo,
+    subject,
+    text,
+    html,
+    calendar,
+    attachments,
+  });
+}
+
+/**
+ * Mail for a /forms/{formId} submission. Recipients the form leaves out fall
+ * back to the owner's; Reply-To is the submitter's address when there is one.
+ */
+async function sendFormEmail({
+  formId,
+  values,
+  origin,
+  sourceIp,
+  userAgent,
+  requestId,
+  timestamp,
+}) {
+  const form = FORMS.get(formId);
+  if (!form) {
+    // Removed from the definitions since it was queued; retrying cannot help.
+    const err = new Error(`Form "${formId}" is no longer defined`);
+    err.name = "FormNotFound";
+    throw err;
+  }
+
+  const replyTo = form.replyToField ? values[form.replyToField] : "";
+  const { subject, text, html } = renderEmail("form-owner", {
+    formId,
+    formTitle: form.title,
+    subject: renderFormSubject(form, values),
+    rows: formEmailRows(form, values),
+    replyTo,
+    timestamp,
+    origin,
+    sourceIp,
+    userAgent,
+    requestId,
+  });
+
+  await mailTransport.send({
+    from: process.env.SOURCE_EMAIL,
+    to: form.recipients.to ?? TARGET_EMAILS,
+    cc: form.recipients.cc ?? TARGET_EMAIL_CC,
+    bcc: form.recipients.bcc ?? TARGET_EMAIL_BCC,
+    replyTo: replyTo ? [replyTo] : TARGET_EMAILS,
+    subject,
+    text,
+    html,
+  });
+}
+
+function bookingOrganizer() {
+  return {
+    name: BOOKING_ORGANIZER_NAME,
+    email: process.env.BOOKING_ORGANIZER_EMAIL || TARGET_EMAILS[0],
+  };
+}
+
+function bookingInvite({
+  bookingId,
+  bookingType,
+  name,
+  email,
+  notes,
+  slotStart,
+  slotEnd,
+  sequence = 0,
+}) {
+  const organizer = bookingOrganizer();
+  const uidDomain = organizer.email?.split("@")[1] || "waterapps.com.au";
+  return {
+    method: "REQUEST",
+    filename: "invite.ics",
+    content: buildCalendarInvite({
+      uid: `${bookingId}@${uidDomain}`,
+      sequence,
+      slotStart,
+      slotEnd,
+      summary: `${BOOKING_ORGANIZER_NAME}: ${bookingType.title} with ${name}`,
+      description: notes || `${bookingType.title} booked via ${EMAIL_BRAND.siteName}`,
+      organizer,
+      attendee: { name, email },
+    }),
+  };
+}
+
+function localSlotLabel(slotStart, timezone) {
+  if (!timezone) return null;
+  try {
+    return new Intl.DateTimeFormat("en-AU", {
+      timeZone: timezone,
+      dateStyle: "full",
+      timeStyle: "short",
+    }).format(new Date(slotStart));
+  } catch {
+    return null;
+  }
+}
+
+function bookingTypeLabel(bookingType) {
+  return `${bookingType.title} (${bookingType.durationMinutes} min, ${bookingType.id})`;
+}
+
+async function sendBookingEmail({
+  bookingType,
+  name,
+  email,
+  company,
+  notes,
+  timezone,
+  slotStart,
+  slotEnd,
+  bookingId,
+  manageLinks,
+  invite,
+}) {
+  const { subject, text, html } = renderEmail("booking-owner", {
+    bookingType: { ...bookingType, label: bookingTypeLabel(bookingType) },
+    name,
+    email,
+    company,
+    notes,
+    timezone,
+    slotStart,
+    slotEnd,
+    bookingId,
+    manageLinks,
+  });
+
+  await sendOwnerEmail({ replyTo: [email], subject, text, html, calendar: invite });
+}
+
+async function sendBookingConfirmationEmail({
+  bookingType,
+  name,
+  email,
+  timezone,
+  slotStart,
+  slotEnd,
+  previousSlotStart,
+  bookingId,
+  manageLinks,
+  invite,
+}) {
+  const localLabel = localSlotLabel(slotStart, timezone);
+  const { subject, text, html } = renderEmail("booking-guest", {
+    bookingType,
+    organizerName: BOOKING_ORGANIZER_NAME,
+    name,
+    slotStart,
+    slotEnd,
+    previousSlotStart,
+    localSlot: localLabel ? `${localLabel} (${timezone})` : null,
+    bookingId,
+    manageLinks,
+  });
+
+  await mailTransport.send({
+    from: process.env.SOURCE_EMAIL,
+    to: [email],
+    replyTo: TARGET_EMAILS,
+    subject,
+    text,
+    html,
+    calendar: invite,
+  });
+}
+
+async function sendBookingChangeEmail({
+  booking,
+  bookingType,
+  change,
+  previousSlotStart,
+  manageLinks,
+}) {
+  const { subject, text, html } = renderEmail("booking-change-owner", {
+    bookingType: { ...bookingType, label: bookingTypeLabel(bookingType) },
+    cancelled: change === "cancelled",
+    name: booking.name,
+    email: booking.email,
+    bookingId: booking.bookingId,
+    slotStart: booking.slotStart,
+    slotEnd: booking.slotEnd,
+    previousSlotStart,
+    manageLinks,
+  });
+
+  await sendOwnerEmail({ replyTo: [booking.email], subject, text, html });
+}
+
+/**
+ * Sends one outbox message. Payloads are the send functions' arguments, so a
+ * retry renders the same email as the first attempt. Once the owner has the
+ * enquiry, on the first attempt or a scheduled retry, the enquirer's
+ * acknowledgement is queued; "contact-owner" resolves to
+ * `{ acknowledgementSent }`.
+ */
+async function deliverNotification({ kind, payload, requestId, attempts }) {
+  switch (kind) {
+    case "contact-owner": {
+      const messageId = await sendContactEmail(payload);
+      if (payload.submissionId) {
+        try {
+          await contactStore.recordDelivery({
+            submissionId: payload.submissionId,
+            deliveryStatus: "sent",
+            deliveredAt: new Date().toISOString(),
+            messageId,
+          });
+        } catch (err) {
+          log("error", "Contact delivery status could not be recorded", {
+            requestId,
+            submissionId: payload.submissionId,
+            errorName: err?.name,
+            errorMessage: err?.message,
+          });
+        }
+      }
+      const acknowledgementSent = CONTACT_ACK_ENABLED
+        ? await acknowledgeContact({
+            name: payload.name,
+            email: payload.email,
+            message: payload.message,
+            requestId,
+          })
+        : false;
+      return { acknowledgementSent };
+    }
+    case "contact-ack":
+      return sendContactAckEmail(payload);
+    case "form-owner":
+      return sendFormEmail(payload);
+    case "booking-owner":
+      return sendBookingEmail(payload);
+    case "booking-guest":
+      return sendBookingConfirmationEmail(payload);
+    case "booking-change-owner":
+      return sendBookingChangeEmail(payload);
+    case "webhook":
+      return webhookSender.send(payload, { attempt: attempts + 1 });
+    default:
+      throw new Error(`Unknown notification kind: ${kind}`);
+  }
+}
+
+const NOTIFICATION_FAILURE_LOGS = {
+  retrying: ["warn", "Notification failed; queued for retry"],
+  dead: ["error", "Notification failed; dead-lettered"],
+  failed: ["error", "Notification failed and could not be queued"],
+};
+
+function logNotification(result, { requestId, kind, ...context }) {
+  const fields = { requestId, kind, outboxMessageId: result.messageId, ...context };
+  for (const [key, message] of [
+    ["saveError", "Notification outbox unavailable; sent without it"],
+    ["recordError", "Notification outcome could not be recorded in the outbox"],
+  ]) {
+    if (result[key]) {
+      log("error", message, {
+        ...fields,
+        errorName: result[key]?.name,
+        errorMessage: result[key]?.message,
+      });
+    }
+  }
+  if (result.status === "sent") return;
+  const [level, message] = NOTIFICATION_FAILURE_LOGS[result.status];
+  log(level, message, {
+    ...fields,
+    attempts: result.attempts,
+    errorName: result.error?.name,
+    errorMessage: result.error?.message,
+  });
+}
+
+/**
+ * Queues the event for every subscribed webhook, one outbox message each, so
+ * the request makes a single attempt and failures are retried on the outbox
+ * schedule. Logs name the subscription, never the URL, which can carry a
+ * token. Call it once the notification email is queued, so a request that
+ * fails and is retried does not post the event twice.
+ */
+async function queueWebhooks(type, data, requestId) {
+  await Promise.all(
+    webhookSender.events(type, data).map(async (payload) => {
+      const result = await outbox.enqueue({ kind: "webhook", payload, requestId });
+      logNotification(result, {
+        requestId,
+        kind: "webhook",
+        event: type,
+        subscriptionId: payload.subscriptionId,
+      });
+    })
+  );
+}
+
+function webhookBookingType(bookingType) {
+  return {
+    id: bookingType.id,
+    title: bookingType.title,
+    durationMinutes: bookingType.durationMinutes,
+  };
+}
+
+function withOriginGuard(origin, requestId, sourceIp, t = ENGLISH) {
+  if (!origin) {
+    return jsonResponse(403, origin, {
+      status: "error",
+      code: "origin_required",
+      message: t("request.originRequired"),
+      requestId,
+    });
+  }
+
+  if (!isAllowedOrigin(origin)) {
+    log("warn", "Rejected disallowed origin", { requestId, origin, sourceIp });
+    return jsonResponse(403, origin, {
+      status: "error",
+      code: "origin_not_allowed",
+      message: t("request.originNotAllowed"),
+      requestId,
+    });
+  }
+  return null;
+}
+
+/**
+ * Counts the request against the route's limits. Returns a 429 response when
+ * a limit is exceeded, otherwise null. A counter store outage lets requests
+ * through rather than taking the forms down with it.
+ */
+async function checkRateLimit({ route, origin, requestId, sourceIp, email, t = ENGLISH }) {
+  if (!RATE_LIMIT_RULES[route]) return null;
+
+  let result;
+  try {
+    result = await rateLimiter(route, {
+      ip: sourceIp === "unknown" ? "" : sourceIp,
+      email: typeof email === "string" ? email.trim().toLowerCase() : "",
+      origin,
+    });
+  } catch (err) {
+    log("error", "Rate limiter unavailable; allowing request", {
+      requestId,
+      route,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    });
+    return null;
+  }
+  if (!result.limited) return null;
+
+  log("warn", "Rate limit exceeded", {
+    requestId,
+    route,
+    origin,
+    sourceIp,
+    limitKey: result.key,
+    retryAfterSeconds: result.retryAfterSeconds,
+  });
+  const response = jsonResponse(429, origin, {
+    status: "error",
+    code: "rate_limited",
+    message: t("request.rateLimited"),
+    retryAfterSeconds: result.retryAfterSeconds,
+    requestId,
+  });
+  response.headers["Retry-After"] = String(result.retryAfterSeconds);
+  return response;
+}
+
+/**
+ * Runs a POST handler under the request's Idempotency-Key, if it sent one.
+ * Keys are scoped to the route and origin. The first run's response is stored
+ * and replayed for the same body; a different body gets 422. Server errors and
+ * rate limits are not stored, so the client can retry them with the same key.
+ */
+async function withIdempotency({ event, route, origin, requestId, sourceIp, t = ENGLISH }, run) {
+  const idempotencyKey =
+    event.headers?.["idempotency-key"] ?? event.headers?.["Idempotency-Key"];
+  if (idempotencyKey === undefined) return run();
+
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  if (!IDEMPOTENCY_KEY_RE.test(idempotencyKey)) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "invalid_idempotency_key",
+      message: t("request.invalidIdempotencyKey"),
+      requestId,
+    });
+  }
+
+  const key = createHash("sha256")
+    .update(`${route}\n${origin}\n${idempotencyKey}`)
+    .digest("hex");
+  const fingerprint = createHash("sha256").update(eventBodyText(event)).digest("hex");
+  const now = new Date();
+
+  let claim;
+  try {
+    claim = await idempotencyStore.claimKey({
+      key,
+      fingerprint,
+      lockedUntil: new Date(now.getTime() + IDEMPOTENCY_LOCK_SECONDS * 1000),
+      now,
+    });
+  } catch (err) {
+    log("error", "Idempotency store unavailable; handling request without it", {
+      requestId,
+      route,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    });
+    return run();
+  }
+
+  if (!claim.claimed) {
+    const { record } = claim;
+    if (record.fingerprint !== fingerprint) {
+      log("warn", "Idempotency key reused with a different body", { requestId, route, origin });
+      return jsonResponse(422, origin, {
+        status: "error",
+        code: "idempotency_conflict",
+        message: t("request.idempotencyConflict"),
+        requestId,
+      });
+    }
+    if (record.state !== "completed") {
+      const response = jsonResponse(409, origin, {
+        status: "error",
+        code: "idempotency_in_progress",
+        message: t("request.idempotencyInProgress"),
+        retryAfterSeconds: 1,
+        requestId,
+      });
+      response.headers["Retry-After"] = "1";
+      return response;
+    }
+    log("info", "Idempotent replay", { requestId, route, statusCode: record.response.statusCode });
+    return {
+      statusCode: record.response.statusCode,
+      headers: {
+        ...corsHeaders(origin),
+        "Idempotent-Replayed": "true",
+      },
+      body: record.response.body,
+    };
+  }
+
+  let response;
+  try {
+    response = await run();
+  } catch (err) {
+    await idempotencyStore.releaseKey({ key }).catch(() => {});
+    throw err;
+  }
+
+  try {
+    if (response.statusCode >= 500 || response.statusCode === 429) {
+      await idempotencyStore.releaseKey({ key });
+    } else {
+      await idempotencyStore.completeKey({
+        key,
+        response,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000),
+      });
+    }
+  } catch (err) {
+    log("error", "Unable to record idempotent response", {
+      requestId,
+      route,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    });
+  }
+  return response;
+}
+
+function honeypotFilled(body) {
+  if (!FORM_HONEYPOT_FIELD) return false;
+  const value = body[FORM_HONEYPOT_FIELD];
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+const FORM_TOKEN_ERRORS = {
+  invalid: { statusCode: 403, code: "invalid_form_token", message: "formToken.invalid" },
+  too_fast: { statusCode: 429, code: "submitted_too_fast", message: "formToken.tooFast" },
+  expired: { statusCode: 410, code: "form_token_expired", message: "formToken.expired" },
+};
+
+/**
+ * Checks the signed form token sent as `formToken`. Returns `{ response }` to
+ * reject the submission, otherwise `{ formToken }` (null when tokens are
+ * disabled) to claim once the input is known to be valid.
+ */
+function verifySubmissionToken({ body, origin, requestId, sourceIp, now, t = ENGLISH }) {
+  if (!FORM_TOKEN_SECRET) return { formToken: null };
+
+  if (typeof body.formToken !== "string" || !body.formToken) {
+    return {
+      response: jsonResponse(400, origin, {
+        status: "error",
+        code: "form_token_required",
+        message: t("formToken.invalid"),
+        requestId,
+      }),
+    };
+  }
+
+  const verified = verifyFormToken({
+    secret: FORM_TOKEN_SECRET,
+    token: body.formToken,
+    origin,
+    now,
+    minAgeSeconds: FORM_TOKEN_MIN_SECONDS,
+    maxAgeSeconds: FORM_TOKEN_MAX_SECONDS,
+  });
+  if (verified.error) {
+    const rejection = FORM_TOKEN_ERRORS[verified.error];
+    log("info", "Form token rejected", {
+      requestId,
+      origin,
+      sourceIp,
+      reason: verified.error,
+    });
+    return {
+      response: jsonResponse(rejection.statusCode, origin, {
+        status: "error",
+        code: rejection.code,
+        message: t(rejection.message),
+        requestId,
+      }),
+    };
+  }
+  return { formToken: verified };
+}
+
+function formTokenReusedResponse(origin, requestId, t = ENGLISH) {
+  return jsonResponse(409, origin, {
+    status: "error",
+    code: "form_token_reused",
+    message: t("formToken.reused"),
+    requestId,
+  });
+}
+
+/**
+ * Gives back a form token claimed by a submission that then failed, so the
+ * sender's retry is not turned away as a reuse.
+ */
+async function releaseFormToken(formToken, requestId) {
+  try {
+    await formTokenStore.releaseToken(formToken);
+  } catch (err) {
+    log("error", "Form token could not be released", {
+      requestId,
+      errorName: err?.name,
+      errorMessage: err?.message,
+    });
+  }
+}
+
+/** Runs the route's CAPTCHA check, if any; returns an error response or null */
+async function checkCaptcha({ route, body, origin, requestId, sourceIp, t = ENGLISH }) {
+  const verify = captchaVerifiers[route];
+  if (!verify) return null;
+
+  const result = await verify({ token: body.captchaToken, remoteIp: sourceIp });
+  if (result.failedOpen) {
+    log("warn", "Captcha provider unavailable; allowing submission", {
+      requestId,
+      route,
+      errorName: result.error?.name,
+      errorMessage: result.error?.message,
+    });
+    return null;
+  }
+  if (result.ok) return null;
+
+  log(result.reason === "unavailable" ? "error" : "info", "Captcha verification failed", {
+    requestId,
+    route,
+    origin,
+    sourceIp,
+    reason: result.reason,
+    errorCodes: result.errorCodes,
+    errorName: result.error?.name,
+    errorMessage: result.error?.message,
+  });
+  const unavailable = result.reason === "unavailable";
+  return jsonResponse(unavailable ? 503 : 400, origin, {
+    status: "error",
+    code: "captcha_failed",
+    message: unavailable ? t("captcha.unavailable") : t("captcha.failed"),
+    fieldErrors: {
+      captchaToken: unavailable ? t("captcha.fieldUnavailable") : t("captcha.fieldFailed"),
+    },
+    requestId,
+  });
+}
+
+async function handleFormToken({ origin, requestId, sourceIp, t }) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  if (!FORM_TOKEN_SECRET) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "not_found",
+      message: t("request.notFound"),
+      requestId,
+    });
+  }
+
+  const issuedAt = new Date();
+  return jsonResponse(200, origin, {
+    status: "success",
+    formToken: signFormToken({ secret: FORM_TOKEN_SECRET, origin, issuedAt }),
+    issuedAt: issuedAt.toISOString(),
+    notBefore: new Date(issuedAt.getTime() + FORM_TOKEN_MIN_SECONDS * 1000).toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + FORM_TOKEN_MAX_SECONDS * 1000).toISOString(),
+    ...(FORM_HONEYPOT_FIELD ? { honeypotField: FORM_HONEYPOT_FIELD } : {}),
+    requestId,
+  });
+}
+
+function attachmentFieldErrorResponse(origin, requestId, message, t) {
+  return jsonResponse(400, origin, {
+    status: "error",
+    code: "validation_failed",
+    message: t("validation.failed"),
+    fieldErrors: { attachments: message },
+    requestId,
+  });
+}
+
+/**
+ * Checks the `attachments` keys on a contact submission. Returns
+ * `{ attachments }` or `{ response }` for the client.
+ */
+async function checkContactAttachments({ keys, origin, requestId, t }) {
+  // HTML form posts send a single key as a string.
+  const list = typeof keys === "string" ? [keys].filter(Boolean) : keys;
+  if (list === undefined || list === null || (Array.isArray(list) && list.length === 0)) {
+    return { attachments: [] };
+  }
+  if (!attachmentService) {
+    return {
+      response: attachmentFieldErrorResponse(origin, requestId, t("attachments.disabled"), t),
+    };
+  }
+
+  const result = await attachmentService.resolve(list, t);
+  if (result.fieldError) {
+    log("info", "Contact attachments rejected", {
+      requestId,
+      origin,
+      reason: result.fieldError,
+    });
+    return { response: attachmentFieldErrorResponse(origin, requestId, result.fieldError, t) };
+  }
+  if (result.unavailable) {
+    log("error", "Attachment scan unavailable", {
+      requestId,
+      errorName: result.error?.name,
+      errorMessage: result.error?.message,
+    });
+    return {
+      response: jsonResponse(503, origin, {
+        status: "error",
+        code: "attachment_scan_unavailable",
+        message: t("attachments.scanUnavailable"),
+        requestId,
+      }),
+    };
+  }
+  return { attachments: result.attachments };
+}
+
+/**
+ * GET /contact/attachments/download?token=...: the owner email's link to one
+ * file. Redirects to a presigned GET made now, so the link outlives the
+ * credentials that were current when the email was sent.
+ */
+async function handleAttachmentDownload({ event, origin, requestId, t }) {
+  if (!attachmentService) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "not_found",
+      message: t("request.notFound"),
+      requestId,
+    });
+  }
+
+  const result = await attachmentService.download(event.queryStringParameters?.token);
+  if (result.error === "expired") {
+    return jsonResponse(410, origin, {
+      status: "error",
+      code: "link_expired",
+      message: t("attachments.linkExpired"),
+      requestId,
+    });
+  }
+  if (result.error) {
+    log("warn", "Rejected invalid attachment link token", { requestId });
+    return jsonResponse(403, origin, {
+      status: "error",
+      code: "invalid_token",
+      message: t("attachments.linkInvalid"),
+      requestId,
+    });
+  }
+  return {
+    statusCode: 302,
+    headers: { Location: result.url, "Cache-Control": "no-store" },
+    body: "",
+  };
+}
+
+/** POST /contact/attachments: a presigned S3 PUT URL for one file */
+async function handleContactAttachment({ requestBody, origin, requestId, sourceIp, t }) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  if (!attachmentService) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "not_found",
+      message: t("request.notFound"),
+      requestId,
+    });
+  }
+
+  const { parsed, response } = parseJsonBody(requestBody, origin, requestId, t);
+  if (response) return response;
+
+  const limitedResponse = await checkRateLimit({
+    route: "attachments",
+    origin,
+    requestId,
+    sourceIp,
+    t,
+  });
+  if (limitedResponse) return limitedResponse;
+
+  const { fieldErrors, upload } = checkUploadRequest(ATTACHMENTS, parsed, t);
+  if (fieldErrors) {
+    log("info", "Attachment request rejected", { requestId, fieldErrors, origin });
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: t("attachments.chooseAnother"),
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const attachment = await attachmentService.presignUpload(upload);
+  log("info", "Attachment upload presigned", {
+    requestId,
+    origin,
+    key: attachment.key,
+    contentType: attachment.contentType,
+    size: attachment.size,
+  });
+  return jsonResponse(200, origin, {
+    status: "success",
+    attachment,
+    maxFiles: ATTACHMENTS.maxFiles,
+    maxTotalBytes: ATTACHMENTS.maxTotalBytes,
+    requestId,
+  });
+}
+
+async function handleContact({
+  event,
+  requestBody,
+  origin,
+  requestId,
+  sourceIp,
+  userAgent,
+  startedAt,
+  t,
+}) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  const { parsed, response } = parseSubmissionBody(requestBody, origin, requestId, t);
+  if (response) return response;
+
+  const limitedResponse = await checkRateLimit({
+    route: "contact",
+    origin,
+    requestId,
+    sourceIp,
+    email: parsed.email,
+    t,
+  });
+  if (limitedResponse) return limitedResponse;
+
+  // Bots that fill the hidden field get the normal reply and nothing is sent.
+  if (honeypotFilled(parsed)) {
+    log("warn", "Contact dropped: honeypot field filled", { requestId, origin, sourceIp });
+    return jsonResponse(200, origin, {
+      status: "success",
+      message: t("contact.success"),
+      requestId,
+    });
+  }
+
+  const tokenCheck = verifySubmissionToken({
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    now: new Date(),
+    t,
+  });
+  if (tokenCheck.response) return tokenCheck.response;
+
+  const input = normaliseFormInput(CONTACT_FORM, parsed);
+  const fieldErrors = validateFormInput(CONTACT_FORM, input, t);
+  if (Object.keys(fieldErrors).length > 0) {
+    log("info", "Contact validation failed", { requestId, fieldErrors, origin });
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: t("validation.failed"),
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const captchaResponse = await checkCaptcha({
+    route: "contact",
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    t,
+  });
+  if (captchaResponse) return captchaResponse;
+
+  let formTokenClaimed = false;
+  try {
+    // Checked before the form token is spent, so the sender can fix and resend.
+    const attachmentCheck = await checkContactAttachments({
+      keys: parsed.attachments,
+      origin,
+      requestId,
+      t,
+    });
+    if (attachmentCheck.response) return attachmentCheck.response;
+    const { attachments } = attachmentCheck;
+
+    if (tokenCheck.formToken && !(await formTokenStore.claimToken(tokenCheck.formToken))) {
+      log("info", "Contact rejected: form token reused", { requestId, origin, sourceIp });
+      return formTokenReusedResponse(origin, requestId, t);
+    }
+    formTokenClaimed = Boolean(tokenCheck.formToken);
+
+    // Saved before sending so the enquiry survives a failed or lost email.
+    const submissionId = randomUUID();
+    const createdAt = new Date().toISOString();
+    let stored = true;
+    try {
+      await contactStore.createSubmission({
+        submissionId,
+        createdAt,
+        name: input.name,
+        email: input.email,
+        company: input.company,
+        phone: input.phone,
+        message: input.message,
+        attachments,
+        origin,
+        sourceIp,
+        userAgent,
+        requestId,
+      });
+    } catch (err) {
+      stored = false;
+      log("error", "Contact submission could not be stored", {
+        requestId,
+        errorName: err?.name,
+        errorMessage: err?.message,
+      });
+    }
+
+    const notification = await outbox.enqueue({
+      kind: "contact-owner",
+      payload: {
+        name: input.name,
+        email: input.email,
+        company: input.company,
+        phone: input.phone,
+        message: input.message,
+        origin,
+        sourceIp,
+        userAgent,
+        requestId,
+        submissionId: stored ? submissionId : "",
+        timestamp: createdAt,
+        attachments,
+        // Download links in the email point back at this API.
+        baseUrl: apiBaseUrl(event),
+      },
+      requestId,
+    });
+    logNotification(notification, { requestId, kind: "contact-owner", submissionId });
+    if (notification.status === "failed" && !stored) {
+      // Neither the inbox nor the outbox holds the enquiry.
+      throw notification.error;
+    }
+
+    await queueWebhooks(
+      "contact.submitted",
+      {
+        submissionId: stored ? submissionId : null,
+        name: input.name,
+        email: input.email,
+        company: input.company,
+        phone: input.phone,
+        message: input.message,
+        origin,
+        requestId,
+      },
+      requestId
+    );
+
+    const delivered = notification.status === "sent";
+    if (stored && !delivered) {
+      try {
+        await contactStore.recordDelivery({
+          submissionId,
+          deliveryStatus: "failed",
+          deliveryError: notification.error?.name || "Error",
+        });
+      } catch (err) {
+        log("error", "Contact delivery status could not be recorded", {
+          requestId,
+          submissionId,
+          errorName: err?.name,
+          errorMessage: err?.message,
+        });
+      }
+    }
+
+    // Queued by the owner email's delivery, so only once the owner has it.
+    const acknowledgementSent = notification.result?.acknowledgementSent ?? false;
+
+    log("info", "Contact form submitted", {
+      requestId,
+      origin,
+      submissionId: stored ? submissionId : null,
+      notificationStatus: notification.status,
+      acknowledgementSent,
+      durationMs: Date.now() - startedAt,
+    });
+    // 202: the enquiry is safe, but the owner has not been told yet.
+    return jsonResponse(delivered ? 200 : 202, origin, {
+      status: delivered ? "success" : "accepted",
+      message: t("contact.success"),
+      acknowledgementSent,
+      requestId,
+    });
+  } catch (err) {
+    log("error", "Contact form error", {
+      requestId,
+      origin,
+      errorName: err?.name,
+      errorMessage: err?.message,
+      durationMs: Date.now() - startedAt,
+    });
+    if (formTokenClaimed) await releaseFormToken(tokenCheck.formToken, requestId);
+    return jsonResponse(500, origin, {
+      status: "error",
+      code: "internal_error",
+      message: t("request.internalError"),
+      requestId,
+    });
+  }
+}
+
+function formNotFoundResponse(origin, requestId, t) {
+  return jsonResponse(404, origin, {
+    status: "error",
+    code: "form_not_found",
+    message: t("form.notFound"),
+    requestId,
+  });
+}
+
+async function handleFormSchema({ origin, requestId, form }) {
+  return jsonResponse(200, origin, {
+    status: "success",
+    form: describeForm(form),
+    requestId,
+  });
+}
+
+/**
+ * POST /forms/{formId}. Rate limits and CAPTCHA come from the form's own
+ * `form:<formId>` entries, or the contact route's settings counted for this
+ * form alone; the form token is shared with the other forms. Submissions are
+ * emailed only (no inbox, acknowledgement or webhooks).
+ */
+async function handleFormSubmit({
+  event,
+  requestBody,
+  origin,
+  requestId,
+  sourceIp,
+  userAgent,
+  startedAt,
+  form,
+  t,
+}) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  const { parsed, response } = parseSubmissionBody(requestBody, origin, requestId, t);
+  if (response) return response;
+
+  // Limits and captcha are per form, so one form's traffic cannot lock out another.
+  const route = `form:${form.id}`;
+  const values = normaliseFormInput(form, parsed);
+  const limitedResponse = await checkRateLimit({
+    route,
+    origin,
+    requestId,
+    sourceIp,
+    email: form.replyToField ? values[form.replyToField] : "",
+    t,
+  });
+  if (limitedResponse) return limitedResponse;
+
+  if (honeypotFilled(parsed)) {
+    log("warn", "Form submission dropped: honeypot field filled", {
+      requestId,
+      formId: form.id,
+      origin,
+      sourceIp,
+    });
+    return jsonResponse(200, origin, {
+      status: "success",
+      message: formSuccessMessage(form, t),
+      requestId,
+    });
+  }
+
+  const tokenCheck = verifySubmissionToken({
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    now: new Date(),
+    t,
+  });
+  if (tokenCheck.response) return tokenCheck.response;
+
+  const fieldErrors = validateFormInput(form, values, t);
+  if (Object.keys(fieldErrors).length > 0) {
+    log("info", "Form validation failed", { requestId, formId: form.id, fieldErrors, origin });
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: t("validation.failed"),
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const captchaResponse = await checkCaptcha({
+    route,
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    t,
+  });
+  if (captchaResponse) return captchaResponse;
+
+  let formTokenClaimed = false;
+  try {
+    if (tokenCheck.formToken && !(await formTokenStore.claimToken(tokenCheck.formToken))) {
+      log("info", "Form submission rejected: form token reused", {
+        requestId,
+        formId: form.id,
+        origin,
+        sourceIp,
+      });
+      return formTokenReusedResponse(origin, requestId, t);
+    }
+    formTokenClaimed = Boolean(tokenCheck.formToken);
+
+    const notification = await outbox.enqueue({
+      kind: "form-owner",
+      payload: {
+        formId: form.id,
+        values,
+        origin,
+        sourceIp,
+        userAgent,
+        requestId,
+        timestamp: new Date().toISOString(),
+      },
+      requestId,
+    });
+    logNotification(notification, { requestId, kind: "form-owner", formId: form.id });
+    // Without an inbox, a submission the outbox could not hold is lost.
+    if (notification.status === "failed") throw notification.error;
+
+    const delivered = notification.status === "sent";
+    log("info", "Form submitted", {
+      requestId,
+      formId: form.id,
+      origin,
+      notificationStatus: notification.status,
+      durationMs: Date.now() - startedAt,
+    });
+    return jsonResponse(delivered ? 200 : 202, origin, {
+      status: delivered ? "success" : "accepted",
+      message: formSuccessMessage(form, t),
+      requestId,
+    });
+  } catch (err) {
+    log("error", "Form submission error", {
+      requestId,
+      formId: form.id,
+      origin,
+      errorName: err?.name,
+      errorMessage: err?.message,
+      durationMs: Date.now() - startedAt,
+    });
+    if (formTokenClaimed) await releaseFormToken(tokenCheck.formToken, requestId);
+    return jsonResponse(500, origin, {
+      status: "error",
+      code: "internal_error",
+      message: t("request.internalError"),
+      requestId,
+    });
+  }
+}
+
+async function handleContactList({ event, origin, requestId, startedAt }) {
+  const { claims, response } = withContactAdminGuard(event, origin, requestId);
+  if (response) return response;
+
+  const query = event.queryStringParameters || {};
+  const status = query.status || "new";
+  const deliveryStatus = query.deliveryStatus || "";
+  const fieldErrors = {};
+  if (!CONTACT_STATUSES.includes(status)) {
+    fieldErrors.status = `status must be one of: ${CONTACT_STATUSES.join(", ")}.`;
+  }
+  if (deliveryStatus && !CONTACT_DELIVERY_STATUSES.includes(deliveryStatus)) {
+    fieldErrors.deliveryStatus = `deliveryStatus must be one of: ${CONTACT_DELIVERY_STATUSES.join(", ")}.`;
+  }
+  const fromDate = query.from ? parseDateOnlyUtc(String(query.from)) : null;
+  const toDate = query.to ? parseDateOnlyUtc(String(query.to)) : null;
+  if (query.from && !fromDate) fieldErrors.from = "from must be YYYY-MM-DD.";
+  if (query.to && !toDate) fieldErrors.to = "to must be YYYY-MM-DD.";
+  if (fromDate && toDate && fromDate > toDate) fieldErrors.to = "to must not be before from.";
+  if (Object.keys(fieldErrors).length > 0) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: "Please correct the highlighted query parameters.",
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const limitRaw = Number(query.limit || "25");
+  const limit = Number.isFinite(limitRaw)
+    ? Math.max(1, Math.min(100, Math.floor(limitRaw)))
+    : 25;
+
+  let startKey = null;
+  if (query.cursor) {
+    startKey = decodeCursor(String(query.cursor));
+    if (!startKey) {
+      return jsonResponse(400, origin, {
+        status: "error",
+        code: "invalid_cursor",
+        message: "cursor is not valid.",
+        requestId,
+      });
+    }
+  }
+
+  // `from`/`to` are whole UTC days, inclusive.
+  const { submissions, nextKey } = await contactStore.listSubmissions({
+    status,
+    deliveryStatus,
+    fromIso: fromDate ? fromDate.toISOString() : "0000-01-01T00:00:00.000Z",
+    toIso: toDate
+      ? new Date(toDate.getTime() + 24 * 60 * 60 * 1000 - 1).toISOString()
+      : "9999-12-31T23:59:59.999Z",
+    limit,
+    startKey,
+  });
+
+  log("info", "Contact submissions listed", {
+    requestId,
+    sub: claims.sub,
+    submissionStatus: status,
+    submissionCount: submissions.length,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return jsonResponse(200, origin, {
+    status: "success",
+    requestId,
+    submissions,
+    nextCursor: encodeCursor(nextKey),
+  });
+}
+
+async function handleContactGet({ event, origin, requestId, submissionId }) {
+  const { response } = withContactAdminGuard(event, origin, requestId);
+  if (response) return response;
+
+  const submission = await contactStore.getSubmission(submissionId);
+  if (!submission) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "submission_not_found",
+      message: "Submission not found.",
+      requestId,
+    });
+  }
+
+  return jsonResponse(200, origin, {
+    status: "success",
+    requestId,
+    submission,
+  });
+}
+
+async function handleContactStatus({
+  event,
+  requestBody,
+  origin,
+  requestId,
+  submissionId,
+  startedAt,
+}) {
+  const { claims, response: guardResponse } = withContactAdminGuard(event, origin, requestId);
+  if (guardResponse) return guardResponse;
+
+  const { parsed, response } = parseJsonBody(requestBody, origin, requestId);
+  if (response) return response;
+
+  const status = typeof parsed.status === "string" ? parsed.status.trim() : parsed.status;
+  const note = typeof parsed.note === "string" ? parsed.note.trim() : parsed.note ?? "";
+  const fieldErrors = {};
+  if (!CONTACT_STATUSES.includes(status)) {
+    fieldErrors.status = `Status must be one of: ${CONTACT_STATUSES.join(", ")}.`;
+  }
+  if (typeof note !== "string") {
+    fieldErrors.note = "Note must be text.";
+  } else if (note.length > 500) {
+    fieldErrors.note = "Note must be 500 characters or less.";
+  }
+  if (Object.keys(fieldErrors).length > 0) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: "Please correct the highlighted fields and try again.",
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const submission = await contactStore.updateStatus({
+    submissionId,
+    status,
+    note,
+    updatedBy: claims.email || claims.sub,
+    updatedAt: new Date().toISOString(),
+  });
+  if (!submission) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "submission_not_found",
+      message: "Submission not found.",
+      requestId,
+    });
+  }
+
+  log("info", "Contact submission updated", {
+    requestId,
+    submissionId,
+    submissionStatus: status,
+    sub: claims.sub,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return jsonResponse(200, origin, {
+    status: "success",
+    requestId,
+    submission,
+  });
+}
+
+let openApiDocument = null;
+
+/** The API description, built on first use from the live validation rules */
+function handleOpenApi({ event, origin }) {
+  openApiDocument ||= buildOpenApiDocument({
+    contactForm: CONTACT_FORM,
+    bookingForm: BOOKING_FORM,
+    forms: [...FORMS.values()],
+    bookingTypes: BOOKING_TYPES.map((type) => type.id),
+    defaultBookingType: DEFAULT_BOOKING_TYPE.id,
+    availabilityDefaultDays: AVAILABILITY_DEFAULT_DAYS,
+    availabilityMaxDays: AVAILABILITY_MAX_DAYS,
+    maxBodyBytes: MAX_BODY_BYTES,
+    formTokens: Boolean(FORM_TOKEN_SECRET),
+    formTokenErrors: Object.values(FORM_TOKEN_ERRORS),
+    bookingConflicts: Object.keys(BOOKING_CONFLICTS),
+    captchaRoutes: Object.keys(CAPTCHA_RULES),
+    attachments: ATTACHMENTS.enabled ? ATTACHMENTS : null,
+    locales: SUPPORTED_LOCALES,
+  });
+  const serverUrl = apiBaseUrl(event);
+  return jsonResponse(
+    200,
+    origin,
+    serverUrl ? { ...openApiDocument, servers: [{ url: serverUrl }] } : openApiDocument
+  );
+}
+
+async function handleBookingTypes({ origin, requestId }) {
+  return jsonResponse(200, origin, {
+    status: "success",
+    requestId,
+    businessTimezone: BOOKING_TIMEZONE,
+    defaultType: DEFAULT_BOOKING_TYPE.id,
+    types: BOOKING_TYPES.map(describeBookingType),
+  });
+}
+
+async function handleAvailability({ event, origin, requestId, sourceIp, startedAt, t }) {
+  const limitedResponse = await checkRateLimit({
+    route: "availability",
+    origin,
+    requestId,
+    sourceIp,
+    t,
+  });
+  if (limitedResponse) return limitedResponse;
+
+  const query = event.queryStringParameters || {};
+  const bookingType = findBookingType(query.type ? String(query.type) : "");
+  if (!bookingType) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "invalid_booking_type",
+      message: t("availability.invalidType"),
+      requestId,
+    });
+  }
+
+  const daysRaw = Number(query.days || AVAILABILITY_DEFAULT_DAYS);
+  const days = Number.isFinite(daysRaw)
+    ? Math.max(1, Math.min(AVAILABILITY_MAX_DAYS, Math.floor(daysRaw)))
+    : AVAILABILITY_DEFAULT_DAYS;
+
+  const displayTimezone = query.tz ? String(query.tz) : BOOKING_TIMEZONE;
+  if (!isValidTimeZone(displayTimezone)) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "invalid_timezone",
+      message: t("availability.invalidTimezone"),
+      requestId,
+    });
+  }
+
+  const now = new Date();
+  let startDay;
+  if (query.date) {
+    const startDate = parseDateOnlyUtc(String(query.date));
+    if (!startDate) {
+      return jsonResponse(400, origin, {
+        status: "error",
+        code: "invalid_date",
+        message: t("availability.invalidDate"),
+        requestId,
+      });
+    }
+    startDay = {
+      year: startDate.getUTCFullYear(),
+      month: startDate.getUTCMonth() + 1,
+      day: startDate.getUTCDate(),
+    };
+  } else {
+    startDay = zonedParts(now, displayTimezone);
+  }
+
+  const windowStart = startOfLocalDay(startDay, displayTimezone);
+  const windowEnd = startOfLocalDay(addDays(startDay, days), displayTimezone);
+  const { bookings, busy } = await scheduleAround({
+    fromMs: windowStart.getTime(),
+    toMs: windowEnd.getTime(),
+  });
+  const availableSlots = generateCandidateSlots({
+    bookingType,
+    windowStart,
+    windowEnd,
+    now,
+    bookings,
+    busy,
+  }).map((slot) => ({
+    ...slot,
+    localStart: toLocalIso(new Date(slot.slotStart), displayTimezone),
+    localEnd: toLocalIso(new Date(slot.slotEnd), displayTimezone),
+    localDate: localDateKey(new Date(slot.slotStart), displayTimezone),
+  }));
+
+  const slotsByDay = new Map();
+  for (const slot of availableSlots) {
+    if (!slotsByDay.has(slot.localDate)) slotsByDay.set(slot.localDate, []);
+    slotsByDay.get(slot.localDate).push(slot);
+  }
+
+  log("info", "Availability fetched", {
+    requestId,
+    bookingType: bookingType.id,
+    requestedDays: days,
+    displayTimezone,
+    slotCount: availableSlots.length,
+    bookingCount: bookings.length,
+    busyCount: busy.length,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return jsonResponse(200, origin, {
+    status: "success",
+    requestId,
+    bookingType: bookingType.id,
+    slotDurationMinutes: bookingType.durationMinutes,
+    timezone: "UTC",
+    businessTimezone: BOOKING_TIMEZONE,
+    displayTimezone,
+    slots: availableSlots,
+    days: [...slotsByDay].map(([date, slots]) => ({ date, slots })),
+  });
+}
+
+async function handleBooking({
+  event,
+  requestBody,
+  origin,
+  requestId,
+  sourceIp,
+  startedAt,
+  t,
+}) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  const { parsed, response } = parseSubmissionBody(requestBody, origin, requestId, t);
+  if (response) return response;
+
+  const limitedResponse = await checkRateLimit({
+    route: "booking",
+    origin,
+    requestId,
+    sourceIp,
+    email: parsed.email,
+    t,
+  });
+  if (limitedResponse) return limitedResponse;
+
+  const input = normaliseFormInput(BOOKING_FORM, parsed);
+  const now = new Date();
+  const bookingType = findBookingType(input.bookingType);
+
+  // Bots that fill the hidden field get a plausible reply; nothing is reserved.
+  if (honeypotFilled(parsed)) {
+    log("warn", "Booking dropped: honeypot field filled", { requestId, origin, sourceIp });
+    const decoyType = bookingType || DEFAULT_BOOKING_TYPE;
+    // Echo the requested slot only when it is a real date in the booking
+    // window; Date.parse accepts years that toISOString cannot print.
+    const requestedMs = Date.parse(input.slotStart);
+    const lookaheadMs = decoyType.lookaheadDays * 24 * 60 * 60 * 1000;
+    const decoyStartMs =
+      Number.isFinite(requestedMs) &&
+      requestedMs >= now.getTime() &&
+      requestedMs <= now.getTime() + lookaheadMs
+        ? requestedMs
+        : now.getTime();
+    return jsonResponse(200, origin, {
+      status: "success",
+      message: t("booking.received", { title: decoyType.title }),
+      bookingId: randomUUID(),
+      bookingType: decoyType.id,
+      slotStart: toIsoUtc(new Date(decoyStartMs)),
+      slotEnd: toIsoUtc(new Date(decoyStartMs + decoyType.durationMinutes * 60 * 1000)),
+      notificationSent: true,
+      confirmationSent: false,
+      requestId,
+    });
+  }
+
+  const tokenCheck = verifySubmissionToken({
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    now,
+    t,
+  });
+  if (tokenCheck.response) return tokenCheck.response;
+
+  const fieldErrors = validateBookingInput(input, now, bookingType, t);
+  if (Object.keys(fieldErrors).length > 0) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: t("booking.failed"),
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const captchaResponse = await checkCaptcha({
+    route: "booking",
+    body: parsed,
+    origin,
+    requestId,
+    sourceIp,
+    t,
+  });
+  if (captchaResponse) return captchaResponse;
+
+  const slotStartDate = new Date(input.slotStart);
+  const slotStart = toIsoUtc(slotStartDate);
+  const slotEnd = toIsoUtc(
+    new Date(slotStartDate.getTime() + bookingType.durationMinutes * 60 * 1000)
+  );
+  const bookingId = randomUUID();
+
+  let conflict;
+  let formTokenClaimed = false;
+  try {
+    conflict = await writeCheckedBooking({
+      slotStart,
+      slotEnd,
+      bookingType,
+      async write(guards) {
+        if (tokenCheck.formToken && !formTokenClaimed) {
+          if (!(await formTokenStore.claimToken(tokenCheck.formToken))) {
+            return "form_token_reused";
+          }
+          formTokenClaimed = true;
+        }
+        const reservation = await bookingStore.reserveSlot(
+          {
+            bookingId,
+            bookingType: bookingType.id,
+            slotStart,
+            slotEnd,
+            name: input.name,
+            email: input.email,
+            company: input.company,
+            notes: input.notes,
+            timezone: input.timezone,
+            createdAt: now.toISOString(),
+          },
+          { guards, counters: bookingCounters(slotStart) }
+        );
+        return reservation.reserved ? null : reservation.reason;
+      },
+    });
+  } catch (err) {
+    log("error", "Booking store error", {
+      requestId,
+      slotStart,
+      errorName: err?.name,
+      errorMessage: err?.message,
+      durationMs: Date.now() - startedAt,
+    });
+    if (formTokenClaimed) await releaseFormToken(tokenCheck.formToken, requestId);
+    return jsonResponse(500, origin, {
+      status: "error",
+      code: "internal_error",
+      message: t("booking.saveFailed"),
+      requestId,
+    });
+  }
+
+  if (conflict === "form_token_reused") {
+    log("info", "Booking rejected: form token reused", { requestId, origin, sourceIp });
+    return formTokenReusedResponse(origin, requestId, t);
+  }
+  if (conflict) {
+    log("info", "Booking rejected: slot unavailable", {
+      requestId,
+      slotStart,
+      bookingType: bookingType.id,
+      conflict,
+    });
+    // Lost to another booking after the claim; the visitor picks another slot.
+    if (formTokenClaimed) await releaseFormToken(tokenCheck.formToken, requestId);
+    return conflictResponse(conflict, origin, requestId, t);
+  }
+
+  const manageLinks = bookingManageLinks({
+    bookingId,
+    slotStart,
+    baseUrl: apiBaseUrl(event),
+  });
+
+  const invite = bookingInvite({
+    bookingId,
+    bookingType,
+    name: input.name,
+    email: input.email,
+    notes: input.notes,
+    slotStart,
+    slotEnd,
+  });
+
+  const notification = await outbox.enqueue({
+    kind: "booking-owner",
+    payload: {
+      bookingType,
+      name: input.name,
+      email: input.email,
+      company: input.company,
+      notes: input.notes,
+      timezone: input.timezone,
+      slotStart,
+      slotEnd,
+      bookingId,
+      manageLinks,
+      invite,
+    },
+    requestId,
+  });
+  logNotification(notification, { requestId, kind: "booking-owner", bookingId });
+  const notificationSent = notification.status === "sent";
+
+  let confirmationSent = false;
+  if (BOOKING_GUEST_CONFIRMATION_ENABLED) {
+    const confirmation = await outbox.enqueue({
+      kind: "booking-guest",
+      payload: {
+        bookingType,
+        name: input.name,
+        email: input.email,
+        timezone: input.timezone,
+        slotStart,
+        slotEnd,
+        bookingId,
+        manageLinks,
+        invite,
+      },
+      requestId,
+    });
+    logNotification(confirmation, { requestId, kind: "booking-guest", bookingId });
+    confirmationSent = confirmation.status === "sent";
+  }
+  const delivered = notificationSent && (confirmationSent || !BOOKING_GUEST_CONFIRMATION_ENABLED);
+
+  await queueWebhooks(
+    "booking.created",
+    {
+      bookingId,
+      bookingType: webhookBookingType(bookingType),
+      name: input.name,
+      email: input.email,
+      company: input.company,
+      notes: input.notes,
+      timezone: input.timezone,
+      slotStart,
+      slotEnd,
+    },
+    requestId
+  );
+
+  log("info", "Booking confirmed", {
+    requestId,
+    bookingId,
+    slotStart,
+    bookingType: bookingType.id,
+    notificationSent,
+    confirmationSent,
+    durationMs: Date.now() - startedAt,
+  });
+
+  // 202: the slot is reserved, but an email is still queued.
+  return jsonResponse(delivered ? 200 : 202, origin, {
+    status: delivered ? "success" : "accepted",
+    message: t(confirmationSent ? "booking.confirmed" : "booking.received", {
+      title: bookingType.title,
+    }),
+    bookingId,
+    bookingType: bookingType.id,
+    slotStart,
+    slotEnd,
+    notificationSent,
+    confirmationSent,
+    ...(manageLinks ? { manageLinks } : {}),
+    requestId,
+  });
+}
+
+function bookingSummary(booking) {
+  return {
+    bookingId: booking.bookingId,
+    bookingType: booking.bookingType,
+    status: booking.status,
+    name: booking.name,
+    slotStart: booking.slotStart,
+    slotEnd: booking.slotEnd,
+    timezone: booking.timezone,
+  };
+}
+
+async function handleBookingManage({
+  event,
+  requestBody,
+  method,
+  origin,
+  requestId,
+  sourceIp,
+  bookingId,
+  action,
+  startedAt,
+  t,
+}) {
+  if (!BOOKING_LINK_SECRET) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "not_found",
+      message: t("request.notFound"),
+      requestId,
+    });
+  }
+
+  let body = {};
+  if (method === "POST") {
+    const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+    if (guardResponse) return guardResponse;
+
+    const { parsed, response } = parseJsonBody(requestBody, origin, requestId, t);
+    if (response) return response;
+    body = parsed;
+  }
+
+  const token = method === "POST" ? body.token : event.queryStringParameters?.token;
+  const now = new Date();
+  const verified = verifyBookingToken({
+    secret: BOOKING_LINK_SECRET,
+    token,
+    bookingId,
+    action,
+    now,
+  });
+  if (verified.error === "expired") {
+    return jsonResponse(410, origin, {
+      status: "error",
+      code: "link_expired",
+      message: t("booking.linkExpired"),
+      requestId,
+    });
+  }
+  if (verified.error) {
+    log("warn", "Rejected invalid booking link token", { requestId, bookingId, action });
+    return jsonResponse(403, origin, {
+      status: "error",
+      code: "invalid_token",
+      message: t("booking.linkInvalid"),
+      requestId,
+    });
+  }
+
+  const booking = await bookingStore.getBooking(bookingId);
+  if (!booking || booking.status !== "confirmed" || booking.slotStart !== verified.slotStart) {
+    return jsonResponse(410, origin, {
+      status: "error",
+      code: "link_expired",
+      message: t("booking.alreadyChanged"),
+      requestId,
+    });
+  }
+
+  // Bookings made before a type was renamed or removed keep the default rules.
+  const bookingType = findBookingType(booking.bookingType) || DEFAULT_BOOKING_TYPE;
+
+  if (method === "GET") {
+    return jsonResponse(200, origin, {
+      status: "success",
+      requestId,
+      action,
+      booking: bookingSummary(booking),
+    });
+  }
+
+  const updatedAt = now.toISOString();
+
+  if (action === "cancel") {
+    const released = await bookingStore.releaseSlot({
+      slotStart: booking.slotStart,
+      bookingId,
+      status: "cancelled",
+      updatedAt,
+      counters: booking.counters,
+    });
+    if (!released) {
+      return jsonResponse(410, origin, {
+        status: "error",
+        code: "link_expired",
+        message: t("booking.alreadyChanged"),
+        requestId,
+      });
+    }
+
+    const notification = await outbox.enqueue({
+      kind: "booking-change-owner",
+      payload: { booking, bookingType, change: "cancelled" },
+      requestId,
+    });
+    logNotification(notification, { requestId, kind: "booking-change-owner", bookingId });
+    const notificationSent = notification.status === "sent";
+
+    await queueWebhooks(
+      "booking.cancelled",
+      {
+        bookingId,
+        bookingType: webhookBookingType(bookingType),
+        name: booking.name,
+        email: booking.email,
+        slotStart: booking.slotStart,
+        slotEnd: booking.slotEnd,
+      },
+      requestId
+    );
+
+    log("info", "Booking cancelled", {
+      requestId,
+      bookingId,
+      bookingType: bookingType.id,
+      slotStart: booking.slotStart,
+      notificationSent,
+      durationMs: Date.now() - startedAt,
+    });
+    return jsonResponse(200, origin, {
+      status: "success",
+      message: t("booking.cancelled"),
+      bookingId,
+      notificationSent,
+      requestId,
+    });
+  }
+
+  const input = normaliseFormInput(BOOKING_FORM, {
+    name: booking.name,
+    email: booking.email,
+    company: booking.company || "",
+    notes: booking.notes || "",
+    timezone: booking.timezone || "",
+    slotStart: body.slotStart,
+  });
+  const fieldErrors = validateBookingInput(input, now, bookingType, t);
+  if (!fieldErrors.slotStart && input.slotStart === booking.slotStart) {
+    fieldErrors.slotStart = t("booking.sameSlot");
+  }
+  if (Object.keys(fieldErrors).length > 0) {
+    return jsonResponse(400, origin, {
+      status: "error",
+      code: "validation_failed",
+      message: t("booking.failed"),
+      fieldErrors,
+      requestId,
+    });
+  }
+
+  const slotStartDate = new Date(input.slotStart);
+  const slotStart = toIsoUtc(slotStartDate);
+  const slotEnd = toIsoUtc(
+    new Date(slotStartDate.getTime() + bookingType.durationMinutes * 60 * 1000)
+  );
+  const conflict = await writeCheckedBooking({
+    slotStart,
+    slotEnd,
+    bookingType,
+    ignoreBookingId: bookingId,
+    async write(guards) {
+      const move = await bookingStore.rescheduleBooking(
+        { ...booking, bookingType: bookingType.id },
+        { slotStart, slotEnd, updatedAt, guards, counters: bookingCounters(slotStart) }
+      );
+      return move.rescheduled ? null : move.reason;
+    },
+  });
+  if (conflict === "changed") {
+    return jsonResponse(410, origin, {
+      status: "error",
+      code: "link_expired",
+      message: t("booking.alreadyChanged"),
+      requestId,
+    });
+  }
+  if (conflict) {
+    log("info", "Reschedule rejected: slot unavailable", {
+      requestId,
+      bookingId,
+      slotStart,
+      conflict,
+    });
+    return conflictResponse(conflict, origin, requestId, t);
+  }
+
+  const rescheduled = { ...booking, slotStart, slotEnd };
+  const manageLinks = bookingManageLinks({
+    bookingId,
+    slotStart,
+    baseUrl: apiBaseUrl(event),
+  });
+
+  const notification = await outbox.enqueue({
+    kind: "booking-change-owner",
+    payload: {
+      booking: rescheduled,
+      bookingType,
+      change: "rescheduled",
+      previousSlotStart: booking.slotStart,
+      manageLinks,
+    },
+    requestId,
+  });
+  logNotification(notification, { requestId, kind: "booking-change-owner", bookingId });
+  const notificationSent = notification.status === "sent";
+
+  // The guest's invite keeps its UID with a higher SEQUENCE, so their
+  // calendar moves the event instead of adding a second one.
+  let confirmationSent = false;
+  if (BOOKING_GUEST_CONFIRMATION_ENABLED) {
+    const confirmation = await outbox.enqueue({
+      kind: "booking-guest",
+      payload: {
+        bookingType,
+        name: booking.name,
+        email: booking.email,
+        timezone: booking.timezone,
+        slotStart,
+        slotEnd,
+        previousSlotStart: booking.slotStart,
+        bookingId,
+        manageLinks,
+        invite: bookingInvite({
+          bookingId,
+          bookingType,
+          name: booking.name,
+          email: booking.email,
+          notes: booking.notes,
+          slotStart,
+          slotEnd,
+          sequence: (booking.history?.length ?? 0) + 1,
+        }),
+      },
+      requestId,
+    });
+    logNotification(confirmation, { requestId, kind: "booking-guest", bookingId });
+    confirmationSent = confirmation.status === "sent";
+  }
+
+  await queueWebhooks(
+    "booking.rescheduled",
+    {
+      bookingId,
+      bookingType: webhookBookingType(bookingType),
+      name: booking.name,
+      email: booking.email,
+      slotStart,
+      slotEnd,
+      previousSlotStart: booking.slotStart,
+    },
+    requestId
+  );
+
+  log("info", "Booking rescheduled", {
+    requestId,
+    bookingId,
+    bookingType: bookingType.id,
+    previousSlotStart: booking.slotStart,
+    slotStart,
+    notificationSent,
+    confirmationSent,
+    durationMs: Date.now() - startedAt,
+  });
+  return jsonResponse(200, origin, {
+    status: "success",
+    message: t("booking.rescheduled"),
+    bookingId,
+    slotStart,
+    slotEnd,
+    notificationSent,
+    confirmationSent,
+    manageLinks,
+    requestId,
+  });
+}
+
+async function handleReviewSubmit({
+  event,
+  requestBody,
+  origin,
+  requestId,
+  sourceIp,
+  startedAt,
+  t,
+}) {
+  const guardResponse = withOriginGuard(origin, requestId, sourceIp, t);
+  if (guardResponse) return guardResponse;
+
+  const { parsed, response } = parseJsonBody(requestBody, origin, requestId, t);
+  if (response) return response;
 
-  const input = normaliseContactInput(parsed);
-  const fieldErrors = validateContact(input);
+  const input = normaliseReviewInput(parsed);
+  const fieldErrors = validateReview(input, t);
   if (Object.keys(fieldErrors).length > 0) {
-    log("info", "Contact validation failed", { requestId, fieldErrors, origin });
+    log("info", "Review validation failed", { requestId, fieldErrors, origin });
     return jsonResponse(400, origin, {
       status: "error",
       code: "validation_failed",
-      message: "Please correct the highlighted fields and try again.",
+      message: t("validation.failed"),
       fieldErrors,
       requestId,
     });
   }
 
-  try {
-    await sendContactEmail({
-      name: input.name,
-      email: input.email,
-      company: input.company,
-      phone: input.phone,
-      message: input.message,
-      origin,
-      sourceIp,
-      userAgent,
-      requestId,
-    });
+  const reviewId = randomUUID();
+  await reviewStore.createReview({
+    reviewId,
+    createdAt: new Date().toISOString(),
+    name: input.name,
+    email: input.email,
+    company: input.company,
+    role: input.role,
+    rating: input.rating,
+    review: input.review,
+    sourceIp,
+    requestId,
+  });
 
-    log("info", "Contact form submitted", {
-      requestId,
-      origin,
-      durationMs: Date.now() - startedAt,
-    });
-    return jsonResponse(200, origin, {
-      status: "success",
-      message: "Thank you for contacting WaterApps. We'll be in touch within 24 hours.",
-      requestId,
-    });
-  } catch (err) {
-    log("error", "Contact form error", {
-      requestId,
-      origin,
-      errorName: err?.name,
-      errorMessage: err?.message,
-      durationMs: Date.now() - startedAt,
-    });
-    return jsonResponse(500, origin, {
+  log("info", "Review submitted", {
+    requestId,
+    reviewId,
+    origin,
+    durationMs: Date.now() - startedAt,
+  });
+  return jsonResponse(200, origin, {
+    status: "success",
+    message: t("review.submitted"),
+    reviewId,
+    requestId,
+  });
+}
+
+async function handleReviewList({ event, origin, requestId, startedAt }) {
+  const { claims, response } = withAdminGuard(event, origin, requestId);
+  if (response) return response;
+
+  const query = event.queryStringParameters || {};
+  const status = query.status || "pending";
+  if (!REVIEW_STATUSES.includes(status)) {
+    return jsonResponse(400, origin, {
       status: "error",
-      code: "internal_error",
-      message: "Something went wrong. Please email varun@waterapps.com.au directly.",
+      code: "validation_failed",
+      message: "Please correct the highlighted query parameters.",
+      fieldErrors: { status: `status must be one of: ${REVIEW_STATUSES.join(", ")}.` },
       requestId,
     });
   }
-}
 
-async function handleAvailability({ event, origin, requestId, startedAt }) {
-  const query = event.queryStringParameters || {};
-  const daysRaw = Number(query.days || "7");
-  const days = Number.isFinite(daysRaw)
-    ? Math.max(1, Math.min(21, Math.floor(daysRaw)))
-    : 7;
+  const limitRaw = Number(query.limit || "25");
+  const limit = Number.isFinite(limitRaw)
+    ? Math.max(1, Math.min(100, Math.floor(limitRaw)))
+    : 25;
 
-  let startDateUtc;
-  if (query.date) {
-    startDateUtc = parseDateOnlyUtc(String(query.date));
-    if (!startDateUtc) {
+  let startKey = null;
+  if (query.cursor) {
+    startKey = decodeCursor(String(query.cursor));
+    if (!startKey) {
       return jsonResponse(400, origin, {
         status: "error",
-        code: "invalid_date",
-        message: "date must be YYYY-MM-DD in UTC.",
+        code: "invalid_cursor",
+        message: "cursor is not valid.",
         requestId,
       });
     }
-  } else {
-    const now = new Date();
-    startDateUtc = new Date(
-      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0, 0)
-    );
   }
 
-  const now = new Date();
-  const availableSlots = generateCandidateSlots({ startDateUtc, days, now });
+  const { reviews, nextKey } = await reviewStore.listReviews({
+    status,
+    limit,
+    startKey,
+  });
 
-  log("info", "Availability fetched", {
+  log("info", "Reviews listed", {
     requestId,
-    requestedDays: days,
-    slotCount: availableSlots.length,
+    sub: claims.sub,
+    reviewStatus: status,
+    reviewCount: reviews.length,
     durationMs: Date.now() - startedAt,
   });
 
   return jsonResponse(200, origin, {
     status: "success",
     requestId,
-    slotDurationMinutes: BOOKING_SLOT_DURATION_MINUTES,
-    timezone: "UTC",
-    slots: availableSlots,
+    reviews,
+    nextCursor: encodeCursor(nextKey),
   });
 }
 
-async function handleBooking({
+async function handleReviewModerate({
   event,
+  requestBody,
   origin,
   requestId,
-  sourceIp,
+  reviewId,
   startedAt,
 }) {
-  const guardResponse = withOriginGuard(origin, requestId, sourceIp);
+  const { claims, response: guardResponse } = withAdminGuard(
+    event,
+    origin,
+    requestId
+  );
   if (guardResponse) return guardResponse;
 
-  const { parsed, response } = parseJsonBody(event, origin, requestId);
+  const { parsed, response } = parseJsonBody(requestBody, origin, requestId);
   if (response) return response;
 
-  const input = normaliseBookingInput(parsed);
-  const now = new Date();
-  const fieldErrors = validateBookingInput(input, now);
+  const decision =
+    typeof parsed.decision === "string" ? parsed.decision.trim() : parsed.decision;
+  const note = typeof parsed.note === "string" ? parsed.note.trim() : parsed.note ?? "";
+  const fieldErrors = {};
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    fieldErrors.decision = `Decision must be one of: ${REVIEW_DECISIONS.join(", ")}.`;
+  }
+  if (typeof note !== "string") {
+    fieldErrors.note = "Note must be text.";
+  } else if (note.length > 500) {
+    fieldErrors.note = "Note must be 500 characters or less.";
+  }
   if (Object.keys(fieldErrors).length > 0) {
     return jsonResponse(400, origin, {
       status: "error",
       code: "validation_failed",
-      message: "Please correct the highlighted booking fields and try again.",
+      message: "Please correct the highlighted fields and try again.",
       fieldErrors,
       requestId,
     });
   }
 
-  const slotStartDate = new Date(input.slotStart);
-  const slotStart = toIsoUtc(slotStartDate);
-  const slotEnd = toIsoUtc(
-    new Date(slotStartDate.getTime() + BOOKING_SLOT_DURATION_MINUTES * 60 * 1000)
-  );
-  const bookingId = randomUUID();
-
-  let notificationSent = true;
-  try {
-    await sendBookingEmail({
-      name: input.name,
-      email: input.email,
-      company: input.company,
-      notes: input.notes,
-      timezone: input.timezone,
-      slotStart,
-      slotEnd,
-      bookingId,
-    });
-  } catch (err) {
-    notificationSent = false;
-    log("error", "Booking notification email failed", {
+  const review = await reviewStore.moderateReview({
+    reviewId,
+    decision,
+    note,
+    moderatedBy: claims.email || claims.sub,
+    moderatedAt: new Date().toISOString(),
+  });
+  if (!review) {
+    return jsonResponse(404, origin, {
+      status: "error",
+      code: "review_not_found",
+      message: "Review not found.",
       requestId,
-      bookingId,
-      errorName: err?.name,
-      errorMessage: err?.message,
     });
   }
 
-  log("info", "Booking confirmed", {
+  log("info", "Review moderated", {
     requestId,
-    bookingId,
-    slotStart,
-    bookingType: BOOKING_TYPE,
-    notificationSent,
+    reviewId,
+    decision,
+    sub: claims.sub,
     durationMs: Date.now() - startedAt,
   });
 
   return jsonResponse(200, origin, {
     status: "success",
-    message:
-      "Your discovery call request has been received. We will confirm your slot by email shortly.",
-    bookingId,
-    slotStart,
-    slotEnd,
-    notificationSent,
     requestId,
+    review,
   });
 }
 
+function summariseOutboxRun(results) {
+  const counts = { sent: 0, retrying: 0, dead: 0 };
+  for (const result of results) {
+    counts[result.status] += 1;
+    if (result.status === "sent") {
+      log("info", "Notification sent from the outbox", {
+        requestId: result.requestId,
+        kind: result.kind,
+        outboxMessageId: result.messageId,
+        attempts: result.attempts,
+      });
+    }
+    logNotification(result, { requestId: result.requestId, kind: result.kind });
+  }
+  log("info", "Outbox processed", { processed: results.length, ...counts });
+  return { processed: results.length, ...counts };
+}
+
+/**
+ * Outbox commands for direct invocations (the schedule and operators):
+ *
+ *   { "outbox": "process" }                          send messages that are due
+ *   { "outbox": "list-dead" }                        list dead-lettered messages
+ *   { "outbox": "replay", "messageIds": ["..."] }    requeue and send them (all when omitted)
+ *
+ * `limit` (1-100, default 25) caps the batch. API Gateway events never carry a
+ * top-level `outbox` field, so these cannot be reached over HTTP.
+ */
+async function handleOutboxCommand(event) {
+  const command = event.outbox;
+  const limit =
+    Number.isInteger(event.limit) && event.limit >= 1 && event.limit <= 100
+      ? event.limit
+      : OUTBOX_BATCH_SIZE;
+
+  if (command === "process") {
+    const results = await outbox.processDue({ limit });
+    return { status: "ok", command, ...summariseOutboxRun(results) };
+  }
+
+  if (command === "list-dead") {
+    const messages = await outbox.listDead({ limit });
+    return {
+      status: "ok",
+      command,
+      messages: messages.map((message) => ({
+        messageId: message.messageId,
+        kind: message.kind,
+        requestId: message.requestId,
+        attempts: message.attempts,
+        lastError: message.lastError,
+        createdAt: message.createdAt,
+        deadAt: message.deadAt,
+      })),
+    };
+  }
+
+  if (command === "replay") {
+    const { messageIds } = event;
+    if (
+      messageIds !== undefined &&
+      (!Array.isArray(messageIds) || !messageIds.every((id) => typeof id === "string"))
+    ) {
+      return {
+        status: "error",
+        code: "invalid_command",
+        message: "messageIds must be an array of outbox message ids.",
+      };
+    }
+    const replayed = await outbox.replay({ messageIds, limit });
+    log("info", "Outbox messages replayed", { replayed: replayed.length });
+    const results = await outbox.processDue({ limit: Math.max(limit, replayed.length) });
+    return { status: "ok", command, replayed, ...summariseOutboxRun(results) };
+  }
+
+  return {
+    status: "error",
+    code: "invalid_command",
+    message: `Unknown outbox command: ${command}. Use process, list-dead or replay.`,
+  };
+}
+
 function pathForEvent(event) {
   return (
     event.requestContext?.http?.path ||
@@ -685,6 +3497,10 @@ function pathForEvent(event) {
 }
 
 export const handler = async (event) => {
+  if (typeof event?.outbox === "string") {
+    return handleOutboxCommand(event);
+  }
+
   const method = event.requestContext?.http?.method || event.httpMethod || "UNKNOWN";
   const path = pathForEvent(event);
   const origin = event.headers?.origin || event.headers?.Origin || "";
@@ -700,6 +3516,9 @@ export const handler = async (event) => {
     return { statusCode: 204, headers: corsHeaders(origin) };
   }
 
+  const requestBody = method === "POST" ? readRequestBody(event) : null;
+  const t = requestTranslator(event, requestBody);
+
   if (method === "GET" && path === "/health") {
     return jsonResponse(200, origin, {
       status: "ok",
@@ -709,9 +3528,17 @@ export const handler = async (event) => {
     });
   }
 
+  if (method === "GET" && path === "/openapi.json") {
+    return handleOpenApi({ event, origin });
+  }
+
+  if (method === "GET" && path === "/booking-types") {
+    return handleBookingTypes({ origin, requestId });
+  }
+
   if (method === "GET" && path === "/availability") {
     try {
-      return await handleAvailability({ event, origin, requestId, startedAt });
+      return await handleAvailability({ event, origin, requestId, sourceIp, startedAt, t });
     } catch (err) {
       log("error", "Availability error", {
         requestId,
@@ -722,33 +3549,273 @@ export const handler = async (event) => {
       return jsonResponse(500, origin, {
         status: "error",
         code: "internal_error",
-        message: "Unable to fetch availability right now.",
+        message: t("availability.unavailable"),
         requestId,
       });
     }
   }
 
+  if (method === "GET" && path === "/form-token") {
+    return handleFormToken({ origin, requestId, sourceIp, t });
+  }
+
   if (method === "POST" && path === "/contact") {
-    return handleContact({
-      event,
-      origin,
-      requestId,
-      sourceIp,
-      userAgent,
-      startedAt,
-    });
+    const response = await withIdempotency(
+      { event, route: "contact", origin, requestId, sourceIp, t },
+      () =>
+        handleContact({
+          event,
+          requestBody,
+          origin,
+          requestId,
+          sourceIp,
+          userAgent,
+          startedAt,
+          t,
+        })
+    );
+    return formPostResponse({ event, requestBody, page: "contact", origin, requestId }, response);
+  }
+
+  if (method === "POST" && path === "/contact/attachments") {
+    try {
+      return await handleContactAttachment({
+        requestBody,
+        origin,
+        requestId,
+        sourceIp,
+        t,
+      });
+    } catch (err) {
+      log("error", "Attachment upload error", {
+        requestId,
+        errorName: err?.name,
+        errorMessage: err?.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return jsonResponse(500, origin, {
+        status: "error",
+        code: "internal_error",
+        message: t("attachments.uploadFailed"),
+        requestId,
+      });
+    }
+  }
+
+  if (method === "GET" && path === "/contact/attachments/download") {
+    try {
+      return await handleAttachmentDownload({ event, origin, requestId, t });
+    } catch (err) {
+      log("error", "Attachment download error", {
+        requestId,
+        errorName: err?.name,
+        errorMessage: err?.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return jsonResponse(500, origin, {
+        status: "error",
+        code: "internal_error",
+        message: t("request.internalError"),
+        requestId,
+      });
+    }
+  }
+
+  const formMatch = path.match(FORM_PATH_RE);
+  if (formMatch && (method === "GET" || method === "POST")) {
+    const form = FORMS.get(event.pathParameters?.formId || formMatch[1]);
+    if (!form) return formNotFoundResponse(origin, requestId, t);
+    if (method === "GET") return handleFormSchema({ origin, requestId, form });
+
+    // POST /forms/contact is POST /contact, sharing its idempotency keys.
+    const isContact = form === CONTACT_FORM;
+    const route = isContact ? "contact" : `form:${form.id}`;
+    const response = await withIdempotency({ event, route, origin, requestId, sourceIp, t }, () =>
+      (isContact ? handleContact : handleFormSubmit)({
+        event,
+        requestBody,
+        origin,
+        requestId,
+        sourceIp,
+        userAgent,
+        startedAt,
+        form,
+        t,
+      })
+    );
+    return formPostResponse({ event, requestBody, page: form.id, origin, requestId }, response);
+  }
+
+  const submissionMatch = path.match(CONTACT_SUBMISSION_PATH_RE);
+  const isContactAdminPath = path === "/contact/submissions" || Boolean(submissionMatch);
+  if (isContactAdminPath) {
+    try {
+      if (method === "GET" && path === "/contact/submissions") {
+        return await handleContactList({ event, origin, requestId, startedAt });
+      }
+      const submissionId = event.pathParameters?.submissionId || submissionMatch?.[1];
+      if (method === "GET" && submissionMatch && !submissionMatch[2]) {
+        return await handleContactGet({ event, origin, requestId, submissionId });
+      }
+      if (method === "POST" && submissionMatch?.[2]) {
+        return await handleContactStatus({
+          event,
+          requestBody,
+          origin,
+          requestId,
+          submissionId,
+          startedAt,
+        });
+      }
+    } catch (err) {
+      log("error", "Contact inbox error", {
+        requestId,
+        path,
+        errorName: err?.name,
+        errorMessage: err?.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return jsonResponse(500, origin, {
+        status: "error",
+        code: "internal_error",
+        message: "Unable to load contact submissions right now.",
+        requestId,
+      });
+    }
   }
 
   if (method === "POST" && path === "/booking") {
-    return handleBooking({ event, origin, requestId, sourceIp, startedAt });
+    const response = await withIdempotency(
+      { event, route: "booking", origin, requestId, sourceIp, t },
+      async () => {
+        try {
+          return await handleBooking({
+            event,
+            requestBody,
+            origin,
+            requestId,
+            sourceIp,
+            startedAt,
+            t,
+          });
+        } catch (err) {
+          log("error", "Booking error", {
+            requestId,
+            errorName: err?.name,
+            errorMessage: err?.message,
+            durationMs: Date.now() - startedAt,
+          });
+          return jsonResponse(500, origin, {
+            status: "error",
+            code: "internal_error",
+            message: t("booking.saveFailed"),
+            requestId,
+          });
+        }
+      }
+    );
+    return formPostResponse({ event, requestBody, page: "booking", origin, requestId }, response);
+  }
+
+  const manageMatch = path.match(BOOKING_MANAGE_PATH_RE);
+  if (manageMatch && (method === "GET" || method === "POST")) {
+    try {
+      return await handleBookingManage({
+        event,
+        requestBody,
+        method,
+        origin,
+        requestId,
+        sourceIp,
+        bookingId: event.pathParameters?.bookingId || manageMatch[1],
+        action: manageMatch[2],
+        startedAt,
+        t,
+      });
+    } catch (err) {
+      log("error", "Booking management error", {
+        requestId,
+        path,
+        errorName: err?.name,
+        errorMessage: err?.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return jsonResponse(500, origin, {
+        status: "error",
+        code: "internal_error",
+        message: t("booking.updateFailed"),
+        requestId,
+      });
+    }
+  }
+
+  const isReviewsPath = path === "/reviews" || REVIEW_MODERATE_PATH_RE.test(path);
+  if (isReviewsPath) {
+    try {
+      if (method === "POST" && path === "/reviews") {
+        return await handleReviewSubmit({
+          event,
+          requestBody,
+          origin,
+          requestId,
+          sourceIp,
+          startedAt,
+          t,
+        });
+      }
+      if (method === "GET" && path === "/reviews") {
+        return await handleReviewList({ event, origin, requestId, startedAt });
+      }
+      const moderateMatch = path.match(REVIEW_MODERATE_PATH_RE);
+      if (method === "POST" && moderateMatch) {
+        return await handleReviewModerate({
+          event,
+          requestBody,
+          origin,
+          requestId,
+          reviewId: event.pathParameters?.reviewId || moderateMatch[1],
+          startedAt,
+        });
+      }
+    } catch (err) {
+      log("error", "Reviews error", {
+        requestId,
+        path,
+        errorName: err?.name,
+        errorMessage: err?.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return jsonResponse(500, origin, {
+        status: "error",
+        code: "internal_error",
+        message: t("review.failed"),
+        requestId,
+      });
+    }
   }
 
-  const knownPaths = new Set(["/contact", "/booking", "/availability", "/health"]);
-  if (knownPaths.has(path)) {
+  const knownPaths = new Set([
+    "/contact",
+    "/contact/attachments",
+    "/contact/attachments/download",
+    "/booking",
+    "/booking-types",
+    "/form-token",
+    "/availability",
+    "/health",
+    "/openapi.json",
+  ]);
+  if (
+    knownPaths.has(path) ||
+    isReviewsPath ||
+    isContactAdminPath ||
+    manageMatch ||
+    formMatch
+  ) {
     return jsonResponse(405, origin, {
       status: "error",
       code: "method_not_allowed",
-      message: `Method ${method} is not supported for ${path}.`,
+      message: t("request.methodNotAllowed", { method, path }),
       requestId,
     });
   }
@@ -756,7 +3823,7 @@ export const handler = async (event) => {
   return jsonResponse(404, origin, {
     status: "error",
     code: "not_found",
-    message: "Endpoint not found.",
+    message: t("request.notFound"),
     requestId,
   });
 };
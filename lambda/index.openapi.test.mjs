@@ -0,0 +1,329 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, fileMailbox, loadHandler, ORIGIN } from "./fixtures/handler.mjs";
+import { signFormToken } from "./form-tokens.mjs";
+
+const SECRET = "openapi-test-secret";
+const mailbox = await fileMailbox("openapi");
+
+const { call: send } = await loadHandler({
+  ...mailbox.env,
+  ...BOOKING_ENV,
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  FORM_TOKEN_SECRET: SECRET,
+  FORM_TOKEN_MIN_SECONDS: "1",
+  RATE_LIMITS: JSON.stringify({
+    availability: { ip: { limit: 6, windowSeconds: 3600 } },
+  }),
+});
+
+let spec;
+
+function resolve(schema) {
+  if (!schema?.$ref) return schema;
+  return schema.$ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key], spec);
+}
+
+const FORMATS = {
+  "date-time": (value) => !Number.isNaN(Date.parse(value)) && value.includes("T"),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  uri: (value) => URL.canParse(value),
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+// The JSON Schema keywords the document uses; returns a list of problems.
+function check(schemaRef, value, at = "$") {
+  const schema = resolve(schemaRef);
+  const problems = [];
+  for (const part of schema.allOf || []) problems.push(...check(part, value, at));
+  if (schema.$ref) problems.push(...check({ $ref: schema.$ref }, value, at));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+      return [...problems, `${at}: expected ${types.join("|")}, got ${actual}`];
+    }
+  }
+  if ("const" in schema && value !== schema.const) problems.push(`${at}: expected ${schema.const}`);
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at}: ${value} not in enum`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${at}: shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${at}: longer than ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      problems.push(`${at}: does not match ${schema.pattern}`);
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      problems.push(`${at}: not a ${schema.format}`);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: too small`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: too large`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${at}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...check(schema.items, item, `${at}[${index}]`));
+      });
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${at}: missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (propertySchema === false) problems.push(`${at}: unexpected ${key}`);
+      else if (propertySchema && propertySchema !== true) {
+        problems.push(...check(propertySchema, item, `${at}.${key}`));
+      }
+    }
+  }
+  return problems;
+}
+
+// The documented path for a route, matching templates like /forms/{formId}
+function documentedPath(route) {
+  return Object.keys(spec.paths).find((template) =>
+    new RegExp(`^${template.replace(/\{[^}]+\}/g, "[^/]+")}$`).test(route)
+  );
+}
+
+function operation(method, route) {
+  const op = spec.paths[documentedPath(route)]?.[method.toLowerCase()];
+  assert.ok(op, `${method} ${route} is not documented`);
+  return op;
+}
+
+function call(method, route, options) {
+  return send({ ...options, method, path: route, domainName: "api.example.com" });
+}
+
+/** Calls the handler and asserts the response is documented for that operation */
+async function conforming(method, route, options) {
+  const res = await call(method, route, options);
+  const documented = operation(method, route).responses[String(res.statusCode)];
+  assert.ok(documented, `${method} ${route} returned undocumented ${res.statusCode}`);
+  const schema = documented.content["application/json"].schema;
+  assert.deepEqual(check(schema, res.json), [], `${method} ${route} ${res.statusCode} body`);
+  return res;
+}
+
+function formToken() {
+  return signFormToken({
+    secret: SECRET,
+    origin: ORIGIN,
+    issuedAt: new Date(Date.now() - 60 * 1000),
+  });
+}
+
+function requestSchema(route) {
+  const { schema } = operation("POST", route).requestBody.content["application/json"];
+  // /forms/{formId} lists one schema per form, titled with its id.
+  return schema.anyOf ? schema.anyOf.find(({ title }) => route.endsWith(`/${title}`)) : schema;
+}
+
+const contact = {
+  name: "Jane Tester",
+  email: "jane@example.com",
+  company: "Example Pty Ltd",
+  phone: "+61 400 000 000",
+  message: "Hello, this is a valid test message.",
+};
+
+test("serves the OpenAPI document", async () => {
+  const res = await call("GET", "/openapi.json");
+  assert.equal(res.statusCode, 200);
+  spec = res.json;
+  assert.equal(spec.openapi, "3.1.0");
+  assert.deepEqual(spec.servers, [{ url: "https://api.example.com" }]);
+  for (const route of [
+    "/health",
+    "/form-token",
+    "/contact",
+    "/forms/{formId}",
+    "/booking-types",
+    "/availability",
+    "/booking",
+  ]) {
+    assert.ok(spec.paths[route], `${route} documented`);
+  }
+});
+
+test("GET /health conforms", async () => {
+  await conforming("GET", "/health");
+});
+
+test("GET /form-token and GET /booking-types conform", async () => {
+  const issued = await conforming("GET", "/form-token");
+  assert.equal(typeof issued.json.formToken, "string");
+  const refused = await conforming("GET", "/form-token", { headers: { origin: "" } });
+  assert.equal(refused.json.code, "origin_required");
+
+  const types = await conforming("GET", "/booking-types");
+  assert.ok(types.json.types.length > 0);
+});
+
+test("GET /forms/{formId} conforms for every form and unknown ids", async () => {
+  for (const formId of operation("GET", "/forms/contact").parameters[0].schema.enum) {
+    const res = await conforming("GET", `/forms/${formId}`);
+    assert.equal(res.json.form.id, formId);
+  }
+  const missing = await conforming("GET", "/forms/nope");
+  assert.equal(missing.json.code, "form_not_found");
+});
+
+test("POST /forms/{formId} accepts exactly the bodies its form's schema allows", async () => {
+  const enquiry = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    company: "Example Pty Ltd",
+    partnershipType: "technology",
+    message: "We'd like to co-host a workshop.",
+  };
+  const bodies = [
+    enquiry,
+    { ...enquiry, website: "not a url" },
+    { ...enquiry, partnershipType: "investor" },
+    { ...enquiry, company: "" },
+  ];
+  for (const body of bodies) {
+    const schemaValid = check(requestSchema("/forms/partner-enquiry"), body).length === 0;
+    const res = await conforming("POST", "/forms/partner-enquiry", {
+      body: { ...body, formToken: formToken() },
+    });
+    assert.equal(res.statusCode === 200, schemaValid, JSON.stringify(body));
+    if (!schemaValid) assert.equal(res.json.code, "validation_failed");
+  }
+
+  const viaContact = await conforming("POST", "/forms/contact", {
+    body: { ...contact, formToken: formToken() },
+  });
+  assert.equal(viaContact.statusCode, 200);
+  const missing = await conforming("POST", "/forms/nope", { body: enquiry });
+  assert.equal(missing.json.code, "form_not_found");
+});
+
+test("POST /contact accepts exactly the bodies its schema allows", async () => {
+  const bodies = [
+    contact,
+    { ...contact, company: "", phone: "" },
+    { ...contact, name: "J" },
+    { ...contact, email: "not-an-email" },
+    { ...contact, phone: "call me" },
+    { ...contact, message: "short" },
+    { ...contact, message: "x".repeat(4001) },
+    { ...contact, company: 42 },
+    { name: "Jane Tester" },
+  ];
+  for (const body of bodies) {
+    const schemaValid = check(requestSchema("/contact"), body).length === 0;
+    const res = await conforming("POST", "/contact", {
+      body: { ...body, formToken: formToken() },
+    });
+    assert.equal(res.statusCode === 200, schemaValid, JSON.stringify(body));
+    if (!schemaValid) assert.equal(res.json.code, "validation_failed");
+  }
+});
+
+test("POST /contact error responses conform", async () => {
+  const cases = [
+    [{ headers: { origin: "" }, body: contact }, "origin_required"],
+    [{ headers: { origin: "https://evil.example" }, body: contact }, "origin_not_allowed"],
+    [{ body: "{not json" }, "invalid_json"],
+    [{ body: [contact] }, "invalid_payload"],
+    [{ body: JSON.stringify({ message: "x".repeat(20000) }) }, "payload_too_large"],
+    [{ body: contact }, "form_token_required"],
+    [{ body: { ...contact, formToken: "forged" } }, "invalid_form_token"],
+    [{ body: contact, headers: { "idempotency-key": "has spaces" } }, "invalid_idempotency_key"],
+  ];
+  for (const [options, code] of cases) {
+    const res = await conforming("POST", "/contact", options);
+    assert.equal(res.json.code, code);
+  }
+
+  const token = formToken();
+  await conforming("POST", "/contact", { body: { ...contact, formToken: token } });
+  const reused = await conforming("POST", "/contact", { body: { ...contact, formToken: token } });
+  assert.equal(reused.json.code, "form_token_reused");
+
+  const headers = { "idempotency-key": "openapi-1" };
+  await conforming("POST", "/contact", { headers, body: { ...contact, formToken: formToken() } });
+  const conflict = await conforming("POST", "/contact", {
+    headers,
+    body: { ...contact, message: "A different message body.", formToken: formToken() },
+  });
+  assert.equal(conflict.json.code, "idempotency_conflict");
+});
+
+test("GET /availability conforms for valid and invalid queries", async () => {
+  const ok = await conforming("GET", "/availability", {
+    query: { date: "2030-06-03", days: "2", tz: "Australia/Sydney" },
+  });
+  assert.ok(ok.json.slots.length > 0);
+
+  for (const [query, code] of [
+    [{ date: "03/06/2030" }, "invalid_date"],
+    [{ tz: "Mars/Olympus" }, "invalid_timezone"],
+    [{ type: "NOPE" }, "invalid_booking_type"],
+  ]) {
+    const res = await conforming("GET", "/availability", { query });
+    assert.equal(res.json.code, code);
+  }
+
+  let res;
+  for (let attempt = 0; attempt < 10 && res?.statusCode !== 429; attempt += 1) {
+    res = await conforming("GET", "/availability", { query: { date: "2030-06-03" } });
+  }
+  assert.equal(res.json.code, "rate_limited");
+});
+
+test("POST /booking accepts exactly the bodies its schema allows", async () => {
+  const booking = {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart: "2030-06-04T10:00:00.000Z",
+  };
+  const bodies = [
+    { ...booking, slotStart: "2030-06-04T11:00:00Z" },
+    { ...booking, slotStart: "2030-06-04 11:00:00" },
+    { ...booking, slotStart: "tomorrow" },
+    { ...booking, bookingType: "DISCOVERY_30M", slotStart: "2030-06-04T12:00:00Z" },
+    { ...booking, bookingType: "NOPE" },
+    { ...booking, notes: "n".repeat(1501) },
+    { ...booking, email: "" },
+  ];
+  for (const body of bodies) {
+    const schemaValid = check(requestSchema("/booking"), body).length === 0;
+    const res = await conforming("POST", "/booking", {
+      body: { ...body, formToken: formToken() },
+    });
+    assert.equal(res.statusCode === 200, schemaValid, JSON.stringify(body));
+    if (!schemaValid) assert.equal(res.json.code, "validation_failed");
+  }
+
+  const taken = await conforming("POST", "/booking", {
+    body: { ...booking, slotStart: "2030-06-04T11:00:00Z", formToken: formToken() },
+  });
+  assert.equal(taken.statusCode, 409);
+  assert.equal(taken.json.code, "slot_taken");
+});
@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+
+import { loadHandler, stubSes } from "./fixtures/handler.mjs";
+import { signFormToken } from "./form-tokens.mjs";
+
+const SECRET = "form-token-test-secret";
+
+// The inbox and outbox tables are unreachable, so a failed email is a 500.
+const originalSend = DynamoDBDocumentClient.prototype.send;
+DynamoDBDocumentClient.prototype.send = async function sendStub() {
+  throw Object.assign(new Error("Service unavailable"), { name: "ServiceUnavailable" });
+};
+test.after(() => {
+  DynamoDBDocumentClient.prototype.send = originalSend;
+});
+
+let sesDown = false;
+const sentEmails = stubSes(() => {
+  if (sesDown) {
+    throw Object.assign(new Error("Maximum sending rate exceeded."), { name: "Throttling" });
+  }
+});
+
+const { post } = await loadHandler({
+  CONTACT_SUBMISSIONS_TABLE_NAME: "contact-submissions",
+  OUTBOX_TABLE_NAME: "outbox",
+  FORM_TOKEN_SECRET: SECRET,
+  FORM_TOKEN_MIN_SECONDS: "5",
+});
+
+function submitTwice(path, body, key) {
+  const options = { headers: { "idempotency-key": key } };
+  return {
+    async failing() {
+      sesDown = true;
+      try {
+        return await post(path, body, options);
+      } finally {
+        sesDown = false;
+      }
+    },
+    retry: () => post(path, body, options),
+  };
+}
+
+const formToken = () =>
+  signFormToken({
+    secret: SECRET,
+    origin: "https://www.waterapps.com.au",
+    issuedAt: new Date(Date.now() - 30 * 1000),
+  });
+
+test("a contact that fails with a 500 leaves its form token for the retry", async () => {
+  const submission = submitTwice(
+    "/contact",
+    {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      message: "Hello, this is a valid test message.",
+      formToken: formToken(),
+    },
+    "contact-outage-1"
+  );
+
+  const failed = await submission.failing();
+  assert.equal(failed.statusCode, 500);
+  assert.equal(failed.json.code, "internal_error");
+
+  const before = sentEmails.length;
+  const retried = await submission.retry();
+  assert.equal(retried.statusCode, 200);
+  assert.equal(sentEmails.length, before + 1);
+});
+
+test("a form submission that fails with a 500 leaves its form token for the retry", async () => {
+  const submission = submitTwice(
+    "/forms/partner-enquiry",
+    {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      company: "Example Pty Ltd",
+      partnershipType: "technology",
+      message: "We'd like to co-host a workshop.",
+      formToken: formToken(),
+    },
+    "form-outage-1"
+  );
+
+  assert.equal((await submission.failing()).statusCode, 500);
+  assert.equal((await submission.retry()).statusCode, 200);
+});
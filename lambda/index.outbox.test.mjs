@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+let sesError = null;
+const sentEmails = stubSes(() => {
+  if (sesError) {
+    throw Object.assign(new Error(sesError.message), { name: sesError.name });
+  }
+});
+
+const { handler, post } = await loadHandler({
+  ...BOOKING_ENV,
+  // Retries are due straight away, so each `process` run is one more attempt.
+  OUTBOX_RETRY_BASE_SECONDS: "0",
+  OUTBOX_MAX_ATTEMPTS: "3",
+});
+
+const THROTTLED = { name: "Throttling", message: "Maximum sending rate exceeded." };
+const REJECTED = { name: "MessageRejected", message: "Email address is not verified." };
+
+async function withSesError(error, run) {
+  sesError = error;
+  try {
+    return await run();
+  } finally {
+    sesError = null;
+  }
+}
+
+function contact(name) {
+  return post("/contact", {
+    name,
+    email: "jane@example.com",
+    message: "Hello, this is a valid test message.",
+  });
+}
+
+test("a failed contact email is accepted with 202 and sent by the next run", async () => {
+  const res = await withSesError(THROTTLED, () => contact("Queued Sender"));
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.json.status, "accepted");
+  assert.doesNotMatch(res.body, /varun@/);
+
+  const before = sentEmails.length;
+  const run = await handler({ outbox: "process" });
+  assert.deepEqual(run, {
+    status: "ok",
+    command: "process",
+    processed: 1,
+    sent: 1,
+    retrying: 0,
+    dead: 0,
+  });
+  assert.equal(sentEmails.length, before + 1);
+  assert.match(sentEmails.at(-1).input.Message.Body.Text.Data, /Queued Sender/);
+
+  assert.equal((await handler({ outbox: "process" })).processed, 0);
+});
+
+test("a booking whose emails fail is still reserved and accepted", async () => {
+  const res = await withSesError(THROTTLED, () =>
+    post("/booking", {
+      name: "Jane Tester",
+      email: "jane@example.com",
+      slotStart: "2030-06-03T10:00:00.000Z",
+    })
+  );
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.json.status, "accepted");
+  assert.ok(res.json.bookingId);
+  assert.equal(res.json.notificationSent, false);
+  assert.equal(res.json.confirmationSent, false);
+
+  const run = await handler({ outbox: "process" });
+  assert.equal(run.sent, 2);
+  const recipients = sentEmails.slice(-2).flatMap((command) => command.input.Destinations);
+  assert.deepEqual(recipients.sort(), ["jane@example.com", "varun@waterapps.com.au"]);
+});
+
+test("retries until the last attempt, then dead-letters for replay", async () => {
+  await withSesError(THROTTLED, () => contact("Dead Letter"));
+
+  const second = await withSesError(THROTTLED, () => handler({ outbox: "process" }));
+  assert.equal(second.retrying, 1);
+  const third = await withSesError(THROTTLED, () => handler({ outbox: "process" }));
+  assert.equal(third.dead, 1);
+
+  const listed = await handler({ outbox: "list-dead" });
+  assert.equal(listed.messages.length, 1);
+  const [dead] = listed.messages;
+  assert.equal(dead.kind, "contact-owner");
+  assert.equal(dead.attempts, 3);
+  assert.match(dead.lastError, /^Throttling: /);
+  assert.equal(dead.payload, undefined);
+
+  const before = sentEmails.length;
+  const replay = await handler({ outbox: "replay", messageIds: [dead.messageId] });
+  assert.deepEqual(replay.replayed, [dead.messageId]);
+  assert.equal(replay.sent, 1);
+  assert.equal(sentEmails.length, before + 1);
+  assert.deepEqual((await handler({ outbox: "list-dead" })).messages, []);
+});
+
+test("permanent SES errors are dead-lettered without retrying", async () => {
+  const res = await withSesError(REJECTED, () => contact("Rejected Sender"));
+  assert.equal(res.statusCode, 202);
+
+  const listed = await handler({ outbox: "list-dead" });
+  assert.equal(listed.messages.length, 1);
+  assert.equal(listed.messages[0].attempts, 1);
+
+  const replay = await handler({ outbox: "replay" });
+  assert.equal(replay.replayed.length, 1);
+  assert.equal(replay.sent, 1);
+});
+
+test("rejects unknown outbox commands and malformed replay ids", async () => {
+  assert.equal((await handler({ outbox: "purge" })).code, "invalid_command");
+  assert.equal((await handler({ outbox: "replay", messageIds: "all" })).code, "invalid_command");
+});
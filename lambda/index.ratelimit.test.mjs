@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+const sentEmails = stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  RATE_LIMITS: JSON.stringify({
+    contact: {
+      ip: { limit: 3, windowSeconds: 3600 },
+      email: { limit: 2, windowSeconds: 3600 },
+    },
+    booking: { email: { limit: 1, windowSeconds: 3600 } },
+    availability: { ip: { limit: 2, windowSeconds: 3600 } },
+    "form:careers": { ip: { limit: 1, windowSeconds: 3600 } },
+  }),
+});
+
+function contact(email, sourceIp) {
+  return post(
+    "/contact",
+    { name: "Jane Tester", email, message: "Hello, this is a valid test message." },
+    { sourceIp }
+  );
+}
+
+test("contact is limited per normalised email", async () => {
+  assert.equal((await contact("jane@example.com", "198.51.100.10")).statusCode, 200);
+  assert.equal((await contact(" JANE@example.com ", "198.51.100.11")).statusCode, 200);
+
+  sentEmails.length = 0;
+  const limited = await contact("jane@example.com", "198.51.100.12");
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json.code, "rate_limited");
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+  assert.equal(limited.json.retryAfterSeconds, Number(limited.headers["Retry-After"]));
+  assert.equal(sentEmails.length, 0);
+});
+
+test("contact is limited per IP across emails", async () => {
+  const ip = "198.51.100.20";
+  for (const email of ["a@example.com", "b@example.com", "c@example.com"]) {
+    assert.equal((await contact(email, ip)).statusCode, 200);
+  }
+  const limited = await contact("d@example.com", ip);
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json.code, "rate_limited");
+});
+
+test("booking and availability have their own limits", async () => {
+  const booking = (slotStart) =>
+    post(
+      "/booking",
+      { name: "Jane Tester", email: "booker@example.com", slotStart },
+      { sourceIp: "198.51.100.30" }
+    );
+  assert.equal((await booking("2030-03-04T09:00:00Z")).statusCode, 200);
+  assert.equal((await booking("2030-03-04T10:00:00Z")).statusCode, 429);
+
+  const availability = () =>
+    call({
+      path: "/availability",
+      sourceIp: "198.51.100.30",
+      query: { date: "2030-03-04", days: "1" },
+    });
+  assert.equal((await availability()).statusCode, 200);
+  assert.equal((await availability()).statusCode, 200);
+  const limited = await availability();
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json.code, "rate_limited");
+});
+
+function partnerEnquiry(email, sourceIp) {
+  return post(
+    "/forms/partner-enquiry",
+    {
+      name: "Jane Tester",
+      email,
+      company: "Example Pty Ltd",
+      partnershipType: "technology",
+      message: "We'd like to co-host a workshop.",
+    },
+    { sourceIp }
+  );
+}
+
+test("forms fall back to the contact limits, counted per form", async () => {
+  // Uses up the contact email limit first; the form keeps its own count.
+  await contact("partner@example.com", "198.51.100.40");
+  await contact("partner@example.com", "198.51.100.41");
+  assert.equal((await contact("partner@example.com", "198.51.100.42")).statusCode, 429);
+
+  assert.equal((await partnerEnquiry("partner@example.com", "198.51.100.43")).statusCode, 200);
+  assert.equal((await partnerEnquiry(" PARTNER@example.com ", "198.51.100.44")).statusCode, 200);
+  const limited = await partnerEnquiry("partner@example.com", "198.51.100.45");
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json.code, "rate_limited");
+});
+
+test("a form's own limits replace the contact ones", async () => {
+  const careers = () =>
+    post(
+      "/forms/careers",
+      {
+        name: "Jane Tester",
+        email: "careers@example.com",
+        role: "general",
+        coverLetter: "I have ten years of platform engineering experience on AWS and GCP.",
+      },
+      { sourceIp: "198.51.100.50" }
+    );
+  assert.equal((await careers()).statusCode, 200);
+  assert.equal((await careers()).statusCode, 429);
+});
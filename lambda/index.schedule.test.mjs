@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_TIMEZONE: "Australia/Sydney",
+  BOOKING_WORKDAYS: "1,2,3,4,5",
+  BOOKING_SLOT_DURATION_MINUTES: "60",
+  // 2030-04-01 is a Monday
+  BOOKING_SCHEDULE_EXCEPTIONS: JSON.stringify({
+    blackouts: [
+      { date: "2030-04-02", reason: "Public holiday" },
+      { from: "2030-04-04", to: "2030-04-05", reason: "Conference" },
+    ],
+    overrides: [
+      { date: "2030-04-03", start: "09:00", end: "12:00", reason: "Half day" },
+      { date: "2030-04-06", start: "10:00", end: "12:00", reason: "Saturday clinic" },
+    ],
+  }),
+});
+
+test("applies blackouts and per-day overrides to availability", async () => {
+  const res = await call({
+    path: "/availability",
+    query: { date: "2030-04-01", days: "7", tz: "Australia/Sydney" },
+  });
+
+  assert.equal(res.statusCode, 200);
+  const byDate = Object.fromEntries(
+    res.json.days.map((day) => [day.date, day.slots.map((slot) => slot.localStart.slice(11, 16))])
+  );
+  assert.deepEqual(Object.keys(byDate), ["2030-04-01", "2030-04-03", "2030-04-06"]);
+  assert.equal(byDate["2030-04-01"].length, 8);
+  assert.deepEqual(byDate["2030-04-03"], ["09:00", "10:00", "11:00"]);
+  assert.deepEqual(byDate["2030-04-06"], ["10:00", "11:00"]);
+});
+
+test("rejects bookings on blackout dates and outside override hours", async () => {
+  const book = (slotStart) =>
+    post("/booking", { name: "Jane Tester", email: "jane@example.com", slotStart });
+
+  // 2030-04-02 10:00 AEDT
+  const holiday = await book("2030-04-01T23:00:00Z");
+  assert.equal(holiday.statusCode, 400);
+  assert.equal(
+    holiday.json.fieldErrors.slotStart,
+    "Selected slot falls on a date that is unavailable for bookings."
+  );
+
+  // 2030-04-03 13:00 AEDT, after the half-day close
+  const afternoon = await book("2030-04-03T02:00:00Z");
+  assert.equal(afternoon.statusCode, 400);
+  assert.equal(
+    afternoon.json.fieldErrors.slotStart,
+    "Selected slot is outside configured booking hours."
+  );
+
+  // 2030-04-06 10:00 AEDT, Saturday opened by an override
+  const saturday = await book("2030-04-05T23:00:00Z");
+  assert.equal(saturday.statusCode, 200);
+});
@@ -14,11 +14,15 @@ process.env.BOOKING_MIN_LEAD_MINUTES = "0";
 process.env.BOOKING_START_HOUR_UTC = "0";
 process.env.BOOKING_END_HOUR_UTC = "24";
 process.env.BOOKING_WORKDAYS_UTC = "0,1,2,3,4,5,6";
+process.env.BOOKING_LINK_SECRET = "test-booking-link-secret";
+process.env.REVIEW_ADMIN_GROUP = "review-admins";
 
 let sendCalls = 0;
+const sentCommands = [];
 const originalSend = SESClient.prototype.send;
-SESClient.prototype.send = async function sendStub() {
+SESClient.prototype.send = async function sendStub(command) {
   sendCalls += 1;
+  sentCommands.push(command);
   return { MessageId: "test-message-id" };
 };
 
@@ -35,6 +39,7 @@ function makeEvent({
   origin,
   queryStringParameters,
   isBase64Encoded = false,
+  claims,
 } = {}) {
   const headers = {};
   if (origin) headers.origin = origin;
@@ -51,6 +56,7 @@ function makeEvent({
         path,
         sourceIp: "127.0.0.1",
       },
+      ...(claims ? { authorizer: { jwt: { claims } } } : {}),
     },
   };
 }
@@ -263,5 +269,411 @@ test("accepts valid booking request and sends notification", async () => {
   assert.equal(res.statusCode, 200);
   assert.equal(res.json.status, "success");
   assert.equal(res.json.slotStart, slotStart);
+  assert.equal(res.json.notificationSent, true);
+  assert.equal(res.json.confirmationSent, true);
+  assert.equal(sendCalls, before + 2);
+
+  const [ownerEmail, guestEmail] = sentCommands
+    .slice(-2)
+    .map((command) => ({
+      destinations: command.input.Destinations,
+      raw: Buffer.from(command.input.RawMessage.Data).toString("utf8"),
+    }));
+  assert.deepEqual(ownerEmail.destinations, ["varun@waterapps.com.au"]);
+  assert.deepEqual(guestEmail.destinations, ["jane@example.com"]);
+  for (const { raw } of [ownerEmail, guestEmail]) {
+    assert.match(raw, /Content-Type: text\/calendar; charset="UTF-8"; method=REQUEST/);
+    assert.match(raw, /filename="invite.ics"/);
+  }
+});
+
+test("rejects a second booking for the same slot with slot_taken", async () => {
+  const availability = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/availability",
+        origin: "https://www.waterapps.com.au",
+        queryStringParameters: { days: "2" },
+      })
+    )
+  );
+  const slotStart = availability.json.slots[0].slotStart;
+  const bookingEvent = () =>
+    makeEvent({
+      method: "POST",
+      path: "/booking",
+      origin: "https://www.waterapps.com.au",
+      body: JSON.stringify({
+        name: "Jane Tester",
+        email: "jane@example.com",
+        slotStart,
+      }),
+    });
+
+  const first = parseResponse(await handler(bookingEvent()));
+  assert.equal(first.statusCode, 200);
+
+  const before = sendCalls;
+  const second = parseResponse(await handler(bookingEvent()));
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.json.code, "slot_taken");
+  assert.ok(second.json.fieldErrors.slotStart);
+  assert.equal(sendCalls, before);
+
+  const after = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/availability",
+        origin: "https://www.waterapps.com.au",
+        queryStringParameters: { days: "2" },
+      })
+    )
+  );
+  assert.ok(!after.json.slots.some((slot) => slot.slotStart === slotStart));
+});
+
+const adminClaims = {
+  sub: "admin-sub-1",
+  email: "admin@waterapps.com.au",
+  "cognito:groups": "[review-admins]",
+};
+
+async function submitReview(overrides = {}) {
+  return parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: "/reviews",
+        origin: "https://www.waterapps.com.au",
+        body: JSON.stringify({
+          name: "Jane Reviewer",
+          email: "jane@example.com",
+          company: "Acme",
+          role: "CTO",
+          rating: 5,
+          review: "WaterApps rebuilt our delivery pipeline in three weeks.",
+          ...overrides,
+        }),
+      })
+    )
+  );
+}
+
+test("rejects invalid review submissions with field errors", async () => {
+  const res = await submitReview({ rating: 9, review: "Too short" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "validation_failed");
+  assert.equal(res.json.fieldErrors.rating, "Rating must be a whole number from 1 to 5.");
+  assert.equal(res.json.fieldErrors.review, "Review is required (min 20 characters).");
+});
+
+test("requires admin JWT claims to list reviews", async () => {
+  const res = parseResponse(
+    await handler(makeEvent({ method: "GET", path: "/reviews" }))
+  );
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json.code, "unauthorized");
+
+  const outsider = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/reviews",
+        claims: { sub: "user-1", "cognito:groups": "[readers]" },
+      })
+    )
+  );
+  assert.equal(outsider.statusCode, 403);
+  assert.equal(outsider.json.code, "forbidden");
+});
+
+test("stores submitted reviews as pending and moderates them", async () => {
+  const submitted = await submitReview();
+  assert.equal(submitted.statusCode, 200);
+  const { reviewId } = submitted.json;
+  assert.ok(reviewId);
+
+  const pending = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/reviews",
+        queryStringParameters: { status: "pending" },
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.equal(pending.statusCode, 200);
+  assert.ok(pending.json.reviews.some((review) => review.reviewId === reviewId));
+
+  const moderated = parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: `/reviews/${reviewId}/moderate`,
+        body: JSON.stringify({ decision: "approved", note: "Verified client" }),
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.equal(moderated.statusCode, 200);
+  assert.equal(moderated.json.review.status, "approved");
+  assert.equal(moderated.json.review.moderatedBy, "admin@waterapps.com.au");
+
+  const approved = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/reviews",
+        queryStringParameters: { status: "approved" },
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.ok(approved.json.reviews.some((review) => review.reviewId === reviewId));
+});
+
+test("pages through reviews with a cursor", async () => {
+  await submitReview({ name: "Page One" });
+  await submitReview({ name: "Page Two" });
+
+  const listPage = async (cursor) =>
+    parseResponse(
+      await handler(
+        makeEvent({
+          method: "GET",
+          path: "/reviews",
+          queryStringParameters: { status: "pending", limit: "1", ...(cursor ? { cursor } : {}) },
+          claims: adminClaims,
+        })
+      )
+    );
+
+  const first = await listPage();
+  assert.equal(first.json.reviews.length, 1);
+  assert.ok(first.json.nextCursor);
+
+  const second = await listPage(first.json.nextCursor);
+  assert.equal(second.json.reviews.length, 1);
+  assert.notEqual(second.json.reviews[0].reviewId, first.json.reviews[0].reviewId);
+});
+
+test("admin lists share the validation_failed code for bad filters", async () => {
+  const res = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/reviews",
+        queryStringParameters: { status: "open" },
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "validation_failed");
+  assert.ok(res.json.fieldErrors.status);
+});
+
+test("keeps the contact inbox closed when no admin group is configured", async () => {
+  const res = parseResponse(
+    await handler(
+      makeEvent({ method: "GET", path: "/contact/submissions", claims: adminClaims })
+    )
+  );
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.json.code, "forbidden");
+});
+
+test("rejects unknown moderation decisions and missing reviews", async () => {
+  const invalid = parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: "/reviews/some-id/moderate",
+        body: JSON.stringify({ decision: "maybe" }),
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.equal(invalid.statusCode, 400);
+  assert.ok(invalid.json.fieldErrors.decision);
+
+  const missing = parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: "/reviews/does-not-exist/moderate",
+        body: JSON.stringify({ decision: "rejected" }),
+        claims: adminClaims,
+      })
+    )
+  );
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.json.code, "review_not_found");
+});
+
+async function fetchSlots(days = "3") {
+  const availability = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: "/availability",
+        origin: "https://www.waterapps.com.au",
+        queryStringParameters: { days },
+      })
+    )
+  );
+  return availability.json.slots.map((slot) => slot.slotStart);
+}
+
+async function bookSlot(slotStart) {
+  return parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: "/booking",
+        origin: "https://www.waterapps.com.au",
+        body: JSON.stringify({
+          name: "Jane Tester",
+          email: "jane@example.com",
+          notes: "Booked from a manage-link test.",
+          slotStart,
+        }),
+      })
+    )
+  );
+}
+
+function tokenFrom(url) {
+  return new URL(url, "https://api.example.test").searchParams.get("token");
+}
+
+test("cancels a booking through its signed link and frees the slot", async () => {
+  const slots = await fetchSlots();
+  const slotStart = slots[slots.length - 1];
+  const booking = await bookSlot(slotStart);
+  assert.equal(booking.statusCode, 200);
+  const { bookingId, manageLinks } = booking.json;
+  const token = tokenFrom(manageLinks.cancelUrl);
+
+  const preview = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: `/booking/${bookingId}/cancel`,
+        queryStringParameters: { token },
+      })
+    )
+  );
+  assert.equal(preview.statusCode, 200);
+  assert.equal(preview.json.booking.slotStart, slotStart);
+
+  const before = sendCalls;
+  const cancelEvent = () =>
+    makeEvent({
+      method: "POST",
+      path: `/booking/${bookingId}/cancel`,
+      origin: "https://www.waterapps.com.au",
+      body: JSON.stringify({ token }),
+    });
+  const cancelled = parseResponse(await handler(cancelEvent()));
+  assert.equal(cancelled.statusCode, 200);
+  assert.equal(cancelled.json.status, "success");
   assert.equal(sendCalls, before + 1);
+  assert.ok((await fetchSlots()).includes(slotStart));
+
+  const replay = parseResponse(await handler(cancelEvent()));
+  assert.equal(replay.statusCode, 410);
+  assert.equal(replay.json.code, "link_expired");
+});
+
+test("reschedules a booking through its signed link", async () => {
+  const slots = await fetchSlots();
+  const originalSlot = slots[slots.length - 2];
+  const newSlot = slots[slots.length - 3];
+  const booking = await bookSlot(originalSlot);
+  const { bookingId, manageLinks } = booking.json;
+  const token = tokenFrom(manageLinks.rescheduleUrl);
+
+  const before = sendCalls;
+  const rescheduled = parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: `/booking/${bookingId}/reschedule`,
+        origin: "https://www.waterapps.com.au",
+        body: JSON.stringify({ token, slotStart: newSlot }),
+      })
+    )
+  );
+  assert.equal(rescheduled.statusCode, 200);
+  assert.equal(rescheduled.json.slotStart, newSlot);
+  assert.notEqual(tokenFrom(rescheduled.json.manageLinks.rescheduleUrl), token);
+  assert.equal(rescheduled.json.confirmationSent, true);
+  assert.equal(sendCalls, before + 2);
+
+  const guestEmail = sentCommands[sentCommands.length - 1].input;
+  const guestParts = Buffer.from(guestEmail.RawMessage.Data)
+    .toString("utf8")
+    .split(/\r\n--/)
+    .map((part) => {
+      const [headers, body = ""] = part.split("\r\n\r\n");
+      return /base64/.test(headers) ? Buffer.from(body, "base64").toString("utf8") : part;
+    })
+    .join("\n");
+  assert.deepEqual(guestEmail.Destinations, ["jane@example.com"]);
+  assert.match(guestParts, /Subject: Your .* is rescheduled/);
+  assert.match(guestParts, /SEQUENCE:1\r\n/);
+  assert.ok(guestParts.includes(tokenFrom(rescheduled.json.manageLinks.cancelUrl)));
+
+  const available = await fetchSlots();
+  assert.ok(available.includes(originalSlot));
+  assert.ok(!available.includes(newSlot));
+
+  const stale = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: `/booking/${bookingId}/reschedule`,
+        queryStringParameters: { token },
+      })
+    )
+  );
+  assert.equal(stale.statusCode, 410);
+  assert.equal(stale.json.code, "link_expired");
+});
+
+test("rejects tampered booking link tokens", async () => {
+  const slots = await fetchSlots();
+  const booking = await bookSlot(slots[slots.length - 4]);
+  const { bookingId, manageLinks } = booking.json;
+  const cancelToken = tokenFrom(manageLinks.cancelUrl);
+
+  const wrongAction = parseResponse(
+    await handler(
+      makeEvent({
+        method: "POST",
+        path: `/booking/${bookingId}/reschedule`,
+        origin: "https://www.waterapps.com.au",
+        body: JSON.stringify({ token: cancelToken, slotStart: slots[0] }),
+      })
+    )
+  );
+  assert.equal(wrongAction.statusCode, 403);
+  assert.equal(wrongAction.json.code, "invalid_token");
+
+  const tampered = parseResponse(
+    await handler(
+      makeEvent({
+        method: "GET",
+        path: `/booking/${bookingId}/cancel`,
+        queryStringParameters: { token: `${cancelToken}x` },
+      })
+    )
+  );
+  assert.equal(tampered.statusCode, 403);
 });
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler } from "./fixtures/handler.mjs";
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_TIMEZONE: "Australia/Sydney",
+  BOOKING_WORKDAYS: "1,2,3,4,5",
+  BOOKING_SLOT_DURATION_MINUTES: "30",
+});
+
+test("keeps Sydney 09:00 starts across the April DST change", async () => {
+  // Sydney DST ends on 2030-04-07
+  const res = await call({
+    path: "/availability",
+    query: { date: "2030-04-01", days: "14", tz: "Australia/Sydney" },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.businessTimezone, "Australia/Sydney");
+  const firstSlots = res.json.days.map((day) => day.slots[0]);
+  assert.equal(firstSlots.length, 10);
+  for (const slot of firstSlots) {
+    assert.match(slot.localStart, /T09:00:00\+1[01]:00$/);
+  }
+  assert.equal(firstSlots[0].slotStart, "2030-03-31T22:00:00Z");
+  assert.equal(firstSlots[5].slotStart, "2030-04-07T23:00:00Z");
+  assert.equal(res.json.days[0].slots.length, 16);
+});
+
+test("returns local times and day grouping in the visitor's zone", async () => {
+  const res = await call({
+    path: "/availability",
+    query: { date: "2030-04-01", days: "2", tz: "America/New_York" },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.displayTimezone, "America/New_York");
+  assert.equal(res.json.timezone, "UTC");
+  // Sydney Monday 13:00 AEDT is midnight in New York; earlier slots fall on Sunday
+  assert.deepEqual(
+    res.json.days.map((day) => day.date),
+    ["2030-04-01", "2030-04-02"]
+  );
+  assert.equal(res.json.slots[0].slotStart, "2030-04-01T04:00:00Z");
+  assert.equal(res.json.slots[0].localStart, "2030-04-01T00:00:00-04:00");
+  assert.equal(res.json.slots[0].localDate, "2030-04-01");
+});
+
+test("rejects unknown time zones on /availability", async () => {
+  const res = await call({
+    path: "/availability",
+    query: { tz: "Mars/Olympus_Mons" },
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json.code, "invalid_timezone");
+});
+
+test("validates booking slots and timezone against the Sydney schedule", async () => {
+  const availability = await call({
+    path: "/availability",
+    query: { days: "7", tz: "Australia/Sydney" },
+  });
+  const fullDay = availability.json.days.find((day) => day.slots[0].localStart.includes("T09:00"));
+  const beforeOpening = new Date(
+    new Date(fullDay.slots[0].slotStart).getTime() - 30 * 60 * 1000
+  )
+    .toISOString()
+    .replace(/\.\d{3}Z$/, "Z");
+
+  const res = await post("/booking", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    timezone: "Not/AZone",
+    slotStart: beforeOpening,
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(
+    res.json.fieldErrors.slotStart,
+    "Selected slot is outside configured booking hours."
+  );
+  assert.equal(
+    res.json.fieldErrors.timezone,
+    "Timezone must be a valid IANA time zone (e.g. Australia/Sydney)."
+  );
+});
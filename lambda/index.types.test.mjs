@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+const sentCommands = stubSes();
+
+const { call, post } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_WORKDAYS: "1,2,3,4,5",
+  BOOKING_TYPE: "DISCOVERY_30M",
+  BOOKING_TYPES: JSON.stringify([
+    { id: "FOLLOW_UP_15M", title: "Follow-up", durationMinutes: 15, start: "16:00" },
+    { id: "DISCOVERY_30M", title: "Discovery call", durationMinutes: 30 },
+    {
+      id: "ARCH_REVIEW_60M",
+      title: "Architecture review",
+      description: "A 60-minute review of your AWS architecture",
+      durationMinutes: 60,
+      workdays: [2, 4],
+      start: "10:00",
+      end: "14:00",
+    },
+  ]),
+});
+
+function book(body) {
+  return post("/booking", { name: "Jane Tester", email: "jane@example.com", ...body });
+}
+
+test("lists the meeting-type catalogue", async () => {
+  const res = await call({ path: "/booking-types" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.defaultType, "DISCOVERY_30M");
+  assert.deepEqual(
+    res.json.types.map((type) => [type.id, type.durationMinutes, type.dayStart, type.dayEnd]),
+    [
+      ["FOLLOW_UP_15M", 15, "16:00", "17:00"],
+      ["DISCOVERY_30M", 30, "09:00", "17:00"],
+      ["ARCH_REVIEW_60M", 60, "10:00", "14:00"],
+    ]
+  );
+  assert.deepEqual(res.json.types[2].workdays, [2, 4]);
+});
+
+test("builds availability from the requested type's rules", async () => {
+  // 2030-04-01 is a Monday
+  const review = await call({
+    path: "/availability",
+    query: { date: "2030-04-01", days: "3", type: "ARCH_REVIEW_60M" },
+  });
+  assert.equal(review.statusCode, 200);
+  assert.equal(review.json.bookingType, "ARCH_REVIEW_60M");
+  assert.equal(review.json.slotDurationMinutes, 60);
+  assert.deepEqual(
+    review.json.slots.map((slot) => slot.slotStart),
+    [
+      "2030-04-02T10:00:00Z",
+      "2030-04-02T11:00:00Z",
+      "2030-04-02T12:00:00Z",
+      "2030-04-02T13:00:00Z",
+    ]
+  );
+
+  const defaultType = await call({
+    path: "/availability",
+    query: { date: "2030-04-01", days: "1" },
+  });
+  assert.equal(defaultType.json.bookingType, "DISCOVERY_30M");
+  assert.equal(defaultType.json.slots.length, 16);
+
+  const unknown = await call({ path: "/availability", query: { type: "NOPE" } });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.json.code, "invalid_booking_type");
+});
+
+test("validates slots against the booking's type", async () => {
+  const offDay = await book({ bookingType: "ARCH_REVIEW_60M", slotStart: "2030-04-01T10:00:00Z" });
+  assert.equal(offDay.statusCode, 400);
+  assert.equal(
+    offDay.json.fieldErrors.slotStart,
+    "Selected slot is outside available booking days."
+  );
+
+  const offGrid = await book({ bookingType: "FOLLOW_UP_15M", slotStart: "2030-04-01T15:45:00Z" });
+  assert.equal(offGrid.statusCode, 400);
+
+  const unknown = await book({ bookingType: "NOPE", slotStart: "2030-04-01T10:00:00Z" });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.json.fieldErrors.bookingType, "Unknown booking type.");
+});
+
+test("books a type, names it in emails and blocks overlapping slots of other types", async () => {
+  const before = sentCommands.length;
+  const res = await book({ bookingType: "ARCH_REVIEW_60M", slotStart: "2030-04-04T10:00:00Z" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.bookingType, "ARCH_REVIEW_60M");
+  assert.equal(res.json.slotEnd, "2030-04-04T11:00:00Z");
+  const ownerEmail = Buffer.from(sentCommands[before].input.RawMessage.Data).toString("utf8");
+  assert.match(ownerEmail, /Subject: WaterApps Booking \(Architecture review\): Jane Tester/);
+
+  const overlapping = await book({
+    bookingType: "DISCOVERY_30M",
+    slotStart: "2030-04-04T10:30:00Z",
+  });
+  assert.equal(overlapping.statusCode, 409);
+  assert.equal(overlapping.json.code, "slot_taken");
+
+  const availability = await call({
+    path: "/availability",
+    query: { date: "2030-04-04", days: "1", type: "DISCOVERY_30M" },
+  });
+  const starts = availability.json.slots.map((slot) => slot.slotStart);
+  assert.ok(starts.includes("2030-04-04T09:30:00Z"));
+  assert.ok(!starts.includes("2030-04-04T10:00:00Z"));
+  assert.ok(!starts.includes("2030-04-04T10:30:00Z"));
+  assert.ok(starts.includes("2030-04-04T11:00:00Z"));
+});
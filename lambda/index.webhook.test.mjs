@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import { BOOKING_ENV, loadHandler, stubSes } from "./fixtures/handler.mjs";
+
+const sequence = [];
+const sentEmails = stubSes(() => {
+  sequence.push("email");
+});
+
+let failingUrl = null;
+const deliveries = [];
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  deliveries.push({ url, headers: init.headers, body: init.body, json: JSON.parse(init.body) });
+  sequence.push(new URL(url).host);
+  return url === failingUrl
+    ? new Response("down", { status: 500 })
+    : new Response(null, { status: 204 });
+};
+
+const { handler, post: postJson } = await loadHandler({
+  ...BOOKING_ENV,
+  BOOKING_LINK_SECRET: "test-booking-link-secret",
+  OUTBOX_RETRY_BASE_SECONDS: "0",
+  WEBHOOKS: JSON.stringify([
+    { id: "crm", url: "https://crm.example.com/hooks", secret: "crm-secret", maxAttempts: 2 },
+    {
+      id: "slack",
+      url: "https://hooks.slack.com/services/T000/B000/XXXX",
+      events: ["contact.submitted"],
+      format: "slack",
+      maxAttempts: 1,
+    },
+  ]),
+});
+
+test.after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Manage links in booking responses are built on the request's domain.
+function post(path, body) {
+  return postJson(path, body, { domainName: "api.example.test" });
+}
+
+const ENQUIRY = {
+  name: "Jane Tester",
+  email: "jane@example.com",
+  message: "Hello, this is a valid test message.",
+};
+
+function deliveriesTo(host, type) {
+  return deliveries.filter(
+    (delivery) =>
+      new URL(delivery.url).host === host &&
+      (delivery.json.type === type || delivery.headers["X-Webhook-Event"] === type)
+  );
+}
+
+test("contact submissions go to the signed json and Slack webhooks", async () => {
+  deliveries.length = 0;
+  sequence.length = 0;
+  const res = await post("/contact", ENQUIRY);
+  assert.equal(res.statusCode, 200);
+  assert.equal(sentEmails.length, 1);
+  // Posted only once the notification email is queued
+  assert.deepEqual(sequence, ["email", "crm.example.com", "hooks.slack.com"]);
+
+  const [crm] = deliveriesTo("crm.example.com", "contact.submitted");
+  assert.equal(crm.json.version, "1");
+  assert.equal(crm.json.data.name, "Jane Tester");
+  assert.equal(crm.json.data.requestId, res.json.requestId);
+  const timestamp = crm.headers["X-Webhook-Timestamp"];
+  const signature = createHmac("sha256", "crm-secret")
+    .update(`${timestamp}.${crm.body}`)
+    .digest("hex");
+  assert.equal(crm.headers["X-Webhook-Signature"], `v1=${signature}`);
+
+  const [slack] = deliveriesTo("hooks.slack.com", "contact.submitted");
+  assert.equal(slack.json.text, "New enquiry from Jane Tester");
+  assert.equal(slack.headers["X-Webhook-Signature"], undefined);
+});
+
+test("booking create and cancel events reach subscribed webhooks", async () => {
+  deliveries.length = 0;
+  const slotStart = "2030-03-04T10:00:00.000Z";
+  const booking = await post("/booking", {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    slotStart,
+  });
+  assert.equal(booking.statusCode, 200);
+
+  const [created] = deliveriesTo("crm.example.com", "booking.created");
+  assert.equal(created.json.data.bookingId, booking.json.bookingId);
+  assert.equal(created.json.data.slotStart, booking.json.slotStart);
+  assert.equal(created.json.data.bookingType.id, "DISCOVERY_30M");
+  assert.equal(deliveriesTo("hooks.slack.com", "booking.created").length, 0);
+
+  const token = new URL(booking.json.manageLinks.cancelUrl).searchParams.get("token");
+  const cancelled = await post(`/booking/${booking.json.bookingId}/cancel`, { token });
+  assert.equal(cancelled.statusCode, 200);
+  const [cancelEvent] = deliveriesTo("crm.example.com", "booking.cancelled");
+  assert.equal(cancelEvent.json.data.bookingId, booking.json.bookingId);
+});
+
+test("a failing webhook gets one attempt in the request and is retried from the outbox", async () => {
+  deliveries.length = 0;
+  failingUrl = "https://crm.example.com/hooks";
+  try {
+    const res = await post("/contact", ENQUIRY);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.status, "success");
+    assert.equal(deliveriesTo("crm.example.com", "contact.submitted").length, 1);
+
+    // maxAttempts is 2, so the scheduled retry is the last one
+    const run = await handler({ outbox: "process" });
+    assert.deepEqual(
+      { processed: run.processed, dead: run.dead },
+      { processed: 1, dead: 1 }
+    );
+    assert.equal((await handler({ outbox: "process" })).processed, 0);
+  } finally {
+    failingUrl = null;
+  }
+  const attempts = deliveriesTo("crm.example.com", "contact.submitted");
+  assert.equal(attempts.length, 2);
+  assert.equal(attempts[0].json.id, attempts[1].json.id);
+
+  const dead = await handler({ outbox: "list-dead" });
+  assert.equal(dead.messages.length, 1);
+  assert.equal(dead.messages[0].kind, "webhook");
+  assert.match(dead.messages[0].lastError, /HTTP 500/);
+
+  await handler({ outbox: "replay" });
+  const replayed = deliveriesTo("crm.example.com", "contact.submitted");
+  assert.equal(replayed.length, 3);
+  assert.equal(replayed[2].json.id, attempts[0].json.id);
+});
@@ -0,0 +1,296 @@
+/**
+ * Mail transports for notification emails
+ *
+ * MAIL_TRANSPORT picks one:
+ * - ses (default): Amazon SES; SendEmail, or SendRawEmail when a calendar
+ *   invite or files are attached
+ * - smtp: any SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURITY,
+ *   SMTP_USERNAME / SMTP_PASSWORD), for running outside AWS
+ * - file: writes each message as an .eml file under MAIL_FILE_DIR
+ * - console: prints a summary and the text body to stdout
+ *
+ * Every transport exposes `send({ from, to, cc, bcc, replyTo, subject, text,
+ * html, calendar, attachments })` resolving to `{ messageId }`. `to`, `cc`,
+ * `bcc` and `replyTo` are address lists; Bcc recipients only appear in the
+ * envelope (and in the file transport's copy, so tests can see them).
+ * `attachments` are `{ filename, contentType, content }` with Buffer content.
+ */
+
+import { randomUUID } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  SESClient,
+  SendEmailCommand,
+  SendRawEmailCommand,
+} from "@aws-sdk/client-ses";
+import { buildMimeMessage } from "./mime-message.mjs";
+import { DEFAULT_SMTP_TIMEOUT_MS, SMTP_SECURITY_MODES, sendSmtpMail } from "./smtp-client.mjs";
+
+export const MAIL_TRANSPORTS = ["ses", "smtp", "file", "console"];
+// A send runs inside the request's 10-second Lambda timeout, after the rest of its work.
+const MAX_SMTP_TIMEOUT_MS = 5000;
+
+const DEFAULT_SMTP_PORTS = { starttls: 587, tls: 465, none: 25 };
+
+export function parseAddressList(raw) {
+  return String(raw ?? "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+// "Name <a@b>" -> "a@b" for the SMTP envelope
+function envelopeAddress(address) {
+  return address.match(/<([^>]+)>\s*$/)?.[1] || address;
+}
+
+export function parseMailTransportConfig(env = {}) {
+  const transport = (env.MAIL_TRANSPORT || "ses").trim().toLowerCase();
+  const security = (env.SMTP_SECURITY || "starttls").trim().toLowerCase();
+  const config = {
+    transport,
+    smtp: {
+      host: (env.SMTP_HOST || "").trim(),
+      port: Number(env.SMTP_PORT || DEFAULT_SMTP_PORTS[security] || 587),
+      security,
+      username: env.SMTP_USERNAME || "",
+      password: env.SMTP_PASSWORD || "",
+      heloName: (env.SMTP_HELO_NAME || "localhost").trim(),
+      timeoutMs: Number(env.SMTP_TIMEOUT_MS || DEFAULT_SMTP_TIMEOUT_MS),
+    },
+    fileDir: (env.MAIL_FILE_DIR || "").trim(),
+  };
+
+  const problems = [];
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    problems.push(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(", ")}`);
+  }
+  if (transport === "smtp") {
+    const { smtp } = config;
+    if (!smtp.host) problems.push("SMTP_HOST is required for the smtp transport");
+    if (!Number.isInteger(smtp.port) || smtp.port < 1 || smtp.port > 65535) {
+      problems.push("SMTP_PORT must be 1-65535");
+    }
+    if (!SMTP_SECURITY_MODES.includes(smtp.security)) {
+      problems.push(`SMTP_SECURITY must be one of ${SMTP_SECURITY_MODES.join(", ")}`);
+    }
+    if (Boolean(smtp.username) !== Boolean(smtp.password)) {
+      problems.push("SMTP_USERNAME and SMTP_PASSWORD must be set together");
+    }
+    if (
+      !Number.isInteger(smtp.timeoutMs) ||
+      smtp.timeoutMs < 100 ||
+      smtp.timeoutMs > MAX_SMTP_TIMEOUT_MS
+    ) {
+      problems.push(`SMTP_TIMEOUT_MS must be 100-${MAX_SMTP_TIMEOUT_MS}`);
+    }
+  }
+  if (transport === "file" && !config.fileDir) {
+    problems.push("MAIL_FILE_DIR is required for the file transport");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid mail transport: ${problems.join("; ")}.`);
+  }
+  return config;
+}
+
+function newMessageId(from) {
+  const domain = envelopeAddress(from).split("@")[1] || "localhost";
+  return `${randomUUID()}@${domain}`;
+}
+
+export function createSesTransport({ client = new SESClient({}) } = {}) {
+  return {
+    name: "ses",
+    async send({
+      from,
+      to,
+      cc = [],
+      bcc = [],
+      replyTo = [],
+      subject,
+      text,
+      html,
+      calendar,
+      attachments = [],
+    }) {
+      if (calendar || attachments.length > 0) {
+        const raw = buildMimeMessage({
+          from,
+          to,
+          cc,
+          replyTo,
+          subject,
+          text,
+          html,
+          calendar,
+          attachments,
+        });
+        const result = await client.send(
+          new SendRawEmailCommand({
+            Source: from,
+            Destinations: [...to, ...cc, ...bcc],
+            RawMessage: { Data: Buffer.from(raw, "utf8") },
+          })
+        );
+        return { messageId: result?.MessageId };
+      }
+
+      const result = await client.send(
+        new SendEmailCommand({
+          Source: from,
+          Destination: {
+            ToAddresses: to,
+            ...(cc.length > 0 ? { CcAddresses: cc } : {}),
+            ...(bcc.length > 0 ? { BccAddresses: bcc } : {}),
+          },
+          ReplyToAddresses: replyTo,
+          Message: {
+            Subject: { Data: subject },
+            Body: {
+              Text: { Data: text },
+              Html: { Data: html },
+            },
+          },
+        })
+      );
+      return { messageId: result?.MessageId };
+    },
+  };
+}
+
+export function createSmtpTransport({ smtp, sendMail = sendSmtpMail }) {
+  return {
+    name: "smtp",
+    async send({
+      from,
+      to,
+      cc = [],
+      bcc = [],
+      replyTo = [],
+      subject,
+      text,
+      html,
+      calendar,
+      attachments,
+    }) {
+      const messageId = newMessageId(from);
+      const data = buildMimeMessage({
+        from,
+        to,
+        cc,
+        replyTo,
+        subject,
+        text,
+        html,
+        calendar,
+        attachments,
+        messageId,
+      });
+      await sendMail({
+        ...smtp,
+        from: envelopeAddress(from),
+        recipients: [...to, ...cc, ...bcc].map(envelopeAddress),
+        data,
+      });
+      return { messageId };
+    },
+  };
+}
+
+export function createFileTransport({ dir, now = () => new Date() }) {
+  return {
+    name: "file",
+    async send({
+      from,
+      to,
+      cc = [],
+      bcc = [],
+      replyTo = [],
+      subject,
+      text,
+      html,
+      calendar,
+      attachments,
+    }) {
+      const date = now();
+      const messageId = newMessageId(from);
+      const eml = buildMimeMessage({
+        from,
+        to,
+        cc,
+        bcc,
+        replyTo,
+        subject,
+        text,
+        html,
+        calendar,
+        attachments,
+        messageId,
+        date,
+      });
+      const stamp = date.toISOString().replace(/[:.]/g, "-");
+      const filePath = path.join(dir, `${stamp}-${messageId.split("@")[0]}.eml`);
+      await mkdir(dir, { recursive: true });
+      await writeFile(filePath, eml, "utf8");
+      return { messageId, filePath };
+    },
+  };
+}
+
+export function createConsoleTransport({ write = (chunk) => process.stdout.write(chunk) } = {}) {
+  return {
+    name: "console",
+    async send({
+      from,
+      to,
+      cc = [],
+      bcc = [],
+      replyTo = [],
+      subject,
+      text,
+      calendar,
+      attachments = [],
+    }) {
+      const messageId = newMessageId(from);
+      const lines = [
+        `----- mail ${messageId} -----`,
+        `From: ${from}`,
+        `To: ${to.join(", ")}`,
+        ...(cc.length > 0 ? [`Cc: ${cc.join(", ")}`] : []),
+        ...(bcc.length > 0 ? [`Bcc: ${bcc.join(", ")}`] : []),
+        ...(replyTo.length > 0 ? [`Reply-To: ${replyTo.join(", ")}`] : []),
+        `Subject: ${subject}`,
+        ...(calendar ? [`Attachment: ${calendar.filename} (${calendar.method})`] : []),
+        ...attachments.map(
+          (attachment) => `Attachment: ${attachment.filename} (${attachment.content.length} bytes)`
+        ),
+        "",
+        text,
+        "-----",
+        "",
+      ];
+      write(lines.join("\n"));
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Builds the transport named in `config` (see parseMailTransportConfig).
+ * `sesClient` and `sendMail` can be swapped out in tests.
+ */
+export function createMailTransport(config, { sesClient, sendMail } = {}) {
+  switch (config.transport) {
+    case "smtp":
+      return createSmtpTransport({ smtp: config.smtp, sendMail });
+    case "file":
+      return createFileTransport({ dir: config.fileDir });
+    case "console":
+      return createConsoleTransport();
+    default:
+      return createSesTransport({ client: sesClient });
+  }
+}
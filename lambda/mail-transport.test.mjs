@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  createSesTransport,
+  parseMailTransportConfig,
+} from "./mail-transport.mjs";
+
+const message = {
+  from: "bookings@waterapps.com.au",
+  to: ["varun@waterapps.com.au", "ops@waterapps.com.au"],
+  cc: ["sales@waterapps.com.au"],
+  bcc: ["archive@waterapps.com.au"],
+  replyTo: ["jane@example.com"],
+  subject: "New enquiry",
+  text: "Plain body",
+  html: "<p>HTML body</p>",
+};
+
+function fakeSesClient() {
+  const commands = [];
+  return {
+    commands,
+    async send(command) {
+      commands.push(command);
+      return { MessageId: "ses-1" };
+    },
+  };
+}
+
+test("defaults to SES and validates SMTP and file settings", () => {
+  assert.equal(parseMailTransportConfig({}).transport, "ses");
+
+  const smtp = parseMailTransportConfig({
+    MAIL_TRANSPORT: "smtp",
+    SMTP_HOST: "smtp.example.com",
+    SMTP_SECURITY: "tls",
+  });
+  assert.equal(smtp.smtp.port, 465);
+  assert.equal(smtp.smtp.security, "tls");
+  assert.equal(smtp.smtp.timeoutMs, 3000);
+  assert.throws(
+    () =>
+      parseMailTransportConfig({
+        MAIL_TRANSPORT: "smtp",
+        SMTP_HOST: "smtp.example.com",
+        SMTP_TIMEOUT_MS: "10000",
+      }),
+    /SMTP_TIMEOUT_MS must be 100-5000/
+  );
+
+  assert.throws(
+    () =>
+      parseMailTransportConfig({
+        MAIL_TRANSPORT: "smtp",
+        SMTP_SECURITY: "ssl",
+        SMTP_USERNAME: "mailer",
+      }),
+    /^Error: Invalid mail transport: SMTP_HOST is required for the smtp transport; SMTP_SECURITY must be one of starttls, tls, none; SMTP_USERNAME and SMTP_PASSWORD must be set together\.$/
+  );
+  assert.throws(() => parseMailTransportConfig({ MAIL_TRANSPORT: "file" }), /MAIL_FILE_DIR is required/);
+  assert.throws(() => parseMailTransportConfig({ MAIL_TRANSPORT: "pigeon" }), /MAIL_TRANSPORT must be one of/);
+});
+
+test("SES sends Cc and Bcc in the destination", async () => {
+  const client = fakeSesClient();
+  const result = await createSesTransport({ client }).send(message);
+
+  const [command] = client.commands;
+  assert.equal(command.constructor.name, "SendEmailCommand");
+  assert.deepEqual(command.input.Destination, {
+    ToAddresses: message.to,
+    CcAddresses: message.cc,
+    BccAddresses: message.bcc,
+  });
+  assert.deepEqual(command.input.ReplyToAddresses, ["jane@example.com"]);
+  assert.deepEqual(result, { messageId: "ses-1" });
+});
+
+test("SES sends calendar invites raw, with Bcc only in the envelope", async () => {
+  const client = fakeSesClient();
+  await createSesTransport({ client }).send({
+    ...message,
+    calendar: { method: "REQUEST", filename: "invite.ics", content: "BEGIN:VCALENDAR\r\n" },
+  });
+
+  const [command] = client.commands;
+  assert.equal(command.constructor.name, "SendRawEmailCommand");
+  assert.deepEqual(command.input.Destinations, [
+    "varun@waterapps.com.au",
+    "ops@waterapps.com.au",
+    "sales@waterapps.com.au",
+    "archive@waterapps.com.au",
+  ]);
+  const raw = Buffer.from(command.input.RawMessage.Data).toString("utf8");
+  assert.match(raw, /\r\nCc: sales@waterapps.com.au\r\n/);
+  assert.doesNotMatch(raw, /\r\nBcc:/);
+});
+
+test("SES sends messages with attached files raw", async () => {
+  const client = fakeSesClient();
+  await createSesTransport({ client }).send({
+    ...message,
+    attachments: [
+      { filename: "rfp.pdf", contentType: "application/pdf", content: Buffer.from("%PDF") },
+    ],
+  });
+
+  const [command] = client.commands;
+  assert.equal(command.constructor.name, "SendRawEmailCommand");
+  const raw = Buffer.from(command.input.RawMessage.Data).toString("utf8");
+  assert.match(raw, /Content-Disposition: attachment; filename="rfp.pdf"/);
+});
+
+test("SMTP passes every recipient in the envelope", async () => {
+  const calls = [];
+  const transport = createMailTransport(
+    parseMailTransportConfig({ MAIL_TRANSPORT: "smtp", SMTP_HOST: "smtp.example.com" }),
+    {
+      async sendMail(options) {
+        calls.push(options);
+        return { response: "250 OK" };
+      },
+    }
+  );
+
+  const { messageId } = await transport.send({ ...message, from: "WaterApps <bookings@waterapps.com.au>" });
+  const [call] = calls;
+  assert.equal(call.host, "smtp.example.com");
+  assert.equal(call.port, 587);
+  assert.equal(call.from, "bookings@waterapps.com.au");
+  assert.deepEqual(call.recipients, [...message.to, ...message.cc, ...message.bcc]);
+  assert.match(messageId, /@waterapps\.com\.au$/);
+  assert.match(call.data, new RegExp(`\\r\\nMessage-ID: <${messageId}>\\r\\n`));
+  assert.doesNotMatch(call.data, /\r\nBcc:/);
+});
+
+test("file transport writes an .eml per message, Bcc included", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "mail-"));
+  try {
+    const transport = createFileTransport({
+      dir: path.join(dir, "outbox"),
+      now: () => new Date("2030-03-01T10:00:00Z"),
+    });
+    const { filePath } = await transport.send(message);
+
+    const [name] = await readdir(path.join(dir, "outbox"));
+    assert.match(name, /^2030-03-01T10-00-00-000Z-[0-9a-f-]+\.eml$/);
+    assert.equal(filePath, path.join(dir, "outbox", name));
+    const eml = await readFile(filePath, "utf8");
+    assert.match(eml, /\r\nTo: varun@waterapps.com.au, ops@waterapps.com.au\r\n/);
+    assert.match(eml, /\r\nBcc: archive@waterapps.com.au\r\n/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("console transport prints headers and the text body", async () => {
+  let output = "";
+  await createConsoleTransport({ write: (chunk) => (output += chunk) }).send(message);
+
+  assert.match(output, /\nTo: varun@waterapps.com.au, ops@waterapps.com.au\n/);
+  assert.match(output, /\nBcc: archive@waterapps.com.au\n/);
+  assert.match(output, /\nSubject: New enquiry\n\nPlain body\n/);
+});
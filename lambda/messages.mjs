@@ -0,0 +1,160 @@
+/**
+ * Message catalogues for client-facing response text
+ *
+ * Each locale is a flat JSON map in locales/<locale>.json, keyed like
+ * "validation.required", with `{name}` placeholders:
+ *
+ *   { "validation.required": "{label} is required." }
+ *
+ * English (en) is the reference: every other catalogue must carry exactly
+ * its keys and placeholders (see `catalogueProblems`, which the tests run
+ * over every bundled locale). Response `code` values and `fieldErrors` keys
+ * never change with the locale; only the text does.
+ *
+ * The locale comes from the submission's `locale` field when it names a
+ * supported locale, then from the Accept-Language header, then English.
+ */
+
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DEFAULT_LOCALE = "en";
+
+const LOCALE_FILE_RE = /^([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\.json$/;
+const PLACEHOLDER_RE = /\{([A-Za-z][A-Za-z0-9]*)\}/g;
+
+/** Reads every locales/<locale>.json in `dir` into `{ [locale]: { [key]: text } }` */
+export function loadMessageCatalogues(dir) {
+  const catalogues = {};
+  const problems = [];
+  for (const file of readdirSync(dir).sort()) {
+    const match = LOCALE_FILE_RE.exec(file);
+    if (!match) continue;
+    let messages;
+    try {
+      messages = JSON.parse(readFileSync(path.join(dir, file), "utf8"));
+    } catch (err) {
+      problems.push(`${file} is not valid JSON (${err.message})`);
+      continue;
+    }
+    if (!messages || typeof messages !== "object" || Array.isArray(messages)) {
+      problems.push(`${file} must be an object of message keys`);
+      continue;
+    }
+    const nonText = Object.keys(messages).filter((key) => typeof messages[key] !== "string");
+    if (nonText.length > 0) problems.push(`${file} has non-text messages: ${nonText.join(", ")}`);
+    catalogues[match[1]] = messages;
+  }
+  if (!catalogues[DEFAULT_LOCALE]) problems.push(`${DEFAULT_LOCALE}.json is required`);
+  if (problems.length > 0) {
+    throw new Error(`Invalid message catalogues: ${problems.join("; ")}.`);
+  }
+  return catalogues;
+}
+
+export const MESSAGE_CATALOGUES = loadMessageCatalogues(
+  fileURLToPath(new URL("./locales/", import.meta.url))
+);
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGE_CATALOGUES);
+
+function placeholders(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER_RE)].map(([, name]) => name))].sort();
+}
+
+/**
+ * Lists how each catalogue differs from English: missing or extra keys, empty
+ * text and placeholders that do not match. An empty list means every locale
+ * can render every message.
+ */
+export function catalogueProblems(catalogues) {
+  const reference = catalogues[DEFAULT_LOCALE];
+  const problems = [];
+  for (const [locale, messages] of Object.entries(catalogues)) {
+    if (locale === DEFAULT_LOCALE) continue;
+    for (const [key, text] of Object.entries(reference)) {
+      if (typeof messages[key] !== "string") {
+        problems.push(`${locale}: missing "${key}"`);
+        continue;
+      }
+      if (!messages[key].trim()) problems.push(`${locale}: "${key}" is empty`);
+      const expected = placeholders(text).join(", ");
+      const actual = placeholders(messages[key]).join(", ");
+      if (expected !== actual) {
+        problems.push(`${locale}: "${key}" uses {${actual}} instead of {${expected}}`);
+      }
+    }
+    for (const key of Object.keys(messages)) {
+      if (!Object.hasOwn(reference, key)) problems.push(`${locale}: unknown key "${key}"`);
+    }
+  }
+  return problems;
+}
+
+function matchLocale(tag, locales) {
+  const wanted = String(tag).trim().toLowerCase();
+  if (!wanted || wanted === "*") return null;
+  const byLower = new Map(locales.map((locale) => [locale.toLowerCase(), locale]));
+  return byLower.get(wanted) ?? byLower.get(wanted.split("-")[0]) ?? null;
+}
+
+/** Accept-Language ranges in preference order, dropping q=0 */
+function acceptedLanguages(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.split(";").map((piece) => piece.trim());
+      const qParam = params.find((param) => /^q=/i.test(param));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { tag, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter((range) => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((range) => range.tag);
+}
+
+/**
+ * Picks the response locale: `requested` (the body's `locale` field) when
+ * supported, else the best Accept-Language match, else English. "ja-JP"
+ * matches "ja".
+ */
+export function negotiateLocale({ requested, acceptLanguage } = {}, locales = SUPPORTED_LOCALES) {
+  if (typeof requested === "string") {
+    const match = matchLocale(requested, locales);
+    if (match) return match;
+  }
+  for (const tag of acceptedLanguages(acceptLanguage)) {
+    const match = matchLocale(tag, locales);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Text for `locale` from a `{ [locale]: text }` map, falling back to English;
+ * a plain string reads the same in every locale.
+ */
+export function localisedText(text, locale = DEFAULT_LOCALE) {
+  if (text === null || typeof text === "string") return text;
+  return text[locale] ?? text[DEFAULT_LOCALE];
+}
+
+/**
+ * Returns `t(key, params)` for the locale, filling `{name}` placeholders from
+ * params. Keys missing from the locale fall back to English. `t.locale` is
+ * the locale actually used.
+ */
+export function createTranslator(locale = DEFAULT_LOCALE, catalogues = MESSAGE_CATALOGUES) {
+  const resolved = catalogues[locale] ? locale : DEFAULT_LOCALE;
+  const messages = catalogues[resolved];
+  const fallback = catalogues[DEFAULT_LOCALE];
+  const t = (key, params = {}) => {
+    const text = messages[key] ?? fallback[key] ?? key;
+    return text.replace(PLACEHOLDER_RE, (tag, name) =>
+      Object.hasOwn(params, name) ? String(params[name]) : tag
+    );
+  };
+  t.locale = resolved;
+  return t;
+}
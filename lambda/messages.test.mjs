@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { formMessageProblems, loadFormDefinitions } from "./form-definitions.mjs";
+import {
+  catalogueProblems,
+  createTranslator,
+  DEFAULT_LOCALE,
+  loadMessageCatalogues,
+  MESSAGE_CATALOGUES,
+  negotiateLocale,
+  SUPPORTED_LOCALES,
+} from "./messages.mjs";
+
+const LAMBDA_DIR = fileURLToPath(new URL("./", import.meta.url));
+
+test("every bundled locale has every English key and placeholder", () => {
+  assert.deepEqual(SUPPORTED_LOCALES, ["en", "ja"]);
+  assert.deepEqual(catalogueProblems(MESSAGE_CATALOGUES), []);
+});
+
+test("every message key the code uses is in the English catalogue", async () => {
+  const sources = (await readdir(LAMBDA_DIR)).filter(
+    (name) => name.endsWith(".mjs") && !name.endsWith(".test.mjs")
+  );
+  const missing = [];
+  for (const name of sources) {
+    const source = await readFile(path.join(LAMBDA_DIR, name), "utf8");
+    const keys = [...source.matchAll(/\bt\(\s*"([a-z][A-Za-z0-9.]*)"/g)].map(([, key]) => key);
+    for (const key of keys) {
+      if (!Object.hasOwn(MESSAGE_CATALOGUES[DEFAULT_LOCALE], key)) missing.push(`${name}: ${key}`);
+    }
+  }
+  assert.deepEqual(missing, []);
+});
+
+test("every bundled form message has text in every locale", () => {
+  const forms = loadFormDefinitions({ filePath: path.join(LAMBDA_DIR, "forms.json") });
+  assert.deepEqual(formMessageProblems(forms), []);
+});
+
+test("reports missing, unknown and mismatched keys", () => {
+  const problems = catalogueProblems({
+    en: { "a.one": "One {count}.", "a.two": "Two.", "a.three": "Three." },
+    de: { "a.one": "Eins {anzahl}.", "a.three": " ", "a.four": "Vier." },
+  });
+  assert.deepEqual(problems, [
+    'de: "a.one" uses {anzahl} instead of {count}',
+    'de: missing "a.two"',
+    'de: "a.three" is empty',
+    'de: unknown key "a.four"',
+  ]);
+});
+
+test("loads catalogues from a directory and requires English", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "waterapps-locales-"));
+  try {
+    await writeFile(path.join(dir, "fr.json"), JSON.stringify({ "a.one": "Un." }));
+    await writeFile(path.join(dir, "notes.txt"), "ignored");
+    assert.throws(() => loadMessageCatalogues(dir), /en\.json is required/);
+
+    await writeFile(path.join(dir, "en.json"), JSON.stringify({ "a.one": "One.", "a.two": 2 }));
+    assert.throws(
+      () => loadMessageCatalogues(dir),
+      /^Error: Invalid message catalogues: en\.json has non-text messages: a\.two\.$/
+    );
+
+    await writeFile(path.join(dir, "en.json"), JSON.stringify({ "a.one": "One." }));
+    assert.deepEqual(Object.keys(loadMessageCatalogues(dir)), ["en", "fr"]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("prefers the body locale, then Accept-Language, then English", () => {
+  assert.equal(negotiateLocale({ requested: "ja" }), "ja");
+  assert.equal(negotiateLocale({ requested: "JA-jp", acceptLanguage: "en" }), "ja");
+  assert.equal(negotiateLocale({ requested: "fr", acceptLanguage: "ja;q=0.5" }), "ja");
+  assert.equal(negotiateLocale({ acceptLanguage: "fr-FR, en;q=0.4, ja;q=0.8" }), "ja");
+  assert.equal(negotiateLocale({ acceptLanguage: "ja;q=0, *;q=0.5" }), "en");
+  assert.equal(negotiateLocale({ requested: 42, acceptLanguage: "" }), "en");
+  assert.equal(negotiateLocale(), "en");
+});
+
+test("fills placeholders and falls back to English", () => {
+  const catalogues = {
+    en: { "a.hello": "Hello {name}.", "a.bye": "Bye." },
+    ja: { "a.hello": "{name}さん、こんにちは。" },
+  };
+  const ja = createTranslator("ja", catalogues);
+  assert.equal(ja.locale, "ja");
+  assert.equal(ja("a.hello", { name: "Jane" }), "Janeさん、こんにちは。");
+  assert.equal(ja("a.bye"), "Bye.");
+  assert.equal(ja("a.unknown"), "a.unknown");
+
+  const fallback = createTranslator("fr", catalogues);
+  assert.equal(fallback.locale, "en");
+  assert.equal(fallback("a.hello"), "Hello {name}.");
+});
@@ -0,0 +1,131 @@
+/**
+ * Minimal MIME builder for SES SendRawEmail and the SMTP / file transports
+ *
+ * Layout:
+ *   multipart/mixed
+ *   ├── multipart/alternative
+ *   │   ├── text/plain
+ *   │   ├── text/html
+ *   │   └── text/calendar; method=...   (when an invite is attached)
+ *   ├── invite.ics                      (same invite as a download)
+ *   └── attachments...                  (files, e.g. contact-form uploads)
+ *
+ * `bcc` is only written as a header for the file transport's .eml copies;
+ * senders pass Bcc recipients in the envelope instead.
+ */
+
+import { randomUUID } from "node:crypto";
+
+function headerValue(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function encodeHeaderWord(value) {
+  const clean = headerValue(value);
+  if (/^[\x20-\x7e]*$/.test(clean)) return clean;
+  return `=?UTF-8?B?${Buffer.from(clean, "utf8").toString("base64")}?=`;
+}
+
+function base64Lines(content) {
+  return (
+    (Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8"))
+      .toString("base64")
+      .match(/.{1,76}/g)
+      ?.join("\r\n") || ""
+  );
+}
+
+function part(headers, content) {
+  return `${headers.join("\r\n")}\r\n\r\n${content}`;
+}
+
+function multipart(boundary, parts) {
+  return `${parts.map((p) => `--${boundary}\r\n${p}`).join("\r\n")}\r\n--${boundary}--`;
+}
+
+export function buildMimeMessage({
+  from,
+  to,
+  cc = [],
+  bcc = [],
+  replyTo = [],
+  subject,
+  text,
+  html,
+  calendar,
+  attachments = [],
+  messageId,
+  date = new Date(),
+}) {
+  const mixedBoundary = `mixed-${randomUUID()}`;
+  const alternativeBoundary = `alt-${randomUUID()}`;
+
+  const alternativeParts = [
+    part(
+      ['Content-Type: text/plain; charset="UTF-8"', "Content-Transfer-Encoding: base64"],
+      base64Lines(text)
+    ),
+    part(
+      ['Content-Type: text/html; charset="UTF-8"', "Content-Transfer-Encoding: base64"],
+      base64Lines(html)
+    ),
+  ];
+  if (calendar) {
+    alternativeParts.push(
+      part(
+        [
+          `Content-Type: text/calendar; charset="UTF-8"; method=${calendar.method}`,
+          "Content-Transfer-Encoding: base64",
+        ],
+        base64Lines(calendar.content)
+      )
+    );
+  }
+
+  const mixedParts = [
+    part(
+      [`Content-Type: multipart/alternative; boundary="${alternativeBoundary}"`],
+      multipart(alternativeBoundary, alternativeParts)
+    ),
+  ];
+  if (calendar) {
+    mixedParts.push(
+      part(
+        [
+          `Content-Type: application/ics; name="${calendar.filename}"`,
+          `Content-Disposition: attachment; filename="${calendar.filename}"`,
+          "Content-Transfer-Encoding: base64",
+        ],
+        base64Lines(calendar.content)
+      )
+    );
+  }
+  for (const attachment of attachments) {
+    const filename = encodeHeaderWord(attachment.filename).replace(/"/g, "");
+    mixedParts.push(
+      part(
+        [
+          `Content-Type: ${headerValue(attachment.contentType)}; name="${filename}"`,
+          `Content-Disposition: attachment; filename="${filename}"`,
+          "Content-Transfer-Encoding: base64",
+        ],
+        base64Lines(attachment.content)
+      )
+    );
+  }
+
+  const headers = [
+    `From: ${headerValue(from)}`,
+    `To: ${to.map(headerValue).join(", ")}`,
+    ...(cc.length > 0 ? [`Cc: ${cc.map(headerValue).join(", ")}`] : []),
+    ...(bcc.length > 0 ? [`Bcc: ${bcc.map(headerValue).join(", ")}`] : []),
+    ...(replyTo.length > 0 ? [`Reply-To: ${replyTo.map(headerValue).join(", ")}`] : []),
+    `Subject: ${encodeHeaderWord(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    ...(messageId ? [`Message-ID: <${headerValue(messageId)}>`] : []),
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+  ];
+
+  return `${headers.join("\r\n")}\r\n\r\n${multipart(mixedBoundary, mixedParts)}\r\n`;
+}
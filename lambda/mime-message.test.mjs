@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildMimeMessage } from "./mime-message.mjs";
+
+function decodeParts(raw) {
+  return [...raw.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n--/g)].map(
+    (match) => Buffer.from(match[1].replace(/\r\n/g, ""), "base64").toString("utf8")
+  );
+}
+
+test("builds text, html and calendar alternatives plus an .ics attachment", () => {
+  const raw = buildMimeMessage({
+    from: "bookings@waterapps.com.au",
+    to: ["jane@example.com"],
+    replyTo: ["varun@waterapps.com.au"],
+    subject: "Your call is booked",
+    text: "Plain body",
+    html: "<p>HTML body</p>",
+    calendar: {
+      method: "REQUEST",
+      filename: "invite.ics",
+      content: "BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n",
+    },
+  });
+
+  assert.match(raw, /^From: bookings@waterapps.com.au\r\n/);
+  assert.match(raw, /\r\nTo: jane@example.com\r\n/);
+  assert.match(raw, /\r\nReply-To: varun@waterapps.com.au\r\n/);
+  assert.match(raw, /\r\nContent-Type: multipart\/mixed; boundary="/);
+  assert.match(raw, /Content-Type: text\/calendar; charset="UTF-8"; method=REQUEST/);
+  assert.match(raw, /Content-Disposition: attachment; filename="invite.ics"/);
+  assert.deepEqual(decodeParts(raw), [
+    "Plain body",
+    "<p>HTML body</p>",
+    "BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n",
+    "BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n",
+  ]);
+});
+
+test("encodes non-ASCII subjects and strips header line breaks", () => {
+  const raw = buildMimeMessage({
+    from: "bookings@waterapps.com.au",
+    to: ["jane@example.com\r\nBcc: victim@example.com"],
+    subject: "Café booking",
+    text: "Plain body",
+    html: "<p>HTML body</p>",
+  });
+
+  assert.match(raw, /\r\nSubject: =\?UTF-8\?B\?Q2Fmw6kgYm9va2luZw==\?=\r\n/);
+  assert.doesNotMatch(raw, /\r\nBcc:/);
+  assert.doesNotMatch(raw, /text\/calendar/);
+});
+
+test("adds Cc, Bcc and Message-ID headers when given", () => {
+  const raw = buildMimeMessage({
+    from: "bookings@waterapps.com.au",
+    to: ["varun@waterapps.com.au", "ops@waterapps.com.au"],
+    cc: ["sales@waterapps.com.au"],
+    bcc: ["archive@waterapps.com.au"],
+    subject: "New booking",
+    text: "Plain body",
+    html: "<p>HTML body</p>",
+    messageId: "abc@waterapps.com.au",
+  });
+
+  assert.match(raw, /\r\nTo: varun@waterapps.com.au, ops@waterapps.com.au\r\n/);
+  assert.match(raw, /\r\nCc: sales@waterapps.com.au\r\n/);
+  assert.match(raw, /\r\nBcc: archive@waterapps.com.au\r\n/);
+  assert.match(raw, /\r\nMessage-ID: <abc@waterapps.com.au>\r\n/);
+});
+
+test("attaches files after the body", () => {
+  const raw = buildMimeMessage({
+    from: "bookings@waterapps.com.au",
+    to: ["varun@waterapps.com.au"],
+    subject: "New enquiry",
+    text: "Plain body",
+    html: "<p>HTML body</p>",
+    attachments: [
+      { filename: "rfp.pdf", contentType: "application/pdf", content: Buffer.from("%PDF-1.7") },
+      { filename: "Übersicht.txt", contentType: "text/plain", content: Buffer.from("notes") },
+    ],
+  });
+
+  assert.match(raw, /Content-Type: application\/pdf; name="rfp.pdf"/);
+  assert.match(raw, /Content-Disposition: attachment; filename="rfp.pdf"/);
+  assert.match(raw, /filename="=\?UTF-8\?B\?w5xiZXJzaWNodC50eHQ=\?="/);
+  assert.deepEqual(decodeParts(raw), ["Plain body", "<p>HTML body</p>", "%PDF-1.7", "notes"]);
+});
@@ -0,0 +1,716 @@
+/**
+ * OpenAPI 3.1 description of the public API, served at GET /openapi.json
+ *
+ * Request bodies are built from the same form definitions the handler
+ * validates with (formJsonSchema), and the limits, meeting types and error
+ * codes that depend on configuration are passed in by index.mjs, so the
+ * document describes what this deployment actually enforces.
+ */
+
+import { formJsonSchema } from "./form-definitions.mjs";
+
+export const OPENAPI_VERSION = "3.1.0";
+
+const ERROR_DESCRIPTIONS = {
+  400: "Bad request",
+  403: "Forbidden",
+  404: "Not found",
+  409: "Conflict",
+  410: "Gone",
+  413: "Payload too large",
+  422: "Unprocessable",
+  429: "Too many requests",
+  500: "Internal error",
+  503: "Service unavailable",
+};
+
+// Error codes by status, shared by the JSON POST routes
+const ORIGIN_ERRORS = { 403: ["origin_required", "origin_not_allowed"] };
+const JSON_BODY_ERRORS = { 400: ["invalid_json", "invalid_payload"], 413: ["payload_too_large"] };
+const IDEMPOTENCY_ERRORS = {
+  400: ["invalid_idempotency_key"],
+  409: ["idempotency_in_progress"],
+  422: ["idempotency_conflict"],
+};
+const SUBMISSION_ERRORS = {
+  400: ["validation_failed", "form_token_required", "captcha_failed"],
+  409: ["form_token_reused"],
+  429: ["rate_limited"],
+  500: ["internal_error"],
+  503: ["captcha_failed"],
+};
+const AVAILABILITY_ERRORS = {
+  400: ["invalid_booking_type", "invalid_timezone", "invalid_date"],
+  429: ["rate_limited"],
+  500: ["internal_error"],
+};
+
+function mergeErrors(...groups) {
+  const merged = {};
+  for (const group of groups) {
+    for (const [status, codes] of Object.entries(group)) {
+      merged[status] = [...new Set([...(merged[status] || []), ...codes])];
+    }
+  }
+  return merged;
+}
+
+function errorResponses(codesByStatus) {
+  return Object.fromEntries(
+    Object.entries(codesByStatus).map(([status, codes]) => {
+      const response = {
+        description: ERROR_DESCRIPTIONS[status],
+        content: {
+          "application/json": {
+            schema: {
+              allOf: [
+                { $ref: "#/components/schemas/Error" },
+                { properties: { code: { enum: codes } } },
+              ],
+            },
+          },
+        },
+      };
+      if (status === "429" || codes.includes("idempotency_in_progress")) {
+        response.headers = { "Retry-After": { $ref: "#/components/headers/RetryAfter" } };
+      }
+      return [status, response];
+    })
+  );
+}
+
+function jsonContent(schema) {
+  return { "application/json": { schema } };
+}
+
+function submissionBody(form, { captcha, locales }) {
+  const schema = formJsonSchema(form);
+  schema.properties.formToken = {
+    type: "string",
+    description: "Token from GET /form-token; required when form tokens are enabled.",
+  };
+  schema.properties.locale = {
+    type: "string",
+    description:
+      `Language for response messages (${locales.join(", ")}); overrides Accept-Language. ` +
+      "Unsupported values are ignored.",
+  };
+  if (captcha) {
+    schema.properties.captchaToken = {
+      type: "string",
+      description: "CAPTCHA response token from the configured provider.",
+    };
+  }
+  return schema;
+}
+
+// HTML form posts carry the same fields plus the redirect pages, and get a 303.
+function submissionContent(schema) {
+  const formSchema = {
+    allOf: [
+      schema,
+      {
+        properties: {
+          successUrl: { type: "string", format: "uri" },
+          errorUrl: { type: "string", format: "uri" },
+        },
+      },
+    ],
+  };
+  return {
+    ...jsonContent(schema),
+    "application/x-www-form-urlencoded": { schema: formSchema },
+    "multipart/form-data": { schema: formSchema },
+  };
+}
+
+const FORM_POST_REDIRECT = {
+  303: {
+    description:
+      "HTML form post: redirect to the success or error page, with `status`, `code`, " +
+      "`message`, `requestId`, booking ids and `fieldErrors.<name>` in the query string",
+    headers: { Location: { schema: { type: "string", format: "uri" } } },
+  },
+};
+
+/**
+ * Builds the document. `contactForm` / `bookingForm` are the form
+ * definitions behind POST /contact and POST /booking; `forms` those served
+ * by /forms/{formId}, the contact form included; `bookingTypes` the
+ * meeting-type ids; `formTokens` whether GET /form-token issues tokens;
+ * `formTokenErrors` (`{ statusCode, code }`) and `bookingConflicts` the
+ * codes those checks can return; `captchaRoutes` the routes with a CAPTCHA
+ * configured; `attachments` the upload limits
+ * (`{ maxFiles, maxBytes, types }`), or null when uploads are off;
+ * `locales` the languages response messages are available in.
+ */
+export function buildOpenApiDocument({
+  contactForm,
+  bookingForm,
+  forms = [],
+  bookingTypes,
+  defaultBookingType,
+  availabilityDefaultDays,
+  availabilityMaxDays,
+  maxBodyBytes,
+  formTokens = false,
+  formTokenErrors = [],
+  bookingConflicts = [],
+  captchaRoutes = [],
+  attachments = null,
+  locales = ["en"],
+}) {
+  const tokenErrors = {};
+  for (const { statusCode, code } of formTokenErrors) {
+    (tokenErrors[statusCode] ||= []).push(code);
+  }
+  const postErrors = (extra = {}) =>
+    errorResponses(
+      mergeErrors(
+        ORIGIN_ERRORS,
+        JSON_BODY_ERRORS,
+        IDEMPOTENCY_ERRORS,
+        tokenErrors,
+        SUBMISSION_ERRORS,
+        extra
+      )
+    );
+
+  const bookingRequest = submissionBody(bookingForm, {
+    captcha: captchaRoutes.includes("booking"),
+    locales,
+  });
+  bookingRequest.properties.bookingType = {
+    ...bookingRequest.properties.bookingType,
+    enum: ["", ...bookingTypes],
+    description: `Meeting type id from GET /booking-types; empty means ${defaultBookingType}.`,
+  };
+  bookingRequest.properties.timezone.description =
+    "The guest's IANA time zone (e.g. Australia/Sydney), used in their confirmation.";
+  bookingRequest.properties.slotStart.description =
+    "Start of a slot listed by GET /availability, as a UTC ISO timestamp.";
+
+  const contactRequest = submissionBody(contactForm, {
+    captcha: captchaRoutes.includes("contact"),
+    locales,
+  });
+  if (attachments) {
+    contactRequest.properties.attachments = {
+      type: "array",
+      maxItems: attachments.maxFiles,
+      items: { type: "string" },
+      description: "Keys returned by POST /contact/attachments, after each file is uploaded.",
+    };
+  }
+
+  // POST /forms/contact is POST /contact; other forms have their own fields.
+  const formRequests = forms.map((form) => ({
+    title: form.id,
+    ...(form.id === contactForm.id
+      ? contactRequest
+      : submissionBody(form, { captcha: captchaRoutes.includes(`form:${form.id}`), locales })),
+  }));
+  const contactErrors = attachments ? { 503: ["attachment_scan_unavailable"] } : {};
+  const formIdParameter = {
+    name: "formId",
+    in: "path",
+    required: true,
+    schema: { type: "string", enum: forms.map((form) => form.id) },
+  };
+  const formNotFound = { 404: ["form_not_found"] };
+
+  const headerParameters = [
+    { $ref: "#/components/parameters/Origin" },
+    { $ref: "#/components/parameters/IdempotencyKey" },
+    { $ref: "#/components/parameters/AcceptLanguage" },
+  ];
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: "WaterApps contact and booking API",
+      version: "1.0.0",
+      description:
+        `JSON request bodies are limited to ${maxBodyBytes} bytes. ` +
+        "Field values are trimmed before validation; failed fields are listed in `fieldErrors`.",
+    },
+    paths: {
+      "/health": {
+        get: {
+          operationId: "getHealth",
+          summary: "Service health",
+          responses: {
+            200: {
+              description: "Service is up",
+              content: jsonContent({ $ref: "#/components/schemas/Health" }),
+            },
+          },
+        },
+      },
+      ...(formTokens && {
+        "/form-token": {
+          get: {
+            operationId: "getFormToken",
+            summary: "Issue a form token for the next submission",
+            parameters: [{ $ref: "#/components/parameters/Origin" }],
+            responses: {
+              200: {
+                description: "Token to send as `formToken` between `notBefore` and `expiresAt`",
+                content: jsonContent({ $ref: "#/components/schemas/FormToken" }),
+              },
+              ...errorResponses(ORIGIN_ERRORS),
+            },
+          },
+        },
+      }),
+      "/contact": {
+        post: {
+          operationId: "submitContact",
+          summary: "Send a contact enquiry",
+          parameters: headerParameters,
+          requestBody: {
+            required: true,
+            content: submissionContent(contactRequest),
+          },
+          responses: {
+            200: {
+              description: "Enquiry received and the owner notified",
+              content: jsonContent({ $ref: "#/components/schemas/ContactResult" }),
+            },
+            202: {
+              description: "Enquiry saved; the notification email is queued for retry",
+              content: jsonContent({ $ref: "#/components/schemas/ContactResult" }),
+            },
+            ...FORM_POST_REDIRECT,
+            ...postErrors(contactErrors),
+          },
+        },
+      },
+      ...(attachments && {
+        "/contact/attachments": {
+          post: {
+            operationId: "presignContactAttachment",
+            summary: "Get an upload URL for a contact attachment",
+            description:
+              "PUT the file to `uploadUrl` with the returned headers before it expires, " +
+              "then list `key` in the enquiry's `attachments`.",
+            parameters: [
+              { $ref: "#/components/parameters/Origin" },
+              { $ref: "#/components/parameters/AcceptLanguage" },
+            ],
+            requestBody: {
+              required: true,
+              content: jsonContent({
+                type: "object",
+                required: ["filename", "contentType", "size"],
+                properties: {
+                  filename: { type: "string", maxLength: 200 },
+                  contentType: { type: "string", enum: attachments.types },
+                  size: { type: "integer", minimum: 1, maximum: attachments.maxBytes },
+                },
+              }),
+            },
+            responses: {
+              200: {
+                description: "Presigned upload",
+                content: jsonContent({ $ref: "#/components/schemas/AttachmentUpload" }),
+              },
+              ...errorResponses(
+                mergeErrors(ORIGIN_ERRORS, JSON_BODY_ERRORS, {
+                  400: ["validation_failed"],
+                  429: ["rate_limited"],
+                  500: ["internal_error"],
+                })
+              ),
+            },
+          },
+        },
+      }),
+      ...(forms.length > 0 && {
+        "/forms/{formId}": {
+          get: {
+            operationId: "getForm",
+            summary: "Describe a form's fields",
+            parameters: [formIdParameter],
+            responses: {
+              200: {
+                description: "The form's title, description and fields",
+                content: jsonContent({ $ref: "#/components/schemas/FormDescription" }),
+              },
+              ...errorResponses(formNotFound),
+            },
+          },
+          post: {
+            operationId: "submitForm",
+            summary: "Submit a form",
+            description:
+              "The body holds the fields of the form named by `formId`: the schema titled " +
+              "with that id. POST /forms/contact behaves exactly like POST /contact.",
+            parameters: [formIdParameter, ...headerParameters],
+            requestBody: {
+              required: true,
+              content: submissionContent({ anyOf: formRequests }),
+            },
+            responses: {
+              200: {
+                description: "Submission received and the owner notified",
+                content: jsonContent({ $ref: "#/components/schemas/ContactResult" }),
+              },
+              202: {
+                description: "Submission saved; the notification email is queued for retry",
+                content: jsonContent({ $ref: "#/components/schemas/ContactResult" }),
+              },
+              ...FORM_POST_REDIRECT,
+              ...postErrors(mergeErrors(formNotFound, contactErrors)),
+            },
+          },
+        },
+      }),
+      "/booking-types": {
+        get: {
+          operationId: "getBookingTypes",
+          summary: "List the meeting types",
+          responses: {
+            200: {
+              description: "Meeting types and their booking rules",
+              content: jsonContent({ $ref: "#/components/schemas/BookingTypes" }),
+            },
+          },
+        },
+      },
+      "/availability": {
+        get: {
+          operationId: "getAvailability",
+          summary: "List open booking slots",
+          parameters: [
+            {
+              name: "type",
+              in: "query",
+              description: `Meeting type id; defaults to ${defaultBookingType}.`,
+              schema: { type: "string", enum: bookingTypes },
+            },
+            {
+              name: "days",
+              in: "query",
+              description:
+                `Number of days to list; values outside 1-${availabilityMaxDays} are clamped.`,
+              schema: {
+                type: "integer",
+                minimum: 1,
+                maximum: availabilityMaxDays,
+                default: availabilityDefaultDays,
+              },
+            },
+            {
+              name: "date",
+              in: "query",
+              description: "First day to list (a calendar date in `tz`); defaults to today.",
+              schema: { type: "string", format: "date", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+            },
+            {
+              name: "tz",
+              in: "query",
+              description: "IANA time zone for `local*` fields and day grouping.",
+              schema: { type: "string" },
+            },
+            { $ref: "#/components/parameters/AcceptLanguage" },
+          ],
+          responses: {
+            200: {
+              description: "Open slots",
+              content: jsonContent({ $ref: "#/components/schemas/Availability" }),
+            },
+            ...errorResponses(AVAILABILITY_ERRORS),
+          },
+        },
+      },
+      "/booking": {
+        post: {
+          operationId: "createBooking",
+          summary: "Book a slot",
+          parameters: headerParameters,
+          requestBody: { required: true, content: submissionContent(bookingRequest) },
+          responses: {
+            200: {
+              description: "Slot booked and every email sent",
+              content: jsonContent({ $ref: "#/components/schemas/BookingResult" }),
+            },
+            202: {
+              description: "Slot booked; an email is queued for retry",
+              content: jsonContent({ $ref: "#/components/schemas/BookingResult" }),
+            },
+            ...FORM_POST_REDIRECT,
+            ...postErrors({ 409: bookingConflicts }),
+          },
+        },
+      },
+    },
+    components: {
+      parameters: {
+        Origin: {
+          name: "Origin",
+          in: "header",
+          required: true,
+          description: "Must be one of the allowed website origins.",
+          schema: { type: "string" },
+        },
+        IdempotencyKey: {
+          name: "Idempotency-Key",
+          in: "header",
+          description: "Replays the stored response for a retry with the same body.",
+          schema: { type: "string", pattern: "^[\\x21-\\x7e]{1,255}$" },
+        },
+        AcceptLanguage: {
+          name: "Accept-Language",
+          in: "header",
+          description:
+            `Language for \`message\` and \`fieldErrors\` text: ${locales.join(", ")}; ` +
+            "anything else gets English. `code` and the `fieldErrors` keys never change.",
+          schema: { type: "string" },
+        },
+      },
+      headers: {
+        RetryAfter: {
+          description: "Seconds to wait before retrying.",
+          schema: { type: "string" },
+        },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["status", "code", "message", "requestId"],
+          properties: {
+            status: { const: "error" },
+            code: { type: "string" },
+            message: { type: "string" },
+            fieldErrors: {
+              type: "object",
+              description: "Message per failed field.",
+              additionalProperties: { type: "string" },
+            },
+            retryAfterSeconds: { type: "integer" },
+            requestId: { type: "string" },
+          },
+        },
+        Health: {
+          type: "object",
+          required: ["status", "service", "requestId", "timestamp"],
+          properties: {
+            status: { const: "ok" },
+            service: { type: "string" },
+            requestId: { type: "string" },
+            timestamp: { type: "string", format: "date-time" },
+          },
+        },
+        FormToken: {
+          type: "object",
+          required: ["status", "formToken", "issuedAt", "notBefore", "expiresAt", "requestId"],
+          properties: {
+            status: { const: "success" },
+            formToken: { type: "string" },
+            issuedAt: { type: "string", format: "date-time" },
+            notBefore: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time" },
+            honeypotField: {
+              type: "string",
+              description: "Hidden field to render and leave empty, when a honeypot is set.",
+            },
+            requestId: { type: "string" },
+          },
+        },
+        FormDescription: {
+          type: "object",
+          required: ["status", "form", "requestId"],
+          properties: {
+            status: { const: "success" },
+            form: {
+              type: "object",
+              required: ["id", "title", "fields"],
+              properties: {
+                id: { type: "string", enum: forms.map((form) => form.id) },
+                title: { type: "string" },
+                description: { type: "string" },
+                fields: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    required: ["name", "label", "type", "required"],
+                    properties: {
+                      name: { type: "string" },
+                      label: { type: "string" },
+                      type: { type: "string" },
+                      required: { type: "boolean" },
+                      minLength: { type: "integer" },
+                      maxLength: { type: "integer" },
+                      min: { type: "number" },
+                      max: { type: "number" },
+                      pattern: { type: "string" },
+                      options: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          required: ["value", "label"],
+                          properties: { value: { type: "string" }, label: { type: "string" } },
+                        },
+                      },
+                      multiple: { type: "boolean" },
+                      placeholder: { type: "string" },
+                      help: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
+        ContactResult: {
+          type: "object",
+          required: ["status", "message", "requestId"],
+          properties: {
+            status: { enum: ["success", "accepted"] },
+            message: { type: "string" },
+            acknowledgementSent: { type: "boolean" },
+            requestId: { type: "string" },
+          },
+        },
+        AttachmentUpload: {
+          type: "object",
+          required: ["status", "attachment", "requestId"],
+          properties: {
+            status: { const: "success" },
+            attachment: {
+              type: "object",
+              required: ["key", "filename", "uploadUrl", "method", "headers", "expiresAt"],
+              properties: {
+                key: { type: "string" },
+                filename: { type: "string" },
+                contentType: { type: "string" },
+                size: { type: "integer" },
+                uploadUrl: { type: "string", format: "uri" },
+                method: { const: "PUT" },
+                headers: { type: "object", additionalProperties: { type: "string" } },
+                expiresAt: { type: "string", format: "date-time" },
+              },
+            },
+            maxFiles: { type: "integer" },
+            maxTotalBytes: { type: "integer" },
+            requestId: { type: "string" },
+          },
+        },
+        BookingTypes: {
+          type: "object",
+          required: ["status", "businessTimezone", "defaultType", "types", "requestId"],
+          properties: {
+            status: { const: "success" },
+            businessTimezone: { type: "string" },
+            defaultType: { type: "string", enum: bookingTypes },
+            types: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["id", "title", "durationMinutes", "workdays", "dayStart", "dayEnd"],
+                properties: {
+                  id: { type: "string", enum: bookingTypes },
+                  title: { type: "string" },
+                  description: { type: "string" },
+                  durationMinutes: { type: "integer" },
+                  workdays: {
+                    type: "array",
+                    items: { type: "integer", minimum: 0, maximum: 6 },
+                  },
+                  dayStart: { type: "string", pattern: "^\\d{2}:\\d{2}$" },
+                  dayEnd: { type: "string", pattern: "^\\d{2}:\\d{2}$" },
+                  minLeadMinutes: { type: "integer" },
+                  lookaheadDays: { type: "integer" },
+                  bufferBeforeMinutes: { type: "integer" },
+                  bufferAfterMinutes: { type: "integer" },
+                },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
+        Slot: {
+          type: "object",
+          required: ["slotStart", "slotEnd", "localStart", "localEnd", "localDate"],
+          properties: {
+            slotStart: { type: "string", format: "date-time" },
+            slotEnd: { type: "string", format: "date-time" },
+            localStart: { type: "string" },
+            localEnd: { type: "string" },
+            localDate: { type: "string", format: "date" },
+          },
+        },
+        Availability: {
+          type: "object",
+          required: [
+            "status",
+            "bookingType",
+            "slotDurationMinutes",
+            "timezone",
+            "businessTimezone",
+            "displayTimezone",
+            "slots",
+            "days",
+            "requestId",
+          ],
+          properties: {
+            status: { const: "success" },
+            bookingType: { type: "string", enum: bookingTypes },
+            slotDurationMinutes: { type: "integer" },
+            timezone: { const: "UTC" },
+            businessTimezone: { type: "string" },
+            displayTimezone: { type: "string" },
+            slots: { type: "array", items: { $ref: "#/components/schemas/Slot" } },
+            days: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["date", "slots"],
+                properties: {
+                  date: { type: "string", format: "date" },
+                  slots: { type: "array", items: { $ref: "#/components/schemas/Slot" } },
+                },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
+        BookingResult: {
+          type: "object",
+          required: [
+            "status",
+            "message",
+            "bookingId",
+            "bookingType",
+            "slotStart",
+            "slotEnd",
+            "notificationSent",
+            "confirmationSent",
+            "requestId",
+          ],
+          properties: {
+            status: { enum: ["success", "accepted"] },
+            message: { type: "string" },
+            bookingId: { type: "string" },
+            bookingType: { type: "string", enum: bookingTypes },
+            slotStart: { type: "string", format: "date-time" },
+            slotEnd: { type: "string", format: "date-time" },
+            notificationSent: { type: "boolean" },
+            confirmationSent: { type: "boolean" },
+            manageLinks: {
+              type: "object",
+              description: "Signed self-service links, when booking links are enabled.",
+              properties: {
+                cancelUrl: { type: "string", format: "uri" },
+                rescheduleUrl: { type: "string", format: "uri" },
+              },
+            },
+            requestId: { type: "string" },
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,215 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOKING_FORM, CONTACT_FORM, parseFormDefinitions } from "./form-definitions.mjs";
+import { buildOpenApiDocument } from "./openapi.mjs";
+
+const document = buildOpenApiDocument({
+  contactForm: CONTACT_FORM,
+  bookingForm: BOOKING_FORM,
+  bookingTypes: ["DISCOVERY_30M", "ARCH_REVIEW_60M"],
+  defaultBookingType: "DISCOVERY_30M",
+  availabilityDefaultDays: 7,
+  availabilityMaxDays: 21,
+  maxBodyBytes: 16384,
+  formTokenErrors: [
+    { statusCode: 403, code: "invalid_form_token" },
+    { statusCode: 410, code: "form_token_expired" },
+  ],
+  bookingConflicts: ["slot_taken", "buffer_conflict"],
+  captchaRoutes: ["booking"],
+});
+
+function bodySchema(path) {
+  return document.paths[path].post.requestBody.content["application/json"].schema;
+}
+
+function errorCodes(path, method, status) {
+  const { schema } = document.paths[path][method].responses[status].content["application/json"];
+  return schema.allOf[1].properties.code.enum;
+}
+
+test("describes the public routes as OpenAPI 3.1", () => {
+  assert.equal(document.openapi, "3.1.0");
+  assert.deepEqual(Object.keys(document.paths), [
+    "/health",
+    "/contact",
+    "/booking-types",
+    "/availability",
+    "/booking",
+  ]);
+  assert.match(document.info.description, /16384 bytes/);
+});
+
+test("builds request bodies from the form definitions", () => {
+  const contact = bodySchema("/contact");
+  assert.deepEqual(contact.required, ["name", "email", "message"]);
+  assert.deepEqual(contact.properties.name, {
+    title: "Name",
+    type: "string",
+    minLength: 2,
+    maxLength: 120,
+  });
+  assert.equal(contact.properties.phone.pattern, "^(?:[\\d\\s()+\\-./]{6,30})?$");
+  assert.match(contact.properties.message.description, /more than 3 links/);
+  assert.equal(contact.properties.formToken.type, "string");
+  assert.equal(contact.properties.captchaToken, undefined);
+
+  const booking = bodySchema("/booking");
+  assert.deepEqual(booking.required, ["name", "email", "slotStart"]);
+  assert.deepEqual(booking.properties.bookingType.enum, ["", "DISCOVERY_30M", "ARCH_REVIEW_60M"]);
+  assert.equal(booking.properties.notes.maxLength, 1500);
+  assert.equal(booking.properties.captchaToken.type, "string");
+
+  const { content } = document.paths["/booking"].post.requestBody;
+  const formSchema = content["application/x-www-form-urlencoded"].schema;
+  assert.equal(formSchema.allOf[0], booking);
+  assert.equal(formSchema.allOf[1].properties.successUrl.format, "uri");
+  assert.equal(content["multipart/form-data"].schema, formSchema);
+  assert.ok(document.paths["/contact"].post.responses["303"].headers.Location);
+});
+
+test("lists the error codes each route can return", () => {
+  assert.deepEqual(errorCodes("/contact", "post", "400"), [
+    "invalid_json",
+    "invalid_payload",
+    "invalid_idempotency_key",
+    "validation_failed",
+    "form_token_required",
+    "captcha_failed",
+  ]);
+  assert.deepEqual(errorCodes("/contact", "post", "403"), [
+    "origin_required",
+    "origin_not_allowed",
+    "invalid_form_token",
+  ]);
+  assert.deepEqual(errorCodes("/contact", "post", "410"), ["form_token_expired"]);
+  assert.deepEqual(errorCodes("/booking", "post", "409"), [
+    "idempotency_in_progress",
+    "form_token_reused",
+    "slot_taken",
+    "buffer_conflict",
+  ]);
+  assert.equal(errorCodes("/contact", "post", "409").includes("slot_taken"), false);
+  assert.deepEqual(errorCodes("/availability", "get", "400"), [
+    "invalid_booking_type",
+    "invalid_timezone",
+    "invalid_date",
+  ]);
+  assert.ok(document.paths["/booking"].post.responses["429"].headers["Retry-After"]);
+});
+
+test("documents the availability query parameters", () => {
+  const params = Object.fromEntries(
+    document.paths["/availability"].get.parameters.map((param) => [param.name, param.schema])
+  );
+  assert.deepEqual(params.days, { type: "integer", minimum: 1, maximum: 21, default: 7 });
+  assert.equal(params.date.format, "date");
+  assert.deepEqual(params.type.enum, ["DISCOVERY_30M", "ARCH_REVIEW_60M"]);
+});
+
+test("adds the attachment upload route when attachments are enabled", () => {
+  assert.equal(bodySchema("/contact").properties.attachments, undefined);
+
+  const withAttachments = buildOpenApiDocument({
+    contactForm: CONTACT_FORM,
+    bookingForm: BOOKING_FORM,
+    bookingTypes: ["DISCOVERY_30M"],
+    defaultBookingType: "DISCOVERY_30M",
+    availabilityDefaultDays: 7,
+    availabilityMaxDays: 21,
+    maxBodyBytes: 16384,
+    attachments: { maxFiles: 3, maxBytes: 1048576, types: ["application/pdf"] },
+  });
+  const contact = withAttachments.paths["/contact"].post;
+  const { schema } = contact.requestBody.content["application/json"];
+  assert.equal(schema.properties.attachments.maxItems, 3);
+  assert.deepEqual(
+    contact.responses["503"].content["application/json"].schema.allOf[1].properties.code.enum,
+    ["captcha_failed", "attachment_scan_unavailable"]
+  );
+
+  const upload = withAttachments.paths["/contact/attachments"].post;
+  const uploadBody = upload.requestBody.content["application/json"].schema;
+  assert.deepEqual(uploadBody.properties.contentType.enum, ["application/pdf"]);
+  assert.equal(uploadBody.properties.size.maximum, 1048576);
+  assert.ok(withAttachments.components.schemas.AttachmentUpload);
+});
+
+test("documents the response languages", () => {
+  assert.equal(bodySchema("/contact").properties.locale.type, "string");
+  assert.equal(bodySchema("/booking").properties.locale.type, "string");
+  const operations = [
+    document.paths["/contact"].post,
+    document.paths["/booking"].post,
+    document.paths["/availability"].get,
+  ];
+  for (const operation of operations) {
+    assert.ok(
+      operation.parameters.some((param) => param.$ref === "#/components/parameters/AcceptLanguage"),
+      operation.operationId
+    );
+  }
+  const withJapanese = buildOpenApiDocument({
+    contactForm: CONTACT_FORM,
+    bookingForm: BOOKING_FORM,
+    bookingTypes: ["DISCOVERY_30M"],
+    defaultBookingType: "DISCOVERY_30M",
+    availabilityDefaultDays: 7,
+    availabilityMaxDays: 21,
+    maxBodyBytes: 16384,
+    locales: ["en", "ja"],
+  });
+  assert.match(withJapanese.components.parameters.AcceptLanguage.description, /en, ja/);
+});
+
+test("describes /form-token and each form when they are configured", () => {
+  const [survey] = parseFormDefinitions([
+    {
+      id: "survey",
+      title: "Survey",
+      fields: [{ name: "rating", label: "Rating", type: "number", required: true, max: 5 }],
+    },
+  ]);
+  const withForms = buildOpenApiDocument({
+    contactForm: CONTACT_FORM,
+    bookingForm: BOOKING_FORM,
+    forms: [CONTACT_FORM, survey],
+    bookingTypes: ["DISCOVERY_30M"],
+    defaultBookingType: "DISCOVERY_30M",
+    availabilityDefaultDays: 7,
+    availabilityMaxDays: 21,
+    maxBodyBytes: 16384,
+    formTokens: true,
+    captchaRoutes: ["form:survey"],
+  });
+  assert.deepEqual(Object.keys(withForms.paths), [
+    "/health",
+    "/form-token",
+    "/contact",
+    "/forms/{formId}",
+    "/booking-types",
+    "/availability",
+    "/booking",
+  ]);
+  assert.ok(withForms.paths["/form-token"].get.responses["403"]);
+
+  const form = withForms.paths["/forms/{formId}"];
+  assert.deepEqual(form.get.parameters[0].schema.enum, ["contact", "survey"]);
+  assert.ok(form.get.responses["404"]);
+  const { anyOf } = form.post.requestBody.content["application/json"].schema;
+  assert.deepEqual(
+    anyOf.map((schema) => [schema.title, schema.required]),
+    [
+      ["contact", ["name", "email", "message"]],
+      ["survey", ["rating"]],
+    ]
+  );
+  assert.equal(anyOf[1].properties.rating.maximum, 5);
+  assert.equal(anyOf[1].properties.captchaToken.type, "string");
+  assert.equal(anyOf[0].properties.captchaToken, undefined);
+  assert.deepEqual(
+    form.post.responses["404"].content["application/json"].schema.allOf[1].properties.code.enum,
+    ["form_not_found"]
+  );
+});
@@ -0,0 +1,274 @@
+/**
+ * Notification outbox persistence
+ *
+ * Every notification email is saved as a `pending` message before it is
+ * sent. A message becomes `sent`, is rescheduled with a later
+ * `next_attempt_at`, or after its last attempt becomes `dead` (the
+ * dead-letter record). Messages live in the `outbox` table (hash key
+ * `message_id`); due and dead messages are found through the
+ * `status-next-attempt-index` GSI. Sent and dead messages expire via TTL.
+ *
+ * A worker claims a pending message by pushing its `next_attempt_at` past
+ * the lock time with a conditional update, so two workers never send it at
+ * once.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const STATUS_INDEX_NAME = "status-next-attempt-index";
+
+function expiresAt(date, retentionDays) {
+  return Math.floor(new Date(date).getTime() / 1000) + retentionDays * 24 * 60 * 60;
+}
+
+function toItem(message) {
+  return {
+    message_id: message.messageId,
+    kind: message.kind,
+    payload: JSON.stringify(message.payload),
+    request_id: message.requestId,
+    status: "pending",
+    attempts: 0,
+    created_at: message.createdAt,
+    next_attempt_at: message.lockedUntil,
+  };
+}
+
+function fromItem(item) {
+  return {
+    messageId: item.message_id,
+    kind: item.kind,
+    payload: JSON.parse(item.payload),
+    requestId: item.request_id,
+    status: item.status,
+    attempts: item.attempts,
+    createdAt: item.created_at,
+    nextAttemptAt: item.next_attempt_at,
+    lastError: item.last_error,
+    sentAt: item.sent_at,
+    deadAt: item.dead_at,
+  };
+}
+
+export function createMemoryOutboxStore({ retentionDays = 30 } = {}) {
+  const items = new Map();
+
+  function update(messageId, fields) {
+    const item = items.get(messageId);
+    if (item) Object.assign(item, fields);
+  }
+
+  function byStatus(status) {
+    return [...items.values()]
+      .filter((item) => item.status === status)
+      .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at));
+  }
+
+  return {
+    async saveMessage(message) {
+      items.set(message.messageId, toItem(message));
+    },
+
+    async claimMessage({ messageId, now, lockedUntil }) {
+      const item = items.get(messageId);
+      if (!item || item.status !== "pending" || item.next_attempt_at > now) return false;
+      item.next_attempt_at = lockedUntil;
+      return true;
+    },
+
+    async markSent({ messageId, attempts, sentAt }) {
+      update(messageId, {
+        status: "sent",
+        attempts,
+        sent_at: sentAt,
+        expires_at: expiresAt(sentAt, retentionDays),
+      });
+    },
+
+    async markRetry({ messageId, attempts, nextAttemptAt, lastError }) {
+      update(messageId, { attempts, next_attempt_at: nextAttemptAt, last_error: lastError });
+    },
+
+    async markDead({ messageId, attempts, lastError, deadAt }) {
+      update(messageId, {
+        status: "dead",
+        attempts,
+        last_error: lastError,
+        dead_at: deadAt,
+        expires_at: expiresAt(deadAt, retentionDays),
+      });
+    },
+
+    async listDue({ now, limit }) {
+      return byStatus("pending")
+        .filter((item) => item.next_attempt_at <= now)
+        .slice(0, limit)
+        .map(fromItem);
+    },
+
+    async listDead({ limit }) {
+      return byStatus("dead").slice(0, limit).map(fromItem);
+    },
+
+    async replayMessage({ messageId, now }) {
+      const item = items.get(messageId);
+      if (!item || item.status !== "dead") return false;
+      Object.assign(item, { status: "pending", attempts: 0, next_attempt_at: now });
+      delete item.dead_at;
+      delete item.expires_at;
+      return true;
+    },
+  };
+}
+
+export function createDynamoOutboxStore({
+  tableName,
+  retentionDays = 30,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  async function conditionalUpdate(input) {
+    try {
+      await client.send(new UpdateCommand({ TableName: tableName, ...input }));
+      return true;
+    } catch (err) {
+      if (err?.name === "ConditionalCheckFailedException") return false;
+      throw err;
+    }
+  }
+
+  async function queryStatus({ status, now, limit }) {
+    const page = await client.send(
+      new QueryCommand({
+        TableName: tableName,
+        IndexName: STATUS_INDEX_NAME,
+        KeyConditionExpression: now
+          ? "#status = :status AND next_attempt_at <= :now"
+          : "#status = :status",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: { ":status": status, ...(now ? { ":now": now } : {}) },
+        Limit: limit,
+      })
+    );
+    return (page.Items || []).map(fromItem);
+  }
+
+  return {
+    async saveMessage(message) {
+      await client.send(
+        new PutCommand({
+          TableName: tableName,
+          Item: toItem(message),
+          ConditionExpression: "attribute_not_exists(message_id)",
+        })
+      );
+    },
+
+    async claimMessage({ messageId, now, lockedUntil }) {
+      return conditionalUpdate({
+        Key: { message_id: messageId },
+        UpdateExpression: "SET next_attempt_at = :lockedUntil",
+        ConditionExpression: "#status = :pending AND next_attempt_at <= :now",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":pending": "pending",
+          ":now": now,
+          ":lockedUntil": lockedUntil,
+        },
+      });
+    },
+
+    async markSent({ messageId, attempts, sentAt }) {
+      await client.send(
+        new UpdateCommand({
+          TableName: tableName,
+          Key: { message_id: messageId },
+          UpdateExpression:
+            "SET #status = :sent, attempts = :attempts, sent_at = :sentAt, expires_at = :expiresAt",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":sent": "sent",
+            ":attempts": attempts,
+            ":sentAt": sentAt,
+            ":expiresAt": expiresAt(sentAt, retentionDays),
+          },
+        })
+      );
+    },
+
+    async markRetry({ messageId, attempts, nextAttemptAt, lastError }) {
+      await client.send(
+        new UpdateCommand({
+          TableName: tableName,
+          Key: { message_id: messageId },
+          UpdateExpression:
+            "SET attempts = :attempts, next_attempt_at = :nextAttemptAt, last_error = :lastError",
+          ExpressionAttributeValues: {
+            ":attempts": attempts,
+            ":nextAttemptAt": nextAttemptAt,
+            ":lastError": lastError,
+          },
+        })
+      );
+    },
+
+    async markDead({ messageId, attempts, lastError, deadAt }) {
+      await client.send(
+        new UpdateCommand({
+          TableName: tableName,
+          Key: { message_id: messageId },
+          UpdateExpression:
+            "SET #status = :dead, attempts = :attempts, last_error = :lastError, dead_at = :deadAt, expires_at = :expiresAt",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":dead": "dead",
+            ":attempts": attempts,
+            ":lastError": lastError,
+            ":deadAt": deadAt,
+            ":expiresAt": expiresAt(deadAt, retentionDays),
+          },
+        })
+      );
+    },
+
+    async listDue({ now, limit }) {
+      return queryStatus({ status: "pending", now, limit });
+    },
+
+    async listDead({ limit }) {
+      return queryStatus({ status: "dead", limit });
+    },
+
+    async replayMessage({ messageId, now }) {
+      return conditionalUpdate({
+        Key: { message_id: messageId },
+        UpdateExpression:
+          "SET #status = :pending, attempts = :zero, next_attempt_at = :now REMOVE dead_at, expires_at",
+        ConditionExpression: "#status = :dead",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":pending": "pending",
+          ":dead": "dead",
+          ":zero": 0,
+          ":now": now,
+        },
+      });
+    },
+  };
+}
+
+export function createOutboxStore({ tableName, retentionDays } = {}) {
+  if (tableName) {
+    return createDynamoOutboxStore({ tableName, retentionDays });
+  }
+  return createMemoryOutboxStore({ retentionDays });
+}
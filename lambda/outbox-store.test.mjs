@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createDynamoOutboxStore, createMemoryOutboxStore } from "./outbox-store.mjs";
+
+const message = {
+  messageId: "msg-1",
+  kind: "contact-owner",
+  payload: { name: "Jane Tester", email: "jane@example.com" },
+  requestId: "req-1",
+  createdAt: "2030-03-01T00:00:00.000Z",
+  lockedUntil: "2030-03-01T00:01:00.000Z",
+};
+
+test("memory store holds new messages until their lock passes", async () => {
+  const store = createMemoryOutboxStore();
+  await store.saveMessage(message);
+
+  assert.deepEqual(await store.listDue({ now: "2030-03-01T00:00:30.000Z", limit: 10 }), []);
+  const [due] = await store.listDue({ now: "2030-03-01T00:01:00.000Z", limit: 10 });
+  assert.equal(due.status, "pending");
+  assert.equal(due.attempts, 0);
+  assert.deepEqual(due.payload, message.payload);
+
+  const claim = { messageId: "msg-1", now: "2030-03-01T00:01:00.000Z", lockedUntil: "2030-03-01T00:02:00.000Z" };
+  assert.equal(await store.claimMessage(claim), true);
+  assert.equal(await store.claimMessage(claim), false);
+});
+
+test("memory store lists dead messages and replays them once", async () => {
+  const store = createMemoryOutboxStore({ retentionDays: 7 });
+  await store.saveMessage(message);
+  await store.markDead({
+    messageId: "msg-1",
+    attempts: 5,
+    lastError: "Throttling: slow down",
+    deadAt: "2030-03-01T02:00:00.000Z",
+  });
+
+  const [dead] = await store.listDead({ limit: 10 });
+  assert.equal(dead.status, "dead");
+  assert.equal(dead.lastError, "Throttling: slow down");
+
+  const now = "2030-03-02T00:00:00.000Z";
+  assert.equal(await store.replayMessage({ messageId: "msg-1", now }), true);
+  assert.equal(await store.replayMessage({ messageId: "msg-1", now }), false);
+  const [due] = await store.listDue({ now, limit: 10 });
+  assert.equal(due.attempts, 0);
+  assert.equal(due.deadAt, undefined);
+  assert.deepEqual(await store.listDead({ limit: 10 }), []);
+});
+
+test("dynamo store saves JSON payloads and queries the status index", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command);
+      if (command.constructor.name === "QueryCommand") {
+        return {
+          Items: [
+            {
+              message_id: "msg-1",
+              kind: "contact-owner",
+              payload: JSON.stringify(message.payload),
+              request_id: "req-1",
+              status: "pending",
+              attempts: 1,
+              next_attempt_at: "2030-03-01T00:01:00.000Z",
+            },
+          ],
+        };
+      }
+      return {};
+    },
+  };
+  const store = createDynamoOutboxStore({ tableName: "outbox", retentionDays: 30, client });
+
+  await store.saveMessage(message);
+  const [due] = await store.listDue({ now: "2030-03-01T00:05:00.000Z", limit: 10 });
+  await store.listDead({ limit: 5 });
+  await store.markSent({ messageId: "msg-1", attempts: 2, sentAt: "2030-03-01T00:05:00.000Z" });
+
+  const [put, dueQuery, deadQuery, sent] = commands.map((command) => command.input);
+  assert.equal(put.Item.payload, JSON.stringify(message.payload));
+  assert.equal(put.Item.status, "pending");
+  assert.equal(put.Item.next_attempt_at, message.lockedUntil);
+  assert.equal(put.ConditionExpression, "attribute_not_exists(message_id)");
+
+  assert.equal(dueQuery.IndexName, "status-next-attempt-index");
+  assert.equal(dueQuery.KeyConditionExpression, "#status = :status AND next_attempt_at <= :now");
+  assert.deepEqual(dueQuery.ExpressionAttributeValues, {
+    ":status": "pending",
+    ":now": "2030-03-01T00:05:00.000Z",
+  });
+  assert.deepEqual(due.payload, message.payload);
+  assert.equal(due.attempts, 1);
+
+  assert.equal(deadQuery.KeyConditionExpression, "#status = :status");
+  assert.equal(deadQuery.ExpressionAttributeValues[":status"], "dead");
+  assert.equal(deadQuery.Limit, 5);
+
+  assert.equal(sent.ExpressionAttributeValues[":sent"], "sent");
+  assert.equal(
+    sent.ExpressionAttributeValues[":expiresAt"],
+    Math.floor(Date.parse("2030-03-01T00:05:00.000Z") / 1000) + 30 * 24 * 60 * 60
+  );
+});
+
+test("dynamo store maps lost claims and replays to false", async () => {
+  const commands = [];
+  const client = {
+    async send(command) {
+      commands.push(command.input);
+      const err = new Error("The conditional request failed");
+      err.name = "ConditionalCheckFailedException";
+      throw err;
+    },
+  };
+  const store = createDynamoOutboxStore({ tableName: "outbox", client });
+
+  assert.equal(
+    await store.claimMessage({
+      messageId: "msg-1",
+      now: "2030-03-01T00:01:00.000Z",
+      lockedUntil: "2030-03-01T00:02:00.000Z",
+    }),
+    false
+  );
+  assert.equal(await store.replayMessage({ messageId: "msg-1", now: "2030-03-02T00:00:00.000Z" }), false);
+  assert.equal(commands[0].ConditionExpression, "#status = :pending AND next_attempt_at <= :now");
+  assert.equal(commands[1].ConditionExpression, "#status = :dead");
+  assert.match(commands[1].UpdateExpression, /REMOVE dead_at, expires_at$/);
+});
+
+test("dynamo store rethrows unexpected errors", async () => {
+  const client = {
+    async send() {
+      const err = new Error("Throughput exceeded");
+      err.name = "ProvisionedThroughputExceededException";
+      throw err;
+    },
+  };
+  const store = createDynamoOutboxStore({ tableName: "outbox", client });
+
+  await assert.rejects(
+    () =>
+      store.claimMessage({
+        messageId: "msg-1",
+        now: "2030-03-01T00:01:00.000Z",
+        lockedUntil: "2030-03-01T00:02:00.000Z",
+      }),
+    { name: "ProvisionedThroughputExceededException" }
+  );
+});
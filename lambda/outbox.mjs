@@ -0,0 +1,168 @@
+/**
+ * Outbox for notification emails and webhook deliveries
+ *
+ * Messages are saved in their own write, not in one transaction with the
+ * submission or booking they report; when the save fails the message is
+ * sent directly, once, without a retry.
+ *
+ * `enqueue` saves a message and makes the first attempt straight away, so
+ * the usual case costs one extra write. Failed attempts are retried by
+ * `processDue` (run on a schedule) after `baseDelaySeconds * 2^(attempt-1)`,
+ * capped at `maxDelaySeconds`. After `maxAttempts`, or at once when
+ * `isRetryable(err)` says the error is permanent, the message is
+ * dead-lettered; `replay` puts dead messages back in the queue.
+ *
+ * Messages are `{ kind, payload }`; `deliver(message)` does the sending and
+ * must be safe to call again with the same message. What it resolves to is
+ * returned as `result` with the "sent" outcome.
+ */
+
+import { randomUUID } from "node:crypto";
+
+function errorSummary(err) {
+  return `${err?.name || "Error"}: ${err?.message || "send failed"}`.slice(0, 300);
+}
+
+/**
+ * Returns `{ enqueue, processDue, listDead, replay }`.
+ */
+export function createOutbox({
+  store,
+  deliver,
+  maxAttempts = 5,
+  baseDelaySeconds = 60,
+  maxDelaySeconds = 3600,
+  lockSeconds = 60,
+  isRetryable = () => true,
+  now = () => new Date(),
+}) {
+  function lockUntil(from) {
+    return new Date(from.getTime() + lockSeconds * 1000).toISOString();
+  }
+
+  // A failed status write is reported, not thrown: the send already happened.
+  async function record(write) {
+    try {
+      await write();
+      return {};
+    } catch (recordError) {
+      return { recordError };
+    }
+  }
+
+  // Sends a claimed message and records the outcome: "sent", "retrying" or "dead".
+  async function attempt(message) {
+    const attempts = message.attempts + 1;
+    let result;
+    try {
+      result = await deliver(message);
+    } catch (err) {
+      const lastError = errorSummary(err);
+      if (attempts >= maxAttempts || !isRetryable(err)) {
+        const recorded = await record(() =>
+          store.markDead({
+            messageId: message.messageId,
+            attempts,
+            lastError,
+            deadAt: now().toISOString(),
+          })
+        );
+        return { status: "dead", attempts, error: err, ...recorded };
+      }
+      const delaySeconds = Math.min(baseDelaySeconds * 2 ** (attempts - 1), maxDelaySeconds);
+      const recorded = await record(() =>
+        store.markRetry({
+          messageId: message.messageId,
+          attempts,
+          nextAttemptAt: new Date(now().getTime() + delaySeconds * 1000).toISOString(),
+          lastError,
+        })
+      );
+      return { status: "retrying", attempts, error: err, ...recorded };
+    }
+    const recorded = await record(() =>
+      store.markSent({ messageId: message.messageId, attempts, sentAt: now().toISOString() })
+    );
+    return { status: "sent", attempts, result, ...recorded };
+  }
+
+  return {
+    /**
+     * Saves the message and attempts it once. Resolves to
+     * `{ messageId, status, error }` where status is "sent", "retrying",
+     * "dead", or "failed" when the message could not be saved and the direct
+     * send failed too (nothing will retry it). `result` is what `deliver`
+     * resolved to when the message was sent. `saveError` / `recordError`
+     * report outbox writes that failed.
+     */
+    async enqueue({ kind, payload, requestId }) {
+      const createdAt = now();
+      const message = {
+        messageId: randomUUID(),
+        kind,
+        payload,
+        requestId,
+        attempts: 0,
+        createdAt: createdAt.toISOString(),
+        // Held by this request until its first attempt is recorded.
+        lockedUntil: lockUntil(createdAt),
+      };
+
+      try {
+        await store.saveMessage(message);
+      } catch (saveError) {
+        try {
+          const result = await deliver(message);
+          return { messageId: null, status: "sent", result, saveError };
+        } catch (err) {
+          return { messageId: null, status: "failed", saveError, error: err };
+        }
+      }
+      return { messageId: message.messageId, ...(await attempt(message)) };
+    },
+
+    /**
+     * Attempts up to `limit` messages whose retry time has passed. Resolves to
+     * one `{ messageId, kind, requestId, status, attempts, error }` per
+     * message this worker claimed.
+     */
+    async processDue({ limit = 25 } = {}) {
+      const started = now();
+      const due = await store.listDue({ now: started.toISOString(), limit });
+      const results = [];
+      for (const message of due) {
+        const claimed = await store.claimMessage({
+          messageId: message.messageId,
+          now: started.toISOString(),
+          lockedUntil: lockUntil(started),
+        });
+        if (!claimed) continue;
+        const { messageId, kind, requestId } = message;
+        results.push({ messageId, kind, requestId, ...(await attempt(message)) });
+      }
+      return results;
+    },
+
+    async listDead({ limit = 25 } = {}) {
+      return store.listDead({ limit });
+    },
+
+    /**
+     * Moves dead messages back to pending so the next `processDue` sends
+     * them. With no ids, replays up to `limit` dead messages. Resolves to the
+     * ids that were replayed.
+     */
+    async replay({ messageIds, limit = 25 } = {}) {
+      const ids = messageIds?.length
+        ? messageIds
+        : (await store.listDead({ limit })).map((message) => message.messageId);
+      const replayed = [];
+      for (const messageId of ids) {
+        if (await store.replayMessage({ messageId, now: now().toISOString() })) {
+          replayed.push(messageId);
+        }
+      }
+      return replayed;
+    },
+  };
+}
@@ -0,0 +1,128 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createOutbox } from "./outbox.mjs";
+import { createMemoryOutboxStore } from "./outbox-store.mjs";
+
+function setup({ failures = [], ...options } = {}) {
+  let clock = new Date("2030-03-01T00:00:00Z");
+  const delivered = [];
+  const outbox = createOutbox({
+    store: createMemoryOutboxStore(),
+    async deliver(message) {
+      const failure = failures.shift();
+      if (failure) throw Object.assign(new Error(failure), { name: failure });
+      delivered.push(message);
+      return { delivered: delivered.length };
+    },
+    baseDelaySeconds: 60,
+    maxDelaySeconds: 300,
+    now: () => clock,
+    ...options,
+  });
+  return {
+    outbox,
+    delivered,
+    advance(seconds) {
+      clock = new Date(clock.getTime() + seconds * 1000);
+    },
+  };
+}
+
+test("sends on enqueue and leaves nothing due", async () => {
+  const { outbox, delivered } = setup();
+  const result = await outbox.enqueue({ kind: "contact-owner", payload: { name: "Jane" }, requestId: "req-1" });
+
+  assert.equal(result.status, "sent");
+  assert.equal(result.attempts, 1);
+  assert.deepEqual(result.result, { delivered: 1 });
+  assert.deepEqual(delivered[0].payload, { name: "Jane" });
+  assert.deepEqual(await outbox.processDue(), []);
+});
+
+test("retries with exponential backoff and a delay cap", async () => {
+  const { outbox, delivered, advance } = setup({
+    failures: ["Throttling", "Throttling", "Throttling", "Throttling"],
+    maxAttempts: 10,
+  });
+  const result = await outbox.enqueue({ kind: "contact-owner", payload: {}, requestId: "req-1" });
+  assert.equal(result.status, "retrying");
+
+  // Due after 60s, then 120s, then 240s, then capped at 300s.
+  for (const delay of [60, 120, 240]) {
+    advance(delay - 1);
+    assert.deepEqual(await outbox.processDue(), []);
+    advance(1);
+    const [run] = await outbox.processDue();
+    assert.equal(run.status, "retrying");
+  }
+  advance(300);
+  const [run] = await outbox.processDue();
+  assert.equal(run.status, "sent");
+  assert.equal(run.attempts, 5);
+  assert.equal(delivered.length, 1);
+});
+
+test("dead-letters after maxAttempts or a permanent error, and replays", async () => {
+  const { outbox, advance } = setup({
+    failures: ["Throttling", "Throttling", "MessageRejected"],
+    maxAttempts: 2,
+    isRetryable: (err) => err.name !== "MessageRejected",
+  });
+  await outbox.enqueue({ kind: "booking-owner", payload: {}, requestId: "req-1" });
+  advance(60);
+  const [run] = await outbox.processDue();
+  assert.equal(run.status, "dead");
+
+  const permanent = await outbox.enqueue({ kind: "booking-guest", payload: {}, requestId: "req-2" });
+  assert.equal(permanent.status, "dead");
+  assert.equal(permanent.attempts, 1);
+
+  const dead = await outbox.listDead();
+  assert.deepEqual(
+    dead.map((message) => [message.kind, message.lastError]),
+    [
+      ["booking-owner", "Throttling: Throttling"],
+      ["booking-guest", "MessageRejected: MessageRejected"],
+    ]
+  );
+
+  const replayed = await outbox.replay({ messageIds: [permanent.messageId, "missing"] });
+  assert.deepEqual(replayed, [permanent.messageId]);
+  const [retry] = await outbox.processDue();
+  assert.equal(retry.status, "sent");
+  assert.equal(retry.attempts, 1);
+  assert.equal((await outbox.listDead()).length, 1);
+});
+
+test("a locked message is not picked up by another run", async () => {
+  const { outbox, advance } = setup({ failures: ["Throttling"] });
+  await outbox.enqueue({ kind: "contact-owner", payload: {}, requestId: "req-1" });
+  advance(60);
+
+  const first = outbox.processDue();
+  const second = outbox.processDue();
+  const results = [...(await first), ...(await second)];
+  assert.equal(results.length, 1);
+});
+
+test("sends directly when the outbox cannot save the message", async () => {
+  const saveError = Object.assign(new Error("Table not found"), { name: "ResourceNotFoundException" });
+  const failingStore = {
+    ...createMemoryOutboxStore(),
+    async saveMessage() {
+      throw saveError;
+    },
+  };
+  const sent = setup({ store: failingStore });
+  const result = await sent.outbox.enqueue({ kind: "contact-owner", payload: {}, requestId: "req-1" });
+  assert.equal(result.status, "sent");
+  assert.deepEqual(result.result, { delivered: 1 });
+  assert.equal(result.saveError, saveError);
+
+  const lost = setup({ store: failingStore, failures: ["Throttling"] });
+  const failed = await lost.outbox.enqueue({ kind: "contact-owner", payload: {}, requestId: "req-2" });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.messageId, null);
+  assert.equal(failed.error.name, "Throttling");
+});
@@ -0,0 +1,193 @@
+/**
+ * Sliding-window rate limits per route and per caller
+ *
+ * Limits are set per route and per key (client IP, normalised email, origin):
+ *
+ *   {
+ *     "contact": { "ip": { "limit": 5, "windowSeconds": 600 }, "email": { "limit": 3, "windowSeconds": 3600 } },
+ *     "availability": { "ip": { "limit": 120, "windowSeconds": 60 } },
+ *     "form:quote": { "ip": { "limit": 2, "windowSeconds": 600 } }
+ *   }
+ *
+ * `form:<formId>` routes limit a /forms/{formId} form.
+ *
+ * Each key keeps a counter per fixed window. The sliding count is the current
+ * window plus the previous one weighted by how much of it still overlaps the
+ * sliding window. Keys are stored as HMAC-SHA256 digests under `keySecret`,
+ * so the table cannot be matched against a list of emails or IPs without it.
+ * Without a secret they are plain SHA-256 digests, which only pseudonymise:
+ * anyone with the table can hash candidate addresses and compare.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured), counters expire via TTL
+ * - In-memory (local runs and tests)
+ */
+
+import { createHash, createHmac } from "node:crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+export const RATE_LIMIT_ROUTES = ["contact", "attachments", "booking", "availability"];
+export const RATE_LIMIT_KEYS = ["ip", "email", "origin"];
+const FORM_ROUTE_RE = /^form:[a-z0-9][a-z0-9-]{1,39}$/;
+
+export function parseRateLimits(raw) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid rate limits: expected a JSON object.");
+  }
+
+  const problems = [];
+  const rules = {};
+  for (const [route, limits] of Object.entries(config)) {
+    if (!RATE_LIMIT_ROUTES.includes(route) && !FORM_ROUTE_RE.test(route)) {
+      problems.push(`"${route}" is not one of ${RATE_LIMIT_ROUTES.join(", ")} or form:<formId>`);
+      continue;
+    }
+    rules[route] = [];
+    for (const [key, rule] of Object.entries(limits || {})) {
+      const label = `${route}.${key}`;
+      if (!RATE_LIMIT_KEYS.includes(key)) {
+        problems.push(`${label} is not one of ${RATE_LIMIT_KEYS.join(", ")}`);
+        continue;
+      }
+      if (!Number.isInteger(rule?.limit) || rule.limit < 1) {
+        problems.push(`${label} needs a "limit" of at least 1`);
+      }
+      if (
+        !Number.isInteger(rule?.windowSeconds) ||
+        rule.windowSeconds < 1 ||
+        rule.windowSeconds > 86400
+      ) {
+        problems.push(`${label} "windowSeconds" must be 1-86400`);
+      }
+      rules[route].push({ key, limit: rule?.limit, windowSeconds: rule?.windowSeconds });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rate limits: ${problems.join("; ")}.`);
+  }
+  return rules;
+}
+
+function counterId(bucket, windowStart) {
+  return `${bucket}#${windowStart}`;
+}
+
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  return {
+    async hit({ bucket, windowStart, windowSeconds, nowSeconds }) {
+      for (const [id, counter] of counters) {
+        if (counter.expiresAt <= nowSeconds) counters.delete(id);
+      }
+      const id = counterId(bucket, windowStart);
+      const counter = counters.get(id) || {
+        hits: 0,
+        expiresAt: windowStart + windowSeconds * 2,
+      };
+      counter.hits += 1;
+      counters.set(id, counter);
+      return {
+        current: counter.hits,
+        previous: counters.get(counterId(bucket, windowStart - windowSeconds))?.hits || 0,
+      };
+    },
+  };
+}
+
+export function createDynamoRateLimitStore({
+  tableName,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  return {
+    async hit({ bucket, windowStart, windowSeconds }) {
+      const [updated, previous] = await Promise.all([
+        client.send(
+          new UpdateCommand({
+            TableName: tableName,
+            Key: { limit_key: counterId(bucket, windowStart) },
+            UpdateExpression:
+              "ADD hits :one SET expires_at = if_not_exists(expires_at, :expiresAt)",
+            ExpressionAttributeValues: {
+              ":one": 1,
+              ":expiresAt": windowStart + windowSeconds * 2,
+            },
+            ReturnValues: "UPDATED_NEW",
+          })
+        ),
+        client.send(
+          new GetCommand({
+            TableName: tableName,
+            Key: { limit_key: counterId(bucket, windowStart - windowSeconds) },
+          })
+        ),
+      ]);
+      return {
+        current: Number(updated.Attributes?.hits || 0),
+        previous: Number(previous.Item?.hits || 0),
+      };
+    },
+  };
+}
+
+export function createRateLimitStore({ tableName } = {}) {
+  if (tableName) return createDynamoRateLimitStore({ tableName });
+  return createMemoryRateLimitStore();
+}
+
+function hashKey(value, keySecret) {
+  const hash = keySecret ? createHmac("sha256", keySecret) : createHash("sha256");
+  return hash.update(String(value)).digest("base64url");
+}
+
+/**
+ * Returns `check(route, { ip, email, origin })`, resolving to
+ * `{ limited: false }` or `{ limited: true, key, retryAfterSeconds }`.
+ * Every checked request counts, including ones that end up limited.
+ */
+export function createRateLimiter({ rules, store, keySecret = "", now = () => Date.now() }) {
+  return async function check(route, values) {
+    const nowMs = now();
+    const nowSeconds = Math.floor(nowMs / 1000);
+
+    for (const rule of rules[route] || []) {
+      const value = values[rule.key];
+      if (!value) continue;
+
+      const bucket = `${route}#${rule.key}#${hashKey(value, keySecret)}`;
+      const windowStart = nowSeconds - (nowSeconds % rule.windowSeconds);
+      const { current, previous } = await store.hit({
+        bucket,
+        windowStart,
+        windowSeconds: rule.windowSeconds,
+        nowSeconds,
+      });
+
+      const windowMs = rule.windowSeconds * 1000;
+      const elapsed = (nowMs - windowStart * 1000) / windowMs;
+      if (previous * (1 - elapsed) + current <= rule.limit) continue;
+
+      // Retry once one more hit fits: after the previous window's weight has
+      // decayed enough, or, when this window is full, after it has become the
+      // previous window and decayed in turn.
+      const retryAtMs =
+        current + 1 <= rule.limit
+          ? windowStart * 1000 + (1 - (rule.limit - current - 1) / previous) * windowMs
+          : (windowStart + rule.windowSeconds) * 1000 +
+            Math.max(0, 1 - (rule.limit - 1) / current) * windowMs;
+      return {
+        limited: true,
+        key: rule.key,
+        retryAfterSeconds: Math.max(1, Math.ceil((retryAtMs - nowMs) / 1000)),
+      };
+    }
+    return { limited: false };
+  };
+}
@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+
+import {
+  createDynamoRateLimitStore,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  parseRateLimits,
+} from "./rate-limiter.mjs";
+
+test("parses limits per route and key", () => {
+  assert.deepEqual(
+    parseRateLimits(
+      '{"contact":{"ip":{"limit":5,"windowSeconds":600},"email":{"limit":3,"windowSeconds":3600}},' +
+        '"form:careers":{"ip":{"limit":2,"windowSeconds":600}}}'
+    ),
+    {
+      contact: [
+        { key: "ip", limit: 5, windowSeconds: 600 },
+        { key: "email", limit: 3, windowSeconds: 3600 },
+      ],
+      "form:careers": [{ key: "ip", limit: 2, windowSeconds: 600 }],
+    }
+  );
+});
+
+test("lists every problem in the limits", () => {
+  assert.throws(
+    () =>
+      parseRateLimits({
+        reviews: { ip: { limit: 1, windowSeconds: 60 } },
+        "form:Careers!": { ip: { limit: 1, windowSeconds: 60 } },
+        contact: { phone: { limit: 1, windowSeconds: 60 }, ip: { limit: 0, windowSeconds: 0 } },
+      }),
+    (err) =>
+      /"reviews" is not one of contact, attachments, booking, availability or form:<formId>/.test(
+        err.message
+      ) &&
+      /"form:Careers!" is not one of/.test(err.message) &&
+      /contact\.phone is not one of ip, email, origin/.test(err.message) &&
+      /contact\.ip needs a "limit" of at least 1/.test(err.message) &&
+      /contact\.ip "windowSeconds" must be 1-86400/.test(err.message)
+  );
+});
+
+function limiterAt(clock, rules) {
+  return createRateLimiter({
+    rules,
+    store: createMemoryRateLimitStore(),
+    now: () => clock.ms,
+  });
+}
+
+test("limits each key separately within the window", async () => {
+  const clock = { ms: Date.parse("2030-01-01T00:00:00Z") };
+  const check = limiterAt(clock, {
+    contact: [{ key: "ip", limit: 2, windowSeconds: 60 }],
+  });
+
+  assert.deepEqual(await check("contact", { ip: "198.51.100.1" }), { limited: false });
+  assert.deepEqual(await check("contact", { ip: "198.51.100.1" }), { limited: false });
+  assert.deepEqual(await check("contact", { ip: "198.51.100.1" }), {
+    limited: true,
+    key: "ip",
+    retryAfterSeconds: 100,
+  });
+  assert.deepEqual(await check("contact", { ip: "198.51.100.2" }), { limited: false });
+  assert.deepEqual(await check("booking", { ip: "198.51.100.1" }), { limited: false });
+});
+
+test("slides the previous window's hits out gradually", async () => {
+  const clock = { ms: Date.parse("2030-01-01T00:00:00Z") };
+  const check = limiterAt(clock, {
+    contact: [{ key: "email", limit: 4, windowSeconds: 100 }],
+  });
+  for (let i = 0; i < 4; i += 1) {
+    assert.equal((await check("contact", { email: "jane@example.com" })).limited, false);
+  }
+
+  // 25% into the next window, 75% of the previous four hits still count.
+  clock.ms += 125 * 1000;
+  assert.equal((await check("contact", { email: "jane@example.com" })).limited, false);
+  const limited = await check("contact", { email: "jane@example.com" });
+  assert.equal(limited.limited, true);
+  assert.equal(limited.retryAfterSeconds, 50);
+
+  clock.ms += 50 * 1000;
+  assert.equal((await check("contact", { email: "jane@example.com" })).limited, false);
+});
+
+test("skips keys without a value", async () => {
+  const clock = { ms: 0 };
+  const check = limiterAt(clock, {
+    availability: [{ key: "email", limit: 1, windowSeconds: 60 }],
+  });
+
+  assert.deepEqual(await check("availability", { ip: "198.51.100.1" }), { limited: false });
+  assert.deepEqual(await check("availability", { ip: "198.51.100.1" }), { limited: false });
+});
+
+test("dynamo store adds to the current window and reads the previous one", async () => {
+  const inputs = [];
+  const client = {
+    async send(command) {
+      inputs.push(command.input);
+      if (command.input.UpdateExpression) return { Attributes: { hits: 3 } };
+      return { Item: { hits: 7 } };
+    },
+  };
+  const store = createDynamoRateLimitStore({ tableName: "rate-limits", client });
+
+  assert.deepEqual(
+    await store.hit({ bucket: "contact#ip#abc", windowStart: 600, windowSeconds: 300 }),
+    { current: 3, previous: 7 }
+  );
+  assert.deepEqual(inputs[0].Key, { limit_key: "contact#ip#abc#600" });
+  assert.equal(inputs[0].ExpressionAttributeValues[":expiresAt"], 1200);
+  assert.deepEqual(inputs[1].Key, { limit_key: "contact#ip#abc#300" });
+});
+
+test("stores keyed hashes rather than raw emails", async () => {
+  const buckets = [];
+  const limiter = (keySecret) =>
+    createRateLimiter({
+      rules: { contact: [{ key: "email", limit: 5, windowSeconds: 60 }] },
+      store: {
+        async hit({ bucket }) {
+          buckets.push(bucket);
+          return { current: 1, previous: 0 };
+        },
+      },
+      keySecret,
+    });
+
+  await limiter("secret-a")("contact", { email: "jane@example.com" });
+  await limiter("secret-b")("contact", { email: "jane@example.com" });
+  await limiter("")("contact", { email: "jane@example.com" });
+  const digest = (hash) => `contact#email#${hash.update("jane@example.com").digest("base64url")}`;
+  assert.equal(buckets[0], digest(createHmac("sha256", "secret-a")));
+  assert.notEqual(buckets[1], buckets[0]);
+  assert.equal(buckets[2], digest(createHash("sha256")));
+});
@@ -0,0 +1,174 @@
+/**
+ * Independent review persistence
+ *
+ * Reviews live in the `independent_reviews` table (hash key `review_id`) and
+ * are listed for moderation through the `status-created-at-index` GSI.
+ *
+ * Backends:
+ * - DynamoDB (when a table name is configured)
+ * - In-memory (local runs and tests)
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const STATUS_INDEX_NAME = "status-created-at-index";
+
+function toItem(review, retentionDays) {
+  const createdMs = new Date(review.createdAt).getTime();
+  return {
+    review_id: review.reviewId,
+    status: "pending",
+    created_at: review.createdAt,
+    name: review.name,
+    email: review.email,
+    company: review.company,
+    role: review.role,
+    rating: review.rating,
+    review: review.review,
+    source_ip: review.sourceIp,
+    request_id: review.requestId,
+    expires_at: Math.floor(createdMs / 1000) + retentionDays * 24 * 60 * 60,
+  };
+}
+
+function fromItem(item) {
+  return {
+    reviewId: item.review_id,
+    status: item.status,
+    createdAt: item.created_at,
+    name: item.name,
+    email: item.email,
+    company: item.company,
+    role: item.role,
+    rating: item.rating,
+    review: item.review,
+    moderatedAt: item.moderated_at,
+    moderatedBy: item.moderated_by,
+    moderationNote: item.moderation_note,
+  };
+}
+
+function pageKey(item) {
+  return {
+    review_id: item.review_id,
+    status: item.status,
+    created_at: item.created_at,
+  };
+}
+
+export function createMemoryReviewStore({ retentionDays = 365 } = {}) {
+  const items = new Map();
+
+  return {
+    async createReview(review) {
+      items.set(review.reviewId, toItem(review, retentionDays));
+    },
+
+    async listReviews({ status, limit, startKey }) {
+      const matching = [...items.values()]
+        .filter((item) => item.status === status)
+        .sort(
+          (a, b) =>
+            b.created_at.localeCompare(a.created_at) ||
+            b.review_id.localeCompare(a.review_id)
+        );
+      const startIndex = startKey
+        ? matching.findIndex((item) => item.review_id === startKey.review_id) + 1
+        : 0;
+      const page = matching.slice(startIndex, startIndex + limit);
+      const hasMore = startIndex + limit < matching.length;
+      return {
+        reviews: page.map(fromItem),
+        nextKey: hasMore ? pageKey(page[page.length - 1]) : null,
+      };
+    },
+
+    async moderateReview({ reviewId, decision, note, moderatedBy, moderatedAt }) {
+      const item = items.get(reviewId);
+      if (!item) return null;
+      Object.assign(item, {
+        status: decision,
+        moderated_at: moderatedAt,
+        moderated_by: moderatedBy,
+        moderation_note: note,
+      });
+      return fromItem(item);
+    },
+  };
+}
+
+export function createDynamoReviewStore({
+  tableName,
+  retentionDays = 365,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({})),
+}) {
+  return {
+    async createReview(review) {
+      await client.send(
+        new PutCommand({
+          TableName: tableName,
+          Item: toItem(review, retentionDays),
+          ConditionExpression: "attribute_not_exists(review_id)",
+        })
+      );
+    },
+
+    async listReviews({ status, limit, startKey }) {
+      const page = await client.send(
+        new QueryCommand({
+          TableName: tableName,
+          IndexName: STATUS_INDEX_NAME,
+          KeyConditionExpression: "#status = :status",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: { ":status": status },
+          ScanIndexForward: false,
+          Limit: limit,
+          ExclusiveStartKey: startKey || undefined,
+        })
+      );
+      return {
+        reviews: (page.Items || []).map(fromItem),
+        nextKey: page.LastEvaluatedKey || null,
+      };
+    },
+
+    async moderateReview({ reviewId, decision, note, moderatedBy, moderatedAt }) {
+      try {
+        const result = await client.send(
+          new UpdateCommand({
+            TableName: tableName,
+            Key: { review_id: reviewId },
+            UpdateExpression:
+              "SET #status = :status, moderated_at = :moderatedAt, moderated_by = :moderatedBy, moderation_note = :note",
+            ConditionExpression: "attribute_exists(review_id)",
+            ExpressionAttributeNames: { "#status": "status" },
+            ExpressionAttributeValues: {
+              ":status": decision,
+              ":moderatedAt": moderatedAt,
+              ":moderatedBy": moderatedBy,
+              ":note": note,
+            },
+            ReturnValues: "ALL_NEW",
+          })
+        );
+        return fromItem(result.Attributes);
+      } catch (err) {
+        if (err?.name === "ConditionalCheckFailedException") return null;
+        throw err;
+      }
+    },
+  };
+}
+
+export function createReviewStore({ tableName, retentionDays } = {}) {
+  if (tableName) {
+    return createDynamoReviewStore({ tableName, retentionDays });
+  }
+  return createMemoryReviewStore({ retentionDays });
+}
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createDynamoReviewStore } from "./review-store.mjs";
+
+test("dynamo store writes pending reviews with a retention TTL", async () => {
+  const inputs = [];
+  const client = {
+    async send(command) {
+      inputs.push(command.input);
+      return {};
+    },
+  };
+  const store = createDynamoReviewStore({
+    tableName: "reviews",
+    retentionDays: 30,
+    client,
+  });
+
+  await store.createReview({
+    reviewId: "review-1",
+    createdAt: "2026-03-01T00:00:00.000Z",
+    name: "Jane Reviewer",
+    email: "jane@example.com",
+    company: "",
+    role: "",
+    rating: 5,
+    review: "Great engagement from start to finish.",
+  });
+
+  const { Item } = inputs[0];
+  assert.equal(Item.status, "pending");
+  assert.equal(
+    Item.expires_at,
+    Date.parse("2026-03-01T00:00:00.000Z") / 1000 + 30 * 24 * 60 * 60
+  );
+});
+
+test("dynamo store queries the status index newest first", async () => {
+  const inputs = [];
+  const client = {
+    async send(command) {
+      inputs.push(command.input);
+      return {
+        Items: [{ review_id: "review-1", status: "pending" }],
+        LastEvaluatedKey: { review_id: "review-1" },
+      };
+    },
+  };
+  const store = createDynamoReviewStore({ tableName: "reviews", client });
+
+  const { reviews, nextKey } = await store.listReviews({
+    status: "pending",
+    limit: 10,
+  });
+  assert.equal(inputs[0].IndexName, "status-created-at-index");
+  assert.equal(inputs[0].ScanIndexForward, false);
+  assert.equal(inputs[0].Limit, 10);
+  assert.equal(reviews[0].reviewId, "review-1");
+  assert.deepEqual(nextKey, { review_id: "review-1" });
+});
+
+test("dynamo store returns null when moderating a missing review", async () => {
+  const client = {
+    async send() {
+      const err = new Error("The conditional request failed");
+      err.name = "ConditionalCheckFailedException";
+      throw err;
+    },
+  };
+  const store = createDynamoReviewStore({ tableName: "reviews", client });
+
+  const review = await store.moderateReview({
+    reviewId: "missing",
+    decision: "approved",
+    note: "",
+    moderatedBy: "admin",
+    moderatedAt: "2026-03-01T00:00:00.000Z",
+  });
+  assert.equal(review, null);
+});
@@ -0,0 +1,110 @@
+/**
+ * S3 access for contact attachments
+ *
+ * Browsers upload attachments straight to S3 with a presigned PUT, and emails
+ * link to presigned GETs; the Lambda itself reads objects with HEAD / GET.
+ * Signing is done by the AWS SDK (@aws-sdk/client-s3 and
+ * @aws-sdk/s3-request-presigner) with the Lambda's own credentials, so a
+ * presigned URL stops working when those credentials expire, whatever its own
+ * expiry says. Keep presigned URLs short-lived; emails link to a route that
+ * presigns on click instead (see attachments.mjs).
+ *
+ * `endpoint` overrides the AWS endpoint with any S3-compatible server, e.g.
+ * `http://127.0.0.1:9000` for local runs; the bucket then goes in the path.
+ */
+
+import {
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// SigV4 presigned URLs are valid for at most seven days.
+export const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+// Errors the SDK raises for a missing object (HEAD has no body to name it).
+const NOT_FOUND_ERRORS = new Set(["NotFound", "NoSuchKey"]);
+
+function isNotFound(err) {
+  return NOT_FOUND_ERRORS.has(err?.name) || err?.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * `presignUpload` / `presignDownload` resolve to URLs for browsers and emails;
+ * `head` resolves to `{ size, contentType }` or null for a missing object,
+ * and `get` to the object's bytes or null.
+ */
+export function createS3Client({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  credentials,
+  client = new S3Client({
+    region,
+    // Default checksums would sign a CRC of the empty body into upload URLs.
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    ...(credentials ? { credentials } : {}),
+  }),
+}) {
+  function presign(command, { expiresSeconds, now, signableHeaders } = {}) {
+    return getSignedUrl(client, command, {
+      expiresIn: Math.min(expiresSeconds ?? 60, MAX_PRESIGN_SECONDS),
+      ...(now ? { signingDate: now } : {}),
+      ...(signableHeaders ? { signableHeaders: new Set(signableHeaders) } : {}),
+    });
+  }
+
+  return {
+    bucket,
+
+    // The upload must send this Content-Type and exactly `size` bytes.
+    presignUpload({ key, contentType, size, expiresSeconds, now }) {
+      return presign(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+          ContentLength: size,
+        }),
+        { expiresSeconds, now, signableHeaders: ["content-type", "content-length"] }
+      );
+    },
+
+    presignDownload({ key, filename, expiresSeconds, now }) {
+      return presign(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ...(filename
+            ? { ResponseContentDisposition: `attachment; filename="${filename}"` }
+            : {}),
+        }),
+        { expiresSeconds, now }
+      );
+    },
+
+    async head(key) {
+      try {
+        const object = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: object.ContentLength, contentType: object.ContentType || "" };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+  };
+}
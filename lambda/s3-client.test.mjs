@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { startS3StandIn } from "./fixtures/s3-stand-in.mjs";
+import { createS3Client, MAX_PRESIGN_SECONDS } from "./s3-client.mjs";
+
+const CREDENTIALS = { accessKeyId: "AKIDSTANDIN", secretAccessKey: "stand-in-secret" };
+
+test("presigns on the virtual-hosted endpoint with the session token", async () => {
+  const client = createS3Client({
+    bucket: "waterapps-attachments",
+    region: "ap-southeast-2",
+    credentials: { ...CREDENTIALS, sessionToken: "token/with+chars" },
+  });
+  const url = new URL(await client.presignDownload({ key: "contact/a b.pdf", filename: "a b.pdf" }));
+  assert.equal(url.host, "waterapps-attachments.s3.ap-southeast-2.amazonaws.com");
+  assert.equal(url.pathname, "/contact/a%20b.pdf");
+  assert.equal(url.searchParams.get("X-Amz-Security-Token"), "token/with+chars");
+  assert.equal(
+    url.searchParams.get("response-content-disposition"),
+    'attachment; filename="a b.pdf"'
+  );
+  assert.equal(url.searchParams.get("X-Amz-Expires"), "60");
+
+  const capped = new URL(
+    await client.presignDownload({ key: "contact/a.pdf", expiresSeconds: MAX_PRESIGN_SECONDS * 2 })
+  );
+  assert.equal(capped.searchParams.get("X-Amz-Expires"), String(MAX_PRESIGN_SECONDS));
+});
+
+test("signs the upload's type and size, without a body checksum", async () => {
+  const client = createS3Client({ bucket: "attachments", credentials: CREDENTIALS });
+  const url = new URL(
+    await client.presignUpload({
+      key: "contact/diagram.png",
+      contentType: "image/png",
+      size: 4,
+      expiresSeconds: 300,
+      now: new Date("2030-06-03T01:00:00Z"),
+    })
+  );
+  assert.equal(url.searchParams.get("X-Amz-SignedHeaders"), "content-length;content-type;host");
+  assert.equal(url.searchParams.get("X-Amz-Date"), "20300603T010000Z");
+  assert.equal(url.searchParams.get("X-Amz-Expires"), "300");
+  assert.ok(![...url.searchParams.keys()].some((name) => name.startsWith("x-amz-checksum")));
+});
+
+test("uploads, inspects and downloads through the endpoint override", async () => {
+  const s3 = await startS3StandIn();
+  try {
+    const client = createS3Client({
+      bucket: "attachments",
+      endpoint: s3.endpoint,
+      credentials: CREDENTIALS,
+    });
+    const key = "contact/2030-06-03/rfp (final).pdf";
+    const body = Buffer.from("%PDF-1.7 test");
+
+    const uploadUrl = await client.presignUpload({
+      key,
+      contentType: "application/pdf",
+      size: body.length,
+      expiresSeconds: 300,
+    });
+    const put = await fetch(uploadUrl, {
+      method: "PUT",
+      headers: { "Content-Type": "application/pdf" },
+      body,
+    });
+    assert.equal(put.status, 200);
+
+    assert.deepEqual(await client.head(key), {
+      size: body.length,
+      contentType: "application/pdf",
+    });
+    assert.deepEqual(await client.get(key), body);
+    assert.equal(await client.head("contact/missing.pdf"), null);
+    assert.equal(await client.get("contact/missing.pdf"), null);
+
+    const download = await fetch(await client.presignDownload({ key, filename: "rfp.pdf" }));
+    assert.equal(download.headers.get("content-disposition"), 'attachment; filename="rfp.pdf"');
+  } finally {
+    await s3.close();
+  }
+});
+
+test("rethrows errors other than a missing object", async () => {
+  const s3 = await startS3StandIn();
+  try {
+    const client = createS3Client({
+      bucket: "attachments",
+      endpoint: s3.endpoint,
+      credentials: { ...CREDENTIALS, accessKeyId: "AKIDUNKNOWN" },
+    });
+    await assert.rejects(client.head("contact/diagram.png"), (err) => {
+      assert.equal(err.$metadata.httpStatusCode, 403);
+      return true;
+    });
+    await assert.rejects(client.get("contact/diagram.png"), { name: "InvalidAccessKeyId" });
+  } finally {
+    await s3.close();
+  }
+});
@@ -0,0 +1,132 @@
+/**
+ * Booking schedule: weekly business hours plus dated exceptions
+ *
+ * Exceptions are plain local dates in the booking time zone:
+ *
+ *   {
+ *     "blackouts": [
+ *       { "date": "2026-12-25", "reason": "Christmas Day" },
+ *       { "from": "2027-01-04", "to": "2027-01-15", "reason": "Annual leave" }
+ *     ],
+ *     "overrides": [
+ *       { "date": "2026-12-24", "start": "09:00", "end": "12:00", "reason": "Christmas Eve" }
+ *     ]
+ *   }
+ *
+ * Blackouts win over overrides. An override opens its date even when the
+ * weekday is not a workday.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY_RE = /^(\d{1,2}):(\d{2})$/;
+
+export function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY_RE.exec(String(value ?? "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  if (Number(match[2]) > 59 || minutes > 24 * 60) return null;
+  return minutes;
+}
+
+export function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function isDateKey(value) {
+  if (typeof value !== "string" || !DATE_KEY_RE.test(value)) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+export function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+export function parseScheduleExceptions(raw) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const problems = [];
+  const blackouts = [];
+  const overrides = new Map();
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid schedule exceptions: expected a JSON object.");
+  }
+
+  (Array.isArray(config.blackouts) ? config.blackouts : []).forEach((entry, index) => {
+    const from = entry?.date ?? entry?.from;
+    const to = entry?.date ?? entry?.to;
+    if (!isDateKey(from) || !isDateKey(to)) {
+      problems.push(`blackouts[${index}] needs "date" or "from"/"to" as YYYY-MM-DD`);
+    } else if (from > to) {
+      problems.push(`blackouts[${index}] "from" is after "to"`);
+    } else {
+      blackouts.push({ from, to, reason: entry.reason || "" });
+    }
+  });
+
+  (Array.isArray(config.overrides) ? config.overrides : []).forEach((entry, index) => {
+    const startMinutes = parseTimeOfDay(entry?.start);
+    const endMinutes = parseTimeOfDay(entry?.end);
+    if (!isDateKey(entry?.date)) {
+      problems.push(`overrides[${index}] needs "date" as YYYY-MM-DD`);
+    } else if (startMinutes === null || endMinutes === null || startMinutes >= endMinutes) {
+      problems.push(`overrides[${index}] needs "start" before "end" as HH:MM`);
+    } else {
+      overrides.set(entry.date, { startMinutes, endMinutes, reason: entry.reason || "" });
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid schedule exceptions: ${problems.join("; ")}.`);
+  }
+  return { blackouts, overrides };
+}
+
+/**
+ * Loads exceptions from an inline JSON value (env) or, failing that, a JSON
+ * file bundled with the Lambda. Missing both means no exceptions.
+ */
+export function loadScheduleExceptions({ json, filePath }) {
+  if (json) return parseScheduleExceptions(json);
+  if (filePath && existsSync(filePath)) {
+    return parseScheduleExceptions(readFileSync(filePath, "utf8"));
+  }
+  return { blackouts: [], overrides: new Map() };
+}
+
+/**
+ * Returns a lookup from a local calendar day to its bookable hours:
+ * `{ open, startMinutes, endMinutes, reason }`.
+ */
+export function createDaySchedule({ workdays, startMinutes, endMinutes, exceptions }) {
+  return function hoursFor(day) {
+    const key = dateKey(day);
+    const blackout = exceptions.blackouts.find(
+      (entry) => entry.from <= key && key <= entry.to
+    );
+    if (blackout) {
+      return { open: false, blackout: true, reason: blackout.reason };
+    }
+
+    const override = exceptions.overrides.get(key);
+    if (override) {
+      return {
+        open: true,
+        startMinutes: override.startMinutes,
+        endMinutes: override.endMinutes,
+        reason: override.reason,
+      };
+    }
+
+    const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+    if (!workdays.includes(weekday)) return { open: false, blackout: false };
+    return { open: true, startMinutes, endMinutes };
+  };
+}
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createDaySchedule,
+  parseScheduleExceptions,
+  parseTimeOfDay,
+} from "./schedule.mjs";
+
+const weekdays = [1, 2, 3, 4, 5];
+
+function scheduleWith(exceptions) {
+  return createDaySchedule({
+    workdays: weekdays,
+    startMinutes: 9 * 60,
+    endMinutes: 17 * 60,
+    exceptions: parseScheduleExceptions(exceptions),
+  });
+}
+
+test("parses HH:MM times of day", () => {
+  assert.equal(parseTimeOfDay("09:30"), 570);
+  assert.equal(parseTimeOfDay("24:00"), 1440);
+  assert.equal(parseTimeOfDay("9:75"), null);
+  assert.equal(parseTimeOfDay("24:30"), null);
+  assert.equal(parseTimeOfDay(undefined), null);
+});
+
+test("closes single-date and ranged blackouts", () => {
+  const hoursFor = scheduleWith({
+    blackouts: [
+      { date: "2030-12-25", reason: "Christmas Day" },
+      { from: "2031-01-06", to: "2031-01-10", reason: "Annual leave" },
+    ],
+  });
+
+  assert.deepEqual(hoursFor({ year: 2030, month: 12, day: 25 }), {
+    open: false,
+    blackout: true,
+    reason: "Christmas Day",
+  });
+  assert.equal(hoursFor({ year: 2031, month: 1, day: 8 }).open, false);
+  assert.equal(hoursFor({ year: 2031, month: 1, day: 10 }).open, false);
+  assert.deepEqual(hoursFor({ year: 2031, month: 1, day: 13 }), {
+    open: true,
+    startMinutes: 540,
+    endMinutes: 1020,
+  });
+});
+
+test("overrides shorten workdays and open weekends, but not blackouts", () => {
+  const hoursFor = scheduleWith({
+    blackouts: [{ date: "2030-12-31" }],
+    overrides: [
+      { date: "2030-12-24", start: "09:00", end: "12:00", reason: "Christmas Eve" },
+      { date: "2030-12-28", start: "10:00", end: "13:00" },
+      { date: "2030-12-31", start: "09:00", end: "12:00" },
+    ],
+  });
+
+  assert.deepEqual(hoursFor({ year: 2030, month: 12, day: 24 }), {
+    open: true,
+    startMinutes: 540,
+    endMinutes: 720,
+    reason: "Christmas Eve",
+  });
+  // 2030-12-28 is a Saturday
+  assert.equal(hoursFor({ year: 2030, month: 12, day: 28 }).startMinutes, 600);
+  assert.equal(hoursFor({ year: 2030, month: 12, day: 29 }).open, false);
+  assert.equal(hoursFor({ year: 2030, month: 12, day: 29 }).blackout, false);
+  assert.equal(hoursFor({ year: 2030, month: 12, day: 31 }).blackout, true);
+});
+
+test("rejects malformed exception entries with every problem listed", () => {
+  assert.throws(
+    () =>
+      parseScheduleExceptions(
+        JSON.stringify({
+          blackouts: [{ date: "2030-02-30" }, { from: "2030-03-10", to: "2030-03-01" }],
+          overrides: [{ date: "2030-03-01", start: "12:00", end: "09:00" }],
+        })
+      ),
+    (err) =>
+      err.message.startsWith("Invalid schedule exceptions:") &&
+      err.message.includes("blackouts[0]") &&
+      err.message.includes("blackouts[1]") &&
+      err.message.includes("overrides[0]")
+  );
+  assert.throws(() => parseScheduleExceptions("[]"), /expected a JSON object/);
+});
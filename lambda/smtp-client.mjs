@@ -0,0 +1,199 @@
+/**
+ * Minimal SMTP client (RFC 5321) for the smtp mail transport
+ *
+ * One connection per message: EHLO, optional STARTTLS (RFC 3207), optional
+ * AUTH PLAIN or LOGIN (RFC 4954), MAIL FROM, RCPT TO per recipient, DATA
+ * with dot-stuffing, QUIT.
+ *
+ * `security` is "starttls" (upgrade required; port 587), "tls" (implicit
+ * TLS; port 465) or "none" (local relays and test servers only).
+ * `timeoutMs` bounds the whole conversation, not each reply.
+ *
+ * Replies outside the expected codes reject with `SmtpRejected` (5xx, a
+ * retry will not help) or `SmtpError` (anything else), carrying
+ * `responseCode`.
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+
+export const SMTP_SECURITY_MODES = ["starttls", "tls", "none"];
+export const DEFAULT_SMTP_TIMEOUT_MS = 3000;
+
+function smtpError(reply, stage) {
+  const err = new Error(`SMTP ${stage} failed: ${reply.code} ${reply.lines.join(" ")}`.slice(0, 300));
+  err.name = reply.code >= 500 ? "SmtpRejected" : "SmtpError";
+  err.responseCode = reply.code;
+  return err;
+}
+
+// Splits the socket stream into replies; a reply ends at "NNN " (not "NNN-").
+function createReplyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length > 0) waiting.shift().reject(failure);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, index).replace(/\r$/, "");
+      buffer = buffer.slice(index + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onFailure(err) {
+    failure ||= err;
+    settle();
+  }
+
+  function attach(target) {
+    target.on("data", onData);
+    target.on("error", onFailure);
+    target.on("close", () => onFailure(new Error("SMTP connection closed")));
+  }
+
+  function detach(target) {
+    target.removeListener("data", onData);
+  }
+
+  attach(socket);
+
+  return {
+    attach,
+    detach,
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+  };
+}
+
+function dotStuff(data) {
+  const normalised = data.replace(/\r?\n/g, "\r\n");
+  const stuffed = normalised.replace(/^\./gm, "..");
+  return stuffed.endsWith("\r\n") ? stuffed : `${stuffed}\r\n`;
+}
+
+function connect({ host, port, security }) {
+  const socket =
+    security === "tls"
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+  const ready = new Promise((resolve, reject) => {
+    socket.once(security === "tls" ? "secureConnect" : "connect", resolve);
+    socket.once("error", reject);
+  });
+  return { socket, ready };
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+    secure.once("error", reject);
+  });
+}
+
+/**
+ * Sends one message. `data` is the full RFC 5322 message; `recipients` are
+ * the envelope recipients (To, Cc and Bcc). Resolves to `{ response }`,
+ * the server's final reply to DATA.
+ */
+export async function sendSmtpMail({
+  host,
+  port = 587,
+  security = "starttls",
+  username = "",
+  password = "",
+  heloName = "localhost",
+  timeoutMs = DEFAULT_SMTP_TIMEOUT_MS,
+  from,
+  recipients,
+  data,
+}) {
+  const connection = connect({ host, port, security });
+  let socket = connection.socket;
+  // A server that answers each command slowly still ends the send on time.
+  const timer = setTimeout(() => {
+    const err = new Error(`SMTP server did not finish within ${timeoutMs}ms`);
+    err.name = "TimeoutError";
+    socket.destroy(err);
+  }, timeoutMs);
+  const reader = createReplyReader(socket);
+
+  async function expect(codes, stage) {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) throw smtpError(reply, stage);
+    return reply;
+  }
+
+  async function command(line, codes, stage) {
+    socket.write(`${line}\r\n`);
+    return expect(codes, stage);
+  }
+
+  try {
+    await connection.ready;
+    await expect([220], "greeting");
+    let hello = await command(`EHLO ${heloName}`, [250], "EHLO");
+    const supports = (keyword) =>
+      hello.lines.some((line) => line.toUpperCase().split(" ")[0] === keyword);
+
+    if (security === "starttls") {
+      if (!supports("STARTTLS")) {
+        const err = new Error("SMTP server does not offer STARTTLS");
+        err.name = "SmtpError";
+        throw err;
+      }
+      await command("STARTTLS", [220], "STARTTLS");
+      reader.detach(socket);
+      socket = await upgrade(socket, host);
+      reader.attach(socket);
+      hello = await command(`EHLO ${heloName}`, [250], "EHLO");
+    }
+
+    if (username) {
+      const authLine = hello.lines.find((line) => line.toUpperCase().startsWith("AUTH"));
+      const mechanisms = (authLine || "").toUpperCase().split(/[ =]/).slice(1);
+      if (mechanisms.includes("PLAIN") || !mechanisms.includes("LOGIN")) {
+        const token = Buffer.from(`\0${username}\0${password}`, "utf8").toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+      } else {
+        await command("AUTH LOGIN", [334], "AUTH");
+        await command(Buffer.from(username, "utf8").toString("base64"), [334], "AUTH");
+        await command(Buffer.from(password, "utf8").toString("base64"), [235], "AUTH");
+      }
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250], "MAIL FROM");
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], "RCPT TO");
+    }
+    await command("DATA", [354], "DATA");
+    socket.write(dotStuff(data));
+    const accepted = await command(".", [250], "DATA");
+
+    // The message is queued; a server that drops the connection on QUIT is fine.
+    await command("QUIT", [221], "QUIT").catch(() => {});
+    return { response: `${accepted.code} ${accepted.lines.join(" ")}` };
+  } finally {
+    clearTimeout(timer);
+    socket.end();
+    socket.destroy();
+  }
+}
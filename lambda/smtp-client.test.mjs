@@ -0,0 +1,149 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+
+import { sendSmtpMail } from "./smtp-client.mjs";
+
+// Scripted SMTP server: records commands and the DATA payload.
+async function startServer({ ehlo = ["localhost", "AUTH PLAIN LOGIN"], rcptReply = "250 OK" } = {}) {
+  const session = { commands: [], data: "" };
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 test.local ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 2.0.0 queued as ABC123\r\n");
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith("EHLO")) {
+          socket.write(
+            ehlo.map((entry, i) => `250${i === ehlo.length - 1 ? " " : "-"}${entry}\r\n`).join("")
+          );
+        } else if (line.startsWith("AUTH PLAIN")) {
+          socket.write("235 2.7.0 Authenticated\r\n");
+        } else if (line.startsWith("RCPT")) {
+          socket.write(`${rcptReply}\r\n`);
+        } else if (line === "DATA") {
+          inData = true;
+          socket.write("354 Go ahead\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { session, port: server.address().port, close: () => server.close() };
+}
+
+test("authenticates, sends every recipient and dot-stuffs the message", async () => {
+  const server = await startServer();
+  try {
+    const result = await sendSmtpMail({
+      host: "127.0.0.1",
+      port: server.port,
+      security: "none",
+      username: "mailer",
+      password: "secret",
+      heloName: "contact.waterapps.com.au",
+      from: "bookings@waterapps.com.au",
+      recipients: ["varun@waterapps.com.au", "archive@waterapps.com.au"],
+      data: "Subject: Hi\r\n\r\n.leading dot\nsecond line",
+    });
+
+    assert.equal(result.response, "250 2.0.0 queued as ABC123");
+    assert.deepEqual(server.session.commands, [
+      "EHLO contact.waterapps.com.au",
+      `AUTH PLAIN ${Buffer.from("\0mailer\0secret").toString("base64")}`,
+      "MAIL FROM:<bookings@waterapps.com.au>",
+      "RCPT TO:<varun@waterapps.com.au>",
+      "RCPT TO:<archive@waterapps.com.au>",
+      "DATA",
+      "QUIT",
+    ]);
+    assert.equal(server.session.data, "Subject: Hi\r\n\r\n..leading dot\r\nsecond line\r\n");
+  } finally {
+    server.close();
+  }
+});
+
+test("rejects 5xx replies as SmtpRejected", async () => {
+  const server = await startServer({ rcptReply: "550 5.1.1 No such user" });
+  try {
+    await assert.rejects(
+      () =>
+        sendSmtpMail({
+          host: "127.0.0.1",
+          port: server.port,
+          security: "none",
+          from: "bookings@waterapps.com.au",
+          recipients: ["nobody@waterapps.com.au"],
+          data: "Subject: Hi\r\n\r\nBody",
+        }),
+      { name: "SmtpRejected", responseCode: 550 }
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test("refuses to send in the clear when STARTTLS is required but not offered", async () => {
+  const server = await startServer({ ehlo: ["localhost"] });
+  try {
+    await assert.rejects(
+      () =>
+        sendSmtpMail({
+          host: "127.0.0.1",
+          port: server.port,
+          security: "starttls",
+          from: "bookings@waterapps.com.au",
+          recipients: ["varun@waterapps.com.au"],
+          data: "Subject: Hi\r\n\r\nBody",
+        }),
+      { name: "SmtpError", message: /does not offer STARTTLS/ }
+    );
+    assert.deepEqual(server.session.commands, ["EHLO localhost"]);
+  } finally {
+    server.close();
+  }
+});
+
+test("times out the whole conversation, however promptly each reply comes", async () => {
+  // Answers every command after 60 ms, which adds up past the 200 ms budget.
+  const server = net.createServer((socket) => {
+    socket.write("220 test.local ESMTP\r\n");
+    socket.on("data", () => setTimeout(() => socket.write("250 OK\r\n"), 60));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await assert.rejects(
+      () =>
+        sendSmtpMail({
+          host: "127.0.0.1",
+          port: server.address().port,
+          security: "none",
+          timeoutMs: 200,
+          from: "bookings@waterapps.com.au",
+          recipients: ["a@waterapps.com.au", "b@waterapps.com.au", "c@waterapps.com.au"],
+          data: "Subject: Hi\r\n\r\nBody",
+        }),
+      { name: "TimeoutError", message: /did not finish within 200ms/ }
+    );
+  } finally {
+    server.close();
+  }
+});
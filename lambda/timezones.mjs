@@ -0,0 +1,121 @@
+/**
+ * IANA time zone helpers built on Intl (no tz database dependency)
+ *
+ * Wall-clock conversions resolve the zone offset at the instant in question,
+ * so schedules follow daylight-saving transitions.
+ */
+
+const IANA_NAME_RE = /^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !IANA_NAME_RE.test(timeZone)) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+export function offsetMinutes(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const wallClockMs = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((wallClockMs - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts a wall-clock time in `timeZone` to a UTC Date. Returns null when
+ * the wall-clock time does not exist (skipped by a DST transition).
+ */
+export function zonedTimeToUtc({ year, month, day, minutes }, timeZone) {
+  const guessMs = Date.UTC(year, month - 1, day, 0, minutes, 0, 0);
+  let resultMs = guessMs - offsetMinutes(new Date(guessMs), timeZone) * 60000;
+  resultMs = guessMs - offsetMinutes(new Date(resultMs), timeZone) * 60000;
+
+  const result = new Date(resultMs);
+  const check = zonedParts(result, timeZone);
+  const expected = new Date(guessMs);
+  if (
+    check.year !== expected.getUTCFullYear() ||
+    check.month !== expected.getUTCMonth() + 1 ||
+    check.day !== expected.getUTCDate() ||
+    check.hour !== expected.getUTCHours() ||
+    check.minute !== expected.getUTCMinutes()
+  ) {
+    return null;
+  }
+  return result;
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+export function localDateKey(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/** Local date of the Monday starting the week that contains `date` */
+export function localWeekKey(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const monday = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day - ((parts.weekday + 6) % 7))
+  );
+  return monday.toISOString().slice(0, 10);
+}
+
+/** ISO 8601 local time with offset, e.g. 2026-03-10T18:00:00-04:00 */
+export function toLocalIso(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const offset = offsetMinutes(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+  const absolute = Math.abs(offset);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(
+    parts.minute
+  )}:${pad(parts.second)}${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
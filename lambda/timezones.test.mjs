@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isValidTimeZone,
+  localDateKey,
+  localWeekKey,
+  toLocalIso,
+  zonedParts,
+  zonedTimeToUtc,
+} from "./timezones.mjs";
+
+test("accepts IANA zone names and rejects anything else", () => {
+  assert.equal(isValidTimeZone("Australia/Sydney"), true);
+  assert.equal(isValidTimeZone("America/New_York"), true);
+  assert.equal(isValidTimeZone("UTC"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  assert.equal(isValidTimeZone("+10:00"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(42), false);
+});
+
+test("converts Sydney business hours across the April DST change", () => {
+  // AEDT (UTC+11) until 2026-04-05 03:00 local, then AEST (UTC+10)
+  const beforeChange = zonedTimeToUtc(
+    { year: 2026, month: 4, day: 3, minutes: 9 * 60 },
+    "Australia/Sydney"
+  );
+  const afterChange = zonedTimeToUtc(
+    { year: 2026, month: 4, day: 6, minutes: 9 * 60 },
+    "Australia/Sydney"
+  );
+  assert.equal(beforeChange.toISOString(), "2026-04-02T22:00:00.000Z");
+  assert.equal(afterChange.toISOString(), "2026-04-05T23:00:00.000Z");
+});
+
+test("returns null for wall-clock times skipped by DST", () => {
+  // Sydney clocks jump from 02:00 to 03:00 on 2026-10-04
+  assert.equal(
+    zonedTimeToUtc({ year: 2026, month: 10, day: 4, minutes: 2 * 60 + 30 }, "Australia/Sydney"),
+    null
+  );
+});
+
+test("formats local dates and offsets for the visitor's zone", () => {
+  const instant = new Date("2026-03-10T22:00:00Z");
+
+  assert.equal(toLocalIso(instant, "America/New_York"), "2026-03-10T18:00:00-04:00");
+  assert.equal(toLocalIso(instant, "Australia/Sydney"), "2026-03-11T09:00:00+11:00");
+  assert.equal(localDateKey(instant, "Australia/Sydney"), "2026-03-11");
+  assert.equal(zonedParts(instant, "Australia/Sydney").weekday, 3);
+});
+
+test("keys weeks by their local Monday", () => {
+  // Sunday 2026-03-15 23:30 in New York is Monday 2026-03-16 in Sydney
+  const instant = new Date("2026-03-16T03:30:00Z");
+
+  assert.equal(localWeekKey(instant, "America/New_York"), "2026-03-09");
+  assert.equal(localWeekKey(instant, "Australia/Sydney"), "2026-03-16");
+  assert.equal(localWeekKey(new Date("2026-03-01T12:00:00Z"), "UTC"), "2026-02-23");
+});
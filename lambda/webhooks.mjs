@@ -0,0 +1,314 @@
+/**
+ * Signed outbound webhooks for contact and booking events
+ *
+ * Subscriptions are a JSON list:
+ *
+ *   [
+ *     { "id": "crm", "url": "https://crm.example.com/hooks/waterapps",
+ *       "events": ["contact.submitted", "booking.created"], "secret": "..." },
+ *     { "id": "slack", "url": "https://hooks.slack.com/services/...",
+ *       "events": ["*"], "format": "slack", "timeoutMs": 2000, "maxAttempts": 2 }
+ *   ]
+ *
+ * `json` deliveries carry a versioned envelope
+ * `{ version, id, type, createdAt, data }`. When a subscription has a secret,
+ * every delivery is signed: `X-Webhook-Timestamp` holds unix seconds and
+ * `X-Webhook-Signature` is `v1=` + hex HMAC-SHA256 of `<timestamp>.<body>`.
+ * `slack` and `teams` deliveries use those services' incoming-webhook shapes.
+ *
+ * Each delivery is an outbox message: the request makes one attempt and
+ * failures (network errors, timeouts, 408, 429 and 5xx) are retried on the
+ * outbox schedule, up to the subscription's `maxAttempts`. Only the first
+ * attempt runs inside the request, so `timeoutMs` alone bounds the wait there.
+ */
+
+import { createHmac, randomUUID } from "node:crypto";
+
+export const WEBHOOK_EVENTS = [
+  "contact.submitted",
+  "booking.created",
+  "booking.cancelled",
+  "booking.rescheduled",
+];
+export const WEBHOOK_FORMATS = ["json", "slack", "teams"];
+export const WEBHOOK_PAYLOAD_VERSION = "1";
+
+const RETRYABLE_STATUSES = new Set([408, 429]);
+
+export function parseWebhookSubscriptions(raw) {
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(config)) {
+    throw new Error("Invalid webhooks: expected a JSON array.");
+  }
+
+  const problems = [];
+  const seen = new Set();
+  const subscriptions = config.map((entry, index) => {
+    const subscription = {
+      id: entry?.id ?? `webhook-${index + 1}`,
+      url: entry?.url,
+      events: entry?.events ?? ["*"],
+      format: entry?.format ?? "json",
+      secret: entry?.secret ?? "",
+      timeoutMs: entry?.timeoutMs ?? 3000,
+      maxAttempts: entry?.maxAttempts ?? 3,
+    };
+    const label = `webhook "${subscription.id}"`;
+
+    if (typeof subscription.id !== "string" || !/^[\w.-]{1,64}$/.test(subscription.id)) {
+      problems.push(`webhook ${index + 1} "id" must be 1-64 letters, digits, ".", "_" or "-"`);
+    } else if (seen.has(subscription.id)) {
+      problems.push(`${label} is defined twice`);
+    }
+    seen.add(subscription.id);
+
+    let url = null;
+    try {
+      url = new URL(subscription.url);
+    } catch {
+      // reported below
+    }
+    if (!url || url.protocol !== "https:") {
+      problems.push(`${label} needs an https:// "url"`);
+    }
+    if (
+      !Array.isArray(subscription.events) ||
+      subscription.events.length === 0 ||
+      !subscription.events.every((type) => type === "*" || WEBHOOK_EVENTS.includes(type))
+    ) {
+      problems.push(`${label} "events" must list "*" or ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    if (!WEBHOOK_FORMATS.includes(subscription.format)) {
+      problems.push(`${label} "format" must be one of ${WEBHOOK_FORMATS.join(", ")}`);
+    }
+    if (typeof subscription.secret !== "string") {
+      problems.push(`${label} "secret" must be a string`);
+    } else if (subscription.format === "json" && !subscription.secret) {
+      problems.push(`${label} needs a "secret" to sign json deliveries`);
+    }
+    if (
+      !Number.isInteger(subscription.timeoutMs) ||
+      subscription.timeoutMs < 100 ||
+      subscription.timeoutMs > 5000
+    ) {
+      problems.push(`${label} "timeoutMs" must be 100-5000`);
+    }
+    if (
+      !Number.isInteger(subscription.maxAttempts) ||
+      subscription.maxAttempts < 1 ||
+      subscription.maxAttempts > 5
+    ) {
+      problems.push(`${label} "maxAttempts" must be 1-5`);
+    }
+    return subscription;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid webhooks: ${problems.join("; ")}.`);
+  }
+  return subscriptions;
+}
+
+export function signWebhookPayload({ secret, timestamp, body }) {
+  return `v1=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Title, facts and long-form text shown in chat messages for each event.
+ */
+function describeEvent(event) {
+  const { data } = event;
+  const type = data.bookingType ? `${data.bookingType.title} (${data.bookingType.id})` : "";
+  switch (event.type) {
+    case "contact.submitted":
+      return {
+        title: `New enquiry from ${data.name}`,
+        facts: [
+          ["Email", data.email],
+          ["Company", data.company],
+          ["Phone", data.phone],
+          ["Reference", data.requestId],
+        ],
+        text: data.message,
+      };
+    case "booking.created":
+      return {
+        title: `New booking: ${data.name}`,
+        facts: [
+          ["Type", type],
+          ["Email", data.email],
+          ["Company", data.company],
+          ["Slot (UTC)", `${data.slotStart} to ${data.slotEnd}`],
+          ["Timezone", data.timezone],
+          ["Booking ID", data.bookingId],
+        ],
+        text: data.notes,
+      };
+    case "booking.cancelled":
+      return {
+        title: `Booking cancelled: ${data.name}`,
+        facts: [
+          ["Type", type],
+          ["Email", data.email],
+          ["Slot (UTC)", `${data.slotStart} to ${data.slotEnd}`],
+          ["Booking ID", data.bookingId],
+        ],
+      };
+    default:
+      return {
+        title: `Booking rescheduled: ${data.name}`,
+        facts: [
+          ["Type", type],
+          ["Email", data.email],
+          ["Slot (UTC)", `${data.slotStart} to ${data.slotEnd}`],
+          ["Was (UTC)", data.previousSlotStart],
+          ["Booking ID", data.bookingId],
+        ],
+      };
+  }
+}
+
+function escapeSlack(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function formatSlackMessage(event) {
+  const { title, facts, text } = describeEvent(event);
+  const shown = facts.filter(([, value]) => value);
+  return {
+    text: escapeSlack(title),
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: title.slice(0, 150) } },
+      {
+        type: "section",
+        fields: shown.map(([label, value]) => ({
+          type: "mrkdwn",
+          text: `*${label}*\n${escapeSlack(value)}`.slice(0, 2000),
+        })),
+      },
+      ...(text
+        ? [{ type: "section", text: { type: "mrkdwn", text: escapeSlack(text).slice(0, 3000) } }]
+        : []),
+    ],
+  };
+}
+
+export function formatTeamsMessage(event) {
+  const { title, facts, text } = describeEvent(event);
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            { type: "TextBlock", text: title, weight: "Bolder", size: "Medium", wrap: true },
+            {
+              type: "FactSet",
+              facts: facts
+                .filter(([, value]) => value)
+                .map(([label, value]) => ({ title: label, value: String(value) })),
+            },
+            ...(text ? [{ type: "TextBlock", text, wrap: true }] : []),
+          ],
+        },
+      },
+    ],
+  };
+}
+
+function deliveryError(message, { status, retryable }) {
+  return Object.assign(new Error(message), { name: "WebhookDeliveryError", status, retryable });
+}
+
+function formatBody(subscription, event) {
+  if (subscription.format === "slack") return formatSlackMessage(event);
+  if (subscription.format === "teams") return formatTeamsMessage(event);
+  return event;
+}
+
+/**
+ * Returns `{ events, send }` for queueing deliveries on the outbox.
+ *
+ * `events(type, data)` builds one `{ subscriptionId, event }` per subscription
+ * that wants `type`, all sharing one envelope, so every retry carries the
+ * same `id`. `send(delivery, { attempt })` makes a single attempt and throws
+ * on failure; the error's `retryable` is false for client errors, for
+ * subscriptions that no longer exist and once `attempt` reaches the
+ * subscription's `maxAttempts`.
+ */
+export function createWebhookSender({
+  subscriptions,
+  fetchImpl = globalThis.fetch,
+  now = () => new Date(),
+}) {
+  function events(type, data) {
+    const matching = subscriptions.filter(
+      (subscription) => subscription.events.includes("*") || subscription.events.includes(type)
+    );
+    if (matching.length === 0) return [];
+
+    const event = {
+      version: WEBHOOK_PAYLOAD_VERSION,
+      id: randomUUID(),
+      type,
+      createdAt: now().toISOString(),
+      data,
+    };
+    return matching.map((subscription) => ({ subscriptionId: subscription.id, event }));
+  }
+
+  async function send({ subscriptionId, event }, { attempt = 1 } = {}) {
+    const subscription = subscriptions.find((candidate) => candidate.id === subscriptionId);
+    if (!subscription) {
+      throw deliveryError(`Unknown webhook subscription: ${subscriptionId}`, {
+        status: null,
+        retryable: false,
+      });
+    }
+
+    const body = JSON.stringify(formatBody(subscription, event));
+    const timestamp = Math.floor(now().getTime() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "waterapps-contact-form-webhooks/1",
+      "X-Webhook-Id": event.id,
+      "X-Webhook-Event": event.type,
+      "X-Webhook-Timestamp": String(timestamp),
+    };
+    if (subscription.secret) {
+      headers["X-Webhook-Signature"] = signWebhookPayload({
+        secret: subscription.secret,
+        timestamp,
+        body,
+      });
+    }
+
+    const lastAttempt = attempt >= subscription.maxAttempts;
+    let response;
+    try {
+      response = await fetchImpl(subscription.url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(subscription.timeoutMs),
+      });
+    } catch (err) {
+      const message = err?.name === "TimeoutError" ? "timeout" : err?.message || "request failed";
+      throw deliveryError(message, { status: null, retryable: !lastAttempt });
+    }
+    await response.body?.cancel().catch(() => {});
+    if (response.ok) return { status: response.status };
+
+    const retryable = RETRYABLE_STATUSES.has(response.status) || response.status >= 500;
+    throw deliveryError(`HTTP ${response.status}`, {
+      status: response.status,
+      retryable: retryable && !lastAttempt,
+    });
+  }
+
+  return { events, send };
+}
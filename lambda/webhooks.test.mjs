@@ -0,0 +1,229 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import {
+  createWebhookSender,
+  formatSlackMessage,
+  formatTeamsMessage,
+  parseWebhookSubscriptions,
+  signWebhookPayload,
+} from "./webhooks.mjs";
+
+const NOW = new Date("2030-03-01T00:00:00.000Z");
+
+function recordingFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, ...init, json: JSON.parse(init.body) });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return { ok: next >= 200 && next < 300, status: next };
+  };
+  return { calls, fetchImpl };
+}
+
+function sender(subscriptions, responses) {
+  const { calls, fetchImpl } = recordingFetch(responses);
+  const webhooks = createWebhookSender({
+    subscriptions: parseWebhookSubscriptions(subscriptions),
+    fetchImpl,
+    now: () => NOW,
+  });
+  return { calls, ...webhooks };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return { name: err.name, message: err.message, status: err.status, retryable: err.retryable };
+  }
+  assert.fail("expected the delivery to fail");
+}
+
+test("parses subscriptions with defaults", () => {
+  const [subscription] = parseWebhookSubscriptions(
+    JSON.stringify([{ url: "https://crm.example.com/hook", secret: "s3cret" }])
+  );
+  assert.deepEqual(subscription, {
+    id: "webhook-1",
+    url: "https://crm.example.com/hook",
+    events: ["*"],
+    format: "json",
+    secret: "s3cret",
+    timeoutMs: 3000,
+    maxAttempts: 3,
+  });
+});
+
+test("bounds each attempt, not the attempts together", () => {
+  const [subscription] = parseWebhookSubscriptions([
+    { id: "slow", url: "https://crm.example.com", secret: "x", timeoutMs: 5000, maxAttempts: 5 },
+  ]);
+  assert.equal(subscription.timeoutMs, 5000);
+  assert.equal(subscription.maxAttempts, 5);
+});
+
+test("rejects unsafe or incomplete subscriptions", () => {
+  assert.throws(
+    () =>
+      parseWebhookSubscriptions([
+        { id: "a", url: "http://crm.example.com", secret: "x" },
+        { id: "b", url: "https://crm.example.com", events: ["contact.deleted"], secret: "x" },
+        { id: "c", url: "https://crm.example.com" },
+        { id: "d", url: "https://hooks.slack.com/x", format: "discord", maxAttempts: 9 },
+        { id: "e", url: "https://crm.example.com", secret: "x", timeoutMs: 8000 },
+      ]),
+    new RegExp(
+      [
+        '"a" needs an https:\\/\\/ "url"',
+        '"b" "events" must list',
+        '"c" needs a "secret"',
+        '"d" "format" must be one of',
+        '"d" "maxAttempts" must be 1-5',
+        '"e" "timeoutMs" must be 100-5000',
+      ].join(".*")
+    )
+  );
+  assert.throws(() => parseWebhookSubscriptions({}), /expected a JSON array/);
+});
+
+test("signs json deliveries over the timestamp and body", async () => {
+  const { calls, events, send } = sender(
+    [{ id: "crm", url: "https://crm.example.com/hook", secret: "s3cret" }],
+    [204]
+  );
+
+  const [delivery] = events("contact.submitted", { name: "Jane" });
+  assert.equal(delivery.subscriptionId, "crm");
+  assert.deepEqual(await send(delivery), { status: 204 });
+
+  const [call] = calls;
+  assert.equal(call.method, "POST");
+  assert.equal(call.json.version, "1");
+  assert.equal(call.json.type, "contact.submitted");
+  assert.equal(call.json.createdAt, NOW.toISOString());
+  assert.deepEqual(call.json.data, { name: "Jane" });
+  assert.equal(call.headers["X-Webhook-Id"], call.json.id);
+  assert.equal(call.headers["X-Webhook-Event"], "contact.submitted");
+
+  const timestamp = call.headers["X-Webhook-Timestamp"];
+  assert.equal(timestamp, String(NOW.getTime() / 1000));
+  const expected = createHmac("sha256", "s3cret").update(`${timestamp}.${call.body}`).digest("hex");
+  assert.equal(call.headers["X-Webhook-Signature"], `v1=${expected}`);
+  assert.equal(signWebhookPayload({ secret: "s3cret", timestamp, body: call.body }), `v1=${expected}`);
+});
+
+test("only queues subscriptions for the event, sharing one envelope", () => {
+  const { events } = sender(
+    [
+      { id: "contacts", url: "https://a.example.com", events: ["contact.submitted"], secret: "x" },
+      { id: "bookings", url: "https://b.example.com", events: ["booking.created"], secret: "x" },
+      { id: "all", url: "https://c.example.com", secret: "x" },
+    ],
+    [200]
+  );
+
+  const deliveries = events("booking.created", { bookingId: "b-1" });
+  assert.deepEqual(deliveries.map((d) => d.subscriptionId), ["bookings", "all"]);
+  assert.equal(new Set(deliveries.map((d) => d.event.id)).size, 1);
+  assert.deepEqual(events("booking.cancelled", {}).map((d) => d.subscriptionId), ["all"]);
+});
+
+test("makes one attempt per send and marks server errors and timeouts retryable", async () => {
+  const timeout = Object.assign(new Error("The operation was aborted due to timeout"), {
+    name: "TimeoutError",
+  });
+  const { calls, events, send } = sender(
+    [{ id: "crm", url: "https://crm.example.com", secret: "x", maxAttempts: 3 }],
+    [503, timeout, 200]
+  );
+  const [delivery] = events("contact.submitted", {});
+
+  assert.deepEqual(await rejection(send(delivery, { attempt: 1 })), {
+    name: "WebhookDeliveryError",
+    message: "HTTP 503",
+    status: 503,
+    retryable: true,
+  });
+  assert.deepEqual(await rejection(send(delivery, { attempt: 2 })), {
+    name: "WebhookDeliveryError",
+    message: "timeout",
+    status: null,
+    retryable: true,
+  });
+  assert.deepEqual(await send(delivery, { attempt: 3 }), { status: 200 });
+  assert.equal(calls.length, 3);
+  // Every attempt is the same event
+  assert.equal(new Set(calls.map((c) => c.json.id)).size, 1);
+});
+
+test("gives up on client errors, the last attempt and removed subscriptions", async () => {
+  const rejected = sender([{ id: "crm", url: "https://crm.example.com", secret: "x" }], [400]);
+  const [delivery] = rejected.events("contact.submitted", {});
+  assert.deepEqual(await rejection(rejected.send(delivery)), {
+    name: "WebhookDeliveryError",
+    message: "HTTP 400",
+    status: 400,
+    retryable: false,
+  });
+
+  const down = sender(
+    [{ id: "crm", url: "https://crm.example.com", secret: "x", maxAttempts: 2 }],
+    [new Error("connect ECONNREFUSED")]
+  );
+  const [retry] = down.events("contact.submitted", {});
+  assert.equal((await rejection(down.send(retry, { attempt: 1 }))).retryable, true);
+  assert.deepEqual(await rejection(down.send(retry, { attempt: 2 })), {
+    name: "WebhookDeliveryError",
+    message: "connect ECONNREFUSED",
+    status: null,
+    retryable: false,
+  });
+
+  const removed = await rejection(down.send({ ...retry, subscriptionId: "gone" }));
+  assert.equal(removed.message, "Unknown webhook subscription: gone");
+  assert.equal(removed.retryable, false);
+  assert.equal(down.calls.length, 2);
+});
+
+const bookingEvent = {
+  type: "booking.created",
+  data: {
+    bookingId: "b-1",
+    bookingType: { id: "DISCOVERY_30M", title: "Discovery call", durationMinutes: 30 },
+    name: "Jane <Tester>",
+    email: "jane@example.com",
+    company: "",
+    notes: "Talk about <CI> & CD",
+    timezone: "Australia/Sydney",
+    slotStart: "2030-03-04T01:00:00.000Z",
+    slotEnd: "2030-03-04T01:30:00.000Z",
+  },
+};
+
+test("formats Slack messages with escaped mrkdwn", () => {
+  const message = formatSlackMessage(bookingEvent);
+  assert.equal(message.text, "New booking: Jane &lt;Tester&gt;");
+  assert.equal(message.blocks[0].text.text, "New booking: Jane <Tester>");
+  const fields = message.blocks[1].fields.map((field) => field.text);
+  assert.ok(fields.includes("*Type*\nDiscovery call (DISCOVERY_30M)"));
+  assert.ok(!fields.some((field) => field.startsWith("*Company*")));
+  assert.equal(message.blocks[2].text.text, "Talk about &lt;CI&gt; &amp; CD");
+});
+
+test("formats Teams messages as adaptive cards", () => {
+  const message = formatTeamsMessage({
+    type: "booking.rescheduled",
+    data: { ...bookingEvent.data, previousSlotStart: "2030-03-03T23:00:00.000Z" },
+  });
+  const card = message.attachments[0].content;
+  assert.equal(message.attachments[0].contentType, "application/vnd.microsoft.card.adaptive");
+  assert.equal(card.type, "AdaptiveCard");
+  assert.equal(card.body[0].text, "Booking rescheduled: Jane <Tester>");
+  assert.deepEqual(card.body[1].facts.find((fact) => fact.title === "Was (UTC)"), {
+    title: "Was (UTC)",
+    value: "2030-03-03T23:00:00.000Z",
+  });
+});
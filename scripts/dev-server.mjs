@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Local development server: serves the Lambda handler over HTTP.
+ *
+ * Each request becomes an API Gateway HTTP API (payload format 2.0) event and
+ * the handler's result is written back as the HTTP response, so a website
+ * can call http://localhost:8787/contact as it would the deployed API.
+ * Emails are written as .eml files (MAIL_TRANSPORT=file) and every table
+ * uses the in-memory store, so nothing leaves the machine.
+ *
+ * Usage:
+ *   node --watch scripts/dev-server.mjs [--port 8787] [--host 127.0.0.1] [--mail-dir DIR]
+ *
+ * `npm run dev` (from lambda/) runs it under `node --watch`, which restarts
+ * the server when lambda/index.mjs or any module it imports changes.
+ * In-memory data (bookings, submissions, outbox) is lost on restart.
+ */
+
+import { randomUUID } from "node:crypto";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Same limit as API Gateway HTTP APIs
+const MAX_PAYLOAD_BYTES = 10 * 1024 * 1024;
+
+// Dev defaults; anything already in the environment wins.
+const DEV_ENV = {
+  ALLOWED_ORIGINS: [
+    "http://localhost:3000",
+    "http://localhost:5173",
+    "http://localhost:8080",
+    "https://www.waterapps.com.au",
+  ].join(","),
+  SOURCE_EMAIL: "bookings@waterapps.com.au",
+  TARGET_EMAIL: "varun@waterapps.com.au",
+  MAIL_TRANSPORT: "file",
+  LOG_LEVEL: "info",
+};
+
+const USAGE = `Usage: node scripts/dev-server.mjs [options]
+
+Options:
+  --port N          Port to listen on (default: $PORT or 8787)
+  --host HOST       Interface to bind (default: 127.0.0.1)
+  --mail-dir DIR    Where emails are written (default: $MAIL_FILE_DIR or .dev-mail)
+  --help            Show this help`;
+
+// API Gateway passes these through as text; anything else is base64-encoded.
+function isTextContentType(contentType = "") {
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  return (
+    type === "" ||
+    type.startsWith("text/") ||
+    type === "application/json" ||
+    type.endsWith("+json") ||
+    type === "application/x-www-form-urlencoded" ||
+    type === "application/xml" ||
+    type.endsWith("+xml") ||
+    type === "application/javascript"
+  );
+}
+
+/**
+ * Builds an HTTP API v2 event from a Node request's parts. `rawHeaders` is
+ * Node's flat [name, value, ...] list; repeated headers and query parameters
+ * are joined with commas, and cookies move to `cookies` as API Gateway does.
+ */
+export function toHttpApiEvent({
+  method,
+  url,
+  rawHeaders = [],
+  body = Buffer.alloc(0),
+  sourceIp = "127.0.0.1",
+  now = new Date(),
+  requestId = randomUUID(),
+}) {
+  const headers = {};
+  const cookies = [];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const name = rawHeaders[i].toLowerCase();
+    const value = rawHeaders[i + 1];
+    if (name === "cookie") {
+      cookies.push(...value.split(";").map((cookie) => cookie.trim()).filter(Boolean));
+    } else {
+      headers[name] = name in headers ? `${headers[name]},${value}` : value;
+    }
+  }
+
+  const queryIndex = url.indexOf("?");
+  const rawPath = queryIndex >= 0 ? url.slice(0, queryIndex) : url;
+  const rawQueryString = queryIndex >= 0 ? url.slice(queryIndex + 1) : "";
+  const queryStringParameters = {};
+  for (const [key, value] of new URLSearchParams(rawQueryString)) {
+    queryStringParameters[key] =
+      key in queryStringParameters ? `${queryStringParameters[key]},${value}` : value;
+  }
+
+  const event = {
+    version: "2.0",
+    routeKey: "$default",
+    rawPath,
+    rawQueryString,
+    headers,
+    requestContext: {
+      accountId: "offline",
+      apiId: "local",
+      domainName: headers.host || "localhost",
+      domainPrefix: (headers.host || "localhost").split(".")[0],
+      http: {
+        method,
+        path: rawPath,
+        protocol: "HTTP/1.1",
+        sourceIp,
+        userAgent: headers["user-agent"] || "",
+      },
+      requestId,
+      routeKey: "$default",
+      stage: "$default",
+      time: now.toUTCString(),
+      timeEpoch: now.getTime(),
+    },
+    isBase64Encoded: false,
+  };
+  if (cookies.length > 0) event.cookies = cookies;
+  if (Object.keys(queryStringParameters).length > 0) {
+    event.queryStringParameters = queryStringParameters;
+  }
+  if (body.length > 0) {
+    const text = isTextContentType(headers["content-type"]);
+    event.body = text ? body.toString("utf8") : body.toString("base64");
+    event.isBase64Encoded = !text;
+  }
+  return event;
+}
+
+/**
+ * Turns a handler result into `{ statusCode, headers, body }` the way API
+ * Gateway does: results without a statusCode are sent as 200 JSON, `cookies`
+ * become Set-Cookie headers and base64 bodies are decoded.
+ */
+export function fromHttpApiResult(result) {
+  if (result === null || typeof result !== "object" || result.statusCode === undefined) {
+    return {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: Buffer.from(typeof result === "string" ? result : JSON.stringify(result ?? null)),
+    };
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(result.headers || {})) {
+    headers[name.toLowerCase()] = String(value);
+  }
+  if (Array.isArray(result.cookies) && result.cookies.length > 0) {
+    headers["set-cookie"] = result.cookies;
+  }
+  const body = result.isBase64Encoded
+    ? Buffer.from(result.body || "", "base64")
+    : Buffer.from(result.body ?? "", "utf8");
+  return { statusCode: result.statusCode, headers, body };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_PAYLOAD_BYTES) {
+        reject(Object.assign(new Error("Request Entity Too Large"), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function sendGatewayError(res, statusCode, message) {
+  res.writeHead(statusCode, { "content-type": "application/json" });
+  res.end(JSON.stringify({ message }));
+}
+
+export function createDevServer({ handler }) {
+  return http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    let statusCode = 500;
+    try {
+      const body = await readBody(req);
+      const event = toHttpApiEvent({
+        method: req.method,
+        url: req.url,
+        rawHeaders: req.rawHeaders,
+        body,
+        sourceIp: (req.socket.remoteAddress || "127.0.0.1").replace(/^::ffff:/, ""),
+      });
+      const response = fromHttpApiResult(await handler(event));
+      statusCode = response.statusCode;
+      res.writeHead(response.statusCode, response.headers);
+      res.end(response.body);
+    } catch (err) {
+      statusCode = err?.statusCode || 500;
+      if (statusCode === 500) console.error(err);
+      sendGatewayError(res, statusCode, statusCode === 413 ? err.message : "Internal Server Error");
+    } finally {
+      console.log(`${req.method} ${req.url} ${statusCode} ${Date.now() - startedAt}ms`);
+    }
+  });
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT || "8787"),
+    host: "127.0.0.1",
+    mailDir: process.env.MAIL_FILE_DIR || path.join(ROOT, ".dev-mail"),
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (arg === "--port") {
+      options.port = Number(argv[++i]);
+    } else if (arg === "--host") {
+      options.host = argv[++i];
+    } else if (arg === "--mail-dir") {
+      options.mailDir = path.resolve(argv[++i]);
+    } else {
+      console.error(`Unknown option: ${arg}\n\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+    console.error("--port must be 1-65535.");
+    process.exit(1);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  for (const [name, value] of Object.entries(DEV_ENV)) {
+    process.env[name] ??= value;
+  }
+  process.env.MAIL_FILE_DIR = options.mailDir;
+
+  // Imported after the env is set: index.mjs reads its config at load time.
+  const { handler } = await import("../lambda/index.mjs");
+  const server = createDevServer({ handler });
+  server.listen(options.port, options.host, () => {
+    console.log(`WaterApps API on http://${options.host}:${options.port}`);
+    console.log(`Allowed origins: ${process.env.ALLOWED_ORIGINS}`);
+    if (process.env.MAIL_TRANSPORT === "file") {
+      console.log(`Emails are written to ${options.mailDir}`);
+    }
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  await main();
+}
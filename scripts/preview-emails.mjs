@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Renders every notification email template with sample data into one local
+ * HTML page: subject, HTML body (in an iframe) and plain-text body per template.
+ *
+ * Usage:
+ *   node scripts/preview-emails.mjs [--out email-preview.html] [--templates DIR] [--brand JSON]
+ *
+ * The brand defaults to the EMAIL_BRAND environment variable, so the preview
+ * matches what the Lambda sends with the same settings.
+ */
+
+import { writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  createEmailRenderer,
+  EMAIL_TEMPLATE_NAMES,
+  escapeHtml,
+  loadEmailTemplates,
+  parseEmailBrand,
+} from "../lambda/email-templates.mjs";
+
+const USAGE = `Usage: node scripts/preview-emails.mjs [options]
+
+Options:
+  --out FILE        Output HTML file (default: email-preview.html)
+  --templates DIR   Template directory (default: lambda/email-templates)
+  --brand JSON      Brand settings (default: $EMAIL_BRAND)
+  --help            Show this help`;
+
+const bookingType = {
+  id: "DISCOVERY_30M",
+  title: "Discovery call",
+  durationMinutes: 30,
+  label: "Discovery call (30 min, DISCOVERY_30M)",
+};
+const manageLinks = {
+  cancelUrl: "https://api.example.com/booking/7f3c2a9e/cancel?token=sample",
+  rescheduleUrl: "https://api.example.com/booking/7f3c2a9e/reschedule?token=sample",
+};
+const booking = {
+  bookingType,
+  name: "Jane Tester",
+  email: "jane@example.com",
+  company: "Example Pty Ltd",
+  notes: "Keen to talk about moving our CI to GitHub Actions.",
+  timezone: "Australia/Sydney",
+  slotStart: "2030-03-04T01:00:00.000Z",
+  slotEnd: "2030-03-04T01:30:00.000Z",
+  bookingId: "7f3c2a9e-1b2c-4d5e-8f90-123456789abc",
+  manageLinks,
+};
+
+const SAMPLES = {
+  "contact-owner": {
+    name: "Jane Tester",
+    email: "jane@example.com",
+    company: "Example Pty Ltd",
+    phone: "+61 400 000 000",
+    message: "Hi,\n\nWe'd like help with our AWS landing zone. <Is next week OK?>",
+    timestamp: "2030-03-01T02:15:00.000Z",
+    origin: "https://www.waterapps.com.au",
+    sourceIp: "203.0.113.7",
+    userAgent: "Mozilla/5.0 (preview)",
+    requestId: "req-preview-0001",
+    submissionId: "3d1f0c4e-preview",
+    hasAttachments: true,
+    attachments: [
+      { filename: "architecture.pdf", size: "1.2 MB", url: "" },
+      {
+        filename: "network-diagram.vsdx",
+        size: "8.4 MB",
+        url: "https://attachments.example/contact/network-diagram.vsdx?X-Amz-Signature=preview",
+      },
+    ],
+    attachmentLinksExpireAt: "2030-03-02T02:15:00.000Z",
+  },
+  "contact-ack": {
+    name: "Jane Tester",
+    message: "Hi,\n\nWe'd like help with our AWS landing zone. <Is next week OK?>",
+    requestId: "req-preview-0001",
+  },
+  "booking-owner": booking,
+  "booking-guest": {
+    ...booking,
+    organizerName: "WaterApps",
+    localSlot: "Monday, 4 March 2030 at 12:00 pm (Australia/Sydney)",
+  },
+  "booking-change-owner": {
+    ...booking,
+    cancelled: false,
+    previousSlotStart: "2030-03-03T23:00:00.000Z",
+  },
+  "form-owner": {
+    formId: "partner-enquiry",
+    formTitle: "Partner enquiry",
+    subject: "Partner enquiry: Example Pty Ltd (Jane Tester)",
+    rows: [
+      { name: "name", label: "Name", value: "Jane Tester", multiline: false },
+      { name: "email", label: "Email", value: "jane@example.com", multiline: false },
+      { name: "company", label: "Company", value: "Example Pty Ltd", multiline: false },
+      { name: "website", label: "Website", value: "Not provided", multiline: false },
+      {
+        name: "message",
+        label: "Message",
+        value: "We resell cloud training.\n\n<Could we co-host a workshop?>",
+        multiline: true,
+      },
+    ],
+    replyTo: "jane@example.com",
+    timestamp: "2030-03-01T02:15:00.000Z",
+    origin: "https://www.waterapps.com.au",
+    sourceIp: "203.0.113.7",
+    userAgent: "Mozilla/5.0 (preview)",
+    requestId: "req-preview-0002",
+  },
+};
+
+function parseArgs(argv) {
+  const args = {
+    out: "email-preview.html",
+    templates: fileURLToPath(new URL("../lambda/email-templates/", import.meta.url)),
+    brand: process.env.EMAIL_BRAND || "{}",
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    if (flag === "--help") {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    if (!["--out", "--templates", "--brand"].includes(flag) || argv[i + 1] === undefined) {
+      console.error(`Unknown or incomplete option: ${flag}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    args[flag.slice(2)] = argv[i + 1];
+    i += 1;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const render = createEmailRenderer(loadEmailTemplates(path.resolve(args.templates)), {
+  brand: parseEmailBrand(args.brand),
+});
+
+const sections = EMAIL_TEMPLATE_NAMES.map((name) => {
+  const email = render(name, SAMPLES[name]);
+  return `
+<section>
+  <h2>${escapeHtml(name)}</h2>
+  <p><strong>Subject:</strong> ${escapeHtml(email.subject)}</p>
+  <iframe title="${escapeHtml(name)} HTML" srcdoc="${escapeHtml(email.html)}"></iframe>
+  <pre>${escapeHtml(email.text)}</pre>
+</section>`;
+});
+
+const outPath = path.resolve(args.out);
+writeFileSync(
+  outPath,
+  `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Email template preview</title>
+<style>
+  body { font-family: sans-serif; margin: 24px; background: #fafafa; }
+  section { margin-bottom: 48px; }
+  iframe { width: 100%; max-width: 720px; height: 640px; border: 1px solid #ccc; background: #fff; }
+  pre { max-width: 720px; padding: 12px; border: 1px solid #ccc; background: #fff; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Email template preview</h1>${sections.join("\n")}
+</body>
+</html>
+`
+);
+console.log(`Wrote ${EMAIL_TEMPLATE_NAMES.length} templates to ${outPath}`);
@@ -14,6 +14,7 @@ Options:
   --email EMAIL        Email value used in payloads (default: smoke-test@waterapps.com.au)
   --skip-valid-send    Skip the live success-path POST that sends an email
   --include-booking    Also run /availability and /booking checks (sends booking email)
+  --form-token-wait N  Seconds to wait after fetching a form token (default: 5; match form_token_min_seconds)
   --help               Show this help
 
 Checks:
@@ -22,6 +23,8 @@ Checks:
   3. POST /contact with invalid field types returns 400 validation_failed
   4. POST /contact valid payload returns 200 success (unless --skip-valid-send)
   5. Optional: GET /availability returns slots and POST /booking accepts a request
+
+When GET /form-token is enabled, checks 3-5 fetch a fresh token per POST.
 EOF
 }
 
@@ -30,6 +33,7 @@ ORIGIN="${CONTACT_FORM_ORIGIN:-https://www.waterapps.com.au}"
 EMAIL="${CONTACT_FORM_SMOKE_EMAIL:-smoke-test@waterapps.com.au}"
 SKIP_VALID_SEND=0
 INCLUDE_BOOKING=0
+FORM_TOKEN_WAIT_SECONDS="${CONTACT_FORM_TOKEN_WAIT:-5}"
 
 while [[ $# -gt 0 ]]; do
   case "$1" in
@@ -53,6 +57,10 @@ while [[ $# -gt 0 ]]; do
       INCLUDE_BOOKING=1
       shift
       ;;
+    --form-token-wait)
+      FORM_TOKEN_WAIT_SECONDS="${2:-}"
+      shift 2
+      ;;
     --help|-h)
       usage
       exit 0
@@ -84,6 +92,7 @@ normalize_endpoint() {
   HEALTH_URL="$BASE_URL/health"
   AVAILABILITY_URL="$BASE_URL/availability"
   BOOKING_URL="$BASE_URL/booking"
+  FORM_TOKEN_URL="$BASE_URL/form-token"
 }
 
 normalize_endpoint "$ENDPOINT"
@@ -141,6 +150,20 @@ body_contains() {
   grep -Fq "$needle" "$file"
 }
 
+# Prints a ',"formToken":"..."' payload fragment when the API issues form
+# tokens (nothing otherwise), after waiting out the minimum fill time.
+form_token_fragment() {
+  local body_file="$TMP_DIR/form-token.json"
+  local code token
+  code="$(curl -sS "$FORM_TOKEN_URL" -H "Origin: $ORIGIN" -o "$body_file" -w "%{http_code}" || true)"
+  if [[ "$code" != "200" ]]; then
+    return 0
+  fi
+  token="$(grep -oE '"formToken":"[^"]+"' "$body_file" | sed -E 's/"formToken":"([^"]+)"/\1/')"
+  sleep "$FORM_TOKEN_WAIT_SECONDS"
+  printf ',"formToken":"%s"' "$token"
+}
+
 say "WaterApps contact-form smoke test"
 say "Contact endpoint: $CONTACT_URL"
 say "Health endpoint:   $HEALTH_URL"
@@ -169,7 +192,7 @@ fi
 
 # 3) Invalid field type should be validation error, not 500
 invalid_type_body="$TMP_DIR/invalid-type.json"
-invalid_type_payload='{"name":123,"email":"'"$EMAIL"'","message":"Type mismatch validation test"}'
+invalid_type_payload='{"name":123,"email":"'"$EMAIL"'","message":"Type mismatch validation test"'"$(form_token_fragment)"'}'
 invalid_type_code="$(curl_json "POST" "$CONTACT_URL" "$invalid_type_body" "$invalid_type_payload" "$ORIGIN" || true)"
 if [[ "$invalid_type_code" == "400" ]] && body_contains "$invalid_type_body" 'validation_failed'; then
   pass "POST /contact invalid field type returns 400 validation_failed"
@@ -183,7 +206,7 @@ if [[ "$SKIP_VALID_SEND" -eq 1 ]]; then
 else
   valid_body="$TMP_DIR/valid.json"
   ts="$(date -u +"%Y-%m-%dT%H:%M:%SZ")"
-  valid_payload='{"name":"Prod Smoke Test","email":"'"$EMAIL"'","company":"WaterApps","message":"Automated smoke test ('"$ts"')"}'
+  valid_payload='{"name":"Prod Smoke Test","email":"'"$EMAIL"'","company":"WaterApps","message":"Automated smoke test ('"$ts"')"'"$(form_token_fragment)"'}'
   valid_code="$(curl_json "POST" "$CONTACT_URL" "$valid_body" "$valid_payload" "$ORIGIN" || true)"
   if [[ "$valid_code" == "200" ]] && body_contains "$valid_body" '"status":"success"'; then
     pass "POST /contact valid payload returns 200 success"
@@ -202,7 +225,7 @@ if [[ "$INCLUDE_BOOKING" -eq 1 ]]; then
     slot_start="$(grep -oE '"slotStart":"[^"]+"' "$availability_body" | head -n1 | sed -E 's/"slotStart":"([^"]+)"/\1/')"
     if [[ -n "$slot_start" ]]; then
       booking_body="$TMP_DIR/booking.json"
-      booking_payload='{"name":"Booking Smoke Test","email":"'"$EMAIL"'","company":"WaterApps","notes":"Automated booking smoke test","timezone":"Australia/Sydney","slotStart":"'"$slot_start"'"}'
+      booking_payload='{"name":"Booking Smoke Test","email":"'"$EMAIL"'","company":"WaterApps","notes":"Automated booking smoke test","timezone":"Australia/Sydney","slotStart":"'"$slot_start"'"'"$(form_token_fragment)"'}'
       booking_code="$(curl_json "POST" "$BOOKING_URL" "$booking_body" "$booking_payload" "$ORIGIN" || true)"
       if [[ "$booking_code" == "200" ]] && body_contains "$booking_body" '"status":"success"'; then
         pass "POST /booking valid payload returns 200 success"
@@ -47,11 +47,88 @@ data "aws_region" "current" {}
 
 locals {
   mail_from_domain = "${var.mail_from_subdomain}.${var.source_email_domain}"
-  ses_identity_arns = distinct([
-    "arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${var.source_email}",
-    "arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${var.target_email}",
-    "arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${var.source_email_domain}"
+
+  # Owner notifications go to every target, copied to the Cc / Bcc lists
+  target_emails    = distinct(concat([var.target_email], var.additional_target_emails))
+  owner_recipients = distinct(concat(local.target_emails, var.target_email_cc, var.target_email_bcc))
+
+  ses_identity_arns = distinct(concat(
+    ["arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${var.source_email}"],
+    [for email in local.owner_recipients : "arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${email}"],
+    ["arn:aws:ses:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:identity/${var.source_email_domain}"]
+  ))
+
+  # Lambda reads the catalogue as JSON; null fields inherit the booking_* defaults
+  booking_types_json = length(var.booking_types) > 0 ? jsonencode([
+    for t in var.booking_types : {
+      id                  = t.id
+      title               = t.title
+      description         = t.description
+      durationMinutes     = t.duration_minutes
+      workdays            = t.workdays
+      start               = t.day_start
+      end                 = t.day_end
+      minLeadMinutes      = t.min_lead_minutes
+      lookaheadDays       = t.lookahead_days
+      bufferBeforeMinutes = t.buffer_before_minutes
+      bufferAfterMinutes  = t.buffer_after_minutes
+    }
+  ]) : ""
+
+  # Per-route, per-key limits as the Lambda's camelCase JSON
+  rate_limits_json = jsonencode({
+    for route, keys in var.rate_limits : route => {
+      for key, r in keys : key => {
+        limit         = r.limit
+        windowSeconds = r.window_seconds
+      }
+    }
+  })
+
+  # Per-route CAPTCHA settings; null fields use the Lambda defaults
+  captcha_routes_json = jsonencode({
+    for route, c in var.captcha_routes : route => {
+      provider  = c.provider
+      failOpen  = c.fail_open
+      timeoutMs = c.timeout_ms
+      minScore  = c.min_score
+    }
+  })
+
+  # HTML form-post redirect pages by form id; null fields fall back to the Referer
+  form_redirects_json = jsonencode({
+    for page, r in var.form_redirects : page => {
+      successUrl = r.success_url
+      errorUrl   = r.error_url
+    }
+  })
+
+  # Webhook subscriptions as the Lambda's camelCase JSON; null fields use the Lambda defaults
+  webhooks_json = jsonencode([
+    for w in var.webhooks : {
+      id          = w.id
+      url         = w.url
+      events      = w.events
+      format      = w.format
+      secret      = w.secret
+      timeoutMs   = w.timeout_ms
+      maxAttempts = w.max_attempts
+    }
   ])
+
+  # Email brand settings; unset fields use the Lambda defaults
+  email_brand_json = jsonencode({
+    for key, value in {
+      name            = var.email_brand.name
+      siteName        = var.email_brand.site_name
+      siteUrl         = var.email_brand.site_url
+      logoUrl         = var.email_brand.logo_url
+      primaryColor    = var.email_brand.primary_color
+      textColor       = var.email_brand.text_color
+      backgroundColor = var.email_brand.background_color
+      signature       = var.email_brand.signature
+    } : key => value if value != null
+  })
 }
 
 resource "aws_dynamodb_table" "independent_reviews" {
@@ -83,6 +160,12 @@ resource "aws_dynamodb_table" "independent_reviews" {
     projection_type = "ALL"
   }
 
+  # Lambda stamps expires_at from REVIEW_RETENTION_DAYS
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
   server_side_encryption {
     enabled = true
   }
@@ -97,6 +180,287 @@ resource "aws_dynamodb_table" "independent_reviews" {
   })
 }
 
+# Bookings share generic pk/sk keys: one record per booking id, plus a slot
+# lock per held slot whose conditional write prevents double-booking.
+resource "aws_dynamodb_table" "bookings" {
+  name         = "${var.project}-${var.environment}-bookings"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "pk"
+  range_key    = "sk"
+
+  attribute {
+    name = "pk"
+    type = "S"
+  }
+
+  attribute {
+    name = "sk"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  point_in_time_recovery {
+    enabled = var.bookings_point_in_time_recovery_enabled
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-bookings"
+    Component = "Bookings"
+  })
+}
+
+# Contact submissions saved before the notification email is sent, so an
+# enquiry survives a bounced or failed email; listed by inbox status and date
+resource "aws_dynamodb_table" "contact_submissions" {
+  name         = "${var.project}-${var.environment}-contact-submissions"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "submission_id"
+
+  attribute {
+    name = "submission_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "created_at"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "status-created-at-index"
+    hash_key        = "status"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
+  # Lambda stamps expires_at from CONTACT_RETENTION_DAYS
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  point_in_time_recovery {
+    enabled = var.contact_submissions_point_in_time_recovery_enabled
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-contact-submissions"
+    Component = "ContactInbox"
+  })
+}
+
+# Rate-limit counters, one item per key and window; expired windows drop via TTL
+resource "aws_dynamodb_table" "rate_limits" {
+  name         = "${var.project}-${var.environment}-rate-limits"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "limit_key"
+
+  attribute {
+    name = "limit_key"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-rate-limits"
+    Component = "SpamDefence"
+  })
+}
+
+# Used form-token ids; records expire with the token itself
+resource "aws_dynamodb_table" "form_tokens" {
+  name         = "${var.project}-${var.environment}-form-tokens"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "token_id"
+
+  attribute {
+    name = "token_id"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-form-tokens"
+    Component = "SpamDefence"
+  })
+}
+
+# Idempotency-Key claims and stored responses; records expire after the replay window
+resource "aws_dynamodb_table" "idempotency" {
+  name         = "${var.project}-${var.environment}-idempotency"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "idempotency_key"
+
+  attribute {
+    name = "idempotency_key"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-idempotency"
+    Component = "ContactForm"
+  })
+}
+
+# Notification outbox: pending, sent and dead-lettered emails; due and dead
+# messages are found through the status index
+resource "aws_dynamodb_table" "outbox" {
+  name         = "${var.project}-${var.environment}-outbox"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "message_id"
+
+  attribute {
+    name = "message_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "next_attempt_at"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "status-next-attempt-index"
+    hash_key        = "status"
+    range_key       = "next_attempt_at"
+    projection_type = "ALL"
+  }
+
+  # Lambda stamps expires_at on sent and dead messages from OUTBOX_RETENTION_DAYS
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-outbox"
+    Component = "Notifications"
+  })
+}
+
+# Contact attachments: browsers PUT through presigned URLs, the Lambda reads
+# them back for the owner email. Objects expire after attachment_retention_days.
+resource "aws_s3_bucket" "attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  bucket_prefix = "${var.project}-${var.environment}-attachments-"
+
+  tags = merge(var.common_tags, {
+    Name      = "${var.project}-${var.environment}-attachments"
+    Component = "ContactForm"
+  })
+}
+
+resource "aws_s3_bucket_public_access_block" "attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  bucket                  = aws_s3_bucket.attachments[0].id
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  bucket = aws_s3_bucket.attachments[0].id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+resource "aws_s3_bucket_lifecycle_configuration" "attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  bucket = aws_s3_bucket.attachments[0].id
+
+  rule {
+    id     = "expire-attachments"
+    status = "Enabled"
+
+    filter {
+      prefix = "contact/"
+    }
+
+    expiration {
+      days = var.attachment_retention_days
+    }
+
+    abort_incomplete_multipart_upload {
+      days_after_initiation = 1
+    }
+  }
+}
+
+# Presigned uploads come straight from the website
+resource "aws_s3_bucket_cors_configuration" "attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  bucket = aws_s3_bucket.attachments[0].id
+
+  cors_rule {
+    allowed_origins = var.allowed_origins
+    allowed_methods = ["PUT"]
+    allowed_headers = ["Content-Type"]
+    max_age_seconds = 3000
+  }
+}
+
 # ─────────────────────────────────────────────
 # IAM — Least privilege for Lambda
 # ─────────────────────────────────────────────
@@ -155,6 +519,161 @@ resource "aws_iam_role_policy" "lambda_logging" {
   })
 }
 
+# Bookings table — transactional record and slot-lock writes, availability
+# range queries and booking lookups for cancel/reschedule links
+resource "aws_iam_role_policy" "lambda_dynamodb_bookings" {
+  name = "${var.project}-${var.environment}-bookings-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:DeleteItem",
+          "dynamodb:Query",
+        ]
+        Resource = aws_dynamodb_table.bookings.arn
+      }
+    ]
+  })
+}
+
+# Contact submissions table — saves, delivery updates, admin reads and triage
+resource "aws_iam_role_policy" "lambda_dynamodb_contact_submissions" {
+  name = "${var.project}-${var.environment}-contact-submissions-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem",
+        ]
+        Resource = aws_dynamodb_table.contact_submissions.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:Query",
+        ]
+        Resource = "${aws_dynamodb_table.contact_submissions.arn}/index/status-created-at-index"
+      }
+    ]
+  })
+}
+
+# Form-token table — conditional puts that mark a token as used, deletes that release it
+resource "aws_iam_role_policy" "lambda_dynamodb_form_tokens" {
+  name = "${var.project}-${var.environment}-form-tokens-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect = "Allow"
+      Action = [
+        "dynamodb:PutItem",
+        "dynamodb:DeleteItem",
+      ]
+      Resource = aws_dynamodb_table.form_tokens.arn
+    }]
+  })
+}
+
+# Idempotency table — claim, complete, release and read stored responses
+resource "aws_iam_role_policy" "lambda_dynamodb_idempotency" {
+  name = "${var.project}-${var.environment}-idempotency-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect = "Allow"
+      Action = [
+        "dynamodb:PutItem",
+        "dynamodb:GetItem",
+        "dynamodb:UpdateItem",
+        "dynamodb:DeleteItem",
+      ]
+      Resource = aws_dynamodb_table.idempotency.arn
+    }]
+  })
+}
+
+# Outbox table — save, claim and update messages; query due and dead messages
+resource "aws_iam_role_policy" "lambda_dynamodb_outbox" {
+  name = "${var.project}-${var.environment}-outbox-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem",
+        ]
+        Resource = aws_dynamodb_table.outbox.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:Query",
+        ]
+        Resource = "${aws_dynamodb_table.outbox.arn}/index/status-next-attempt-index"
+      }
+    ]
+  })
+}
+
+# Rate-limit table — counter increments and previous-window reads
+resource "aws_iam_role_policy" "lambda_dynamodb_rate_limits" {
+  name = "${var.project}-${var.environment}-rate-limits-dynamodb"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect = "Allow"
+      Action = [
+        "dynamodb:UpdateItem",
+        "dynamodb:GetItem",
+      ]
+      Resource = aws_dynamodb_table.rate_limits.arn
+    }]
+  })
+}
+
+# Attachments bucket — presigned uploads (PUT) and reads for checks and emails
+resource "aws_iam_role_policy" "lambda_s3_attachments" {
+  count = var.attachments_enabled ? 1 : 0
+
+  name = "${var.project}-${var.environment}-attachments-s3"
+  role = aws_iam_role.lambda.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect = "Allow"
+      Action = [
+        "s3:PutObject",
+        "s3:GetObject",
+      ]
+      Resource = "${aws_s3_bucket.attachments[0].arn}/contact/*"
+    }]
+  })
+}
+
 # Keep legacy reviews-table permissions managed until the explicit retirement plan
 # is executed. This avoids accidental policy deletion from state drift.
 resource "aws_iam_role_policy" "lambda_dynamodb_reviews" {
@@ -215,27 +734,94 @@ resource "aws_lambda_function" "contact" {
       condition     = endswith(lower(var.source_email), "@${lower(var.source_email_domain)}")
       error_message = "source_email must belong to source_email_domain for SES domain alignment."
     }
+    precondition {
+      condition     = !var.attachments_enabled || var.attachment_link_secret != ""
+      error_message = "attachment_link_secret is required when attachments_enabled is true."
+    }
   }
 
   environment {
     variables = merge(
       {
-        SOURCE_EMAIL                  = var.source_email
-        TARGET_EMAIL                  = var.target_email
-        ALLOWED_ORIGINS               = join(",", var.allowed_origins)
-        MAX_BODY_BYTES                = tostring(var.max_body_bytes)
-        LOG_LEVEL                     = var.log_level
-        BOOKING_TYPE                  = var.booking_type
-        BOOKING_SLOT_DURATION_MINUTES = tostring(var.booking_slot_duration_minutes)
-        BOOKING_LOOKAHEAD_DAYS        = tostring(var.booking_lookahead_days)
-        BOOKING_MIN_LEAD_MINUTES      = tostring(var.booking_min_lead_minutes)
-        BOOKING_START_HOUR_UTC        = tostring(var.booking_start_hour_utc)
-        BOOKING_END_HOUR_UTC          = tostring(var.booking_end_hour_utc)
-        BOOKING_WORKDAYS_UTC          = join(",", [for d in var.booking_workdays_utc : tostring(d)])
+        SOURCE_EMAIL                        = var.source_email
+        TARGET_EMAIL                        = join(",", local.target_emails)
+        TARGET_EMAIL_CC                     = join(",", var.target_email_cc)
+        TARGET_EMAIL_BCC                    = join(",", var.target_email_bcc)
+        ALLOWED_ORIGINS                     = join(",", var.allowed_origins)
+        MAX_BODY_BYTES                      = tostring(var.max_body_bytes)
+        LOG_LEVEL                           = var.log_level
+        BOOKING_TYPE                        = var.booking_type
+        BOOKING_TYPES                       = local.booking_types_json
+        BOOKING_SLOT_DURATION_MINUTES       = tostring(var.booking_slot_duration_minutes)
+        BOOKING_LOOKAHEAD_DAYS              = tostring(var.booking_lookahead_days)
+        BOOKING_MIN_LEAD_MINUTES            = tostring(var.booking_min_lead_minutes)
+        BOOKING_BUFFER_BEFORE_MINUTES       = tostring(var.booking_buffer_before_minutes)
+        BOOKING_BUFFER_AFTER_MINUTES        = tostring(var.booking_buffer_after_minutes)
+        BOOKING_MIN_GAP_MINUTES             = tostring(var.booking_min_gap_minutes)
+        BOOKING_MAX_PER_DAY                 = tostring(var.booking_max_per_day)
+        BOOKING_MAX_PER_WEEK                = tostring(var.booking_max_per_week)
+        BOOKING_BUSY_CALENDAR_URLS          = join(",", var.booking_busy_calendar_urls)
+        BOOKING_BUSY_CALENDAR_AUTHORIZATION = var.booking_busy_calendar_authorization
+        BOOKING_BUSY_CACHE_SECONDS          = tostring(var.booking_busy_cache_seconds)
+        BOOKING_TIMEZONE                    = var.booking_timezone
+        BOOKING_DAY_START                   = var.booking_day_start
+        BOOKING_DAY_END                     = var.booking_day_end
+        BOOKING_WORKDAYS                    = join(",", [for d in var.booking_workdays : tostring(d)])
+        BOOKING_SCHEDULE_EXCEPTIONS         = var.booking_schedule_exceptions
+        BOOKING_RETENTION_DAYS              = tostring(var.booking_retention_days)
+        BOOKINGS_TABLE_NAME                 = aws_dynamodb_table.bookings.name
+        BOOKING_LINK_SECRET                 = var.booking_link_secret
+        BOOKING_MANAGE_URL                  = var.booking_manage_url
+        BOOKING_ORGANIZER_NAME              = var.booking_organizer_name
+        BOOKING_GUEST_CONFIRMATION_ENABLED  = tostring(var.booking_guest_confirmation_enabled)
+        FORM_TOKEN_SECRET                   = var.form_token_secret
+        FORM_TOKEN_MIN_SECONDS              = tostring(var.form_token_min_seconds)
+        FORM_TOKEN_MAX_SECONDS              = tostring(var.form_token_max_seconds)
+        FORM_TOKENS_TABLE_NAME              = aws_dynamodb_table.form_tokens.name
+        FORM_HONEYPOT_FIELD                 = var.form_honeypot_field
+        RATE_LIMITS                         = local.rate_limits_json
+        RATE_LIMITS_TABLE_NAME              = aws_dynamodb_table.rate_limits.name
+        RATE_LIMIT_KEY_SECRET               = var.rate_limit_key_secret
+        IDEMPOTENCY_TABLE_NAME              = aws_dynamodb_table.idempotency.name
+        IDEMPOTENCY_TTL_SECONDS             = tostring(var.idempotency_ttl_seconds)
+        OUTBOX_TABLE_NAME                   = aws_dynamodb_table.outbox.name
+        OUTBOX_MAX_ATTEMPTS                 = tostring(var.outbox_max_attempts)
+        OUTBOX_RETRY_BASE_SECONDS           = tostring(var.outbox_retry_base_seconds)
+        OUTBOX_RETENTION_DAYS               = tostring(var.outbox_retention_days)
+        CAPTCHA_ROUTES                      = local.captcha_routes_json
+        CAPTCHA_TURNSTILE_SECRET            = lookup(var.captcha_secrets, "turnstile", "")
+        CAPTCHA_TURNSTILE_VERIFY_URL        = lookup(var.captcha_verify_urls, "turnstile", "")
+        CAPTCHA_HCAPTCHA_SECRET             = lookup(var.captcha_secrets, "hcaptcha", "")
+        CAPTCHA_HCAPTCHA_VERIFY_URL         = lookup(var.captcha_verify_urls, "hcaptcha", "")
+        CAPTCHA_RECAPTCHA_SECRET            = lookup(var.captcha_secrets, "recaptcha", "")
+        CAPTCHA_RECAPTCHA_VERIFY_URL        = lookup(var.captcha_verify_urls, "recaptcha", "")
+        EMAIL_BRAND                         = local.email_brand_json
+        WEBHOOKS                            = local.webhooks_json
+        CONTACT_SUBMISSIONS_TABLE_NAME      = aws_dynamodb_table.contact_submissions.name
+        CONTACT_RETENTION_DAYS              = tostring(var.contact_retention_days)
+        CONTACT_ADMIN_GROUP                 = var.contact_admin_group
+        CONTACT_ACK_ENABLED                 = tostring(var.contact_ack_enabled)
+        CONTACT_ACK_MAX_PER_RECIPIENT       = tostring(var.contact_ack_max_per_recipient)
+        CONTACT_ACK_WINDOW_SECONDS          = tostring(var.contact_ack_window_seconds)
+        FORMS                               = var.forms
+        FORM_REDIRECTS                      = local.form_redirects_json
+        ATTACHMENTS_BUCKET                  = var.attachments_enabled ? aws_s3_bucket.attachments[0].id : ""
+        ATTACHMENT_MAX_BYTES                = tostring(var.attachment_max_bytes)
+        ATTACHMENT_MAX_FILES                = tostring(var.attachment_max_files)
+        ATTACHMENT_MAX_TOTAL_BYTES          = tostring(var.attachment_max_total_bytes)
+        ATTACHMENT_INLINE_MAX_BYTES         = tostring(var.attachment_inline_max_bytes)
+        ATTACHMENT_UPLOAD_EXPIRY_SECONDS    = tostring(var.attachment_upload_expiry_seconds)
+        ATTACHMENT_LINK_EXPIRY_SECONDS      = tostring(var.attachment_link_expiry_seconds)
+        ATTACHMENT_LINK_SECRET              = var.attachment_link_secret
+        ATTACHMENT_TYPES                    = join(",", var.attachment_types)
+        ATTACHMENT_SCAN_URL                 = var.attachment_scan_url
+        ATTACHMENT_SCAN_TIMEOUT_MS          = tostring(var.attachment_scan_timeout_ms)
+        ATTACHMENT_SCAN_FAIL_OPEN           = tostring(var.attachment_scan_fail_open)
       },
       var.preserve_legacy_reviews_stack ? {
         REVIEWS_TABLE_NAME    = var.legacy_reviews_table_name
         REVIEW_RETENTION_DAYS = tostring(var.legacy_review_retention_days)
+        REVIEW_ADMIN_GROUP    = var.review_admin_group
       } : {}
     )
   }
@@ -258,10 +844,11 @@ resource "aws_apigatewayv2_api" "contact" {
   description   = "WaterApps contact form API"
 
   cors_configuration {
-    allow_origins = var.allowed_origins
-    allow_methods = ["GET", "POST", "OPTIONS"]
-    allow_headers = ["Content-Type", "X-Requested-With"]
-    max_age       = 86400 # 24 hours — browser caches preflight
+    allow_origins  = var.allowed_origins
+    allow_methods  = ["GET", "POST", "OPTIONS"]
+    allow_headers  = ["Content-Type", "X-Requested-With", "Idempotency-Key"]
+    expose_headers = ["Retry-After", "Idempotent-Replayed"]
+    max_age        = 86400 # 24 hours — browser caches preflight
   }
 }
 
@@ -302,24 +889,127 @@ resource "aws_apigatewayv2_integration" "lambda" {
   payload_format_version = "2.0"
 }
 
+resource "aws_apigatewayv2_route" "get_openapi" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /openapi.json"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
 resource "aws_apigatewayv2_route" "post_contact" {
   api_id    = aws_apigatewayv2_api.contact.id
   route_key = "POST /contact"
   target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
 }
 
+resource "aws_apigatewayv2_route" "post_contact_attachments" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "POST /contact/attachments"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "get_contact_attachments_download" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /contact/attachments/download"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "get_form" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /forms/{formId}"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "post_form" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "POST /forms/{formId}"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_authorizer" "contact_admin_jwt" {
+  api_id                           = aws_apigatewayv2_api.contact.id
+  name                             = "${var.project}-${var.environment}-contact-admin-jwt"
+  authorizer_type                  = "JWT"
+  identity_sources                 = ["$request.header.Authorization"]
+  authorizer_result_ttl_in_seconds = 0
+
+  jwt_configuration {
+    issuer   = var.contact_admin_jwt_issuer
+    audience = [var.contact_admin_jwt_audience]
+  }
+}
+
+resource "aws_apigatewayv2_route" "get_contact_submissions" {
+  api_id             = aws_apigatewayv2_api.contact.id
+  route_key          = "GET /contact/submissions"
+  authorization_type = "JWT"
+  authorizer_id      = aws_apigatewayv2_authorizer.contact_admin_jwt.id
+  target             = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "get_contact_submission" {
+  api_id             = aws_apigatewayv2_api.contact.id
+  route_key          = "GET /contact/submissions/{submissionId}"
+  authorization_type = "JWT"
+  authorizer_id      = aws_apigatewayv2_authorizer.contact_admin_jwt.id
+  target             = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "post_contact_submission_status" {
+  api_id             = aws_apigatewayv2_api.contact.id
+  route_key          = "POST /contact/submissions/{submissionId}/status"
+  authorization_type = "JWT"
+  authorizer_id      = aws_apigatewayv2_authorizer.contact_admin_jwt.id
+  target             = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "get_form_token" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /form-token"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
 resource "aws_apigatewayv2_route" "post_booking" {
   api_id    = aws_apigatewayv2_api.contact.id
   route_key = "POST /booking"
   target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
 }
 
+resource "aws_apigatewayv2_route" "get_booking_types" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /booking-types"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
 resource "aws_apigatewayv2_route" "get_availability" {
   api_id    = aws_apigatewayv2_api.contact.id
   route_key = "GET /availability"
   target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
 }
 
+resource "aws_apigatewayv2_route" "get_booking_cancel" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /booking/{bookingId}/cancel"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "post_booking_cancel" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "POST /booking/{bookingId}/cancel"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "get_booking_reschedule" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "GET /booking/{bookingId}/reschedule"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "post_booking_reschedule" {
+  api_id    = aws_apigatewayv2_api.contact.id
+  route_key = "POST /booking/{bookingId}/reschedule"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
 resource "aws_apigatewayv2_authorizer" "review_admin_jwt" {
   count = var.preserve_legacy_reviews_stack ? 1 : 0
 
@@ -378,6 +1068,28 @@ resource "aws_lambda_permission" "api_gateway" {
   source_arn    = "${aws_apigatewayv2_api.contact.execution_arn}/*/*"
 }
 
+# Scheduled outbox run that retries failed notification emails
+resource "aws_cloudwatch_event_rule" "outbox" {
+  name                = "${var.project}-${var.environment}-outbox"
+  description         = "Retry queued notification emails"
+  schedule_expression = var.outbox_schedule_expression
+  tags                = var.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "outbox" {
+  rule  = aws_cloudwatch_event_rule.outbox.name
+  arn   = aws_lambda_function.contact.arn
+  input = jsonencode({ outbox = "process" })
+}
+
+resource "aws_lambda_permission" "outbox_schedule" {
+  statement_id  = "AllowOutboxScheduleInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.contact.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.outbox.arn
+}
+
 # ─────────────────────────────────────────────
 # SES — Email identity verification
 # ─────────────────────────────────────────────
@@ -392,6 +1104,12 @@ resource "aws_ses_email_identity" "target" {
   email = var.target_email
 }
 
+# Additional targets and Cc / Bcc recipients (also required in SES sandbox)
+resource "aws_ses_email_identity" "additional_recipients" {
+  for_each = setsubtract(toset(local.owner_recipients), [var.source_email, var.target_email])
+  email    = each.value
+}
+
 resource "aws_ses_domain_identity" "source_domain" {
   count = var.manage_ses_domain_authentication ? 1 : 0
 
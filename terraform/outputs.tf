@@ -8,6 +8,30 @@ output "health_endpoint" {
   value       = "${aws_apigatewayv2_api.contact.api_endpoint}/health"
 }
 
+output "contact_submissions_table_name" {
+  description = "DynamoDB table holding saved contact submissions"
+  value       = aws_dynamodb_table.contact_submissions.name
+}
+
+output "outbox_table_name" {
+  description = "DynamoDB table holding queued, sent and dead-lettered notification emails"
+  value       = aws_dynamodb_table.outbox.name
+}
+
+output "contact_inbox_endpoints" {
+  description = "JWT-protected contact inbox admin endpoints"
+  value = [
+    "${aws_apigatewayv2_api.contact.api_endpoint}/contact/submissions",
+    "${aws_apigatewayv2_api.contact.api_endpoint}/contact/submissions/{submissionId}",
+    "${aws_apigatewayv2_api.contact.api_endpoint}/contact/submissions/{submissionId}/status",
+  ]
+}
+
+output "attachments_bucket_name" {
+  description = "S3 bucket holding contact attachments (empty when attachments are disabled)"
+  value       = var.attachments_enabled ? aws_s3_bucket.attachments[0].id : ""
+}
+
 output "booking_endpoint" {
   description = "Booking request endpoint for discovery calls"
   value       = "${aws_apigatewayv2_api.contact.api_endpoint}/booking"
@@ -18,6 +42,29 @@ output "availability_endpoint" {
   value       = "${aws_apigatewayv2_api.contact.api_endpoint}/availability"
 }
 
+output "form_token_endpoint" {
+  description = "Endpoint that issues signed form tokens for the contact and booking forms"
+  value       = "${aws_apigatewayv2_api.contact.api_endpoint}/form-token"
+}
+
+output "booking_types_endpoint" {
+  description = "Meeting-type catalogue endpoint for scheduler UI"
+  value       = "${aws_apigatewayv2_api.contact.api_endpoint}/booking-types"
+}
+
+output "bookings_table_name" {
+  description = "DynamoDB table holding confirmed booking slots"
+  value       = aws_dynamodb_table.bookings.name
+}
+
+output "booking_manage_endpoint_templates" {
+  description = "Signed-link booking management endpoint templates"
+  value = [
+    "${aws_apigatewayv2_api.contact.api_endpoint}/booking/{bookingId}/cancel",
+    "${aws_apigatewayv2_api.contact.api_endpoint}/booking/{bookingId}/reschedule",
+  ]
+}
+
 output "review_admin_jwt_auth_enabled" {
   description = "Whether legacy review admin JWT authorizer compatibility mode is enabled"
   value       = var.preserve_legacy_reviews_stack
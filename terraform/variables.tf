@@ -82,6 +82,39 @@ variable "target_email" {
   }
 }
 
+variable "additional_target_emails" {
+  description = "Further addresses that receive contact and booking notifications alongside target_email"
+  type        = list(string)
+  default     = []
+
+  validation {
+    condition     = alltrue([for email in var.additional_target_emails : can(regex("^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$", email))])
+    error_message = "additional_target_emails must be valid email addresses."
+  }
+}
+
+variable "target_email_cc" {
+  description = "Addresses copied (Cc) on contact and booking notifications"
+  type        = list(string)
+  default     = []
+
+  validation {
+    condition     = alltrue([for email in var.target_email_cc : can(regex("^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$", email))])
+    error_message = "target_email_cc must be valid email addresses."
+  }
+}
+
+variable "target_email_bcc" {
+  description = "Addresses blind-copied (Bcc) on contact and booking notifications"
+  type        = list(string)
+  default     = []
+
+  validation {
+    condition     = alltrue([for email in var.target_email_bcc : can(regex("^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$", email))])
+    error_message = "target_email_bcc must be valid email addresses."
+  }
+}
+
 variable "allowed_origins" {
   description = "CORS allowed origins — restrict to your domain in production"
   type        = list(string)
@@ -116,6 +149,95 @@ variable "api_throttling_rate_limit" {
   }
 }
 
+variable "rate_limits" {
+  description = "Sliding-window limits enforced in the Lambda: route (contact, attachments, booking, availability, or form:<formId> for a /forms form; forms without one use contact's, counted per form) => key (ip, email, origin) => requests per window_seconds"
+  type = map(map(object({
+    limit          = number
+    window_seconds = number
+  })))
+  default = {
+    contact = {
+      ip     = { limit = 5, window_seconds = 600 }
+      email  = { limit = 3, window_seconds = 3600 }
+      origin = { limit = 200, window_seconds = 3600 }
+    }
+    booking = {
+      ip    = { limit = 10, window_seconds = 3600 }
+      email = { limit = 5, window_seconds = 3600 }
+    }
+    availability = {
+      ip = { limit = 120, window_seconds = 60 }
+    }
+  }
+
+  validation {
+    condition = alltrue(flatten([
+      for route, keys in var.rate_limits : [
+        for key, r in keys :
+        (contains(["contact", "attachments", "booking", "availability"], route) || can(regex("^form:[a-z0-9][a-z0-9-]{1,39}$", route))) && contains(["ip", "email", "origin"], key) && r.limit >= 1 && r.window_seconds >= 1 && r.window_seconds <= 86400
+      ]
+    ]))
+    error_message = "rate_limits routes must be contact, attachments, booking, availability or form:<formId>, keys ip, email or origin, with limit >= 1 and window_seconds 1-86400."
+  }
+}
+
+variable "rate_limit_key_secret" {
+  description = "HMAC key for the IPs and emails in the rate-limit table (recommended; empty stores plain SHA-256 hashes, which anyone with the table can match against candidate addresses)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "idempotency_ttl_seconds" {
+  description = "How long responses to POST /contact and POST /booking are kept for replay under the same Idempotency-Key"
+  type        = number
+  default     = 86400
+
+  validation {
+    condition     = var.idempotency_ttl_seconds >= 300 && var.idempotency_ttl_seconds <= 604800
+    error_message = "idempotency_ttl_seconds must be between 300 and 604800 (7 days)."
+  }
+}
+
+variable "outbox_max_attempts" {
+  description = "Send attempts per notification email before it is dead-lettered"
+  type        = number
+  default     = 5
+
+  validation {
+    condition     = var.outbox_max_attempts >= 1 && var.outbox_max_attempts <= 20
+    error_message = "outbox_max_attempts must be between 1 and 20."
+  }
+}
+
+variable "outbox_retry_base_seconds" {
+  description = "Delay before the first retry of a failed notification email; doubles per attempt, capped at an hour"
+  type        = number
+  default     = 60
+
+  validation {
+    condition     = var.outbox_retry_base_seconds >= 0 && var.outbox_retry_base_seconds <= 3600
+    error_message = "outbox_retry_base_seconds must be between 0 and 3600."
+  }
+}
+
+variable "outbox_retention_days" {
+  description = "Days sent and dead-lettered notification emails stay in the outbox table"
+  type        = number
+  default     = 30
+
+  validation {
+    condition     = var.outbox_retention_days >= 1 && var.outbox_retention_days <= 365
+    error_message = "outbox_retention_days must be between 1 and 365."
+  }
+}
+
+variable "outbox_schedule_expression" {
+  description = "EventBridge schedule for the outbox run that retries failed notification emails"
+  type        = string
+  default     = "rate(5 minutes)"
+}
+
 variable "log_level" {
   description = "Lambda log verbosity"
   type        = string
@@ -128,11 +250,34 @@ variable "log_level" {
 }
 
 variable "booking_type" {
-  description = "Logical booking type label used in notifications"
+  description = "Default booking type id (the only type when booking_types is empty)"
   type        = string
   default     = "DISCOVERY_30M"
 }
 
+variable "booking_types" {
+  description = "Meeting-type catalogue; omitted fields fall back to the booking_* settings"
+  type = list(object({
+    id                    = string
+    title                 = string
+    description           = optional(string)
+    duration_minutes      = optional(number)
+    workdays              = optional(list(number))
+    day_start             = optional(string)
+    day_end               = optional(string)
+    min_lead_minutes      = optional(number)
+    lookahead_days        = optional(number)
+    buffer_before_minutes = optional(number)
+    buffer_after_minutes  = optional(number)
+  }))
+  default = []
+
+  validation {
+    condition     = length(distinct([for t in var.booking_types : t.id])) == length(var.booking_types)
+    error_message = "booking_types ids must be unique."
+  }
+}
+
 variable "booking_slot_duration_minutes" {
   description = "Booking slot duration in minutes"
   type        = number
@@ -166,42 +311,488 @@ variable "booking_min_lead_minutes" {
   }
 }
 
-variable "booking_start_hour_utc" {
-  description = "Booking window start hour (UTC, inclusive)"
+variable "booking_buffer_before_minutes" {
+  description = "Free time kept before each meeting (per-type override: buffer_before_minutes)"
+  type        = number
+  default     = 0
+
+  validation {
+    condition     = var.booking_buffer_before_minutes >= 0 && var.booking_buffer_before_minutes <= 240
+    error_message = "booking_buffer_before_minutes must be between 0 and 240."
+  }
+}
+
+variable "booking_buffer_after_minutes" {
+  description = "Free time kept after each meeting (per-type override: buffer_after_minutes)"
+  type        = number
+  default     = 0
+
+  validation {
+    condition     = var.booking_buffer_after_minutes >= 0 && var.booking_buffer_after_minutes <= 240
+    error_message = "booking_buffer_after_minutes must be between 0 and 240."
+  }
+}
+
+variable "booking_min_gap_minutes" {
+  description = "Minimum gap between the end of one booking and the start of the next"
+  type        = number
+  default     = 0
+
+  validation {
+    condition     = var.booking_min_gap_minutes >= 0 && var.booking_min_gap_minutes <= 1440
+    error_message = "booking_min_gap_minutes must be between 0 and 1440."
+  }
+}
+
+variable "booking_max_per_day" {
+  description = "Maximum bookings per local day across all meeting types (0 = no cap)"
+  type        = number
+  default     = 0
+
+  validation {
+    condition     = var.booking_max_per_day >= 0
+    error_message = "booking_max_per_day must be 0 or more."
+  }
+}
+
+variable "booking_max_per_week" {
+  description = "Maximum bookings per local Monday-Sunday week across all meeting types (0 = no cap)"
   type        = number
   default     = 0
 
   validation {
-    condition     = var.booking_start_hour_utc >= 0 && var.booking_start_hour_utc <= 23
-    error_message = "booking_start_hour_utc must be between 0 and 23."
+    condition     = var.booking_max_per_week >= 0
+    error_message = "booking_max_per_week must be 0 or more."
   }
 }
 
-variable "booking_end_hour_utc" {
-  description = "Booking window end hour (UTC, exclusive)"
+variable "booking_busy_calendar_urls" {
+  description = "ICS feed or CalDAV free-busy URLs whose busy time is removed from availability (URLs often embed private tokens)"
+  type        = list(string)
+  default     = []
+  sensitive   = true
+}
+
+variable "booking_busy_calendar_authorization" {
+  description = "Optional Authorization header sent to booking_busy_calendar_urls (e.g. \"Basic ...\" for CalDAV)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "booking_busy_cache_seconds" {
+  description = "How long fetched busy calendars are reused before refreshing"
   type        = number
-  default     = 8
+  default     = 300
+
+  validation {
+    condition     = var.booking_busy_cache_seconds >= 0 && var.booking_busy_cache_seconds <= 86400
+    error_message = "booking_busy_cache_seconds must be between 0 and 86400."
+  }
+}
+
+variable "booking_timezone" {
+  description = "IANA time zone the booking schedule is defined in (business hours follow its DST changes)"
+  type        = string
+  default     = "Australia/Sydney"
+
+  validation {
+    condition     = can(regex("^[A-Za-z][A-Za-z0-9_+-]*(/[A-Za-z0-9_+-]+)*$", var.booking_timezone))
+    error_message = "booking_timezone must be an IANA time zone name such as Australia/Sydney."
+  }
+}
+
+variable "booking_day_start" {
+  description = "Booking window start time in booking_timezone (HH:MM, inclusive)"
+  type        = string
+  default     = "09:00"
 
   validation {
-    condition     = var.booking_end_hour_utc >= 1 && var.booking_end_hour_utc <= 24
-    error_message = "booking_end_hour_utc must be between 1 and 24."
+    condition     = can(regex("^([01][0-9]|2[0-3]):[0-5][0-9]$", var.booking_day_start))
+    error_message = "booking_day_start must be HH:MM between 00:00 and 23:59."
   }
 }
 
-variable "booking_workdays_utc" {
-  description = "Allowed booking weekdays in UTC (0=Sun .. 6=Sat)"
+variable "booking_day_end" {
+  description = "Booking window end time in booking_timezone (HH:MM, exclusive)"
+  type        = string
+  default     = "17:00"
+
+  validation {
+    condition     = can(regex("^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$", var.booking_day_end))
+    error_message = "booking_day_end must be HH:MM between 00:01 and 24:00."
+  }
+}
+
+variable "booking_workdays" {
+  description = "Allowed booking weekdays in booking_timezone (0=Sun .. 6=Sat)"
   type        = list(number)
   default     = [1, 2, 3, 4, 5]
 
   validation {
     condition = (
-      length(var.booking_workdays_utc) > 0 &&
-      length([for day in var.booking_workdays_utc : day if day >= 0 && day <= 6]) == length(var.booking_workdays_utc)
+      length(var.booking_workdays) > 0 &&
+      length([for day in var.booking_workdays : day if day >= 0 && day <= 6]) == length(var.booking_workdays)
     )
-    error_message = "booking_workdays_utc values must be integers between 0 and 6."
+    error_message = "booking_workdays values must be integers between 0 and 6."
+  }
+}
+
+variable "booking_schedule_exceptions" {
+  description = "JSON blackout dates and per-day hour overrides in booking_timezone (empty uses lambda/schedule-exceptions.json)"
+  type        = string
+  default     = ""
+
+  validation {
+    condition     = var.booking_schedule_exceptions == "" || can(jsondecode(var.booking_schedule_exceptions))
+    error_message = "booking_schedule_exceptions must be empty or valid JSON."
+  }
+}
+
+variable "booking_retention_days" {
+  description = "Days after a booked slot ends before its record expires via DynamoDB TTL"
+  type        = number
+  default     = 365
+
+  validation {
+    condition     = var.booking_retention_days >= 1 && var.booking_retention_days <= 3650
+    error_message = "booking_retention_days must be between 1 and 3650."
   }
 }
 
+variable "booking_link_secret" {
+  description = "HMAC secret used to sign booking cancel/reschedule links (empty disables the links)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "form_token_secret" {
+  description = "HMAC secret for GET /form-token; when set, POST /contact and POST /booking require a token (empty disables)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "form_token_min_seconds" {
+  description = "Reject form submissions sent sooner than this after the token was issued"
+  type        = number
+  default     = 3
+}
+
+variable "form_token_max_seconds" {
+  description = "Reject form submissions sent later than this after the token was issued"
+  type        = number
+  default     = 7200
+}
+
+variable "form_honeypot_field" {
+  description = "Hidden form field name that real visitors leave empty (empty disables the honeypot)"
+  type        = string
+  default     = ""
+}
+
+variable "forms" {
+  description = "JSON form definitions served by /forms/{formId} (empty uses lambda/forms.json)"
+  type        = string
+  default     = ""
+
+  validation {
+    condition     = var.forms == "" || can(tolist(jsondecode(var.forms)))
+    error_message = "forms must be empty or a JSON array of form definitions."
+  }
+}
+
+variable "form_redirects" {
+  description = "Pages HTML form posts are redirected to, by form id (contact, booking, or a forms entry): success_url and error_url on an allowed origin"
+  type = map(object({
+    success_url = optional(string)
+    error_url   = optional(string)
+  }))
+  default = {}
+}
+
+variable "attachments_enabled" {
+  description = "Create the attachments bucket and enable POST /contact/attachments"
+  type        = bool
+  default     = false
+}
+
+variable "attachment_max_bytes" {
+  description = "Largest single attachment in bytes"
+  type        = number
+  default     = 10485760
+}
+
+variable "attachment_max_files" {
+  description = "Most attachments on one contact submission"
+  type        = number
+  default     = 5
+}
+
+variable "attachment_max_total_bytes" {
+  description = "Largest total size of the attachments on one contact submission"
+  type        = number
+  default     = 20971520
+}
+
+variable "attachment_inline_max_bytes" {
+  description = "Attachments totalling up to this many bytes are attached to the owner email; larger sets are sent as download links (0 = links only, at most 7 MB: base64 grows files by a third and SES takes 10 MB messages)"
+  type        = number
+  default     = 5242880
+
+  validation {
+    condition     = var.attachment_inline_max_bytes >= 0 && var.attachment_inline_max_bytes <= 7340032
+    error_message = "attachment_inline_max_bytes must be 0-7340032 (7 MB)."
+  }
+}
+
+variable "attachment_upload_expiry_seconds" {
+  description = "Lifetime of presigned upload URLs (30-3600)"
+  type        = number
+  default     = 300
+
+  validation {
+    condition     = var.attachment_upload_expiry_seconds >= 30 && var.attachment_upload_expiry_seconds <= 3600
+    error_message = "attachment_upload_expiry_seconds must be 30-3600."
+  }
+}
+
+variable "attachment_link_secret" {
+  description = "HMAC secret signing the attachment download links in owner emails (required when attachments_enabled)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "attachment_link_expiry_seconds" {
+  description = "Lifetime of the download links in owner emails (60-604800); each click is redirected to a one-minute presigned URL"
+  type        = number
+  default     = 86400
+
+  validation {
+    condition     = var.attachment_link_expiry_seconds >= 60 && var.attachment_link_expiry_seconds <= 604800
+    error_message = "attachment_link_expiry_seconds must be 60-604800 (seven days)."
+  }
+}
+
+variable "attachment_types" {
+  description = "Accepted attachment MIME types (empty = every type the Lambda supports)"
+  type        = list(string)
+  default     = []
+}
+
+variable "attachment_scan_url" {
+  description = "Content-scan hook: each attachment is POSTed here as JSON and must come back with verdict \"clean\" (empty = no scan)"
+  type        = string
+  default     = ""
+}
+
+variable "attachment_scan_timeout_ms" {
+  description = "Timeout for each scan hook call; files are scanned in parallel, inside the Lambda's 10-second timeout (100-5000)"
+  type        = number
+  default     = 3000
+
+  validation {
+    condition     = var.attachment_scan_timeout_ms >= 100 && var.attachment_scan_timeout_ms <= 5000
+    error_message = "attachment_scan_timeout_ms must be 100-5000."
+  }
+}
+
+variable "attachment_scan_fail_open" {
+  description = "Accept attachments when the scan hook cannot be reached"
+  type        = bool
+  default     = false
+}
+
+variable "attachment_retention_days" {
+  description = "Days before uploaded attachments are deleted from the bucket"
+  type        = number
+  default     = 30
+}
+
+variable "captcha_routes" {
+  description = "CAPTCHA per route (contact, booking, or form:<formId> for a /forms form; forms without one use contact's): provider turnstile/hcaptcha/recaptcha, fail_open on provider timeouts, timeout_ms, min_score (reCAPTCHA v3)"
+  type = map(object({
+    provider   = string
+    fail_open  = optional(bool)
+    timeout_ms = optional(number)
+    min_score  = optional(number)
+  }))
+  default = {}
+
+  validation {
+    condition = alltrue([
+      for route, c in var.captcha_routes :
+      (contains(["contact", "booking"], route) || can(regex("^form:[a-z0-9][a-z0-9-]{1,39}$", route))) && contains(["turnstile", "hcaptcha", "recaptcha"], c.provider)
+    ])
+    error_message = "captcha_routes keys must be contact, booking or form:<formId>, with provider turnstile, hcaptcha or recaptcha."
+  }
+}
+
+variable "captcha_secrets" {
+  description = "CAPTCHA secret keys by provider (turnstile, hcaptcha, recaptcha); required for every provider used in captcha_routes"
+  type        = map(string)
+  default     = {}
+  sensitive   = true
+}
+
+variable "captcha_verify_urls" {
+  description = "Optional siteverify URL overrides by provider (e.g. a proxy or test stand-in)"
+  type        = map(string)
+  default     = {}
+}
+
+variable "booking_manage_url" {
+  description = "Optional website page that handles cancel/reschedule links (defaults to the API routes)"
+  type        = string
+  default     = ""
+}
+
+variable "booking_organizer_name" {
+  description = "Organizer display name used in booking emails and calendar invites (organizer address is target_email)"
+  type        = string
+  default     = "WaterApps"
+}
+
+variable "email_brand" {
+  description = "Branding for notification emails: name, site_name, site_url, logo_url (https), primary/text/background colours (#hex) and a signature for guest emails"
+  type = object({
+    name             = optional(string)
+    site_name        = optional(string)
+    site_url         = optional(string)
+    logo_url         = optional(string)
+    primary_color    = optional(string)
+    text_color       = optional(string)
+    background_color = optional(string)
+    signature        = optional(string)
+  })
+  default = {}
+
+  validation {
+    condition = alltrue([
+      for colour in [var.email_brand.primary_color, var.email_brand.text_color, var.email_brand.background_color] :
+      colour == null || can(regex("^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$", colour))
+    ])
+    error_message = "email_brand colours must be hex values like #0b5394."
+  }
+
+  validation {
+    condition = alltrue([
+      for url in [var.email_brand.site_url, var.email_brand.logo_url] :
+      url == null || can(regex("^https://", url))
+    ])
+    error_message = "email_brand site_url and logo_url must start with https://."
+  }
+}
+
+variable "webhooks" {
+  description = "Outbound webhooks for contact.submitted, booking.created, booking.cancelled and booking.rescheduled (events [\"*\"] = all). format json (HMAC-signed with secret), slack or teams; timeout_ms (100-5000) and max_attempts (1-5) per endpoint; only the first attempt runs in the request, retries go through the outbox"
+  type = list(object({
+    id           = string
+    url          = string
+    events       = optional(list(string))
+    format       = optional(string)
+    secret       = optional(string)
+    timeout_ms   = optional(number)
+    max_attempts = optional(number)
+  }))
+  default   = []
+  sensitive = true
+
+  validation {
+    condition = alltrue([
+      for w in var.webhooks :
+      startswith(w.url, "https://") && contains(["json", "slack", "teams"], coalesce(w.format, "json"))
+    ])
+    error_message = "webhooks need an https:// url and a format of json, slack or teams."
+  }
+
+  validation {
+    condition = alltrue([
+      for w in var.webhooks :
+      (w.timeout_ms == null || (w.timeout_ms >= 100 && w.timeout_ms <= 5000)) &&
+      (w.max_attempts == null || (w.max_attempts >= 1 && w.max_attempts <= 5))
+    ])
+    error_message = "webhooks timeout_ms must be 100-5000 and max_attempts 1-5."
+  }
+}
+
+variable "booking_guest_confirmation_enabled" {
+  description = "Email the booker a confirmation with an .ics calendar invite (requires SES production access)"
+  type        = bool
+  default     = true
+}
+
+variable "bookings_point_in_time_recovery_enabled" {
+  description = "Enable point-in-time recovery (PITR) for the bookings table"
+  type        = bool
+  default     = true
+}
+
+variable "contact_ack_enabled" {
+  description = "Email contact-form senders an acknowledgement with a copy of their message (opt-in; requires SES production access)"
+  type        = bool
+  default     = false
+}
+
+variable "contact_ack_max_per_recipient" {
+  description = "Maximum acknowledgement emails per recipient address within contact_ack_window_seconds"
+  type        = number
+  default     = 3
+
+  validation {
+    condition     = var.contact_ack_max_per_recipient >= 1 && var.contact_ack_max_per_recipient <= 100
+    error_message = "contact_ack_max_per_recipient must be between 1 and 100."
+  }
+}
+
+variable "contact_ack_window_seconds" {
+  description = "Window for the per-recipient acknowledgement cap (seconds, up to one day)"
+  type        = number
+  default     = 86400
+
+  validation {
+    condition     = var.contact_ack_window_seconds >= 60 && var.contact_ack_window_seconds <= 86400
+    error_message = "contact_ack_window_seconds must be between 60 and 86400."
+  }
+}
+
+variable "contact_submissions_point_in_time_recovery_enabled" {
+  description = "Enable point-in-time recovery (PITR) for the contact submissions table"
+  type        = bool
+  default     = true
+}
+
+variable "contact_retention_days" {
+  description = "Days a saved contact submission is kept before DynamoDB TTL removes it"
+  type        = number
+  default     = 365
+
+  validation {
+    condition     = var.contact_retention_days >= 1 && var.contact_retention_days <= 3650
+    error_message = "contact_retention_days must be between 1 and 3650."
+  }
+}
+
+variable "contact_admin_jwt_issuer" {
+  description = "Cognito issuer for the contact inbox admin JWT authorizer"
+  type        = string
+  default     = "https://cognito-idp.ap-southeast-2.amazonaws.com/ap-southeast-2_abk0SHGQp"
+}
+
+variable "contact_admin_jwt_audience" {
+  description = "Cognito audience(client id) for the contact inbox admin JWT authorizer"
+  type        = string
+  default     = "82lu2ao83rcqvjbcbnmcfbe3e"
+}
+
+variable "contact_admin_group" {
+  description = "Cognito group required in the JWT to list/triage contact submissions (empty = inbox routes return 403)"
+  type        = string
+  default     = ""
+}
+
 variable "reviews_point_in_time_recovery_enabled" {
   description = "Enable point-in-time recovery (PITR) for the independent reviews table"
   type        = bool
@@ -244,6 +835,12 @@ variable "legacy_review_jwt_audience" {
   default     = "82lu2ao83rcqvjbcbnmcfbe3e"
 }
 
+variable "review_admin_group" {
+  description = "Cognito group required in the JWT to list/moderate reviews (empty = review admin routes return 403)"
+  type        = string
+  default     = ""
+}
+
 variable "common_tags" {
   description = "Tags applied to all resources"
   type        = map(string)